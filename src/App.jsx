@@ -1,5 +1,7 @@
 import { useEffect } from 'react'
+import { Loader2 } from 'lucide-react'
 import useStore from './store/useStore'
+import useQualityCheck from './hooks/useQualityCheck'
 import Sidebar from './components/Sidebar'
 import Header from './components/Header'
 import ExportModal from './components/ExportModal'
@@ -8,12 +10,16 @@ import ExportModal from './components/ExportModal'
 import LandingPage from './pages/LandingPage'
 import DashboardPage from './pages/DashboardPage'
 import UploadDataPage from './pages/UploadDataPage'
+import ProfilePage from './pages/ProfilePage'
 import AIInsightsPage from './pages/AIInsightsPage'
 import ReportsPage from './pages/ReportsPage'
 
 
 function App() {
-  const { currentPage, darkMode, setDarkMode } = useStore()
+  const { currentPage, darkMode, setDarkMode, hasHydrated } = useStore()
+
+  // Check the active dataset's quality rules when the store left that to a worker
+  useQualityCheck()
 
   // Initialize dark mode from localStorage
   useEffect(() => {
@@ -36,6 +42,16 @@ function App() {
     localStorage.setItem('darkMode', JSON.stringify(darkMode))
   }, [darkMode])
 
+  // Wait for the saved workspace to load from IndexedDB before rendering pages
+  if (!hasHydrated) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center gap-2 text-gray-400">
+        <Loader2 className="w-5 h-5 animate-spin" />
+        Restoring workspace...
+      </div>
+    )
+  }
+
   // Render landing page separately (no sidebar/header)
   if (currentPage === 'landing') {
     return <LandingPage />
@@ -48,6 +64,8 @@ function App() {
         return <DashboardPage />
       case 'upload':
         return <UploadDataPage />
+      case 'profile':
+        return <ProfilePage />
       case 'insights':
         return <AIInsightsPage />
       case 'reports':
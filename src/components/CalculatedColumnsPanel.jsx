@@ -0,0 +1,328 @@
+import { useState, useRef, useMemo } from 'react'
+import { Calculator, Plus, Edit2, Trash2, AlertCircle, CheckCircle, BookOpen } from 'lucide-react'
+import {
+  FORMULA_FUNCTIONS,
+  compileFormula,
+  getFormulaReferences,
+  parseFormula,
+  validateCalculatedColumn
+} from '../utils/formulaHelpers'
+import { inferColumnTypes } from '../utils/csvParser'
+
+// Rows the live preview shows, and rows it infers the result type from
+const PREVIEW_ROWS = 5
+const TYPE_SAMPLE_ROWS = 100
+
+const EMPTY_DRAFT = { id: null, name: '', expression: '' }
+
+// Functions grouped by category for the reference list
+const FUNCTION_GROUPS = Object.entries(FORMULA_FUNCTIONS).reduce((groups, [name, definition]) => {
+  groups[definition.category] = [...(groups[definition.category] || []), { name, ...definition }]
+  return groups
+}, {})
+
+// Columns a formula reads (none if it doesn't parse)
+const getReferences = (expression) => {
+  try {
+    return getFormulaReferences(parseFormula(expression))
+  } catch {
+    return []
+  }
+}
+
+const formatPreviewValue = (value) => {
+  if (value === null || value === undefined) return 'NULL'
+  return String(value)
+}
+
+/**
+ * CalculatedColumnsPanel Component
+ * Lists the calculated columns and edits them: a name, a formula (see
+ * formulaHelpers for the language), a live preview on the first rows and
+ * the inferred type of the result.
+ *
+ * Props:
+ * - data: Current rows (including calculated columns)
+ * - columns: Column metadata; calculated columns carry their formula
+ * - calculatedColumns: [{ id, name, expression }] in evaluation order
+ * - onChange: Called with the new list of calculated columns
+ */
+const CalculatedColumnsPanel = ({ data, columns, calculatedColumns, onChange }) => {
+  const [draft, setDraft] = useState(null)
+  const [showFunctions, setShowFunctions] = useState(false)
+  const [removeError, setRemoveError] = useState(null)
+  const expressionRef = useRef(null)
+
+  const calculatedNames = calculatedColumns.map(column => column.name)
+  const dataColumnNames = columns.map(col => col.name).filter(name => !calculatedNames.includes(name))
+
+  // A calculated column may read the data columns and the calculated columns before it
+  const draftIndex = draft?.id ? calculatedColumns.findIndex(column => column.id === draft.id) : calculatedColumns.length
+  const readableColumns = [...dataColumnNames, ...calculatedNames.slice(0, draftIndex)]
+  const original = draft?.id ? calculatedColumns[draftIndex] : null
+  const takenNames = [...dataColumnNames, ...calculatedNames.filter(name => name !== original?.name)]
+
+  // Later calculated columns reading a column
+  const getDependents = (name, fromIndex) =>
+    calculatedColumns.slice(fromIndex + 1).filter(column => getReferences(column.expression).includes(name))
+
+  const validateDraft = () => {
+    if (!draft) return null
+    const result = validateCalculatedColumn(draft, readableColumns, takenNames)
+    if (result.isValid && original && original.name !== draft.name.trim()) {
+      const dependents = getDependents(original.name, draftIndex)
+      if (dependents.length > 0) {
+        return { isValid: false, error: `Can't rename: used by ${dependents.map(column => column.name).join(', ')}` }
+      }
+    }
+    return result
+  }
+  const validation = validateDraft()
+  const isDraftValid = Boolean(validation?.isValid)
+
+  const expression = draft?.expression
+  const preview = useMemo(() => {
+    if (!isDraftValid) return null
+    const evaluate = compileFormula(expression)
+    const sample = data.slice(0, TYPE_SAMPLE_ROWS).map(row => ({ value: evaluate(row) }))
+    return {
+      rows: sample.slice(0, PREVIEW_ROWS).map(item => item.value),
+      type: inferColumnTypes(sample)[0]?.type || 'string'
+    }
+  }, [isDraftValid, expression, data])
+
+  const insertText = (text) => {
+    const textarea = expressionRef.current
+    const start = textarea ? textarea.selectionStart : expression.length
+    const end = textarea ? textarea.selectionEnd : expression.length
+    setDraft({ ...draft, expression: expression.slice(0, start) + text + expression.slice(end) })
+    // Put the cursor after the inserted text
+    requestAnimationFrame(() => {
+      if (!textarea) return
+      textarea.focus()
+      textarea.setSelectionRange(start + text.length, start + text.length)
+    })
+  }
+
+  const handleSave = () => {
+    if (!isDraftValid) return
+    const column = {
+      id: draft.id || `calc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: draft.name.trim(),
+      expression: draft.expression.trim()
+    }
+    onChange(draft.id
+      ? calculatedColumns.map(existing => (existing.id === draft.id ? column : existing))
+      : [...calculatedColumns, column])
+    setDraft(null)
+  }
+
+  const handleRemove = (column, index) => {
+    const dependents = getDependents(column.name, index)
+    if (dependents.length > 0) {
+      setRemoveError(`"${column.name}" is used by ${dependents.map(item => item.name).join(', ')}; remove those first`)
+      return
+    }
+    setRemoveError(null)
+    onChange(calculatedColumns.filter(item => item.id !== column.id))
+  }
+
+  const getColumnType = (name) => columns.find(col => col.name === name)?.type
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+            <Calculator className="w-5 h-5 text-blue-400" />
+            Calculated Columns
+          </h3>
+          <p className="text-sm text-gray-400">
+            Derive columns with formulas such as <code className="text-blue-300">revenue - cost</code> or{' '}
+            <code className="text-blue-300">YEAR([Order Date])</code>; they work in charts, filters and AI analysis
+          </p>
+        </div>
+        {!draft && (
+          <button
+            onClick={() => {
+              setDraft(EMPTY_DRAFT)
+              setRemoveError(null)
+            }}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add Column
+          </button>
+        )}
+      </div>
+
+      {removeError && (
+        <p className="flex items-center gap-2 text-sm text-red-400 mb-3">
+          <AlertCircle className="w-4 h-4" />
+          {removeError}
+        </p>
+      )}
+
+      {/* Existing Columns */}
+      {calculatedColumns.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {calculatedColumns.map((column, index) => (
+            <div key={column.id} className="flex items-center gap-3 bg-gray-700/50 rounded-lg px-4 py-2">
+              <div className="flex-1 min-w-0">
+                <p className="text-white font-medium">
+                  {column.name}
+                  <span className="ml-2 text-xs text-gray-400">{getColumnType(column.name)}</span>
+                </p>
+                <p className="text-sm text-gray-400 font-mono truncate" title={column.expression}>
+                  = {column.expression}
+                </p>
+              </div>
+              <button
+                onClick={() => {
+                  setDraft(column)
+                  setRemoveError(null)
+                }}
+                className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                title="Edit column"
+              >
+                <Edit2 className="w-4 h-4 text-gray-400 hover:text-white" />
+              </button>
+              <button
+                onClick={() => handleRemove(column, index)}
+                className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                title="Remove column"
+              >
+                <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {calculatedColumns.length === 0 && !draft && (
+        <p className="text-sm text-gray-500">No calculated columns yet</p>
+      )}
+
+      {/* Editor */}
+      {draft && (
+        <div className="bg-gray-700/50 rounded-lg p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Column Name</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="e.g. Margin"
+              className="w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Formula</label>
+            <textarea
+              ref={expressionRef}
+              value={draft.expression}
+              onChange={(e) => setDraft({ ...draft, expression: e.target.value })}
+              placeholder="e.g. ROUND(([Revenue] - [Cost]) / [Revenue] * 100, 1)"
+              rows={3}
+              spellCheck={false}
+              className="w-full bg-gray-700 text-white font-mono text-sm border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+            />
+            <div className="flex flex-wrap gap-1 mt-2">
+              {readableColumns.map(name => (
+                <button
+                  key={name}
+                  onClick={() => insertText(`[${name}]`)}
+                  className="px-2 py-0.5 text-xs bg-gray-600 hover:bg-gray-500 text-gray-200 rounded transition-colors"
+                  title={`Insert [${name}]`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Function Reference */}
+          <div>
+            <button
+              onClick={() => setShowFunctions(!showFunctions)}
+              className="flex items-center gap-2 text-sm text-blue-400 hover:text-blue-300"
+            >
+              <BookOpen className="w-4 h-4" />
+              {showFunctions ? 'Hide functions' : 'Show functions'}
+            </button>
+            {showFunctions && (
+              <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-4 max-h-64 overflow-y-auto">
+                {Object.entries(FUNCTION_GROUPS).map(([category, functions]) => (
+                  <div key={category}>
+                    <p className="text-xs font-semibold text-gray-400 uppercase mb-1">{category}</p>
+                    {functions.map(fn => (
+                      <button
+                        key={fn.name}
+                        onClick={() => insertText(`${fn.name}(`)}
+                        className="block w-full text-left text-xs py-0.5 hover:bg-gray-600 rounded px-1"
+                      >
+                        <span className="font-mono text-blue-300">{fn.signature}</span>
+                        <span className="text-gray-400"> – {fn.description}</span>
+                      </button>
+                    ))}
+                  </div>
+                ))}
+                <p className="text-xs text-gray-400 md:col-span-2">
+                  Operators: + - * / % ^, &amp; (join text), = != &lt; &lt;= &gt; &gt;=, AND OR NOT. Text goes in
+                  quotes; column names with spaces in [brackets]. Empty cells are NULL.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Validation & Preview */}
+          {validation && !validation.isValid && (draft.name || draft.expression) && (
+            <p className="flex items-center gap-2 text-sm text-red-400">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {validation.error}
+            </p>
+          )}
+          {preview && (
+            <div>
+              <p className="flex items-center gap-2 text-sm text-green-400 mb-2">
+                <CheckCircle className="w-4 h-4" />
+                Result type: {preview.type}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {preview.rows.map((value, index) => (
+                  <span
+                    key={index}
+                    className={`px-2 py-1 rounded text-xs font-mono ${
+                      value === null ? 'bg-gray-600 text-gray-400' : 'bg-gray-600 text-white'
+                    }`}
+                  >
+                    {formatPreviewValue(value)}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={!isDraftValid}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {draft.id ? 'Update Column' : 'Add Column'}
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 rounded-lg border border-gray-600 text-gray-400 hover:bg-gray-700 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CalculatedColumnsPanel
@@ -0,0 +1,138 @@
+import { useEffect } from 'react'
+import { PenLine, Undo2, Redo2, Download, Trash2 } from 'lucide-react'
+import useLocale from '../hooks/useLocale'
+import { formatValue } from '../utils/localeHelpers'
+import { editsToRecords } from '../utils/editHelpers'
+import { exportToCSV } from '../utils/exportHelpers'
+
+// Keyboard shortcuts stay with text inputs while one has focus
+const isTextInput = (target) =>
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable
+
+/**
+ * CellEditsPanel Component
+ * Lists the cells edited by hand in the data table, newest first, with
+ * undo/redo (also Ctrl+Z / Ctrl+Shift+Z), discarding all edits and an
+ * export of the edit log. Edits that no longer apply because a prep step
+ * changed their cell or removed their row are marked.
+ *
+ * Props:
+ * - edits: Edits, oldest first (see editHelpers)
+ * - undoneEdits: Undone edits that can be redone
+ * - skippedEditIds: Ids of edits that don't apply
+ * - columns: Column metadata
+ * - fileName: Name the edit log export is based on
+ * - onUndo, onRedo, onClear: Called from the buttons
+ */
+const CellEditsPanel = ({ edits, undoneEdits, skippedEditIds, columns, fileName, onUndo, onRedo, onClear }) => {
+  const locale = useLocale()
+  const canUndo = edits.length > 0
+  const canRedo = undoneEdits.length > 0
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextInput(e.target)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey && canUndo) {
+        e.preventDefault()
+        onUndo()
+      } else if (((key === 'z' && e.shiftKey) || key === 'y') && canRedo) {
+        e.preventDefault()
+        onRedo()
+      }
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [canUndo, canRedo, onUndo, onRedo])
+
+  const skipped = new Set(skippedEditIds)
+  const getType = (name) => columns.find(col => col.name === name)?.type
+  const showValue = (value, column) => (value === null ? 'null' : formatValue(value, getType(column), locale))
+
+  const handleExport = () => {
+    const baseName = (fileName || 'data').replace(/\.[^.]+$/, '')
+    exportToCSV(editsToRecords(edits, skippedEditIds), `${baseName}-edits.csv`)
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+            <PenLine className="w-5 h-5 text-amber-400" />
+            Changes
+          </h3>
+          <p className="text-sm text-gray-400">
+            Cells edited in the table; charts and statistics use the edited values
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onUndo}
+            disabled={!canUndo}
+            className="p-2 rounded-lg border border-gray-600 text-gray-300 hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!canRedo}
+            className="p-2 rounded-lg border border-gray-600 text-gray-300 hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={!canUndo}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-600 text-sm text-gray-300 hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+            title="Download the edit log as CSV"
+          >
+            <Download className="w-4 h-4" />
+            Export Log
+          </button>
+          <button
+            onClick={onClear}
+            disabled={!canUndo}
+            className="p-2 rounded-lg border border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-red-400 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+            title="Discard all edits"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {edits.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No edits yet. Double-click a cell in the table to fix its value.
+          {canRedo && ` ${undoneEdits.length} undone edit${undoneEdits.length === 1 ? '' : 's'} can be redone.`}
+        </p>
+      ) : (
+        <ul className="space-y-1 max-h-64 overflow-y-auto">
+          {[...edits].reverse().map(edit => (
+            <li key={edit.id} className="flex items-center gap-3 bg-gray-700/50 rounded-lg px-4 py-2 text-sm">
+              <span className="text-gray-400 font-mono flex-shrink-0">Source row {(edit.rowId + 1).toLocaleString()}</span>
+              <span className="text-white font-medium truncate">{edit.column}</span>
+              <span className={`truncate ${skipped.has(edit.id) ? 'text-gray-500 line-through' : 'text-gray-300'}`}>
+                <span className="text-gray-400">{showValue(edit.oldValue, edit.column)}</span>
+                {' → '}
+                <span className="text-amber-300">{showValue(edit.newValue, edit.column)}</span>
+              </span>
+              {skipped.has(edit.id) && (
+                <span className="text-xs text-yellow-400 flex-shrink-0" title="A prep step changed or moved this cell after it was edited">
+                  not applied
+                </span>
+              )}
+              <span className="ml-auto text-xs text-gray-500 flex-shrink-0">
+                {new Date(edit.editedAt).toLocaleTimeString(locale.id)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default CellEditsPanel
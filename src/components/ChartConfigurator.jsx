@@ -1,10 +1,17 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   BarChart3,
   LineChart,
   PieChart,
   ScatterChart,
+  AreaChart,
+  BarChartBig,
+  CandlestickChart,
+  Grid3x3,
+  LayoutDashboard,
+  Gauge,
+  Table2,
   Sparkles,
   Save,
   X,
@@ -24,6 +31,8 @@ import {
   Pie,
   ScatterChart as RechartsScatterChart,
   Scatter,
+  AreaChart as RechartsAreaChart,
+  Area,
   ComposedChart,
   Label,
   LabelList,
@@ -35,17 +44,68 @@ import {
   ResponsiveContainer,
   Cell,
 } from 'recharts';
-import { suggestChartType, getNumericColumns, getCategoricalColumns } from '../utils/chartHelpers';
+import {
+  suggestChartType,
+  getNumericColumns,
+  getCategoricalColumns,
+  getDateColumns,
+  getYColumns,
+  getKpiMetricLabel,
+  KPI_AGGREGATIONS,
+  getDefaultGranularity,
+  MAX_SERIES,
+  MAX_HISTOGRAM_BINS,
+  TIME_SERIES_CHART_TYPES,
+  MULTI_SERIES_CHART_TYPES,
+} from '../utils/chartHelpers';
+import { DATE_GRANULARITIES, GAP_FILL_MODES, MONTH_NAMES, isBucketed } from '../utils/dateHelpers';
+import { createCondition } from '../utils/filterHelpers';
 import { useChartData } from '../hooks/useChartData';
 import { suggestChartWithAI } from '../services/openai';
 import { isOpenAIConfigured } from '../config/openai.config';
 import { handleOpenAIError } from '../utils/aiHelpers';
+import { BoxPlotShape, HeatmapGrid, KpiDisplay, TreemapChart } from './ChartShapes';
+import { ConditionInput } from './FilterPanel';
+import PivotBuilder from './PivotBuilder';
+import PivotTable from './PivotTable';
+import { buildPivot } from '../utils/pivotHelpers';
 
 const CHART_TYPES = [
   { id: 'bar', name: 'Bar Chart', icon: BarChart3, color: 'blue' },
   { id: 'line', name: 'Line Chart', icon: LineChart, color: 'green' },
   { id: 'pie', name: 'Pie Chart', icon: PieChart, color: 'purple' },
   { id: 'scatter', name: 'Scatter Plot', icon: ScatterChart, color: 'orange' },
+  { id: 'area', name: 'Area Chart', icon: AreaChart, color: 'teal' },
+  { id: 'histogram', name: 'Histogram', icon: BarChartBig, color: 'indigo' },
+  { id: 'box', name: 'Box Plot', icon: CandlestickChart, color: 'pink' },
+  { id: 'heatmap', name: 'Heatmap', icon: Grid3x3, color: 'red' },
+  { id: 'treemap', name: 'Treemap', icon: LayoutDashboard, color: 'yellow' },
+  { id: 'kpi', name: 'KPI Card', icon: Gauge, color: 'emerald' },
+  { id: 'pivot', name: 'Pivot Table', icon: Table2, color: 'cyan' },
+];
+
+// Chart types with their own column fields instead of the X/Y axis fields
+const ADVANCED_CHART_TYPES = ['histogram', 'box', 'heatmap', 'treemap', 'kpi', 'pivot'];
+
+// Config fields each chart type saves (besides id, chartType and title)
+const CHART_CONFIG_FIELDS = {
+  bar: ['xColumn', 'yColumn', 'yColumns', 'seriesColumn', 'barMode', 'aggregation'],
+  line: ['xColumn', 'yColumn', 'yColumns', 'seriesColumn', 'granularity', 'fill', 'fiscalYearStart', 'aggregation'],
+  area: ['xColumn', 'yColumn', 'yColumns', 'seriesColumn', 'granularity', 'fill', 'fiscalYearStart', 'aggregation'],
+  pie: ['categoryColumn', 'valueColumn', 'aggregation', 'topN'],
+  scatter: ['xColumn', 'yColumn', 'nameColumn'],
+  histogram: ['xColumn', 'binCount', 'binWidth'],
+  box: ['categoryColumn', 'valueColumn'],
+  heatmap: ['xColumn', 'categoryColumn', 'valueColumn', 'aggregation'],
+  treemap: ['hierarchyColumns', 'valueColumn'],
+  kpi: ['valueColumn', 'aggregation', 'percentile', 'filter', 'dateColumn', 'granularity', 'fiscalYearStart', 'thresholds'],
+  pivot: ['pivotRows', 'pivotColumns', 'pivotValues', 'showSubtotals', 'showGrandTotals', 'heatmap'],
+};
+
+const BINNING_OPTIONS = [
+  { id: 'auto', name: 'Auto' },
+  { id: 'count', name: 'Bin Count' },
+  { id: 'width', name: 'Bin Width' },
 ];
 
 const AGGREGATION_METHODS = [
@@ -56,17 +116,68 @@ const AGGREGATION_METHODS = [
   { id: 'max', name: 'Maximum', description: 'Largest value' },
 ];
 
+const BAR_MODE_OPTIONS = [
+  { id: 'grouped', name: 'Grouped' },
+  { id: 'stacked', name: 'Stacked' },
+  { id: 'percent', name: '100%' },
+];
+
 const COLORS = ['#3B82F6', '#10B981', '#8B5CF6', '#F59E0B', '#EF4444', '#EC4899', '#14B8A6', '#F97316'];
 
-const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = null }) => {
+// `data` and `columns` are those of the chosen dataset: `datasetId` ('' follows the
+// active dataset) is picked from `datasets` and reported through onDatasetChange
+const ChartConfigurator = ({
+  data,
+  columns,
+  onSave,
+  onCancel,
+  initialConfig = null,
+  datasets = [],
+  datasetId = '',
+  onDatasetChange,
+}) => {
   const [chartType, setChartType] = useState(initialConfig?.chartType || 'bar');
   const [xColumn, setXColumn] = useState(initialConfig?.xColumn || '');
   const [yColumn, setYColumn] = useState(initialConfig?.yColumn || '');
+  // Y columns after the first one (multi-series bar/line charts)
+  const [extraYColumns, setExtraYColumns] = useState(getYColumns(initialConfig).slice(1));
+  const [seriesColumn, setSeriesColumn] = useState(initialConfig?.seriesColumn || '');
+  const [barMode, setBarMode] = useState(initialConfig?.barMode || 'grouped');
+  // Time buckets for line charts over a date column ('' = pick from the column's date range)
+  const [granularity, setGranularity] = useState(initialConfig?.granularity || '');
+  const [gapFill, setGapFill] = useState(initialConfig?.fill || 'zero');
+  const [fiscalYearStart, setFiscalYearStart] = useState(initialConfig?.fiscalYearStart || 1);
   const [categoryColumn, setCategoryColumn] = useState(initialConfig?.categoryColumn || '');
   const [valueColumn, setValueColumn] = useState(initialConfig?.valueColumn || '');
   const [nameColumn, setNameColumn] = useState(initialConfig?.nameColumn || '');
   const [aggregation, setAggregation] = useState(initialConfig?.aggregation || 'sum');
   const [topN, setTopN] = useState(initialConfig?.topN || 10);
+  // Histogram bins: automatic, a fixed number of bins, or a fixed bin width
+  const [binning, setBinning] = useState(
+    initialConfig?.binWidth ? 'width' : initialConfig?.binCount ? 'count' : 'auto'
+  );
+  const [binCount, setBinCount] = useState(initialConfig?.binCount || 10);
+  const [binWidth, setBinWidth] = useState(initialConfig?.binWidth || '');
+  // Treemap levels, outermost first
+  const [hierarchyColumns, setHierarchyColumns] = useState(initialConfig?.hierarchyColumns || []);
+  // KPI cards: percentile, row filter, period comparison and coloring thresholds
+  const [percentile, setPercentile] = useState(initialConfig?.percentile ?? 90);
+  const [kpiFilter, setKpiFilter] = useState(initialConfig?.filter || null);
+  const [dateColumn, setDateColumn] = useState(initialConfig?.dateColumn || '');
+  const [thresholds, setThresholds] = useState({
+    good: initialConfig?.thresholds?.good ?? '',
+    bad: initialConfig?.thresholds?.bad ?? '',
+    higherIsBetter: initialConfig?.thresholds?.higherIsBetter !== false,
+  });
+  // Pivot tables: row/column dimensions, value fields and display options
+  const [pivotFields, setPivotFields] = useState({
+    pivotRows: initialConfig?.pivotRows || [],
+    pivotColumns: initialConfig?.pivotColumns || [],
+    pivotValues: initialConfig?.pivotValues || [],
+    showSubtotals: initialConfig?.showSubtotals !== false,
+    showGrandTotals: initialConfig?.showGrandTotals !== false,
+    heatmap: Boolean(initialConfig?.heatmap),
+  });
   const [chartTitle, setChartTitle] = useState(initialConfig?.title || '');
   const [showPreview, setShowPreview] = useState(true);
   const [showTrendline, setShowTrendline] = useState(false);
@@ -77,21 +188,58 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
   const [aiError, setAiError] = useState(null);
   const [showAiSuggestions, setShowAiSuggestions] = useState(false);
 
+  const supportsSeries = MULTI_SERIES_CHART_TYPES.includes(chartType);
+  const yColumns = supportsSeries && yColumn && extraYColumns.length > 0
+    ? [yColumn, ...extraYColumns.filter(col => col !== yColumn)]
+    : undefined;
+
+  const xColumnMeta = columns.find((col) => col.name === xColumn);
+  const isTimeSeries = TIME_SERIES_CHART_TYPES.includes(chartType) && xColumnMeta?.type === 'date';
+  const effectiveGranularity = isTimeSeries ? granularity || getDefaultGranularity(xColumnMeta) : undefined;
+  const isBucketedSeries = Boolean(effectiveGranularity) && effectiveGranularity !== 'none';
+  const isKpiComparison = chartType === 'kpi' && Boolean(dateColumn);
+  const kpiGranularity = isBucketed(granularity) ? granularity : 'month';
+  const hasThresholds = thresholds.good !== '' || thresholds.bad !== '';
+
   // Build current configuration
   const currentConfig = {
     chartType,
     xColumn,
     yColumn,
+    yColumns,
+    seriesColumn: supportsSeries && !yColumns ? seriesColumn || undefined : undefined,
+    barMode: chartType === 'bar' ? barMode : undefined,
+    granularity: chartType === 'kpi' ? (isKpiComparison ? kpiGranularity : undefined) : effectiveGranularity,
+    fill: isBucketedSeries ? gapFill : undefined,
+    fiscalYearStart: isBucketedSeries || isKpiComparison ? fiscalYearStart : undefined,
     categoryColumn,
     valueColumn,
     nameColumn,
     aggregation,
     topN,
+    binCount: chartType === 'histogram' && binning === 'count' ? binCount : undefined,
+    binWidth: chartType === 'histogram' && binning === 'width' ? Number(binWidth) || null : undefined,
+    hierarchyColumns: hierarchyColumns.filter(Boolean),
+    percentile: chartType === 'kpi' && aggregation === 'percentile' ? percentile : undefined,
+    filter: chartType === 'kpi' ? kpiFilter || undefined : undefined,
+    dateColumn: isKpiComparison ? dateColumn : undefined,
+    thresholds: chartType === 'kpi' && hasThresholds
+      ? {
+          good: thresholds.good === '' ? null : Number(thresholds.good),
+          bad: thresholds.bad === '' ? null : Number(thresholds.bad),
+          higherIsBetter: thresholds.higherIsBetter,
+        }
+      : undefined,
+    ...(chartType === 'pivot' && pivotFields),
     title: chartTitle,
   };
 
   // Use the custom hook for chart data
-  const { chartData, isValid, error, stats } = useChartData(data, currentConfig);
+  const { chartData, series, isValid, error, stats } = useChartData(data, currentConfig);
+  const pivot = useMemo(
+    () => (chartType === 'pivot' && isValid ? buildPivot(data, pivotFields) : null),
+    [chartType, isValid, data, pivotFields]
+  );
 
   // Auto-suggest chart configuration (rule-based)
   const handleAutoSuggest = () => {
@@ -205,15 +353,12 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
     const config = {
       id: initialConfig?.id || `chart_${Date.now()}`,
       chartType,
-      xColumn: chartType === 'pie' ? undefined : xColumn,
-      yColumn: chartType === 'pie' ? undefined : yColumn,
-      categoryColumn: chartType === 'pie' ? categoryColumn : undefined,
-      valueColumn: chartType === 'pie' ? valueColumn : undefined,
-      nameColumn: chartType === 'scatter' ? nameColumn : undefined,
-      aggregation: chartType !== 'scatter' ? aggregation : undefined,
-      topN: chartType === 'pie' ? topN : undefined,
       title: chartTitle || 'Untitled Chart',
     };
+    // Only keep the fields this chart type uses; optional ones may be empty
+    CHART_CONFIG_FIELDS[chartType].forEach((field) => {
+      config[field] = currentConfig[field] === false ? false : currentConfig[field] || undefined;
+    });
 
     onSave(config);
   };
@@ -221,6 +366,7 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
   // Get filtered columns based on chart type
   const numericColumns = getNumericColumns(columns);
   const categoricalColumns = getCategoricalColumns(columns);
+  const dateColumns = getDateColumns(columns);
 
   // Helper and UI constants
   const AGGREGATION_LABELS = {
@@ -264,6 +410,15 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
   };
 
   const generateTitle = ({ chartType, xColumn, yColumn, aggregation, categoryColumn, valueColumn }) => {
+    if (chartType === 'kpi') {
+      return getKpiMetricLabel(currentConfig);
+    }
+
+    if (chartType === 'pivot') {
+      const dimensions = [...pivotFields.pivotRows, ...pivotFields.pivotColumns];
+      return dimensions.length > 0 ? `Pivot by ${dimensions.join(', ')}` : 'Pivot Table';
+    }
+
     if (chartType === 'pie') {
       const name = categoryColumn || 'Category';
       if (valueColumn) return `${AGGREGATION_LABELS[aggregation]?.split(' ')[0] || 'Count'} of ${valueColumn} by ${name}`;
@@ -312,8 +467,357 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
     );
   };
 
+  const selectClassName =
+    'w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  const renderColumnSelect = ({ label, value, onChange, options, placeholder = 'Select column...' }) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+        <option value="">{placeholder}</option>
+        {options.map((col) => (
+          <option key={col} value={col}>
+            {col}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  // Column fields for histogram, box plot, heatmap, treemap, KPI and pivot
+  const renderAdvancedFields = () => {
+    switch (chartType) {
+      case 'histogram':
+        return (
+          <>
+            {renderColumnSelect({ label: 'Value Column', value: xColumn, onChange: setXColumn, options: numericColumns })}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Binning
+              </label>
+              <div className="grid grid-cols-3 gap-2">
+                {BINNING_OPTIONS.map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => setBinning(option.id)}
+                    className={`px-3 py-2 rounded-lg border-2 text-sm font-medium transition-all ${
+                      binning === option.id
+                        ? 'border-blue-500 bg-blue-50 text-blue-700'
+                        : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    {option.name}
+                  </button>
+                ))}
+              </div>
+              {binning === 'auto' && (
+                <p className="text-xs text-gray-500 mt-1">Bin count from the number of values (Sturges' rule)</p>
+              )}
+              {binning === 'count' && (
+                <div className="mt-3">
+                  <input
+                    type="range"
+                    min="2"
+                    max="50"
+                    value={binCount}
+                    onChange={(e) => setBinCount(Number(e.target.value))}
+                    className="w-full"
+                  />
+                  <div className="text-sm text-gray-600 text-center mt-1">{binCount} bins</div>
+                </div>
+              )}
+              {binning === 'width' && (
+                <div className="mt-3">
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={binWidth}
+                    onChange={(e) => setBinWidth(e.target.value)}
+                    placeholder="e.g. 10"
+                    className={selectClassName}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">At most {MAX_HISTOGRAM_BINS} bins are drawn; a narrower width is widened to fit</p>
+                </div>
+              )}
+            </div>
+          </>
+        );
+
+      case 'box':
+        return (
+          <>
+            {renderColumnSelect({
+              label: 'Category Column (Optional)',
+              value: categoryColumn,
+              onChange: setCategoryColumn,
+              options: categoricalColumns,
+              placeholder: 'None (one box)',
+            })}
+            {renderColumnSelect({ label: 'Value Column', value: valueColumn, onChange: setValueColumn, options: numericColumns })}
+          </>
+        );
+
+      case 'heatmap':
+        return (
+          <>
+            {renderColumnSelect({ label: 'Column Category', value: xColumn, onChange: setXColumn, options: categoricalColumns })}
+            {renderColumnSelect({
+              label: 'Row Category',
+              value: categoryColumn,
+              onChange: setCategoryColumn,
+              options: categoricalColumns.filter((col) => col !== xColumn),
+            })}
+            {renderColumnSelect({
+              label: 'Value Column (Optional)',
+              value: valueColumn,
+              onChange: setValueColumn,
+              options: numericColumns,
+              placeholder: 'None (count rows)',
+            })}
+            {valueColumn && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Aggregation Method
+                </label>
+                <select value={aggregation} onChange={(e) => setAggregation(e.target.value)} className={selectClassName}>
+                  {AGGREGATION_METHODS.map((method) => (
+                    <option key={method.id} value={method.id}>
+                      {method.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </>
+        );
+
+      case 'treemap':
+        return (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Category Levels
+              </label>
+              <div className="space-y-2">
+                {[...hierarchyColumns, ''].map((column, level) => (
+                  <div key={level} className="flex items-center gap-2">
+                    <span className="text-xs text-gray-500 w-12">Level {level + 1}</span>
+                    <select
+                      value={column}
+                      onChange={(e) => {
+                        const next = [...hierarchyColumns];
+                        next[level] = e.target.value;
+                        setHierarchyColumns(next.filter(Boolean));
+                      }}
+                      className={selectClassName}
+                    >
+                      <option value="">{level < hierarchyColumns.length ? 'Remove level' : 'Add level...'}</option>
+                      {categoricalColumns
+                        .filter((col) => col === column || !hierarchyColumns.includes(col))
+                        .map((col) => (
+                          <option key={col} value={col}>
+                            {col}
+                          </option>
+                        ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">Outermost first, e.g. Region → Country → City</p>
+            </div>
+            {renderColumnSelect({
+              label: 'Size By (Optional)',
+              value: valueColumn,
+              onChange: setValueColumn,
+              options: numericColumns,
+              placeholder: 'None (count rows)',
+            })}
+          </>
+        );
+
+      case 'kpi': {
+        const filterColumn = kpiFilter && columns.find((col) => col.name === kpiFilter.column);
+        const kpiValueColumns = ['count', 'distinct'].includes(aggregation)
+          ? columns.map((col) => col.name)
+          : numericColumns;
+        return (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Metric
+              </label>
+              <select value={aggregation} onChange={(e) => setAggregation(e.target.value)} className={selectClassName}>
+                {KPI_AGGREGATIONS.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {item.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {aggregation === 'percentile' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Percentile
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={percentile}
+                  onChange={(e) => setPercentile(e.target.value === '' ? '' : Number(e.target.value))}
+                  className={selectClassName}
+                />
+              </div>
+            )}
+
+            {renderColumnSelect({
+              label: aggregation === 'count' ? 'Value Column (Optional)' : 'Value Column',
+              value: valueColumn,
+              onChange: setValueColumn,
+              options: kpiValueColumns,
+              placeholder: aggregation === 'count' ? 'None (count rows)' : 'Select column...',
+            })}
+
+            {/* Row Filter */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Only Rows Where (Optional)
+              </label>
+              <select
+                value={kpiFilter?.column || ''}
+                onChange={(e) => {
+                  const column = columns.find((col) => col.name === e.target.value);
+                  setKpiFilter(column ? createCondition(column) : null);
+                }}
+                className={selectClassName}
+              >
+                <option value="">All rows</option>
+                {columns.map((col) => (
+                  <option key={col.name} value={col.name}>
+                    {col.name} ({col.type})
+                  </option>
+                ))}
+              </select>
+              {kpiFilter && filterColumn && (
+                <div className="mt-2 bg-gray-800 rounded-lg p-3">
+                  <ConditionInput
+                    condition={kpiFilter}
+                    column={filterColumn}
+                    onChange={(changes) => setKpiFilter({ ...kpiFilter, ...changes })}
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Period Comparison */}
+            {renderColumnSelect({
+              label: 'Compare With Previous Period (Optional)',
+              value: dateColumn,
+              onChange: setDateColumn,
+              options: dateColumns,
+              placeholder: 'No comparison',
+            })}
+            {isKpiComparison && (
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Period
+                  </label>
+                  <select value={kpiGranularity} onChange={(e) => setGranularity(e.target.value)} className={selectClassName}>
+                    {DATE_GRANULARITIES.map((g) => (
+                      <option key={g.id} value={g.id}>
+                        {g.name}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Shows the latest period in the data, which may still be in progress
+                  </p>
+                </div>
+                {(kpiGranularity === 'quarter' || kpiGranularity === 'year') && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Fiscal Year Starts In
+                    </label>
+                    <select
+                      value={fiscalYearStart}
+                      onChange={(e) => setFiscalYearStart(Number(e.target.value))}
+                      className={selectClassName}
+                    >
+                      {MONTH_NAMES.map((month, index) => (
+                        <option key={month} value={index + 1}>
+                          {month}{index === 0 ? ' (calendar year)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Thresholds */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Color Thresholds (Optional)
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="number"
+                  step="any"
+                  value={thresholds.good}
+                  onChange={(e) => setThresholds({ ...thresholds, good: e.target.value })}
+                  placeholder="Good at"
+                  className={selectClassName}
+                />
+                <input
+                  type="number"
+                  step="any"
+                  value={thresholds.bad}
+                  onChange={(e) => setThresholds({ ...thresholds, bad: e.target.value })}
+                  placeholder="Bad at"
+                  className={selectClassName}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 mt-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={thresholds.higherIsBetter}
+                  onChange={(e) => setThresholds({ ...thresholds, higherIsBetter: e.target.checked })}
+                  className="w-4 h-4"
+                />
+                Higher is better
+              </label>
+              <p className="text-xs text-gray-500 mt-1">Green at or past "good", red at or past "bad", amber in between</p>
+            </div>
+          </>
+        );
+      }
+
+      case 'pivot':
+        return (
+          <PivotBuilder
+            columns={columns}
+            config={pivotFields}
+            onChange={(changes) => setPivotFields({ ...pivotFields, ...changes })}
+          />
+        );
+
+      default:
+        return null;
+    }
+  };
+
   // Render chart preview
   const renderChartPreview = () => {
+    // Pivots are built from the rows directly, not from chartData
+    if (pivot) {
+      return <PivotTable pivot={pivot} config={pivotFields} theme="light" maxHeight={520} />;
+    }
+
     if (!isValid || !chartData || chartData.length === 0) {
       return (
         <div className="flex items-center justify-center h-full text-gray-400">
@@ -328,7 +832,7 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
     // Normalize data to a predictable shape (label, value, count, x, y)
     const displayedData = chartData.map((d) => ({
       ...d,
-      label: d.name ?? d.label ?? (d.x != null ? String(d.x) : ''),
+      label: d.label ?? d.name ?? (d.x != null ? String(d.x) : ''),
       value: d.value ?? d.y ?? d.value,
       x: d.x ?? (d.label != null ? d.label : undefined),
       y: d.y ?? d.value,
@@ -338,6 +842,65 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
     const total = displayedData.reduce((s, it) => s + (Number(it.value) || 0), 0);
     const rotateTicks = displayedData.length > 8;
 
+    // Multi-series bar/line/area: one Bar, Line or Area per series
+    if (series.length > 0) {
+      const isPercent = chartType === 'bar' && barMode === 'percent';
+      const isStacked = chartType === 'bar' && barMode !== 'grouped';
+      const ChartComponent =
+        chartType === 'bar' ? BarChart : chartType === 'area' ? RechartsAreaChart : RechartsLineChart;
+
+      return (
+        <ResponsiveContainer width="100%" height="100%">
+          <ChartComponent
+            data={displayedData}
+            stackOffset={isPercent ? 'expand' : undefined}
+            margin={{ top: 20, right: 20, left: 20, bottom: rotateTicks ? 80 : 40 }}
+          >
+            <CartesianGrid stroke="#E6E6E6" horizontal vertical={false} />
+            <XAxis
+              dataKey="label"
+              height={rotateTicks ? 60 : 40}
+              tick={{ fontSize: 12, angle: rotateTicks ? -30 : 0, textAnchor: rotateTicks ? 'end' : 'middle' }}
+            />
+            <YAxis tickFormatter={(v) => (isPercent ? `${Math.round(v * 100)}%` : formatValue(v))} />
+            <Tooltip formatter={(value) => formatValue(value)} />
+            <Legend />
+            {series.map((item, index) => (chartType === 'bar' ? (
+              <Bar
+                key={item.key}
+                dataKey={item.key}
+                name={item.name}
+                fill={COLORS[index % COLORS.length]}
+                stackId={isStacked ? 'stack' : undefined}
+              />
+            ) : chartType === 'area' ? (
+              <Area
+                key={item.key}
+                type="monotone"
+                dataKey={item.key}
+                name={item.name}
+                stackId="stack"
+                stroke={COLORS[index % COLORS.length]}
+                fill={COLORS[index % COLORS.length]}
+                fillOpacity={0.4}
+                connectNulls
+              />
+            ) : (
+              <Line
+                key={item.key}
+                type="monotone"
+                dataKey={item.key}
+                name={item.name}
+                stroke={COLORS[index % COLORS.length]}
+                dot={{ r: 3 }}
+                connectNulls
+              />
+            )))}
+          </ChartComponent>
+        </ResponsiveContainer>
+      );
+    }
+
     switch (chartType) {
       case 'bar': {
         // Choose color (blue default). If values negative, use red.
@@ -395,6 +958,87 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
         );
       }
 
+      case 'area':
+        return (
+          <ResponsiveContainer width="100%" height="100%">
+            <RechartsAreaChart data={displayedData} margin={{ top: 20, right: 20, left: 20, bottom: rotateTicks ? 80 : 40 }}>
+              <CartesianGrid stroke="#E6E6E6" horizontal vertical={false} />
+              <XAxis dataKey="label" height={rotateTicks ? 60 : 40} tick={{ angle: rotateTicks ? -30 : 0, textAnchor: rotateTicks ? 'end' : 'middle' }} />
+              <YAxis tickFormatter={(v) => formatValue(v)} />
+              <Tooltip content={(props) => <CustomTooltip {...props} type="area" total={total} />} />
+              <Legend />
+              <Area type="monotone" dataKey="value" name={yColumn} stroke="#14B8A6" fill="#14B8A6" fillOpacity={0.4} connectNulls />
+            </RechartsAreaChart>
+          </ResponsiveContainer>
+        );
+
+      case 'histogram':
+        return (
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={chartData} barCategoryGap={1} margin={{ top: 20, right: 20, left: 20, bottom: rotateTicks ? 80 : 40 }}>
+              <CartesianGrid stroke="#E6E6E6" horizontal vertical={false} />
+              <XAxis
+                dataKey="name"
+                height={rotateTicks ? 60 : 40}
+                tick={{ fontSize: 12, angle: rotateTicks ? -30 : 0, textAnchor: rotateTicks ? 'end' : 'middle' }}
+              />
+              <YAxis allowDecimals={false} />
+              <Tooltip formatter={(value) => formatValue(value)} />
+              <Bar dataKey="value" name="Count" fill="#6366F1" />
+            </BarChart>
+          </ResponsiveContainer>
+        );
+
+      case 'box': {
+        const low = Math.min(...chartData.map((box) => (box.outliers.length > 0 ? Math.min(box.min, box.outliers[0]) : box.min)));
+        const high = Math.max(...chartData.map((box) => (box.outliers.length > 0 ? Math.max(box.max, box.outliers[box.outliers.length - 1]) : box.max)));
+        return (
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={chartData} margin={{ top: 20, right: 20, left: 20, bottom: 40 }}>
+              <CartesianGrid stroke="#E6E6E6" horizontal vertical={false} />
+              <XAxis dataKey="name" />
+              <YAxis domain={[low, high]} tickFormatter={(v) => formatValue(v)} />
+              <Tooltip
+                formatter={(value, name, item) => [
+                  `min ${item.payload.min} · Q1 ${item.payload.q1} · median ${item.payload.median} · Q3 ${item.payload.q3} · max ${item.payload.max}`,
+                  valueColumn,
+                ]}
+              />
+              <Bar dataKey={(box) => [box.min, box.max]} name={valueColumn} fill="#EC4899" shape={BoxPlotShape} />
+            </BarChart>
+          </ResponsiveContainer>
+        );
+      }
+
+      case 'heatmap':
+        return (
+          <HeatmapGrid
+            cells={chartData}
+            xLabel={xColumn}
+            yLabel={categoryColumn}
+            showValues
+            emptyColor="#F3F4F6"
+            labelClassName="text-gray-600"
+          />
+        );
+
+      case 'treemap':
+        return <TreemapChart data={chartData} height="100%" colors={COLORS} />;
+
+      case 'kpi':
+        return (
+          <div className="h-full flex items-center justify-center">
+            <div className="w-full max-w-sm border rounded-xl p-6">
+              <KpiDisplay
+                kpi={chartData[0]}
+                metricLabel={getKpiMetricLabel(currentConfig)}
+                higherIsBetter={thresholds.higherIsBetter}
+                theme="light"
+              />
+            </div>
+          </div>
+        );
+
       case 'pie': {
         return (
           <ResponsiveContainer width="100%" height="100%">
@@ -500,6 +1144,25 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
                 />
               </div>
 
+              {/* Dataset */}
+              {datasets.length > 1 && onDatasetChange && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Dataset
+                  </label>
+                  <select
+                    value={datasetId}
+                    onChange={(e) => onDatasetChange(e.target.value)}
+                    className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Active dataset</option>
+                    {datasets.map((dataset) => (
+                      <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Auto-suggest Buttons */}
               <div className="space-y-2">
                 <button
@@ -711,6 +1374,8 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
                     <div className="text-sm text-gray-600 text-center mt-1">{topN}</div>
                   </div>
                 </>
+              ) : ADVANCED_CHART_TYPES.includes(chartType) ? (
+                renderAdvancedFields()
               ) : (
                 <>
                   {/* X-Axis Column */}
@@ -751,6 +1416,152 @@ const ChartConfigurator = ({ data, columns, onSave, onCancel, initialConfig = nu
                     </select>
                   </div>
 
+                  {/* Time Buckets (line/area charts over a date column) */}
+                  {isTimeSeries && (
+                    <div className="space-y-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Group Dates By
+                        </label>
+                        <select
+                          value={granularity}
+                          onChange={(e) => setGranularity(e.target.value)}
+                          className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="">
+                            Auto ({DATE_GRANULARITIES.find((g) => g.id === getDefaultGranularity(xColumnMeta))?.name})
+                          </option>
+                          {DATE_GRANULARITIES.map((g) => (
+                            <option key={g.id} value={g.id}>
+                              {g.name}
+                            </option>
+                          ))}
+                          <option value="none">Don't group (raw values)</option>
+                        </select>
+                      </div>
+
+                      {isBucketedSeries && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Missing Periods
+                          </label>
+                          <select
+                            value={gapFill}
+                            onChange={(e) => setGapFill(e.target.value)}
+                            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            {GAP_FILL_MODES.map((mode) => (
+                              <option key={mode.id} value={mode.id}>
+                                {mode.name}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
+                      {(effectiveGranularity === 'quarter' || effectiveGranularity === 'year') && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Fiscal Year Starts In
+                          </label>
+                          <select
+                            value={fiscalYearStart}
+                            onChange={(e) => setFiscalYearStart(Number(e.target.value))}
+                            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            {MONTH_NAMES.map((month, index) => (
+                              <option key={month} value={index + 1}>
+                                {month}{index === 0 ? ' (calendar year)' : ''}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {/* More Y Columns (bar/line/area) */}
+                  {supportsSeries && yColumn && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        More Y Columns (Optional)
+                      </label>
+                      <div className="max-h-40 overflow-y-auto space-y-1 border rounded-lg p-2">
+                        {numericColumns.filter((col) => col !== yColumn).map((col) => (
+                          <label key={col} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={extraYColumns.includes(col)}
+                              onChange={(e) => setExtraYColumns(
+                                e.target.checked
+                                  ? [...extraYColumns, col]
+                                  : extraYColumns.filter((c) => c !== col)
+                              )}
+                              className="w-4 h-4"
+                            />
+                            {col}
+                          </label>
+                        ))}
+                        {numericColumns.length < 2 && (
+                          <p className="text-sm text-gray-500">No other numeric columns</p>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">Each column becomes its own series</p>
+                    </div>
+                  )}
+
+                  {/* Split By (bar/line/area with a single Y column) */}
+                  {supportsSeries && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Split By (Optional)
+                      </label>
+                      <select
+                        value={yColumns ? '' : seriesColumn}
+                        onChange={(e) => setSeriesColumn(e.target.value)}
+                        disabled={Boolean(yColumns)}
+                        className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:text-gray-400"
+                      >
+                        <option value="">None</option>
+                        {categoricalColumns.filter((col) => col !== xColumn).map((col) => (
+                          <option key={col} value={col}>
+                            {col}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {yColumns
+                          ? 'Only available with a single Y column'
+                          : `One series per value (top ${MAX_SERIES}, the rest grouped as "Others")`}
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Bar Mode (multi-series bars) */}
+                  {chartType === 'bar' && (yColumns || seriesColumn) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Bar Mode
+                      </label>
+                      <div className="grid grid-cols-3 gap-2">
+                        {BAR_MODE_OPTIONS.map((mode) => (
+                          <button
+                            key={mode.id}
+                            type="button"
+                            onClick={() => setBarMode(mode.id)}
+                            className={`px-3 py-2 rounded-lg border-2 text-sm font-medium transition-all ${
+                              barMode === mode.id
+                                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                                : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                            }`}
+                          >
+                            {mode.name}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Name Column for Scatter */}
                   {chartType === 'scatter' && (
                     <div>
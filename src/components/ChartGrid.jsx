@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { motion, Reorder } from 'framer-motion';
 import {
   BarChart,
@@ -10,6 +10,8 @@ import {
   Cell,
   ScatterChart as RechartsScatterChart,
   Scatter,
+  AreaChart as RechartsAreaChart,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -24,20 +26,99 @@ import {
   LineChart,
   PieChart,
   ScatterChart,
+  AreaChart,
+  BarChartBig,
+  CandlestickChart,
+  Grid3x3,
+  LayoutDashboard,
+  Table2,
+  FileText,
+  FileSpreadsheet,
   Maximize2,
   GripVertical,
   TrendingUp,
   TrendingDown,
+  Filter,
 } from 'lucide-react';
+import { BoxPlotShape, HeatmapGrid, KpiDisplay, TreemapChart } from './ChartShapes';
+import PivotTable from './PivotTable';
 import { useChartData } from '../hooks/useChartData';
+import { applyFilters, getFilterColumn, getSelectedValues } from '../utils/filterHelpers';
+import { getKpiMetricLabel, isTimeBucketed } from '../utils/chartHelpers';
+import { getChartAnomalies } from '../utils/anomalyHelpers';
+import { formatBucketLabel } from '../utils/dateHelpers';
+import { buildPivot, pivotToRecords } from '../utils/pivotHelpers';
+import { exportToCSV, exportTableToExcel } from '../utils/exportHelpers';
+import { formatAxisNumber, formatNumber } from '../utils/localeHelpers';
+import useLocale from '../hooks/useLocale';
 
 const COLORS = ['#3B82F6', '#10B981', '#8B5CF6', '#F59E0B', '#EF4444', '#EC4899', '#14B8A6', '#F97316'];
 
-const ChartGrid = ({ configs, data, onEdit, onDelete, onReorder }) => {
+// Ring colors of anomalous points by severity
+const ANOMALY_COLORS = { high: '#EF4444', medium: '#F97316', low: '#FACC15' };
+
+const describeChartAnomaly = (anomaly, locale) =>
+  `Anomaly (${anomaly.severity} severity), score ${formatNumber(anomaly.score, locale)}` +
+  (anomaly.expected !== null ? `, expected about ${formatNumber(anomaly.expected, locale)}` : '');
+
+const TOOLTIP_STYLE = {
+  backgroundColor: '#1f2937',
+  border: '1px solid #374151',
+  borderRadius: '8px',
+  color: '#fff',
+};
+
+// Five-number summary of the hovered box
+const BoxPlotTooltip = ({ active, payload, locale }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const box = payload[0].payload;
+  return (
+    <div style={{ ...TOOLTIP_STYLE, padding: '8px 12px' }}>
+      <p className="font-semibold mb-1">{box.name}</p>
+      {['max', 'q3', 'median', 'q1', 'min'].map((key) => (
+        <p key={key} className="text-sm text-gray-300">
+          {key === 'median' ? 'Median' : key.toUpperCase()}: {formatNumber(box[key], locale)}
+        </p>
+      ))}
+      <p className="text-sm text-gray-400">
+        {box.count} values{box.outlierCount > 0 ? `, ${box.outlierCount} outliers` : ''}
+      </p>
+    </div>
+  );
+};
+
+const ChartGrid = ({
+  configs,
+  data,
+  onEdit,
+  onDelete,
+  onReorder,
+  gridLayout: savedLayout,
+  onLayoutChange,
+  filters = [],
+  datasetViews = {},
+  onPointClick,
+}) => {
   const [expandedChart, setExpandedChart] = useState(null);
-  const [gridLayout, setGridLayout] = useState('2-col'); // '1-col', '2-col', '3-col'
+  const [localLayout, setLocalLayout] = useState('2-col'); // '1-col', '2-col', '3-col'
+
+  // The layout is saved with the dashboard when the parent provides it
+  const gridLayout = savedLayout || localLayout;
+  const setGridLayout = (layout) => {
+    setLocalLayout(layout);
+    if (onLayoutChange) {
+      onLayoutChange(layout);
+    }
+  };
 
-  // Handle reordering
+  // KPI cards get their own row above the charts
+  const kpiConfigs = configs.filter((config) => config.chartType === 'kpi');
+  const chartConfigs = configs.filter((config) => config.chartType !== 'kpi');
+
+  // Charts that target another dataset read its rows and the filters on its columns
+  const getView = (config) => datasetViews[config.datasetId] || { data, filters };
+
+  // Handle reordering (each row reorders on its own; the saved order keeps KPIs first)
   const handleReorder = (newOrder) => {
     if (onReorder) {
       onReorder(newOrder);
@@ -102,28 +183,64 @@ const ChartGrid = ({ configs, data, onEdit, onDelete, onReorder }) => {
         </div>
       </div>
 
+      {/* KPI Cards with Drag & Drop */}
+      {kpiConfigs.length > 0 && (
+        <Reorder.Group
+          axis="x"
+          values={kpiConfigs}
+          onReorder={(newOrder) => handleReorder([...newOrder, ...chartConfigs])}
+          className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4"
+        >
+          {kpiConfigs.map((config, index) => (
+            <Reorder.Item key={config.id} value={config}>
+              <KpiCard
+                config={config}
+                data={getView(config).data}
+                index={index}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                filters={getView(config).filters}
+              />
+            </Reorder.Item>
+          ))}
+        </Reorder.Group>
+      )}
+
       {/* Charts Grid with Drag & Drop */}
       <Reorder.Group
         axis="y"
-        values={configs}
-        onReorder={handleReorder}
+        values={chartConfigs}
+        onReorder={(newOrder) => handleReorder([...kpiConfigs, ...newOrder])}
         className={`grid ${getGridClass()} gap-6`}
       >
-        {configs.map((config, index) => (
+        {chartConfigs.map((config, index) => (
           <Reorder.Item
             key={config.id}
             value={config}
-            className={expandedChart === config.id ? 'col-span-full' : ''}
+            className={expandedChart === config.id || config.chartType === 'pivot' ? 'col-span-full' : ''}
           >
-            <ChartCard
-              config={config}
-              data={data}
-              index={index}
-              onEdit={onEdit}
-              onDelete={onDelete}
-              isExpanded={expandedChart === config.id}
-              onToggleExpand={() => toggleExpanded(config.id)}
-            />
+            {config.chartType === 'pivot' ? (
+              <PivotCard
+                config={config}
+                data={getView(config).data}
+                index={index}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                filters={getView(config).filters}
+              />
+            ) : (
+              <ChartCard
+                config={config}
+                data={getView(config).data}
+                index={index}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                filters={getView(config).filters}
+                onPointClick={onPointClick}
+                isExpanded={expandedChart === config.id}
+                onToggleExpand={() => toggleExpanded(config.id)}
+              />
+            )}
           </Reorder.Item>
         ))}
       </Reorder.Group>
@@ -131,9 +248,190 @@ const ChartGrid = ({ configs, data, onEdit, onDelete, onReorder }) => {
   );
 };
 
+// KPI Card Component
+const KpiCard = ({ config, data, index, onEdit, onDelete, filters = [] }) => {
+  const filteredData = useMemo(() => applyFilters(data, filters), [data, filters]);
+  const { chartData, isValid, error } = useChartData(filteredData, config);
+  const kpi = chartData[0];
+
+  const statusBorder = {
+    good: 'border-green-500/50',
+    warning: 'border-yellow-500/50',
+    bad: 'border-red-500/50',
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: index * 0.1 }}
+      className={`bg-gray-800 rounded-xl p-4 border h-full transition-colors ${
+        statusBorder[kpi?.status] || 'border-gray-700 hover:border-gray-600'
+      }`}
+      data-chart-id={config.id}
+    >
+      <div className="flex items-start justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2 min-w-0">
+          <GripVertical className="w-4 h-4 text-gray-600 hover:text-gray-400 cursor-grab active:cursor-grabbing flex-shrink-0" />
+          <h3 className="font-semibold text-white truncate">{config.title}</h3>
+        </div>
+        <div className="flex items-center flex-shrink-0">
+          <button
+            onClick={() => onEdit(config)}
+            className="p-1.5 hover:bg-gray-700 rounded-lg transition-colors"
+            title="Edit KPI"
+          >
+            <Edit2 className="w-4 h-4 text-gray-400 hover:text-white" />
+          </button>
+          <button
+            onClick={() => onDelete(config.id)}
+            className="p-1.5 hover:bg-gray-700 rounded-lg transition-colors"
+            title="Delete KPI"
+          >
+            <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+          </button>
+        </div>
+      </div>
+      {isValid && kpi ? (
+        <KpiDisplay
+          kpi={kpi}
+          metricLabel={getKpiMetricLabel(config)}
+          higherIsBetter={config.thresholds?.higherIsBetter !== false}
+        />
+      ) : (
+        <p className="text-sm text-gray-400">{error || 'Invalid KPI configuration'}</p>
+      )}
+    </motion.div>
+  );
+};
+
+// Pivot Table Card Component (always full width)
+const PivotCard = ({ config, data, index, onEdit, onDelete, filters = [] }) => {
+  const filteredData = useMemo(() => applyFilters(data, filters), [data, filters]);
+  const { isValid, error } = useChartData(filteredData, config);
+  const pivot = useMemo(() => (isValid ? buildPivot(filteredData, config) : null), [isValid, filteredData, config]);
+  const [exportError, setExportError] = useState(null);
+  const locale = useLocale();
+
+  const baseName = (config.title || 'pivot').replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+
+  const handleExport = async (format) => {
+    const records = pivotToRecords(pivot, config);
+    const result =
+      format === 'csv'
+        ? exportToCSV(records, `${baseName}.csv`, { locale })
+        : await exportTableToExcel(records, `${baseName}.xlsx`, config.title || 'Pivot');
+    setExportError(result.success ? null : result.error);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: index * 0.1 }}
+      className="bg-gray-800 rounded-xl p-6 border border-gray-700 hover:border-gray-600 transition-colors"
+      data-chart-id={config.id}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="cursor-grab active:cursor-grabbing">
+            <GripVertical className="w-5 h-5 text-gray-600 hover:text-gray-400" />
+          </div>
+          <div className="w-10 h-10 bg-cyan-500/20 rounded-lg flex items-center justify-center">
+            <Table2 className="w-5 h-5 text-cyan-400" />
+          </div>
+          <div>
+            <h3 className="text-xl font-semibold text-white">{config.title}</h3>
+            <p className="text-sm text-gray-400 mt-1">
+              {[...(config.pivotRows || []), ...(config.pivotColumns || [])].join(' × ')}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={!pivot}
+            className="p-2 hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50"
+            title="Export CSV"
+          >
+            <FileText className="w-4 h-4 text-gray-400 hover:text-white" />
+          </button>
+          <button
+            onClick={() => handleExport('xlsx')}
+            disabled={!pivot}
+            className="p-2 hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50"
+            title="Export Excel"
+          >
+            <FileSpreadsheet className="w-4 h-4 text-gray-400 hover:text-white" />
+          </button>
+          <button
+            onClick={() => onEdit(config)}
+            className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+            title="Edit pivot table"
+          >
+            <Edit2 className="w-4 h-4 text-gray-400 hover:text-white" />
+          </button>
+          <button
+            onClick={() => onDelete(config.id)}
+            className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+            title="Delete pivot table"
+          >
+            <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+          </button>
+        </div>
+      </div>
+      {exportError && <p className="text-sm text-red-400 mb-2">{exportError}</p>}
+      {pivot ? (
+        <PivotTable pivot={pivot} config={config} />
+      ) : (
+        <p className="text-sm text-gray-400">{error || 'Invalid pivot configuration'}</p>
+      )}
+    </motion.div>
+  );
+};
+
 // Chart Card Component
-const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggleExpand }) => {
-  const { chartData, isValid, stats } = useChartData(data, config);
+const ChartCard = ({ config, data, index, onEdit, onDelete, filters = [], onPointClick, isExpanded, onToggleExpand }) => {
+  // Other charts' filters apply here; this chart's own filters only highlight its points
+  const filteredData = useMemo(
+    () => applyFilters(data, filters, { excludeSourceId: config.id }),
+    [data, filters, config.id]
+  );
+  const { chartData, series, isValid, stats } = useChartData(filteredData, config);
+  const locale = useLocale();
+
+  // Unusual points of line and scatter charts get a ring (see getChartAnomalies)
+  const anomalies = useMemo(() => getChartAnomalies(chartData, config, series), [chartData, config, series]);
+
+  // Axis ticks and tooltips show numbers the way the dataset's locale writes them
+  const formatAxisValue = (value) => formatAxisNumber(value, locale);
+  const formatTooltipValue = (value) => (typeof value === 'number' ? formatNumber(value, locale) : value);
+
+  // Series hidden by clicking their legend entry
+  const [hiddenSeries, setHiddenSeries] = useState(() => new Set());
+  const toggleSeries = (key) => {
+    setHiddenSeries((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const selectedValues = useMemo(() => getSelectedValues(filters, config.id), [filters, config.id]);
+  const canFilter = Boolean(onPointClick && getFilterColumn(config));
+
+  const handlePointClick = (name) => {
+    if (canFilter && name !== undefined && name !== null) {
+      onPointClick(config, name);
+    }
+  };
+
+  // Dim unselected points while this chart has a filter
+  const getPointOpacity = (name) => (selectedValues.size === 0 || selectedValues.has(name) ? 1 : 0.35);
 
   const getChartIcon = () => {
     switch (config.chartType) {
@@ -145,6 +443,16 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
         return <PieChart className="w-5 h-5" />;
       case 'scatter':
         return <ScatterChart className="w-5 h-5" />;
+      case 'area':
+        return <AreaChart className="w-5 h-5" />;
+      case 'histogram':
+        return <BarChartBig className="w-5 h-5" />;
+      case 'box':
+        return <CandlestickChart className="w-5 h-5" />;
+      case 'heatmap':
+        return <Grid3x3 className="w-5 h-5" />;
+      case 'treemap':
+        return <LayoutDashboard className="w-5 h-5" />;
       default:
         return <BarChart3 className="w-5 h-5" />;
     }
@@ -160,6 +468,16 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
         return 'purple';
       case 'scatter':
         return 'orange';
+      case 'area':
+        return 'teal';
+      case 'histogram':
+        return 'indigo';
+      case 'box':
+        return 'pink';
+      case 'heatmap':
+        return 'red';
+      case 'treemap':
+        return 'yellow';
       default:
         return 'blue';
     }
@@ -169,7 +487,7 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
 
   // Calculate trend if stats available
   const getTrend = () => {
-    if (!stats || config.chartType === 'pie') return null;
+    if (!stats || typeof stats.average !== 'number') return null;
 
     if (stats.max && stats.min) {
       const range = stats.max - stats.min;
@@ -181,6 +499,187 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
 
   const trend = getTrend();
 
+  // Time-bucketed line and area charts get a real time axis: points are placed by
+  // bucket start and ticks/tooltips show the bucket ('Mar 2024', 'W09 2024')
+  const isTimeAxis = isTimeBucketed(config);
+  const formatTime = (time) =>
+    formatBucketLabel(time, config.granularity, { fiscalYearStart: config.fiscalYearStart || 1, locale });
+  const getTimeAxisProps = () => {
+    const times = chartData.map((row) => Date.parse(row.date));
+    const step = Math.max(1, Math.ceil(times.length / 8));
+    return {
+      dataKey: (row) => Date.parse(row.date),
+      type: 'number',
+      scale: 'time',
+      domain: ['dataMin', 'dataMax'],
+      ticks: times.filter((_, idx) => idx % step === 0),
+      tickFormatter: formatTime,
+    };
+  };
+  const xAxisProps = isTimeAxis ? getTimeAxisProps() : { dataKey: 'name' };
+  const tooltipLabelFormatter = isTimeAxis ? formatTime : undefined;
+
+  // Line dots grow when selected and dim while another point is selected.
+  // Empty (gap-filled) buckets get no dot; anomalous points get a ring.
+  const renderLineDot = (fill, radius, keyPrefix) => (props) => {
+    if (props.cy === null || props.cy === undefined || props.value === null || props.value === undefined) {
+      return <g key={`dot-${keyPrefix}-${props.index}`} />;
+    }
+    const dotRadius = selectedValues.has(props.payload.name) ? radius + 2 : radius;
+    const dot = (
+      <circle
+        key={`dot-${keyPrefix}-${props.index}`}
+        cx={props.cx}
+        cy={props.cy}
+        r={dotRadius}
+        fill={fill}
+        fillOpacity={getPointOpacity(props.payload.name)}
+      />
+    );
+    const anomaly = anomalies.get(`${keyPrefix}:${props.index}`);
+    if (!anomaly) return dot;
+    return (
+      <g key={`dot-${keyPrefix}-${props.index}`}>
+        <title>{describeChartAnomaly(anomaly, locale)}</title>
+        <circle cx={props.cx} cy={props.cy} r={dotRadius + 4} fill="none" stroke={ANOMALY_COLORS[anomaly.severity]} strokeWidth={2} />
+        {dot}
+      </g>
+    );
+  };
+
+  // Scatter points keep the default look; anomalous ones (marked on their data) get a ring
+  const renderScatterPoint = (props) => {
+    const anomaly = props.payload.anomaly;
+    const radius = props.width / 2;
+    return (
+      <g>
+        {anomaly && <title>{describeChartAnomaly(anomaly, locale)}</title>}
+        {anomaly && (
+          <circle cx={props.cx} cy={props.cy} r={radius + 4} fill="none" stroke={ANOMALY_COLORS[anomaly.severity]} strokeWidth={2} />
+        )}
+        <circle cx={props.cx} cy={props.cy} r={radius} fill="#F59E0B" />
+      </g>
+    );
+  };
+
+  // Line charts report the clicked point's label; bucketed charts need the bucket key instead
+  const handleLineClick = (state) => {
+    handlePointClick(state?.activePayload?.[0]?.payload?.name ?? state?.activeLabel);
+  };
+
+  // Bar, line and area charts with several Y columns or a split-by column
+  const renderMultiSeriesChart = (height) => {
+    const barMode = config.barMode || 'grouped';
+    const isPercent = config.chartType === 'bar' && barMode === 'percent';
+    const isStacked = config.chartType === 'bar' && barMode !== 'grouped';
+    const legend = (
+      <Legend
+        onClick={(entry) => toggleSeries(entry.dataKey)}
+        inactiveColor="#4b5563"
+        wrapperStyle={{ cursor: 'pointer' }}
+      />
+    );
+
+    if (config.chartType === 'bar') {
+      return (
+        <ResponsiveContainer width="100%" height={height}>
+          <BarChart data={chartData} stackOffset={isPercent ? 'expand' : undefined}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="name" stroke="#9ca3af" />
+            <YAxis
+              stroke="#9ca3af"
+              tickFormatter={isPercent ? (value) => `${Math.round(value * 100)}%` : formatAxisValue}
+            />
+            <Tooltip contentStyle={TOOLTIP_STYLE} formatter={formatTooltipValue} />
+            {legend}
+            {series.map((item, seriesIndex) => (
+              <Bar
+                key={item.key}
+                dataKey={item.key}
+                name={item.name}
+                fill={COLORS[seriesIndex % COLORS.length]}
+                stackId={isStacked ? 'stack' : undefined}
+                radius={isStacked ? undefined : [4, 4, 0, 0]}
+                hide={hiddenSeries.has(item.key)}
+                cursor={canFilter ? 'pointer' : undefined}
+                onClick={(entry) => handlePointClick(entry?.payload?.name ?? entry?.name)}
+              >
+                {chartData.map((entry, idx) => (
+                  <Cell
+                    key={`cell-${idx}`}
+                    fill={COLORS[seriesIndex % COLORS.length]}
+                    fillOpacity={getPointOpacity(entry.name)}
+                  />
+                ))}
+              </Bar>
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    if (config.chartType === 'area') {
+      return (
+        <ResponsiveContainer width="100%" height={height}>
+          <RechartsAreaChart
+            data={chartData}
+            onClick={handleLineClick}
+            style={canFilter ? { cursor: 'pointer' } : undefined}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis {...xAxisProps} stroke="#9ca3af" />
+            <YAxis stroke="#9ca3af" tickFormatter={formatAxisValue} />
+            <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={tooltipLabelFormatter} formatter={formatTooltipValue} />
+            {legend}
+            {series.map((item, seriesIndex) => (
+              <Area
+                key={item.key}
+                type="monotone"
+                dataKey={item.key}
+                name={item.name}
+                stackId="stack"
+                stroke={COLORS[seriesIndex % COLORS.length]}
+                fill={COLORS[seriesIndex % COLORS.length]}
+                fillOpacity={0.4}
+                connectNulls
+                hide={hiddenSeries.has(item.key)}
+              />
+            ))}
+          </RechartsAreaChart>
+        </ResponsiveContainer>
+      );
+    }
+
+    return (
+      <ResponsiveContainer width="100%" height={height}>
+        <RechartsLineChart
+          data={chartData}
+          onClick={handleLineClick}
+          style={canFilter ? { cursor: 'pointer' } : undefined}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis {...xAxisProps} stroke="#9ca3af" />
+          <YAxis stroke="#9ca3af" tickFormatter={formatAxisValue} />
+          <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={tooltipLabelFormatter} formatter={formatTooltipValue} />
+          {legend}
+          {series.map((item, seriesIndex) => (
+            <Line
+              key={item.key}
+              type="monotone"
+              dataKey={item.key}
+              name={item.name}
+              stroke={COLORS[seriesIndex % COLORS.length]}
+              strokeWidth={2}
+              connectNulls
+              hide={hiddenSeries.has(item.key)}
+              dot={renderLineDot(COLORS[seriesIndex % COLORS.length], 3, item.key)}
+            />
+          ))}
+        </RechartsLineChart>
+      </ResponsiveContainer>
+    );
+  };
+
   const renderChart = () => {
     if (!isValid || !chartData || chartData.length === 0) {
       return (
@@ -192,14 +691,18 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
 
     const height = isExpanded ? 500 : 250;
 
+    if (series.length > 0) {
+      return renderMultiSeriesChart(height);
+    }
+
     switch (config.chartType) {
       case 'bar':
         return (
           <ResponsiveContainer width="100%" height={height}>
             <BarChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis dataKey="label" stroke="#9ca3af" />
-              <YAxis stroke="#9ca3af" />
+              <XAxis dataKey="name" stroke="#9ca3af" />
+              <YAxis stroke="#9ca3af" tickFormatter={formatAxisValue} />
               <Tooltip
                 contentStyle={{
                   backgroundColor: '#1f2937',
@@ -207,9 +710,21 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
                   borderRadius: '8px',
                   color: '#fff',
                 }}
+                formatter={formatTooltipValue}
               />
               <Legend />
-              <Bar dataKey="value" fill="#3B82F6" radius={[8, 8, 0, 0]} name={config.yColumn} />
+              <Bar
+                dataKey="value"
+                fill="#3B82F6"
+                radius={[8, 8, 0, 0]}
+                name={config.yColumn}
+                cursor={canFilter ? 'pointer' : undefined}
+                onClick={(entry) => handlePointClick(entry?.payload?.name ?? entry?.name)}
+              >
+                {chartData.map((entry, idx) => (
+                  <Cell key={`cell-${idx}`} fill="#3B82F6" fillOpacity={getPointOpacity(entry.name)} />
+                ))}
+              </Bar>
             </BarChart>
           </ResponsiveContainer>
         );
@@ -217,10 +732,14 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
       case 'line':
         return (
           <ResponsiveContainer width="100%" height={height}>
-            <RechartsLineChart data={chartData}>
+            <RechartsLineChart
+              data={chartData}
+              onClick={handleLineClick}
+              style={canFilter ? { cursor: 'pointer' } : undefined}
+            >
               <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis dataKey="label" stroke="#9ca3af" />
-              <YAxis stroke="#9ca3af" />
+              <XAxis {...xAxisProps} stroke="#9ca3af" />
+              <YAxis stroke="#9ca3af" tickFormatter={formatAxisValue} />
               <Tooltip
                 contentStyle={{
                   backgroundColor: '#1f2937',
@@ -228,14 +747,21 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
                   borderRadius: '8px',
                   color: '#fff',
                 }}
+                labelFormatter={tooltipLabelFormatter}
+                formatter={formatTooltipValue}
+              />
+              <Legend
+                onClick={(entry) => toggleSeries(entry.dataKey)}
+                inactiveColor="#4b5563"
+                wrapperStyle={{ cursor: 'pointer' }}
               />
-              <Legend />
               <Line
                 type="monotone"
                 dataKey="value"
                 stroke="#10B981"
                 strokeWidth={3}
-                dot={{ fill: '#10B981', r: 4 }}
+                hide={hiddenSeries.has('value')}
+                dot={renderLineDot('#10B981', 4, 'value')}
                 name={config.yColumn}
               />
             </RechartsLineChart>
@@ -254,9 +780,15 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
                 cy="50%"
                 outerRadius={isExpanded ? 150 : 80}
                 label={isExpanded}
+                cursor={canFilter ? 'pointer' : undefined}
+                onClick={(entry) => handlePointClick(entry?.payload?.name ?? entry?.name)}
               >
                 {chartData.map((entry, idx) => (
-                  <Cell key={`cell-${idx}`} fill={COLORS[idx % COLORS.length]} />
+                  <Cell
+                    key={`cell-${idx}`}
+                    fill={COLORS[idx % COLORS.length]}
+                    fillOpacity={getPointOpacity(entry.name)}
+                  />
                 ))}
               </Pie>
               <Tooltip
@@ -266,19 +798,101 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
                   borderRadius: '8px',
                   color: '#fff',
                 }}
+                formatter={formatTooltipValue}
               />
               <Legend wrapperStyle={{ color: '#9ca3af' }} iconType="circle" />
             </RechartsPieChart>
           </ResponsiveContainer>
         );
 
+      case 'area':
+        return (
+          <ResponsiveContainer width="100%" height={height}>
+            <RechartsAreaChart
+              data={chartData}
+              onClick={handleLineClick}
+              style={canFilter ? { cursor: 'pointer' } : undefined}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis {...xAxisProps} stroke="#9ca3af" />
+              <YAxis stroke="#9ca3af" tickFormatter={formatAxisValue} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={tooltipLabelFormatter} formatter={formatTooltipValue} />
+              <Legend />
+              <Area
+                type="monotone"
+                dataKey="value"
+                stackId="stack"
+                stroke="#14B8A6"
+                fill="#14B8A6"
+                fillOpacity={0.4}
+                connectNulls
+                name={config.yColumn}
+              />
+            </RechartsAreaChart>
+          </ResponsiveContainer>
+        );
+
+      case 'histogram':
+        return (
+          <ResponsiveContainer width="100%" height={height}>
+            <BarChart data={chartData} barCategoryGap={1}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="name" stroke="#9ca3af" />
+              <YAxis stroke="#9ca3af" allowDecimals={false} tickFormatter={formatAxisValue} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} formatter={formatTooltipValue} />
+              <Bar dataKey="value" fill="#6366F1" name="Count" />
+            </BarChart>
+          </ResponsiveContainer>
+        );
+
+      case 'box': {
+        const low = Math.min(...chartData.map((box) => (box.outliers.length > 0 ? Math.min(box.min, box.outliers[0]) : box.min)));
+        const high = Math.max(...chartData.map((box) => (box.outliers.length > 0 ? Math.max(box.max, box.outliers[box.outliers.length - 1]) : box.max)));
+        return (
+          <ResponsiveContainer width="100%" height={height}>
+            <BarChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="name" stroke="#9ca3af" />
+              <YAxis stroke="#9ca3af" domain={[low, high]} tickFormatter={formatAxisValue} />
+              <Tooltip content={<BoxPlotTooltip locale={locale} />} cursor={{ fill: '#374151', fillOpacity: 0.3 }} />
+              <Bar
+                dataKey={(box) => [box.min, box.max]}
+                fill="#EC4899"
+                name={config.valueColumn}
+                shape={BoxPlotShape}
+                cursor={canFilter ? 'pointer' : undefined}
+                onClick={(entry) => handlePointClick(entry?.payload?.name ?? entry?.name)}
+              >
+                {chartData.map((entry, idx) => (
+                  <Cell key={`cell-${idx}`} fill="#EC4899" fillOpacity={getPointOpacity(entry.name)} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        );
+      }
+
+      case 'heatmap':
+        return (
+          <HeatmapGrid
+            cells={chartData}
+            xLabel={config.xColumn}
+            yLabel={config.categoryColumn}
+            height={height}
+            showValues={isExpanded}
+          />
+        );
+
+      case 'treemap':
+        return <TreemapChart data={chartData} height={height} colors={COLORS} tooltipStyle={TOOLTIP_STYLE} />;
+
       case 'scatter':
         return (
           <ResponsiveContainer width="100%" height={height}>
             <RechartsScatterChart>
               <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis dataKey="x" stroke="#9ca3af" name={config.xColumn} />
-              <YAxis dataKey="y" stroke="#9ca3af" name={config.yColumn} />
+              <XAxis dataKey="x" stroke="#9ca3af" name={config.xColumn} tickFormatter={formatAxisValue} />
+              <YAxis dataKey="y" stroke="#9ca3af" name={config.yColumn} tickFormatter={formatAxisValue} />
               <Tooltip
                 cursor={{ strokeDasharray: '3 3' }}
                 contentStyle={{
@@ -287,9 +901,15 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
                   borderRadius: '8px',
                   color: '#fff',
                 }}
+                formatter={formatTooltipValue}
               />
               <Legend />
-              <Scatter name={config.nameColumn || 'Data'} data={chartData} fill="#F59E0B" />
+              <Scatter
+                name={config.nameColumn || 'Data'}
+                data={chartData.map((point, idx) => (anomalies.has(idx) ? { ...point, anomaly: anomalies.get(idx) } : point))}
+                fill="#F59E0B"
+                shape={renderScatterPoint}
+              />
             </RechartsScatterChart>
           </ResponsiveContainer>
         );
@@ -317,11 +937,18 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
             <div className={`text-${color}-400`}>{getChartIcon()}</div>
           </div>
           <div>
-            <h3 className="text-xl font-semibold text-white">{config.title}</h3>
-            {stats && config.chartType !== 'pie' && (
+            <h3 className="text-xl font-semibold text-white flex items-center gap-2">
+              {config.title}
+              {selectedValues.size > 0 && (
+                <span title="This chart is filtering the dashboard">
+                  <Filter className="w-4 h-4 text-blue-400" />
+                </span>
+              )}
+            </h3>
+            {stats && typeof stats.average === 'number' && (
               <div className="flex items-center gap-2 mt-1">
                 <span className="text-sm text-gray-400">
-                  Avg: {typeof stats.average === 'number' ? stats.average.toFixed(2) : stats.average}
+                  Avg: {formatTooltipValue(stats.average)}
                 </span>
                 {trend && (
                   <div className="flex items-center gap-1">
@@ -334,6 +961,14 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
                 )}
               </div>
             )}
+            {anomalies.size > 0 && (
+              <p
+                className="text-xs text-gray-400 mt-1"
+                title="Seasonal residuals on time axes, modified z-scores on other line charts, distance from the fitted line on scatter plots"
+              >
+                {anomalies.size} anomalous {anomalies.size === 1 ? 'point' : 'points'} circled
+              </p>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-2">
@@ -372,7 +1007,7 @@ const ChartCard = ({ config, data, index, onEdit, onDelete, isExpanded, onToggle
               <div key={key} className="bg-gray-700/50 rounded-lg p-3">
                 <p className="text-xs text-gray-400 uppercase mb-1">{key}</p>
                 <p className="text-lg font-semibold text-white">
-                  {typeof value === 'number' ? value.toFixed(2) : value}
+                  {formatTooltipValue(value)}
                 </p>
               </div>
             ))}
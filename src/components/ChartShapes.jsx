@@ -0,0 +1,293 @@
+import { useMemo } from 'react';
+import { Treemap, LineChart, Line, Tooltip, ResponsiveContainer } from 'recharts';
+import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { getHeatmapColor } from '../utils/chartHelpers';
+import { formatAxisNumber, formatNumber } from '../utils/localeHelpers';
+import useLocale from '../hooks/useLocale';
+
+/**
+ * Chart Shapes
+ * Drawing pieces for the chart types Recharts has no ready-made chart for,
+ * shared by the dashboard (ChartGrid) and the configurator preview.
+ */
+
+/**
+ * BoxPlotShape
+ * Custom `shape` for a Recharts Bar whose dataKey is the [min, max] range of
+ * a box from prepareBoxPlotData. Draws the whiskers, the Q1–Q3 box, the
+ * median and the outliers; values map linearly onto the bar's pixel extent.
+ *
+ * Props (passed by Recharts):
+ * - x, y, width, height: Pixel extent of the [min, max] bar
+ * - payload: The box ({ min, q1, median, q3, max, outliers })
+ * - fill, fillOpacity: From the Bar or its Cell
+ */
+export const BoxPlotShape = ({ x, y, width, height, payload, fill, fillOpacity = 1 }) => {
+  if (!payload || width <= 0) return null;
+  const { min, q1, median, q3, max, outliers } = payload;
+  const range = max - min;
+  const toY = (value) => (range === 0 ? y : y + (height * (max - value)) / range);
+  const center = x + width / 2;
+  const boxWidth = Math.min(width, 60);
+  const boxX = center - boxWidth / 2;
+  const capX1 = center - boxWidth / 4;
+  const capX2 = center + boxWidth / 4;
+
+  return (
+    <g opacity={fillOpacity}>
+      <line x1={center} x2={center} y1={toY(max)} y2={toY(min)} stroke={fill} strokeWidth={1.5} />
+      <line x1={capX1} x2={capX2} y1={toY(max)} y2={toY(max)} stroke={fill} strokeWidth={1.5} />
+      <line x1={capX1} x2={capX2} y1={toY(min)} y2={toY(min)} stroke={fill} strokeWidth={1.5} />
+      <rect
+        x={boxX}
+        y={toY(q3)}
+        width={boxWidth}
+        height={Math.max(1, toY(q1) - toY(q3))}
+        fill={fill}
+        fillOpacity={0.35}
+        stroke={fill}
+        strokeWidth={1.5}
+      />
+      <line x1={boxX} x2={boxX + boxWidth} y1={toY(median)} y2={toY(median)} stroke={fill} strokeWidth={3} />
+      {/* Without a range there's no scale to place outliers on */}
+      {range > 0 &&
+        outliers.map((value, idx) => (
+          <circle key={idx} cx={center} cy={toY(value)} r={3} fill="none" stroke={fill} />
+        ))}
+    </g>
+  );
+};
+
+const compareLabels = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * HeatmapGrid
+ * Category × category grid from prepareHeatmapData; cell color shows the
+ * aggregated value, with a min–max scale underneath.
+ *
+ * Props:
+ * - cells: Array of { x, y, value, count }
+ * - xLabel: Name of the column category (shown in cell tooltips)
+ * - yLabel: Name of the row category (shown in cell tooltips)
+ * - height: Maximum height in pixels
+ * - showValues: Print values inside the cells
+ * - emptyColor: Background of pairs without data
+ * - labelClassName: Classes for the axis labels
+ */
+export const HeatmapGrid = ({
+  cells,
+  xLabel,
+  yLabel,
+  height,
+  showValues = false,
+  emptyColor = '#1f2937',
+  labelClassName = 'text-gray-400',
+}) => {
+  const locale = useLocale();
+  const { xKeys, yKeys, byKey, min, max } = useMemo(() => {
+    const values = cells.map((cell) => cell.value);
+    return {
+      xKeys: [...new Set(cells.map((cell) => cell.x))].sort(compareLabels),
+      yKeys: [...new Set(cells.map((cell) => cell.y))].sort(compareLabels),
+      byKey: new Map(cells.map((cell) => [`${cell.x}\u0000${cell.y}`, cell])),
+      min: Math.min(...values),
+      max: Math.max(...values),
+    };
+  }, [cells]);
+
+  return (
+    <div className="h-full flex flex-col gap-2" style={{ maxHeight: height }}>
+      <div className="flex-1 overflow-auto">
+        <div
+          className="grid gap-px text-xs"
+          style={{ gridTemplateColumns: `auto repeat(${xKeys.length}, minmax(28px, 1fr))` }}
+        >
+          <div />
+          {xKeys.map((x) => (
+            <div key={x} className={`${labelClassName} truncate text-center px-1`} title={x}>
+              {x}
+            </div>
+          ))}
+          {yKeys.map((y) => (
+            <div key={y} className="contents">
+              <div className={`${labelClassName} truncate pr-2 max-w-[120px]`} title={y}>
+                {y}
+              </div>
+              {xKeys.map((x) => {
+                const cell = byKey.get(`${x}\u0000${y}`);
+                return (
+                  <div
+                    key={x}
+                    title={cell ? `${xLabel}: ${x}\n${yLabel}: ${y}\n${formatNumber(cell.value, locale)} (${cell.count} rows)` : undefined}
+                    className="flex items-center justify-center rounded-sm text-white min-h-[24px]"
+                    style={{ backgroundColor: cell ? getHeatmapColor(cell.value, min, max) : emptyColor }}
+                  >
+                    {showValues && cell ? formatNumber(cell.value, locale) : ''}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className={`flex items-center gap-2 text-xs ${labelClassName}`}>
+        <span>{formatNumber(min, locale)}</span>
+        <div
+          className="flex-1 h-2 rounded"
+          style={{
+            background: `linear-gradient(to right, ${getHeatmapColor(min, min, max)}, ${getHeatmapColor(max, min, max)})`,
+          }}
+        />
+        <span>{formatNumber(max, locale)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Give every node the color of its top-level ancestor
+const colorNodes = (nodes, colors, color) =>
+  nodes.map((node, idx) => {
+    const fill = color || colors[idx % colors.length];
+    return {
+      ...node,
+      fill,
+      ...(node.children && { children: colorNodes(node.children, colors, fill) }),
+    };
+  });
+
+// Treemap cell: a colored rectangle, labelled when there's room
+const TreemapNode = ({ x, y, width, height, depth, name, fill, children }) => {
+  const maxChars = Math.floor(width / 7);
+  const label = String(name);
+
+  return (
+    <g>
+      <rect
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        fill={fill}
+        fillOpacity={depth > 1 ? 0.85 : 1}
+        stroke="#1f2937"
+        strokeWidth={depth > 1 ? 1 : 2}
+      />
+      {!children && width > 50 && height > 20 && (
+        <text x={x + 6} y={y + 16} fill="#fff" fontSize={12}>
+          {label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label}
+        </text>
+      )}
+    </g>
+  );
+};
+
+/**
+ * TreemapChart
+ * Nested rectangles from prepareTreemapData. Nodes take the color of their
+ * top-level category.
+ *
+ * Props:
+ * - data: Nested { name, value, children } nodes
+ * - height: Height in pixels (or '100%')
+ * - colors: Palette for the top-level categories
+ * - tooltipStyle: Tooltip contentStyle
+ */
+export const TreemapChart = ({ data, height, colors, tooltipStyle }) => {
+  const locale = useLocale();
+  const coloredData = useMemo(() => colorNodes(data, colors), [data, colors]);
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <Treemap
+        data={coloredData}
+        dataKey="value"
+        nameKey="name"
+        isAnimationActive={false}
+        content={<TreemapNode />}
+      >
+        <Tooltip contentStyle={tooltipStyle} formatter={(value) => formatNumber(value, locale)} />
+      </Treemap>
+    </ResponsiveContainer>
+  );
+};
+
+// KPI value colors by threshold status, per theme
+const KPI_STATUS_CLASSES = {
+  dark: { good: 'text-green-400', warning: 'text-yellow-400', bad: 'text-red-400', none: 'text-white' },
+  light: { good: 'text-green-600', warning: 'text-yellow-600', bad: 'text-red-600', none: 'text-gray-900' },
+};
+
+const formatKpiNumber = (value, locale) => {
+  if (value === null || value === undefined) return '–';
+  return formatAxisNumber(value, locale);
+};
+
+/**
+ * KpiDisplay
+ * A single number from prepareKpiData with its change against the previous
+ * period and a sparkline of recent periods.
+ *
+ * Props:
+ * - kpi: KPI summary from prepareKpiData
+ * - metricLabel: What the number is (e.g. 'Sum of Revenue')
+ * - higherIsBetter: Whether an increase is shown as good (default: true)
+ * - theme: 'dark' (dashboard) or 'light' (configurator preview)
+ * - sparklineHeight: Height of the sparkline in pixels
+ */
+export const KpiDisplay = ({ kpi, metricLabel, higherIsBetter = true, theme = 'dark', sparklineHeight = 60 }) => {
+  const statusClasses = KPI_STATUS_CLASSES[theme];
+  const locale = useLocale();
+  const mutedClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-500';
+  const hasChange = kpi.change !== null && kpi.change !== undefined;
+  const isBetter = hasChange && (higherIsBetter ? kpi.change > 0 : kpi.change < 0);
+  const changeClass = !hasChange || kpi.change === 0 ? mutedClass : isBetter ? statusClasses.good : statusClasses.bad;
+  const ChangeIcon = !hasChange || kpi.change === 0 ? Minus : kpi.change > 0 ? TrendingUp : TrendingDown;
+  const sign = hasChange && kpi.change > 0 ? '+' : '';
+
+  return (
+    <div className="h-full flex flex-col justify-between gap-2">
+      <div>
+        <p className={`text-sm ${mutedClass}`}>
+          {metricLabel} · {kpi.name}
+        </p>
+        <p className={`text-4xl font-bold ${statusClasses[kpi.status || 'none']}`}>{formatKpiNumber(kpi.value, locale)}</p>
+        {kpi.previousName && (
+          <p className={`flex items-center gap-1 text-sm mt-1 ${changeClass}`}>
+            <ChangeIcon className="w-4 h-4" />
+            {hasChange
+              ? `${sign}${kpi.changePercent !== null ? `${kpi.changePercent}%` : formatKpiNumber(kpi.change, locale)}`
+              : 'No data'}
+            <span className={mutedClass}>
+              vs {kpi.previousName}
+              {hasChange && ` (${formatKpiNumber(kpi.previousValue, locale)})`}
+            </span>
+          </p>
+        )}
+      </div>
+      {kpi.sparkline.length > 1 && (
+        <ResponsiveContainer width="100%" height={sparklineHeight}>
+          <LineChart data={kpi.sparkline}>
+            <Tooltip
+              labelFormatter={(_, payload) => payload?.[0]?.payload?.label}
+              formatter={(value) => [formatKpiNumber(value, locale), metricLabel]}
+              contentStyle={
+                theme === 'dark'
+                  ? { backgroundColor: '#1f2937', border: '1px solid #374151', borderRadius: '8px', color: '#fff' }
+                  : undefined
+              }
+            />
+            <Line
+              type="monotone"
+              dataKey="value"
+              stroke={theme === 'dark' ? '#10B981' : '#059669'}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,142 @@
+import { useState, useEffect, useRef } from 'react'
+import { X, Loader2 } from 'lucide-react'
+import useLocale from '../hooks/useLocale'
+import { formatNumber, formatDate } from '../utils/localeHelpers'
+
+/**
+ * ColumnProfilePopover Component
+ * Opens under a data table header and profiles the column over the rows
+ * the table currently shows: a histogram for numbers and dates, and the
+ * most frequent values.
+ *
+ * Props:
+ * - column: Column metadata
+ * - anchor: Bounding rect of the header cell the popover opens under
+ * - getProfile: (column) => Promise of a column profile (see tableHelpers)
+ * - onClose: Called on outside click, Escape or the close button
+ */
+const ColumnProfilePopover = ({ column, anchor, getProfile, onClose }) => {
+  const [result, setResult] = useState(null) // { profile } or { error }
+  const popoverRef = useRef(null)
+  const locale = useLocale()
+
+  useEffect(() => {
+    let isCurrent = true
+    getProfile(column)
+      .then(profile => isCurrent && setResult({ profile }))
+      .catch(error => isCurrent && setResult({ error: error.message }))
+    return () => {
+      isCurrent = false
+    }
+  }, [column, getProfile])
+
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (popoverRef.current && !popoverRef.current.contains(e.target)) onClose()
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('mousedown', handleMouseDown)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [onClose])
+
+  // Histogram bins of date columns hold timestamps
+  const formatBound = (value) => (column.type === 'date'
+    ? formatDate(new Date(value).toISOString().slice(0, 10), locale)
+    : formatNumber(value, locale))
+
+  const profile = result?.profile
+  const maxBin = profile ? Math.max(1, ...profile.histogram.map(bin => bin.count)) : 1
+  const maxTop = profile?.topValues[0]?.count || 1
+  // Keep the popover on screen
+  const left = Math.max(8, Math.min(anchor.left, window.innerWidth - 328))
+
+  return (
+    <div
+      ref={popoverRef}
+      className="fixed z-50 w-80 bg-gray-800 border border-gray-600 rounded-xl shadow-2xl p-4"
+      style={{ top: anchor.bottom + 4, left }}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="min-w-0">
+          <p className="text-white font-semibold truncate">{column.name}</p>
+          <p className="text-xs text-gray-400">Over the rows shown in the table</p>
+        </div>
+        <button onClick={onClose} className="p-1 hover:bg-gray-700 rounded-lg transition-colors" title="Close">
+          <X className="w-4 h-4 text-gray-400" />
+        </button>
+      </div>
+
+      {!result && (
+        <div className="flex items-center gap-2 text-sm text-gray-400 py-6 justify-center">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Profiling...
+        </div>
+      )}
+      {result?.error && <p className="text-sm text-red-400">{result.error}</p>}
+
+      {profile && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-3 gap-2 text-center">
+            <div className="bg-gray-700/50 rounded-lg p-2">
+              <p className="text-xs text-gray-400">Rows</p>
+              <p className="text-sm text-white font-medium">{formatNumber(profile.count, locale)}</p>
+            </div>
+            <div className="bg-gray-700/50 rounded-lg p-2">
+              <p className="text-xs text-gray-400">Distinct</p>
+              <p className="text-sm text-white font-medium">{formatNumber(profile.distinctCount, locale)}</p>
+            </div>
+            <div className="bg-gray-700/50 rounded-lg p-2">
+              <p className="text-xs text-gray-400">Empty</p>
+              <p className="text-sm text-white font-medium">{formatNumber(profile.emptyCount, locale)}</p>
+            </div>
+          </div>
+
+          {profile.histogram.length > 0 && (
+            <div>
+              <p className="text-xs font-medium text-gray-400 mb-2">Distribution</p>
+              <div className="flex items-end gap-px h-20">
+                {profile.histogram.map((bin, index) => (
+                  <div
+                    key={index}
+                    className="flex-1 bg-blue-500/70 hover:bg-blue-400 rounded-t-sm"
+                    style={{ height: `${Math.max(2, (bin.count / maxBin) * 100)}%` }}
+                    title={`${formatBound(bin.start)} – ${formatBound(bin.end)}: ${formatNumber(bin.count, locale)} rows`}
+                  />
+                ))}
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{formatBound(profile.histogram[0].start)}</span>
+                <span>{formatBound(profile.histogram[profile.histogram.length - 1].end)}</span>
+              </div>
+            </div>
+          )}
+
+          {profile.topValues.length > 0 && (
+            <div>
+              <p className="text-xs font-medium text-gray-400 mb-2">Top Values</p>
+              <div className="space-y-1">
+                {profile.topValues.map(({ value, count }) => (
+                  <div key={value} className="relative text-xs rounded overflow-hidden">
+                    <div className="absolute inset-y-0 left-0 bg-blue-500/20" style={{ width: `${(count / maxTop) * 100}%` }} />
+                    <div className="relative flex justify-between gap-2 px-2 py-1">
+                      <span className="text-gray-200 truncate">{value}</span>
+                      <span className="text-gray-400 flex-shrink-0">{formatNumber(count, locale)}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ColumnProfilePopover
@@ -0,0 +1,134 @@
+import { useState, useMemo } from 'react'
+import { motion } from 'framer-motion'
+import { X, ArrowRight, Columns, AlertTriangle, CheckCircle } from 'lucide-react'
+import { applyColumnMapping, validateSpecCharts } from '../utils/dashboardSpec'
+
+/**
+ * ColumnRemapDialog Component
+ * Shown when an imported dashboard spec uses columns the current dataset
+ * doesn't have. The user picks a current column for each template column;
+ * charts that still don't validate are skipped on import.
+ *
+ * Props:
+ * - spec: Parsed dashboard spec
+ * - unmatchedColumns: Array of { name, type, usedBy } from findUnmatchedColumns()
+ * - columns: Current column metadata from inferColumnTypes
+ * - initialMapping: Suggested { templateColumn: currentColumn | null }
+ * - onConfirm: Called with the final mapping
+ * - onCancel: Called when the import is cancelled
+ */
+const ColumnRemapDialog = ({ spec, unmatchedColumns = [], columns = [], initialMapping = {}, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping)
+
+  // Live check of which charts will import with the current mapping
+  const results = useMemo(
+    () => validateSpecCharts(applyColumnMapping(spec.dashboard.charts, mapping), columns),
+    [spec, mapping, columns]
+  )
+  const validCount = results.filter(result => result.isValid).length
+
+  const handleChange = (templateColumn, currentColumn) => {
+    setMapping({ ...mapping, [templateColumn]: currentColumn || null })
+  }
+
+  return (
+    <div className="fixed inset-0 z-[9999] flex items-center justify-center bg-black/60 backdrop-blur-sm">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        className="w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto bg-gray-800 rounded-2xl p-6 border border-gray-700 space-y-5"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-blue-500/20 rounded-lg flex items-center justify-center">
+              <Columns className="w-5 h-5 text-blue-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-white">Match Columns</h2>
+              <p className="text-sm text-gray-400">
+                "{spec.dashboard.name}" uses columns that aren't in your data
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onCancel}
+            className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        {/* Column Mapping */}
+        <div className="space-y-3">
+          {unmatchedColumns.map((col) => (
+            <div key={col.name} className="bg-gray-700/50 rounded-lg p-3">
+              <div className="flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="text-white font-medium truncate">{col.name}</p>
+                  <p className="text-xs text-gray-400">
+                    {col.type || 'unknown type'} · used by {col.usedBy.join(', ')}
+                  </p>
+                </div>
+                <ArrowRight className="w-4 h-4 text-gray-500 flex-shrink-0" />
+                <select
+                  value={mapping[col.name] || ''}
+                  onChange={(e) => handleChange(col.name, e.target.value)}
+                  className="flex-1 bg-gray-700 text-white border border-gray-600 rounded-lg px-3 py-2 focus:outline-none focus:border-blue-500"
+                >
+                  <option value="">— Don't map (skip charts) —</option>
+                  {columns.map((current) => (
+                    <option key={current.name} value={current.name}>
+                      {current.name} ({current.type}){current.type === col.type ? ' ✓' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Chart Check */}
+        <div className="border-t border-gray-700 pt-4 space-y-2">
+          <p className="text-sm text-gray-400">
+            {validCount} of {results.length} chart{results.length !== 1 ? 's' : ''} will be imported
+          </p>
+          {results.map((result, index) => (
+            <div key={result.chart.id || index} className="flex items-center gap-2 text-sm">
+              {result.isValid ? (
+                <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />
+              ) : (
+                <AlertTriangle className="w-4 h-4 text-yellow-400 flex-shrink-0" />
+              )}
+              <span className={result.isValid ? 'text-gray-300' : 'text-gray-500'}>
+                {result.chart.title || 'Untitled Chart'}
+              </span>
+              {!result.isValid && (
+                <span className="text-yellow-400/80 text-xs">— {result.error}</span>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="flex gap-3">
+          <button
+            onClick={() => onConfirm(mapping)}
+            disabled={validCount === 0}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Import Dashboard
+          </button>
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg border border-gray-600 text-gray-400 hover:bg-gray-700 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  )
+}
+
+export default ColumnRemapDialog
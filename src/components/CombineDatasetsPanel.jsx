@@ -0,0 +1,323 @@
+import { useState, useMemo } from 'react'
+import { Combine, Plus, Trash2, AlertCircle, AlertTriangle } from 'lucide-react'
+import {
+  JOIN_TYPES,
+  checkUnionCompatibility,
+  getJoinStats,
+  validateJoin
+} from '../utils/datasetHelpers'
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`
+
+const selectClass = 'w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-3 py-2 focus:outline-none focus:border-blue-500'
+
+// Start a join on the first column name both datasets have
+const suggestKeys = (left, right) => {
+  const rightNames = right ? right.columns.map(col => col.name) : []
+  const common = left?.columns.find(col => rightNames.includes(col.name))
+  return [{ left: common?.name || '', right: common?.name || '' }]
+}
+
+/**
+ * CombineDatasetsPanel Component
+ * Creates a view combined from loaded datasets: a union stacks datasets
+ * with the same columns, a join matches the rows of two datasets on key
+ * columns and previews how many rows match on each side.
+ *
+ * Props:
+ * - datasets: Datasets (see datasetHelpers)
+ * - onCreate: Called with the view's name and how it is built (dataset.derived)
+ */
+const CombineDatasetsPanel = ({ datasets, onCreate }) => {
+  const [mode, setMode] = useState('join')
+  const [name, setName] = useState('')
+
+  // Union
+  const [unionIds, setUnionIds] = useState([])
+  const [sourceColumn, setSourceColumn] = useState('Source')
+
+  // Join
+  const [leftId, setLeftId] = useState(datasets[0]?.id || '')
+  const [rightId, setRightId] = useState(datasets[1]?.id || '')
+  const [keys, setKeys] = useState(() => suggestKeys(datasets[0], datasets[1]))
+  const [joinType, setJoinType] = useState('inner')
+
+  const left = datasets.find(dataset => dataset.id === leftId)
+  const right = datasets.find(dataset => dataset.id === rightId)
+  const leftKeys = keys.map(key => key.left)
+  const rightKeys = keys.map(key => key.right)
+  const keysChosen = keys.every(key => key.left && key.right)
+
+  const unionDatasets = unionIds.map(id => datasets.find(dataset => dataset.id === id)).filter(Boolean)
+  const unionCheck = checkUnionCompatibility(unionDatasets)
+  const sourceColumnTaken = Boolean(sourceColumn.trim()) && unionCheck.columns.includes(sourceColumn.trim())
+
+  // Both scan the two datasets, so only rerun when the choices change
+  const { joinStats, joinCheck } = useMemo(() => {
+    const options = { leftKeys: keys.map(key => key.left), rightKeys: keys.map(key => key.right), joinType }
+    const ready = left && right && keys.every(key => key.left && key.right)
+    return {
+      joinStats: ready ? getJoinStats(left.data, right.data, options) : null,
+      joinCheck: validateJoin(left, right, options)
+    }
+  }, [left, right, keys, joinType])
+
+  const defaultName = mode === 'union'
+    ? unionDatasets.map(dataset => dataset.name).join(' + ')
+    : left && right ? `${left.name} + ${right.name}` : ''
+
+  const canCreate = mode === 'union'
+    ? unionCheck.isValid && !sourceColumnTaken
+    : joinCheck.isValid
+  const finalName = name.trim() || defaultName
+
+  const handleSideChange = (side, id) => {
+    const nextLeft = side === 'left' ? datasets.find(dataset => dataset.id === id) : left
+    const nextRight = side === 'right' ? datasets.find(dataset => dataset.id === id) : right
+    if (side === 'left') setLeftId(id)
+    else setRightId(id)
+    setKeys(suggestKeys(nextLeft, nextRight))
+  }
+
+  const updateKey = (index, side, value) => {
+    setKeys(keys.map((key, i) => (i === index ? { ...key, [side]: value } : key)))
+  }
+
+  const toggleUnionId = (id) => {
+    setUnionIds(unionIds.includes(id) ? unionIds.filter(item => item !== id) : [...unionIds, id])
+  }
+
+  const handleCreate = () => {
+    if (!canCreate || !finalName) return
+    if (mode === 'union') {
+      onCreate(finalName, { type: 'union', datasetIds: unionIds, sourceColumn: sourceColumn.trim() })
+      setUnionIds([])
+    } else {
+      onCreate(finalName, { type: 'join', leftId, rightId, leftKeys, rightKeys, joinType })
+    }
+    setName('')
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+      <div className="mb-4">
+        <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+          <Combine className="w-5 h-5 text-blue-400" />
+          Combine Datasets
+        </h3>
+        <p className="text-sm text-gray-400">
+          Stack datasets with the same columns, or join two datasets on key columns. The result is a new dataset
+          that updates when its sources change.
+        </p>
+      </div>
+
+      {/* Mode */}
+      <div className="flex gap-2 mb-4">
+        {[{ id: 'join', name: 'Join' }, { id: 'union', name: 'Union' }].map(option => (
+          <button
+            key={option.id}
+            onClick={() => setMode(option.id)}
+            className={`px-4 py-2 rounded-lg text-sm transition-colors ${
+              mode === option.id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'union' ? (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Datasets to stack</label>
+            <div className="space-y-1">
+              {datasets.map(dataset => (
+                <label key={dataset.id} className="flex items-center gap-2 text-gray-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={unionIds.includes(dataset.id)}
+                    onChange={() => toggleUnionId(dataset.id)}
+                    className="w-4 h-4 accent-blue-500"
+                  />
+                  {dataset.name}
+                  <span className="text-xs text-gray-500">
+                    {dataset.data.length.toLocaleString()} rows · {dataset.columns.length} columns
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Column recording each row's dataset (optional)</label>
+            <input
+              type="text"
+              value={sourceColumn}
+              onChange={(e) => setSourceColumn(e.target.value)}
+              placeholder="Leave empty to skip"
+              className={selectClass}
+            />
+          </div>
+
+          {unionIds.length > 0 && !unionCheck.isValid && (
+            <p className="flex items-start gap-2 text-sm text-red-300">
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              {unionCheck.error}
+            </p>
+          )}
+          {sourceColumnTaken && (
+            <p className="flex items-start gap-2 text-sm text-red-300">
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              The datasets already have a column named "{sourceColumn.trim()}"
+            </p>
+          )}
+          {unionCheck.isValid && (
+            <div className="bg-gray-700/50 rounded-lg p-4 text-sm text-gray-300 space-y-1">
+              <p>
+                {unionDatasets.reduce((total, dataset) => total + dataset.data.length, 0).toLocaleString()} rows
+                · {unionCheck.columns.length + (sourceColumn.trim() ? 1 : 0)} columns
+              </p>
+              {unionCheck.typeMismatches.length > 0 && (
+                <p className="flex items-start gap-2 text-yellow-300">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                  Different types: {unionCheck.typeMismatches
+                    .map(item => `${item.name} (${item.types.join(' / ')})`)
+                    .join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Left dataset</label>
+              <select value={leftId} onChange={(e) => handleSideChange('left', e.target.value)} className={selectClass}>
+                <option value="">Choose a dataset...</option>
+                {datasets.map(dataset => <option key={dataset.id} value={dataset.id}>{dataset.name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Right dataset</label>
+              <select value={rightId} onChange={(e) => handleSideChange('right', e.target.value)} className={selectClass}>
+                <option value="">Choose a dataset...</option>
+                {datasets.map(dataset => <option key={dataset.id} value={dataset.id}>{dataset.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          {/* Keys */}
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Match rows where</label>
+            <div className="space-y-2">
+              {keys.map((key, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <select value={key.left} onChange={(e) => updateKey(index, 'left', e.target.value)} className={selectClass}>
+                    <option value="">Left column...</option>
+                    {left?.columns.map(col => <option key={col.name} value={col.name}>{col.name}</option>)}
+                  </select>
+                  <span className="text-gray-400">=</span>
+                  <select value={key.right} onChange={(e) => updateKey(index, 'right', e.target.value)} className={selectClass}>
+                    <option value="">Right column...</option>
+                    {right?.columns.map(col => <option key={col.name} value={col.name}>{col.name}</option>)}
+                  </select>
+                  <button
+                    onClick={() => setKeys(keys.filter((_, i) => i !== index))}
+                    disabled={keys.length === 1}
+                    className="p-2 hover:bg-gray-600 rounded-lg transition-colors disabled:opacity-30"
+                    title="Remove key"
+                  >
+                    <Trash2 className="w-4 h-4 text-gray-400" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => setKeys([...keys, { left: '', right: '' }])}
+              className="mt-2 flex items-center gap-1 text-sm text-blue-400 hover:text-blue-300"
+            >
+              <Plus className="w-4 h-4" />
+              Add key column
+            </button>
+          </div>
+
+          {/* Join type */}
+          <div>
+            <label className="block text-sm font-medium text-gray-400 mb-2">Join type</label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {JOIN_TYPES.map(type => (
+                <button
+                  key={type.id}
+                  onClick={() => setJoinType(type.id)}
+                  title={type.description}
+                  className={`px-3 py-2 rounded-lg text-sm text-left border transition-colors ${
+                    joinType === type.id
+                      ? 'bg-blue-500/20 border-blue-500/50 text-white'
+                      : 'bg-gray-700/50 border-gray-600 text-gray-300 hover:bg-gray-700'
+                  }`}
+                >
+                  <span className="block font-medium">{type.name}</span>
+                  {joinStats && (
+                    <span className="block text-xs text-gray-400">
+                      {joinStats.resultRows[type.id].toLocaleString()} rows
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Match preview */}
+          {joinStats && (
+            <div className="bg-gray-700/50 rounded-lg p-4 grid grid-cols-2 gap-4 text-sm">
+              {[
+                { label: left.name, matched: joinStats.matchedLeftRows, total: joinStats.leftRows, rate: joinStats.leftMatchRate },
+                { label: right.name, matched: joinStats.matchedRightRows, total: joinStats.rightRows, rate: joinStats.rightMatchRate }
+              ].map((side, index) => (
+                <div key={index}>
+                  <p className="text-gray-400 truncate">{side.label}</p>
+                  <p className="text-white font-medium">{formatPercent(side.rate)} matched</p>
+                  <div className="w-full h-1.5 bg-gray-600 rounded-full overflow-hidden my-1">
+                    <div className="h-full bg-green-500" style={{ width: formatPercent(side.rate) }} />
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {side.matched.toLocaleString()} of {side.total.toLocaleString()} rows
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {keysChosen && !joinCheck.isValid && (
+            <p className="flex items-start gap-2 text-sm text-red-300">
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              {joinCheck.error}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Create */}
+      <div className="flex gap-3 mt-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+          placeholder={defaultName || 'Name of the new dataset'}
+          className="flex-1 bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+        />
+        <button
+          onClick={handleCreate}
+          disabled={!canCreate || !finalName}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus className="w-4 h-4" />
+          Create Dataset
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CombineDatasetsPanel
@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { X, LayoutDashboard } from 'lucide-react'
+
+/**
+ * DashboardDialog Component
+ * Modal form for naming a new dashboard or renaming an existing one
+ *
+ * Props:
+ * - title: Dialog heading (e.g. 'New Dashboard')
+ * - initialName: Name to prefill
+ * - initialDescription: Description to prefill
+ * - submitLabel: Text of the save button
+ * - onSave: Called with (name, description)
+ * - onCancel: Called when the dialog is dismissed
+ */
+const DashboardDialog = ({
+  title,
+  initialName = '',
+  initialDescription = '',
+  submitLabel = 'Save',
+  onSave,
+  onCancel
+}) => {
+  const [name, setName] = useState(initialName)
+  const [description, setDescription] = useState(initialDescription)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    onSave(name.trim(), description.trim())
+  }
+
+  return (
+    <div className="fixed inset-0 z-[9999] flex items-center justify-center bg-black/60 backdrop-blur-sm">
+      <motion.form
+        initial={{ opacity: 0, scale: 0.9, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        onSubmit={handleSubmit}
+        className="w-full max-w-md mx-4 bg-gray-800 rounded-2xl p-6 border border-gray-700 space-y-4"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-blue-500/20 rounded-lg flex items-center justify-center">
+              <LayoutDashboard className="w-5 h-5 text-blue-400" />
+            </div>
+            <h2 className="text-xl font-bold text-white">{title}</h2>
+          </div>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="p-2 hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        {/* Fields */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+            placeholder="e.g. Regional Sales"
+            className="w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Description</label>
+          <textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            rows={3}
+            placeholder="What is this view for? (optional)"
+            className="w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500 resize-none"
+          />
+        </div>
+
+        {/* Actions */}
+        <div className="flex gap-3 pt-2">
+          <button
+            type="submit"
+            disabled={!name.trim()}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitLabel}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg border border-gray-600 text-gray-400 hover:bg-gray-700 hover:text-white transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </motion.form>
+    </div>
+  )
+}
+
+export default DashboardDialog
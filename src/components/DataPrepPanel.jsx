@@ -0,0 +1,539 @@
+import { useState, useMemo } from 'react'
+import { Wand2, Plus, Trash2, AlertCircle, CheckCircle } from 'lucide-react'
+import {
+  PREP_STEP_TYPES,
+  PREP_DATA_TYPES,
+  TEXT_CASES,
+  FILL_METHODS,
+  applyPrepStep,
+  describePrepStep,
+  getPrepStepTypeName,
+  getStepColumns,
+  validatePrepStep
+} from '../utils/prepHelpers'
+import { validateFormula } from '../utils/formulaHelpers'
+import { DATE_FORMATS } from '../utils/dateHelpers'
+import { createCondition } from '../utils/filterHelpers'
+import { ConditionInput } from './FilterPanel'
+
+// Rows the draft step is previewed on, and values shown per column
+const PREVIEW_SAMPLE_ROWS = 1000
+const PREVIEW_VALUES = 5
+
+// Fields of a new step of each type
+const STEP_DEFAULTS = {
+  setType: { column: '', dataType: 'string' },
+  rename: { column: '', newName: '' },
+  drop: { columns: [] },
+  cleanText: { columns: [], trim: true, collapseWhitespace: false, textCase: 'none' },
+  parseDate: { column: '', format: 'DD/MM/YYYY' },
+  dedupe: { columns: [], keep: 'first' },
+  fillNulls: { column: '', method: 'value', value: '' },
+  split: { column: '', separator: ',', into: ['', ''], keepOriginal: false },
+  merge: { columns: [], separator: ' ', newName: '', keepOriginals: false },
+  filterRows: { condition: null }
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+const formatPreviewValue = (value) => (isEmpty(value) ? 'NULL' : String(value))
+
+// Columns whose values a step changes or creates (shown in the preview)
+const getOutputColumns = (step) => {
+  switch (step.type) {
+    case 'rename':
+    case 'merge':
+      return [step.newName.trim()]
+    case 'split':
+      return step.into.map(name => name.trim())
+    case 'cleanText':
+      return step.columns
+    case 'drop':
+    case 'dedupe':
+    case 'filterRows':
+      return []
+    default:
+      return [step.column]
+  }
+}
+
+const inputClass = 'w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500'
+const labelClass = 'block text-sm font-medium text-gray-400 mb-2'
+
+/**
+ * DataPrepPanel Component
+ * Builds the data prep recipe one step at a time: type overrides, renames,
+ * dropped columns, text cleanup, date parsing, duplicate removal, empty
+ * cell handling, splitting/merging columns and row filters (see prepHelpers). The recipe
+ * is replayed on the rows as loaded, so any step can be removed later.
+ *
+ * Props:
+ * - data: Current rows (after the recipe and calculated columns)
+ * - columns: Column metadata of the current rows
+ * - sourceColumns: Column names of the rows as loaded
+ * - prepSteps: The recipe, in order
+ * - calculatedColumns: Calculated columns, which must keep working after a change
+ * - onChange: Called with the new list of steps
+ */
+const DataPrepPanel = ({ data, columns, sourceColumns, prepSteps, calculatedColumns, onChange }) => {
+  const [draft, setDraft] = useState(null)
+  const [removeError, setRemoveError] = useState(null)
+
+  const calculatedNames = calculatedColumns.map(column => column.name)
+  const preparedColumns = columns.filter(col => !calculatedNames.includes(col.name))
+  const preparedNames = preparedColumns.map(col => col.name)
+
+  // Replay a recipe on the column names only, and check the calculated columns still work after it
+  const checkRecipe = (steps) => {
+    let names = sourceColumns
+    for (const [index, step] of steps.entries()) {
+      const { isValid, error } = validatePrepStep(step, names)
+      if (!isValid) return { index, error }
+      names = getStepColumns(names, step)
+    }
+
+    const clash = names.find(name => calculatedNames.includes(name))
+    if (clash) return { error: `A calculated column is already named "${clash}"` }
+    for (const [index, column] of calculatedColumns.entries()) {
+      const { isValid, error } = validateFormula(column.expression, [...names, ...calculatedNames.slice(0, index)])
+      if (!isValid) return { error: `Calculated column "${column.name}" would break: ${error}` }
+    }
+    return null
+  }
+
+  const draftProblem = draft ? checkRecipe([...prepSteps, draft]) : null
+  const isDraftValid = Boolean(draft) && !draftProblem
+
+  // Effect of the draft step on the first rows
+  const preview = useMemo(() => {
+    if (!isDraftValid) return null
+    const sample = data.slice(0, PREVIEW_SAMPLE_ROWS)
+    const result = applyPrepStep(sample, draft)
+    const outputs = getOutputColumns(draft).map(name => {
+      // Values a conversion turned into NULL
+      const lost = draft.type === 'setType' || draft.type === 'parseDate'
+        ? sample.filter((row, index) => !isEmpty(row[name]) && isEmpty(result[index][name])).length
+        : 0
+      return { name, values: result.slice(0, PREVIEW_VALUES).map(row => row[name]), lost }
+    })
+    return {
+      sampleSize: sample.length,
+      rowsBefore: sample.length,
+      rowsAfter: result.length,
+      columnsBefore: Object.keys(sample[0] || {}).length,
+      columnsAfter: Object.keys(result[0] || {}).length,
+      outputs
+    }
+  }, [isDraftValid, draft, data])
+
+  const startDraft = (type) => {
+    setDraft({ type, ...STEP_DEFAULTS[type] })
+    setRemoveError(null)
+  }
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes })
+
+  const toggleDraftColumn = (name) => {
+    const selected = draft.columns.includes(name)
+      ? draft.columns.filter(column => column !== name)
+      : [...draft.columns, name]
+    updateDraft({ columns: selected })
+  }
+
+  const handleSave = () => {
+    if (!isDraftValid) return
+    const step = { ...draft, id: `prep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` }
+    onChange([...prepSteps, step])
+    setDraft(null)
+  }
+
+  const handleRemove = (step, index) => {
+    const remaining = prepSteps.filter(item => item.id !== step.id)
+    const problem = checkRecipe(remaining)
+    if (problem) {
+      setRemoveError(problem.index !== undefined
+        ? `Can't remove step ${index + 1}: step ${problem.index + 2} depends on it (${problem.error})`
+        : `Can't remove step ${index + 1}: ${problem.error}`)
+      return
+    }
+    setRemoveError(null)
+    onChange(remaining)
+  }
+
+  const getColumnType = (name) => preparedColumns.find(col => col.name === name)?.type
+
+  const renderColumnSelect = () => (
+    <div>
+      <label className={labelClass}>Column</label>
+      <select
+        value={draft.column}
+        onChange={(e) => updateDraft({ column: e.target.value })}
+        className={inputClass}
+      >
+        <option value="">Choose a column...</option>
+        {preparedNames.map(name => (
+          <option key={name} value={name}>{name} ({getColumnType(name)})</option>
+        ))}
+      </select>
+    </div>
+  )
+
+  const renderColumnChips = (label) => (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <div className="flex flex-wrap gap-1">
+        {preparedNames.map(name => (
+          <button
+            key={name}
+            onClick={() => toggleDraftColumn(name)}
+            className={`px-2 py-0.5 text-xs rounded transition-colors ${
+              draft.columns.includes(name)
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-600 hover:bg-gray-500 text-gray-200'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+
+  const renderCheckbox = (field, label) => (
+    <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={Boolean(draft[field])}
+        onChange={(e) => updateDraft({ [field]: e.target.checked })}
+        className="w-4 h-4"
+      />
+      {label}
+    </label>
+  )
+
+  const renderTextInput = (field, label, placeholder) => (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <input
+        type="text"
+        value={draft[field]}
+        onChange={(e) => updateDraft({ [field]: e.target.value })}
+        placeholder={placeholder}
+        className={inputClass}
+      />
+    </div>
+  )
+
+  const renderStepFields = () => {
+    switch (draft.type) {
+      case 'setType':
+        return (
+          <>
+            {renderColumnSelect()}
+            <div>
+              <label className={labelClass}>Type</label>
+              <select value={draft.dataType} onChange={(e) => updateDraft({ dataType: e.target.value })} className={inputClass}>
+                {PREP_DATA_TYPES.map(type => (
+                  <option key={type.id} value={type.id}>{type.name}</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )
+      case 'rename':
+        return (
+          <>
+            {renderColumnSelect()}
+            {renderTextInput('newName', 'New Name', 'e.g. Order Date')}
+          </>
+        )
+      case 'drop':
+        return renderColumnChips('Columns to drop')
+      case 'cleanText':
+        return (
+          <>
+            {renderColumnChips('Columns')}
+            <div className="flex flex-wrap items-center gap-4">
+              {renderCheckbox('trim', 'Trim leading/trailing spaces')}
+              {renderCheckbox('collapseWhitespace', 'Collapse repeated spaces')}
+              <select value={draft.textCase} onChange={(e) => updateDraft({ textCase: e.target.value })} className="bg-gray-700 text-white border border-gray-600 rounded-lg px-3 py-1 text-sm">
+                {TEXT_CASES.map(item => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )
+      case 'parseDate':
+        return (
+          <>
+            {renderColumnSelect()}
+            <div>
+              <label className={labelClass}>Format</label>
+              <input
+                type="text"
+                list="prep-date-formats"
+                value={draft.format}
+                onChange={(e) => updateDraft({ format: e.target.value })}
+                className={`${inputClass} font-mono`}
+              />
+              <datalist id="prep-date-formats">
+                {DATE_FORMATS.map(format => <option key={format} value={format} />)}
+              </datalist>
+              <p className="text-xs text-gray-500 mt-1">
+                YYYY/YY year, MM/M month, MMM/MMMM month name, DD/D day, HH:mm:ss time. Values that don't match become NULL.
+              </p>
+            </div>
+          </>
+        )
+      case 'dedupe':
+        return (
+          <>
+            {renderColumnChips('Key columns (none selected = compare whole rows)')}
+            <div>
+              <label className={labelClass}>Keep</label>
+              <select value={draft.keep} onChange={(e) => updateDraft({ keep: e.target.value })} className={inputClass}>
+                <option value="first">First occurrence</option>
+                <option value="last">Last occurrence</option>
+              </select>
+            </div>
+          </>
+        )
+      case 'fillNulls':
+        return (
+          <>
+            {renderColumnSelect()}
+            <div>
+              <label className={labelClass}>Empty cells</label>
+              <select value={draft.method} onChange={(e) => updateDraft({ method: e.target.value })} className={inputClass}>
+                {FILL_METHODS.map(method => (
+                  <option key={method.id} value={method.id}>
+                    {method.id === 'drop' ? method.name : `Fill with ${method.name.toLowerCase()}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {draft.method === 'value' && renderTextInput('value', 'Value', 'e.g. 0 or Unknown')}
+          </>
+        )
+      case 'split':
+        return (
+          <>
+            {renderColumnSelect()}
+            {renderTextInput('separator', 'Separator', 'e.g. , or -')}
+            <div>
+              <label className={labelClass}>New columns (the last one keeps any remaining parts)</label>
+              <div className="space-y-2">
+                {draft.into.map((name, index) => (
+                  <div key={index} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={name}
+                      onChange={(e) => updateDraft({ into: draft.into.map((item, i) => (i === index ? e.target.value : item)) })}
+                      placeholder={`Part ${index + 1}`}
+                      className={inputClass}
+                    />
+                    {draft.into.length > 2 && (
+                      <button
+                        onClick={() => updateDraft({ into: draft.into.filter((_, i) => i !== index) })}
+                        className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                        title="Remove part"
+                      >
+                        <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <button
+                  onClick={() => updateDraft({ into: [...draft.into, ''] })}
+                  className="flex items-center gap-1 text-sm text-blue-400 hover:text-blue-300"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add part
+                </button>
+              </div>
+            </div>
+            {renderCheckbox('keepOriginal', 'Keep the original column')}
+          </>
+        )
+      case 'merge':
+        return (
+          <>
+            {renderColumnChips('Columns to merge (in the order selected)')}
+            {renderTextInput('separator', 'Separator', 'e.g. a space or -')}
+            {renderTextInput('newName', 'New Column Name', 'e.g. Full Name')}
+            {renderCheckbox('keepOriginals', 'Keep the original columns')}
+          </>
+        )
+      case 'filterRows': {
+        const conditionColumn = preparedColumns.find(col => col.name === draft.condition?.column)
+        return (
+          <>
+            <div>
+              <label className={labelClass}>Keep rows where</label>
+              <select
+                value={draft.condition?.column || ''}
+                onChange={(e) => {
+                  const column = preparedColumns.find(col => col.name === e.target.value)
+                  updateDraft({ condition: column ? createCondition(column) : null })
+                }}
+                className={inputClass}
+              >
+                <option value="">Choose a column...</option>
+                {preparedColumns.map(col => (
+                  <option key={col.name} value={col.name}>{col.name} ({col.type})</option>
+                ))}
+              </select>
+            </div>
+            {draft.condition && conditionColumn && (
+              <div className="bg-gray-800 rounded-lg p-3">
+                <ConditionInput
+                  condition={draft.condition}
+                  column={conditionColumn}
+                  onChange={(changes) => updateDraft({ condition: { ...draft.condition, ...changes } })}
+                />
+              </div>
+            )}
+          </>
+        )
+      }
+      default:
+        return null
+    }
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+            <Wand2 className="w-5 h-5 text-blue-400" />
+            Data Prep
+          </h3>
+          <p className="text-sm text-gray-400">
+            Clean the data before charting; each step is recorded in a recipe that is replayed on the file as loaded
+          </p>
+        </div>
+        {!draft && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && startDraft(e.target.value)}
+            className="bg-blue-600 hover:bg-blue-700 text-white rounded-lg px-4 py-2 transition-colors cursor-pointer"
+          >
+            <option value="">+ Add Step</option>
+            {PREP_STEP_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {removeError && (
+        <p className="flex items-center gap-2 text-sm text-red-400 mb-3">
+          <AlertCircle className="w-4 h-4" />
+          {removeError}
+        </p>
+      )}
+
+      {/* Recipe */}
+      {prepSteps.length > 0 && (
+        <ol className="space-y-2 mb-4">
+          {prepSteps.map((step, index) => (
+            <li key={step.id} className="flex items-center gap-3 bg-gray-700/50 rounded-lg px-4 py-2">
+              <span className="w-6 h-6 flex items-center justify-center rounded-full bg-gray-600 text-xs text-gray-300 flex-shrink-0">
+                {index + 1}
+              </span>
+              <div className="flex-1 min-w-0">
+                <p className="text-white font-medium">{getPrepStepTypeName(step.type)}</p>
+                <p className="text-sm text-gray-400 truncate" title={describePrepStep(step)}>
+                  {describePrepStep(step)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRemove(step, index)}
+                className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                title="Remove step"
+              >
+                <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {prepSteps.length === 0 && !draft && (
+        <p className="text-sm text-gray-500">No prep steps yet</p>
+      )}
+
+      {/* Editor */}
+      {draft && (
+        <div className="bg-gray-700/50 rounded-lg p-4 space-y-4">
+          <div>
+            <p className="text-white font-medium">{getPrepStepTypeName(draft.type)}</p>
+            <p className="text-sm text-gray-400">{PREP_STEP_TYPES.find(type => type.id === draft.type)?.description}</p>
+          </div>
+
+          {renderStepFields()}
+
+          {/* Validation & Preview */}
+          {draftProblem && (
+            <p className="flex items-center gap-2 text-sm text-red-400">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {draftProblem.error}
+            </p>
+          )}
+          {preview && (
+            <div className="space-y-2">
+              <p className="flex items-center gap-2 text-sm text-green-400">
+                <CheckCircle className="w-4 h-4" />
+                Preview on the first {preview.sampleSize.toLocaleString()} rows
+                {preview.rowsAfter !== preview.rowsBefore && `: ${preview.rowsBefore - preview.rowsAfter} rows removed`}
+                {preview.columnsAfter !== preview.columnsBefore && `: ${preview.columnsBefore} → ${preview.columnsAfter} columns`}
+              </p>
+              {preview.outputs.map(output => (
+                <div key={output.name}>
+                  <p className="text-xs text-gray-400 mb-1">
+                    {output.name}
+                    {output.lost > 0 && (
+                      <span className="text-yellow-400"> · {output.lost} values couldn't be read and become NULL</span>
+                    )}
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {output.values.map((value, index) => (
+                      <span
+                        key={index}
+                        className={`px-2 py-1 rounded text-xs font-mono ${
+                          isEmpty(value) ? 'bg-gray-600 text-gray-400' : 'bg-gray-600 text-white'
+                        }`}
+                      >
+                        {formatPreviewValue(value)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={!isDraftValid}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add Step
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 rounded-lg border border-gray-600 text-gray-400 hover:bg-gray-700 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DataPrepPanel
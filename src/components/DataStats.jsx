@@ -10,6 +10,22 @@ import {
   Hash,
   Type
 } from 'lucide-react'
+import { SEMANTIC_TYPES, TYPE_CONFIDENCE_THRESHOLD } from '../utils/csvParser'
+
+const TEXT_TYPES = ['string', 'category']
+
+// What a column's mismatched values are, e.g. "3 values aren't numbers" or "40 values look like numbers"
+const describeMismatches = (column) => {
+  const count = column.mismatchCount.toLocaleString()
+  const plural = column.mismatchCount === 1 ? 'value' : 'values'
+  if (TEXT_TYPES.includes(column.type)) {
+    const kinds = ['number', 'date', 'boolean']
+      .filter(kind => column.valueKinds?.[kind] > 0)
+      .map(kind => `${kind}s`)
+    return `${count} ${plural} look like ${kinds.join(' or ') || 'other types'} (mixed types)`
+  }
+  return `${count} ${plural} ${column.mismatchCount === 1 ? "isn't a" : "aren't"} ${column.type}${column.mismatchCount === 1 ? '' : 's'} and ${column.mismatchCount === 1 ? 'is' : 'are'} left out of charts`
+}
 
 /**
  * DataStats Component
@@ -17,7 +33,7 @@ import {
  * 
  * Props:
  * - summary: Data summary object from getDataSummary()
- * - columns: Column information from inferColumnTypes()
+ * - columns: Column information from inferColumnTypes() (with type confidence and mismatches)
  * - validation: Validation results from validateCSV()
  */
 const DataStats = ({ summary, columns, validation }) => {
@@ -111,6 +127,11 @@ const DataStats = ({ summary, columns, validation }) => {
             <div>
               <p className="text-sm text-gray-400">Data Quality</p>
               <p className="text-2xl font-bold text-white">{summary.qualityScore}%</p>
+              <p className="text-xs text-gray-500">
+                {summary.quality?.score != null
+                  ? `${summary.quality.results.filter(result => !result.error).length} quality rules`
+                  : 'Completeness'}
+              </p>
             </div>
           </div>
         </motion.div>
@@ -165,7 +186,12 @@ const DataStats = ({ summary, columns, validation }) => {
         transition={{ delay: 0.6 }}
         className="bg-gray-800 rounded-xl p-6 border border-gray-700"
       >
-        <h3 className="text-lg font-semibold text-white mb-4">Column Analysis</h3>
+        <h3 className="text-lg font-semibold text-white mb-1">Column Analysis</h3>
+        <p className="text-sm text-gray-400 mb-4">
+          {columns[0]?.checkedRows < summary.totalRows
+            ? `Types inferred from ${columns[0].checkedRows.toLocaleString()} rows spread across all ${summary.totalRows.toLocaleString()}`
+            : 'Types inferred from every row'}
+        </p>
         
         {/* Type Distribution Summary */}
         <div className="mb-6 flex flex-wrap gap-3">
@@ -198,6 +224,19 @@ const DataStats = ({ summary, columns, validation }) => {
                     <span className={`px-2 py-0.5 rounded text-xs font-medium ${getTypeColor(column.type)}`}>
                       {column.type}
                     </span>
+                    {column.semanticType && (
+                      <span className="px-2 py-0.5 rounded text-xs font-medium text-gray-300 bg-gray-600/60">
+                        {SEMANTIC_TYPES[column.semanticType]}
+                      </span>
+                    )}
+                    {column.confidence !== undefined && column.confidence < 1 && (
+                      <span
+                        className={`text-xs ${column.confidence >= TYPE_CONFIDENCE_THRESHOLD ? 'text-yellow-400' : 'text-red-400'}`}
+                        title="Share of the values that fit this type"
+                      >
+                        {Math.floor(column.confidence * 1000) / 10}% confidence
+                      </span>
+                    )}
                   </div>
                   
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
@@ -220,7 +259,7 @@ const DataStats = ({ summary, columns, validation }) => {
                     )}
                     
                     {/* Range (for numbers) */}
-                    {column.type === 'number' && column.min !== undefined && column.max !== undefined && (
+                    {column.type === 'number' && column.min != null && column.max != null && (
                       <div>
                         <p className="text-gray-400">Range</p>
                         <p className="text-white font-medium font-mono text-xs">
@@ -239,6 +278,21 @@ const DataStats = ({ summary, columns, validation }) => {
                       </div>
                     )}
                   </div>
+
+                  {/* Values that don't fit the type */}
+                  {column.mismatchCount > 0 && (
+                    <p className="mt-2 flex items-start gap-2 text-xs text-yellow-300">
+                      <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 mt-px" />
+                      <span>
+                        {describeMismatches(column)}
+                        {column.mismatchSamples.length > 0 && (
+                          <span className="text-yellow-200/70">
+                            {' '}(e.g. {column.mismatchSamples.slice(0, 3).map(value => `"${value}"`).join(', ')})
+                          </span>
+                        )}
+                      </span>
+                    </p>
+                  )}
                 </div>
               </div>
             </motion.div>
@@ -1,60 +1,248 @@
-import { useState } from 'react'
-import { motion } from 'framer-motion'
-import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, Search } from 'lucide-react'
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
+import { Search, Pin, PinOff, BarChart2, Loader2, X } from 'lucide-react'
+import useLocale from '../hooks/useLocale'
+import useTableQuery from '../hooks/useTableQuery'
+import { formatNumber, formatDate, formatValue } from '../utils/localeHelpers'
+import { getCellEditText, getEditedCell, parseCellInput } from '../utils/editHelpers'
+import { createCondition, isConditionActive } from '../utils/filterHelpers'
+import {
+  TABLE_WORKER_ROW_THRESHOLD,
+  getColumnLayout,
+  moveColumn,
+  clampColumnWidth,
+  toggleSort
+} from '../utils/tableHelpers'
+import ColumnProfilePopover from './ColumnProfilePopover'
+
+// Row height in pixels; rows are fixed height so the visible ones can be computed from the scroll position
+const ROW_HEIGHT = 36
+// Rows rendered above and below the visible ones, so fast scrolling doesn't show gaps
+const OVERSCAN_ROWS = 10
+// Browsers cap element heights (around 16-33M px); taller tables scroll a scaled-down body
+const MAX_BODY_HEIGHT = 8000000
+const INDEX_COLUMN_WIDTH = 72
+
+/**
+ * ColumnFilterInput
+ * Filter input matched to the column type: a range for numbers and dates,
+ * a value list for categories and booleans, a search for text. Edits a
+ * filterHelpers condition.
+ */
+const ColumnFilterInput = ({ column, condition, onChange }) => {
+  const inputClass = 'w-full bg-gray-700 text-white text-xs border border-gray-600 rounded px-2 py-1 focus:outline-none focus:border-blue-500'
+  const current = condition || createCondition(column)
+  const update = (changes) => onChange({ ...current, ...changes })
+
+  switch (current.type) {
+    case 'number':
+      return (
+        <div className="flex flex-col gap-1">
+          <input type="number" value={current.min ?? ''} onChange={(e) => update({ min: e.target.value === '' ? null : e.target.value })} placeholder="Min" className={inputClass} />
+          <input type="number" value={current.max ?? ''} onChange={(e) => update({ max: e.target.value === '' ? null : e.target.value })} placeholder="Max" className={inputClass} />
+        </div>
+      )
+    case 'date':
+      return (
+        <div className="flex flex-col gap-1">
+          <input type="date" value={current.from} onChange={(e) => update({ from: e.target.value })} title="From" className={inputClass} />
+          <input type="date" value={current.to} onChange={(e) => update({ to: e.target.value })} title="To" className={inputClass} />
+        </div>
+      )
+    case 'category':
+      return (
+        <select
+          value={current.values[0] ?? ''}
+          onChange={(e) => update({ values: e.target.value === '' ? [] : [e.target.value] })}
+          className={inputClass}
+        >
+          <option value="">All</option>
+          {(column.categories || []).map(String).sort().map(value => (
+            <option key={value} value={value}>{value}</option>
+          ))}
+        </select>
+      )
+    case 'boolean':
+      return (
+        <select
+          value={current.value === null ? '' : String(current.value)}
+          onChange={(e) => update({ value: e.target.value === '' ? null : e.target.value === 'true' })}
+          className={inputClass}
+        >
+          <option value="">All</option>
+          <option value="true">True</option>
+          <option value="false">False</option>
+        </select>
+      )
+    default:
+      return (
+        <input type="text" value={current.text} onChange={(e) => update({ text: e.target.value })} placeholder="Contains..." className={inputClass} />
+      )
+  }
+}
 
 /**
  * DataTable Component
- * Displays CSV data in a paginated, searchable table
- * 
+ * Displays data in a virtualized grid: only the rows in view are rendered,
+ * so it scrolls through a million rows. Columns can be filtered (inputs
+ * matched to the column type), sorted by several columns (shift-click),
+ * resized, reordered by dragging and pinned to the left, and each header
+ * opens a profile of its column. Search, filters and sort run in a worker
+ * for large data (see useTableQuery).
+ * With onEditCell, double-clicking a cell edits it; the typed text is
+ * checked against the column type before it is saved (calculated columns
+ * aren't editable).
+ * Numbers and dates are shown in the locale the dataset was read in
+ *
  * Props:
  * - data: Array of data objects
  * - columns: Array of column configurations with type info
- * - rowsPerPage: Number of rows per page (default: 10)
+ * - height: Height of the scrolling area in pixels (default: 480)
+ * - onEditCell: (rowIndex, columnName, value) => void - makes cells editable (optional)
+ * - editedCells: Map of edited cells to highlight (see editHelpers.getEditedCells)
  */
-const DataTable = ({ data = [], columns = [], rowsPerPage = 10 }) => {
-  const [currentPage, setCurrentPage] = useState(1)
+const DataTable = ({ data = [], columns = [], height = 480, onEditCell, editedCells }) => {
   const [searchTerm, setSearchTerm] = useState('')
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' })
-
-  // Filter data based on search term
-  const filteredData = data.filter(row => {
-    if (!searchTerm) return true
-    return Object.values(row).some(value => 
-      String(value).toLowerCase().includes(searchTerm.toLowerCase())
-    )
-  })
-
-  // Sort data based on sort configuration
-  const sortedData = [...filteredData].sort((a, b) => {
-    if (!sortConfig.key) return 0
-    
-    const aValue = a[sortConfig.key]
-    const bValue = b[sortConfig.key]
-    
-    // Handle null/undefined values
-    if (aValue === null || aValue === undefined) return 1
-    if (bValue === null || bValue === undefined) return -1
-    
-    // Compare values
-    if (aValue < bValue) return sortConfig.direction === 'asc' ? -1 : 1
-    if (aValue > bValue) return sortConfig.direction === 'asc' ? 1 : -1
-    return 0
-  })
-
-  // Pagination
-  const totalPages = Math.ceil(sortedData.length / rowsPerPage)
-  const startIndex = (currentPage - 1) * rowsPerPage
-  const endIndex = startIndex + rowsPerPage
-  const currentData = sortedData.slice(startIndex, endIndex)
-
-  // Handle sort
-  const handleSort = (key) => {
-    setSortConfig(prev => ({
-      key,
-      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+  const [sort, setSort] = useState([])
+  const [columnFilters, setColumnFilters] = useState({})
+  const [layout, setLayout] = useState({ order: [], widths: {}, pinned: [] })
+  const [profileColumn, setProfileColumn] = useState(null) // { column, anchor }
+  const [scrollTop, setScrollTop] = useState(0)
+  const [editing, setEditing] = useState(null) // { rowIndex, column, text, error }
+  const [headerHeight, setHeaderHeight] = useState(0)
+  const scrollRef = useRef(null)
+  const headerRef = useRef(null)
+  const dragColumnRef = useRef(null)
+  const isResizingRef = useRef(false)
+  const locale = useLocale()
+
+  // Keyed by the names, so edits (which rebuild the column metadata) don't start a new query
+  const columnKey = JSON.stringify(columns.map(column => column.name))
+  const columnNames = useMemo(() => JSON.parse(columnKey), [columnKey])
+  const laidOut = useMemo(() => getColumnLayout(columns, layout), [columns, layout])
+  const totalWidth = INDEX_COLUMN_WIDTH + laidOut.reduce((sum, item) => sum + item.width, 0)
+
+  // Filters and sort on columns the data no longer has (e.g. after switching datasets) are ignored
+  const query = useMemo(() => {
+    const available = new Set(columnNames)
+    return {
+      search: searchTerm,
+      columnFilters: Object.fromEntries(Object.entries(columnFilters).filter(([name]) => available.has(name))),
+      sort: sort.filter(item => available.has(item.key)),
+      columns: columnNames
+    }
+  }, [searchTerm, columnFilters, sort, columnNames])
+
+  // Large tables wait for a pause in typing before querying
+  const isLarge = data.length >= TABLE_WORKER_ROW_THRESHOLD
+  const [debouncedQuery, setDebouncedQuery] = useState(query)
+  useEffect(() => {
+    if (!isLarge) return undefined
+    const timer = setTimeout(() => setDebouncedQuery(query), 250)
+    return () => clearTimeout(timer)
+  }, [query, isLarge])
+  const appliedQuery = isLarge ? debouncedQuery : query
+
+  const { indices, isQuerying, error, getProfile } = useTableQuery(data, appliedQuery)
+  const rowCount = indices ? indices.length : 0
+  const activeFilterCount = Object.values(query.columnFilters).filter(isConditionActive).length
+
+  // Measure the sticky header, which the body scrolls under
+  useEffect(() => {
+    if (headerRef.current) setHeaderHeight(headerRef.current.offsetHeight)
+  }, [columns])
+
+  // Back to the top when the query or the number of rows changes (not after a cell edit)
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0
+  }, [appliedQuery, data.length])
+
+  const handleScroll = (e) => {
+    setScrollTop(e.currentTarget.scrollTop)
+  }
+
+  // Visible rows. Past MAX_BODY_HEIGHT the body is shorter than the rows and the
+  // scroll position is scaled so the scrollbar still reaches the last row.
+  const viewportHeight = Math.max(ROW_HEIGHT, height - headerHeight)
+  const fullHeight = rowCount * ROW_HEIGHT
+  const bodyHeight = Math.min(fullHeight, MAX_BODY_HEIGHT)
+  const scale = fullHeight > bodyHeight && bodyHeight > viewportHeight
+    ? (fullHeight - viewportHeight) / (bodyHeight - viewportHeight)
+    : 1
+  const virtualTop = scrollTop * scale
+  const firstRow = Math.max(0, Math.floor(virtualTop / ROW_HEIGHT) - OVERSCAN_ROWS)
+  const lastRow = Math.min(rowCount, Math.ceil((virtualTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN_ROWS)
+
+  const updateFilter = (name, condition) => {
+    setColumnFilters(prev => ({ ...prev, [name]: condition }))
+  }
+
+  const handleHeaderClick = (e, name) => {
+    setSort(prev => toggleSort(prev, name, e.shiftKey))
+  }
+
+  const togglePin = (name) => {
+    setLayout(prev => ({
+      ...prev,
+      pinned: prev.pinned.includes(name) ? prev.pinned.filter(item => item !== name) : [...prev.pinned, name]
     }))
   }
 
+  // Resize by dragging the handle on a header's right edge
+  const startResize = (e, name, startWidth) => {
+    e.preventDefault()
+    e.stopPropagation()
+    const startX = e.clientX
+    isResizingRef.current = true
+    const handleMove = (moveEvent) => {
+      const width = clampColumnWidth(startWidth + moveEvent.clientX - startX)
+      setLayout(prev => ({ ...prev, widths: { ...prev.widths, [name]: width } }))
+    }
+    const handleUp = () => {
+      isResizingRef.current = false
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+    }
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+  }
+
+  const handleDrop = (e, target) => {
+    e.preventDefault()
+    const name = dragColumnRef.current
+    dragColumnRef.current = null
+    if (!name) return
+    setLayout(prev => ({ ...prev, order: moveColumn(laidOut.map(item => item.column.name), name, target) }))
+  }
+
+  const closeProfile = useCallback(() => setProfileColumn(null), [])
+
+  const startEdit = (rowIndex, column) => {
+    if (!onEditCell || column.formula) return
+    setEditing({ rowIndex, column, text: getCellEditText(data[rowIndex][column.name], column, locale), error: null })
+  }
+
+  // Save the typed value. Enter keeps the editor open on invalid text to show
+  // the error; leaving the cell drops invalid text.
+  const commitEdit = (keepOpenOnError) => {
+    if (!editing) return
+    const { isValid, value, error: inputError } = parseCellInput(editing.text, editing.column, locale)
+    if (!isValid && keepOpenOnError) {
+      setEditing({ ...editing, error: inputError })
+      return
+    }
+    if (isValid) onEditCell(editing.rowIndex, editing.column.name, value)
+    setEditing(null)
+  }
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      commitEdit(true)
+    } else if (e.key === 'Escape') {
+      setEditing(null)
+    }
+  }
+
   // Get column type badge color
   const getTypeBadgeColor = (type) => {
     switch (type) {
@@ -66,12 +254,12 @@ const DataTable = ({ data = [], columns = [], rowsPerPage = 10 }) => {
     }
   }
 
-  // Format cell value based on type
-  const formatCellValue = (value, type) => {
+  // Format cell value based on type (IDs are numbers too, but read better without grouping)
+  const formatCellValue = (value, type, semanticType) => {
     if (value === null || value === undefined || value === '') {
       return <span className="text-gray-500 italic">null</span>
     }
-    
+
     if (type === 'boolean') {
       return value ? (
         <span className="text-green-400">✓ True</span>
@@ -79,18 +267,29 @@ const DataTable = ({ data = [], columns = [], rowsPerPage = 10 }) => {
         <span className="text-red-400">✗ False</span>
       )
     }
-    
+
     if (type === 'number') {
-      return <span className="text-blue-400 font-mono">{value}</span>
+      const display = typeof value === 'number'
+        ? formatNumber(value, locale, { maximumFractionDigits: 10, useGrouping: semanticType !== 'id' })
+        : value
+      return <span className="text-blue-400 font-mono">{display}</span>
     }
-    
+
     if (type === 'date') {
-      return <span className="text-purple-400">{value}</span>
+      return <span className="text-purple-400">{formatDate(value, locale)}</span>
     }
-    
-    return String(value)
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
   }
 
+  // Pinned cells stick to the left edge; the row number column always does
+  const getCellStyle = (item) => (item.pinned
+    ? { width: item.width, left: INDEX_COLUMN_WIDTH + item.left, position: 'sticky', zIndex: 1 }
+    : { width: item.width })
+  const lastPinned = laidOut.filter(item => item.pinned).pop()
+
+  const sortPosition = (name) => query.sort.findIndex(item => item.key === name)
+
   return (
     <div className="space-y-4">
       {/* Search Bar */}
@@ -100,162 +299,221 @@ const DataTable = ({ data = [], columns = [], rowsPerPage = 10 }) => {
           <input
             type="text"
             value={searchTerm}
-            onChange={(e) => {
-              setSearchTerm(e.target.value)
-              setCurrentPage(1) // Reset to first page on search
-            }}
+            onChange={(e) => setSearchTerm(e.target.value)}
             placeholder="Search across all columns..."
             className="w-full bg-gray-700 border border-gray-600 rounded-lg pl-10 pr-4 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
         </div>
-        <div className="text-sm text-gray-400">
-          Showing {startIndex + 1}-{Math.min(endIndex, sortedData.length)} of {sortedData.length} rows
+        {activeFilterCount > 0 && (
+          <button
+            onClick={() => setColumnFilters({})}
+            className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg border border-gray-600 text-gray-300 hover:bg-gray-700 transition-colors"
+          >
+            <X className="w-4 h-4" />
+            Clear {activeFilterCount} column filter{activeFilterCount === 1 ? '' : 's'}
+          </button>
+        )}
+        <div className="text-sm text-gray-400 flex items-center gap-2">
+          {isQuerying && <Loader2 className="w-4 h-4 animate-spin" />}
+          {indices ? `${rowCount.toLocaleString()} of ${data.length.toLocaleString()} rows` : 'Loading rows...'}
         </div>
       </div>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      {editing?.error && (
+        <p className="text-sm text-red-400">
+          {editing.column.name}, row {(editing.rowIndex + 1).toLocaleString()}: {editing.error}
+        </p>
+      )}
 
-      {/* Table Container */}
+      {/* Grid */}
       <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
-        <div className="overflow-x-auto">
-          <table className="w-full">
-            <thead className="bg-gray-700/50">
-              <tr>
-                <th className="px-4 py-3 text-left">
+        <div ref={scrollRef} onScroll={handleScroll} className="overflow-auto relative" style={{ height }}>
+          <div style={{ width: totalWidth, minWidth: '100%' }}>
+            {/* Header: titles, then per-column filters */}
+            <div ref={headerRef} className="sticky top-0 z-20 bg-gray-700">
+              <div className="flex">
+                <div
+                  className="sticky left-0 z-10 bg-gray-700 px-4 py-3 flex-shrink-0"
+                  style={{ width: INDEX_COLUMN_WIDTH }}
+                >
                   <span className="text-xs font-semibold text-gray-400">#</span>
-                </th>
-                {columns.map((column) => (
-                  <th
-                    key={column.name}
-                    className="px-4 py-3 text-left cursor-pointer hover:bg-gray-700/50 transition-colors group"
-                    onClick={() => handleSort(column.name)}
-                  >
-                    <div className="flex items-center gap-2">
-                      <div>
-                        <div className="flex items-center gap-2 mb-1">
-                          <span className="text-sm font-semibold text-white">
-                            {column.name}
+                </div>
+                {laidOut.map(item => {
+                  const { column } = item
+                  const position = sortPosition(column.name)
+                  const direction = query.sort[position]?.direction
+                  return (
+                    <div
+                      key={column.name}
+                      draggable
+                      onDragStart={(e) => {
+                        // Dragging a resize handle resizes rather than moves the column
+                        if (isResizingRef.current) {
+                          e.preventDefault()
+                          return
+                        }
+                        dragColumnRef.current = column.name
+                        e.dataTransfer.setData('text/plain', column.name)
+                      }}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => handleDrop(e, column.name)}
+                      className={`relative flex-shrink-0 bg-gray-700 px-3 py-2 cursor-pointer hover:bg-gray-600/60 transition-colors group ${
+                        item === lastPinned ? 'border-r border-gray-500' : ''
+                      }`}
+                      style={getCellStyle(item)}
+                      onClick={(e) => handleHeaderClick(e, column.name)}
+                      title="Click to sort, shift-click to add to the sort, drag to reorder"
+                    >
+                      <div className="flex items-center gap-1 mb-1 min-w-0">
+                        <span className="text-sm font-semibold text-white truncate">{column.name}</span>
+                        {direction && (
+                          <span className="text-blue-400 text-xs flex-shrink-0">
+                            {direction === 'asc' ? '↑' : '↓'}
+                            {query.sort.length > 1 && <sup>{position + 1}</sup>}
                           </span>
-                          {sortConfig.key === column.name && (
-                            <span className="text-blue-400 text-xs">
-                              {sortConfig.direction === 'asc' ? '↑' : '↓'}
-                            </span>
-                          )}
-                        </div>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-1">
                         <span className={`text-xs px-2 py-0.5 rounded ${getTypeBadgeColor(column.type)}`}>
                           {column.type}
                         </span>
+                        <div className="ml-auto flex items-center opacity-60 group-hover:opacity-100">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              const anchor = e.currentTarget.closest('[draggable]').getBoundingClientRect()
+                              setProfileColumn(profileColumn?.column.name === column.name ? null : { column, anchor })
+                            }}
+                            className="p-1 hover:bg-gray-500 rounded transition-colors"
+                            title="Column profile"
+                          >
+                            <BarChart2 className="w-3.5 h-3.5 text-gray-300" />
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              togglePin(column.name)
+                            }}
+                            className="p-1 hover:bg-gray-500 rounded transition-colors"
+                            title={item.pinned ? 'Unpin column' : 'Pin column to the left'}
+                          >
+                            {item.pinned
+                              ? <PinOff className="w-3.5 h-3.5 text-blue-400" />
+                              : <Pin className="w-3.5 h-3.5 text-gray-300" />}
+                          </button>
+                        </div>
                       </div>
+                      {/* Resize handle */}
+                      <div
+                        onPointerDown={(e) => startResize(e, column.name, item.width)}
+                        onClick={(e) => e.stopPropagation()}
+                        className="absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-blue-500/60"
+                      />
                     </div>
-                  </th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {currentData.length === 0 ? (
-                <tr>
-                  <td colSpan={columns.length + 1} className="px-4 py-8 text-center text-gray-400">
-                    {searchTerm ? 'No results found' : 'No data available'}
-                  </td>
-                </tr>
-              ) : (
-                currentData.map((row, index) => (
-                  <motion.tr
-                    key={startIndex + index}
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    transition={{ delay: index * 0.02 }}
-                    className="border-t border-gray-700 hover:bg-gray-700/30 transition-colors"
+                  )
+                })}
+              </div>
+              <div className="flex border-t border-gray-600">
+                <div className="sticky left-0 z-10 bg-gray-700 flex-shrink-0" style={{ width: INDEX_COLUMN_WIDTH }} />
+                {laidOut.map(item => (
+                  <div
+                    key={item.column.name}
+                    className={`flex-shrink-0 bg-gray-700 px-2 py-1.5 ${item === lastPinned ? 'border-r border-gray-500' : ''}`}
+                    style={getCellStyle(item)}
                   >
-                    <td className="px-4 py-3 text-sm text-gray-500 font-mono">
-                      {startIndex + index + 1}
-                    </td>
-                    {columns.map((column) => (
-                      <td key={column.name} className="px-4 py-3 text-sm text-gray-300">
-                        {formatCellValue(row[column.name], column.type)}
-                      </td>
-                    ))}
-                  </motion.tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
-      </div>
-
-      {/* Pagination */}
-      {totalPages > 1 && (
-        <div className="flex items-center justify-between">
-          <div className="text-sm text-gray-400">
-            Page {currentPage} of {totalPages}
-          </div>
-          
-          <div className="flex items-center gap-2">
-            {/* First Page */}
-            <button
-              onClick={() => setCurrentPage(1)}
-              disabled={currentPage === 1}
-              className="p-2 rounded-lg bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              <ChevronsLeft className="w-4 h-4" />
-            </button>
-            
-            {/* Previous Page */}
-            <button
-              onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
-              disabled={currentPage === 1}
-              className="p-2 rounded-lg bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              <ChevronLeft className="w-4 h-4" />
-            </button>
-            
-            {/* Page Numbers */}
-            <div className="flex items-center gap-1">
-              {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
-                let pageNum
-                if (totalPages <= 5) {
-                  pageNum = i + 1
-                } else if (currentPage <= 3) {
-                  pageNum = i + 1
-                } else if (currentPage >= totalPages - 2) {
-                  pageNum = totalPages - 4 + i
-                } else {
-                  pageNum = currentPage - 2 + i
-                }
-                
-                return (
-                  <button
-                    key={pageNum}
-                    onClick={() => setCurrentPage(pageNum)}
-                    className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
-                      currentPage === pageNum
-                        ? 'bg-blue-600 text-white'
-                        : 'bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white'
-                    }`}
-                  >
-                    {pageNum}
-                  </button>
-                )
-              })}
+                    <ColumnFilterInput
+                      column={item.column}
+                      condition={columnFilters[item.column.name]}
+                      onChange={(condition) => updateFilter(item.column.name, condition)}
+                    />
+                  </div>
+                ))}
+              </div>
             </div>
-            
-            {/* Next Page */}
-            <button
-              onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
-              disabled={currentPage === totalPages}
-              className="p-2 rounded-lg bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              <ChevronRight className="w-4 h-4" />
-            </button>
-            
-            {/* Last Page */}
-            <button
-              onClick={() => setCurrentPage(totalPages)}
-              disabled={currentPage === totalPages}
-              className="p-2 rounded-lg bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              <ChevronsRight className="w-4 h-4" />
-            </button>
+
+            {/* Body: only the visible rows are rendered */}
+            {indices && rowCount === 0 ? (
+              <div className="px-4 py-8 text-center text-gray-400">
+                {searchTerm || activeFilterCount > 0 ? 'No results found' : 'No data available'}
+              </div>
+            ) : (
+              <div className="relative" style={{ height: bodyHeight }}>
+                {indices && Array.from({ length: lastRow - firstRow }, (_, offset) => {
+                  const position = firstRow + offset
+                  const rowIndex = indices[position]
+                  const row = data[rowIndex]
+                  return (
+                    <div
+                      key={rowIndex}
+                      className="absolute left-0 flex border-t border-gray-700 bg-gray-800 hover:bg-gray-700/60 transition-colors"
+                      style={{ top: scrollTop + position * ROW_HEIGHT - virtualTop, height: ROW_HEIGHT, width: totalWidth }}
+                    >
+                      <div
+                        className="sticky left-0 z-10 bg-inherit px-4 flex items-center text-sm text-gray-500 font-mono flex-shrink-0"
+                        style={{ width: INDEX_COLUMN_WIDTH }}
+                      >
+                        {rowIndex + 1}
+                      </div>
+                      {laidOut.map(item => {
+                        const { column } = item
+                        const isEditing = editing?.rowIndex === rowIndex && editing.column.name === column.name
+                        const edit = editedCells && getEditedCell(editedCells, rowIndex, column.name)
+                        return (
+                          <div
+                            key={column.name}
+                            onDoubleClick={() => startEdit(rowIndex, column)}
+                            className={`relative flex-shrink-0 px-3 flex items-center text-sm text-gray-300 overflow-hidden whitespace-nowrap ${
+                              item.pinned ? 'bg-inherit' : ''
+                            } ${item === lastPinned ? 'border-r border-gray-600' : ''} ${
+                              edit ? 'bg-amber-500/15' : ''
+                            } ${onEditCell && !column.formula ? 'cursor-text' : ''}`}
+                            style={getCellStyle(item)}
+                            title={edit ? `Edited, was: ${edit.oldValue === null ? 'null' : formatValue(edit.oldValue, column.type, locale)}` : undefined}
+                          >
+                            {isEditing ? (
+                              <input
+                                autoFocus
+                                value={editing.text}
+                                onChange={(e) => setEditing({ ...editing, text: e.target.value, error: null })}
+                                onKeyDown={handleEditKeyDown}
+                                onBlur={(e) => {
+                                  // Removing the input (Enter, Escape) can blur it too; only leaving the cell saves
+                                  if (e.target.isConnected) commitEdit(false)
+                                }}
+                                className={`w-full bg-gray-900 text-white text-sm border rounded px-1.5 py-0.5 focus:outline-none ${
+                                  editing.error ? 'border-red-500' : 'border-blue-500'
+                                }`}
+                              />
+                            ) : (
+                              <span className="truncate">
+                                {formatCellValue(row[column.name], column.type, column.semanticType)}
+                              </span>
+                            )}
+                            {edit && !isEditing && <span className="absolute top-0 right-0 border-t-[6px] border-l-[6px] border-t-amber-400 border-l-transparent" />}
+                          </div>
+                        )
+                      })}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
           </div>
         </div>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Shift-click headers to sort by several columns · drag headers to reorder, their right edge to resize
+        {onEditCell && ' · double-click a cell to edit it'}
+      </p>
+
+      {profileColumn && (
+        <ColumnProfilePopover
+          column={profileColumn.column}
+          anchor={profileColumn.anchor}
+          getProfile={getProfile}
+          onClose={closeProfile}
+        />
       )}
     </div>
   )
@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import { Database, Edit2, Trash2, Check, X, Layers, GitMerge } from 'lucide-react'
+import { describeDerived, getDependentDatasetIds } from '../utils/datasetHelpers'
+
+/**
+ * DatasetsPanel Component
+ * Lists the loaded datasets and the views combined from them. The active
+ * dataset is the one the prep panels and new charts work on; datasets can
+ * be activated, renamed and removed (removing one also removes the views
+ * built from it).
+ *
+ * Props:
+ * - datasets: Datasets (see datasetHelpers)
+ * - activeDatasetId: Id of the active dataset
+ * - onActivate: Called with a dataset id
+ * - onRename: Called with a dataset id and the new name
+ * - onRemove: Called with a dataset id
+ */
+const DatasetsPanel = ({ datasets, activeDatasetId, onActivate, onRename, onRemove }) => {
+  const [editing, setEditing] = useState(null) // { id, name }
+
+  const finishRename = () => {
+    if (editing.name.trim()) onRename(editing.id, editing.name)
+    setEditing(null)
+  }
+
+  const handleRemove = (dataset) => {
+    const dependents = getDependentDatasetIds(datasets, dataset.id)
+      .map(id => datasets.find(item => item.id === id).name)
+    const message = dependents.length > 0
+      ? `Remove "${dataset.name}"? The views built from it will be removed too: ${dependents.join(', ')}`
+      : `Remove "${dataset.name}"?`
+    if (confirm(message)) onRemove(dataset.id)
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+      <div className="mb-4">
+        <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+          <Database className="w-5 h-5 text-blue-400" />
+          Datasets
+        </h3>
+        <p className="text-sm text-gray-400">
+          The active dataset is the one prepared below and used by new charts; a chart can also target another dataset
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        {datasets.map(dataset => {
+          const isActive = dataset.id === activeDatasetId
+          const Icon = dataset.derived?.type === 'union' ? Layers : dataset.derived ? GitMerge : Database
+          return (
+            <div
+              key={dataset.id}
+              className={`flex items-center gap-3 rounded-lg px-4 py-2 border ${
+                isActive ? 'bg-blue-500/10 border-blue-500/40' : 'bg-gray-700/50 border-transparent'
+              }`}
+            >
+              <Icon className={`w-4 h-4 flex-shrink-0 ${isActive ? 'text-blue-400' : 'text-gray-400'}`} />
+              <div className="flex-1 min-w-0">
+                {editing?.id === dataset.id ? (
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename()
+                      if (e.key === 'Escape') setEditing(null)
+                    }}
+                    autoFocus
+                    className="w-full bg-gray-700 text-white border border-gray-600 rounded px-2 py-1 focus:outline-none focus:border-blue-500"
+                  />
+                ) : (
+                  <p className="text-white font-medium truncate">{dataset.name}</p>
+                )}
+                <p className="text-xs text-gray-400 truncate">
+                  {dataset.derived ? describeDerived(dataset.derived, datasets) : dataset.fileName}
+                  {' · '}{dataset.data.length.toLocaleString()} rows · {dataset.columns.length} columns
+                </p>
+              </div>
+
+              {editing?.id === dataset.id ? (
+                <>
+                  <button onClick={finishRename} className="p-2 hover:bg-gray-600 rounded-lg transition-colors" title="Save name">
+                    <Check className="w-4 h-4 text-green-400" />
+                  </button>
+                  <button onClick={() => setEditing(null)} className="p-2 hover:bg-gray-600 rounded-lg transition-colors" title="Cancel">
+                    <X className="w-4 h-4 text-gray-400" />
+                  </button>
+                </>
+              ) : (
+                <>
+                  {isActive ? (
+                    <span className="text-xs text-blue-300 px-2">Active</span>
+                  ) : (
+                    <button
+                      onClick={() => onActivate(dataset.id)}
+                      className="px-3 py-1 text-xs rounded-lg border border-gray-600 text-gray-300 hover:bg-gray-600 hover:text-white transition-colors"
+                    >
+                      Make Active
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setEditing({ id: dataset.id, name: dataset.name })}
+                    className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                    title="Rename"
+                  >
+                    <Edit2 className="w-4 h-4 text-gray-400 hover:text-white" />
+                  </button>
+                  <button
+                    onClick={() => handleRemove(dataset)}
+                    className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                    title="Remove dataset"
+                  >
+                    <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                  </button>
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default DatasetsPanel
@@ -2,6 +2,8 @@ import { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { X, FileText, Download, Loader2, CheckCircle, AlertCircle } from 'lucide-react'
 import useStore from '../store/useStore'
+import useFilteredData from '../hooks/useFilteredData'
+import useLocale from '../hooks/useLocale'
 import {
   exportToCSV,
   exportToJSON,
@@ -14,8 +16,7 @@ const ExportModal = () => {
   const {
     showExportModal,
     setShowExportModal,
-    csvData,
-    dataStats,
+    dataColumns,
     chartConfigs,
     aiInsights,
     aiRecommendations,
@@ -23,6 +24,11 @@ const ExportModal = () => {
     aiAnomalies,
   } = useStore()
 
+  // Every format exports the rows matching the dashboard filters
+  const { data: csvData, stats: dataStats, totalRows, isFiltered, isSummarizing } = useFilteredData()
+  // Numbers and dates are written the way the dataset's locale writes them
+  const locale = useLocale()
+
   const [exportStatus, setExportStatus] = useState(null) // { type: 'success' | 'error', message: '' }
   const [isExporting, setIsExporting] = useState(false)
   const [selectedFormat, setSelectedFormat] = useState(null)
@@ -42,7 +48,7 @@ const ExportModal = () => {
     },
     {
       format: 'Excel',
-      description: 'Enhanced spreadsheet format',
+      description: 'Workbook with data, summary, insights & chart sheets',
       icon: '📗',
       color: 'emerald',
     },
@@ -59,7 +65,9 @@ const ExportModal = () => {
     if (!csvData || csvData.length === 0) {
       setExportStatus({
         type: 'error',
-        message: 'No data to export. Please upload a CSV file first.',
+        message: totalRows > 0
+          ? 'No rows match the dashboard filters. Clear or widen the filters to export.'
+          : 'No data to export. Please upload a CSV file first.',
       })
       return
     }
@@ -83,6 +91,7 @@ const ExportModal = () => {
             includeCharts: true,
             includeInsights: true,
             includeData: false, // Don't include full data table to keep PDF manageable
+            locale,
           }
           result = await exportToPDF(exportData)
           break
@@ -91,14 +100,22 @@ const ExportModal = () => {
         case 'CSV': {
           // Export raw CSV data
           const filename = `analytics-data-${new Date().toISOString().split('T')[0]}.csv`
-          result = exportToCSV(csvData, filename)
+          result = exportToCSV(csvData, filename, { locale })
           break
         }
 
         case 'Excel': {
-          // Export as Excel format
+          // Export as a workbook: data, summary, insights and one sheet per chart
           const filename = `analytics-data-${new Date().toISOString().split('T')[0]}.xlsx`
-          result = exportToExcel(csvData, filename)
+          result = await exportToExcel({
+            csvData,
+            dataColumns,
+            dataStats,
+            aiInsights,
+            aiRecommendations,
+            chartConfigs,
+            locale,
+          }, filename)
           break
         }
 
@@ -228,7 +245,7 @@ const ExportModal = () => {
                   <span className="font-semibold text-blue-400">
                     {csvData.length.toLocaleString()}
                   </span>{' '}
-                  rows •{' '}
+                  {isFiltered ? `of ${totalRows.toLocaleString()} rows (filtered)` : 'rows'} •{' '}
                   <span className="font-semibold text-blue-400">
                     {Object.keys(csvData[0] || {}).length}
                   </span>{' '}
@@ -266,7 +283,8 @@ const ExportModal = () => {
                   animate={{ opacity: 1, x: 0 }}
                   transition={{ delay: index * 0.1 }}
                   onClick={() => handleExport(option.format)}
-                  disabled={isExporting}
+                  disabled={isExporting || isSummarizing}
+                  title={isSummarizing ? 'Summarising the filtered rows...' : undefined}
                   className={`w-full flex items-center gap-4 p-4 rounded-lg transition-all ${
                     isExporting && selectedFormat === option.format
                       ? 'bg-blue-600'
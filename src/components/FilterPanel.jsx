@@ -0,0 +1,390 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Plus, Trash2, X, SlidersHorizontal } from 'lucide-react'
+import {
+  EMPTY_FILTER_TREE,
+  createFilterGroup,
+  createCondition,
+  isConditionActive,
+  getRegexError,
+  getDatasetsWithoutColumn
+} from '../utils/filterHelpers'
+
+// Pick a slider step that gives ~100 positions, whole numbers for integer columns
+const getStep = (column) => {
+  const range = column.max - column.min
+  if (!isFinite(range) || range <= 0) return 1
+  const integers = Number.isInteger(column.min) && Number.isInteger(column.max)
+  if (integers && range <= 100) return 1
+  const step = range / 100
+  return integers ? Math.ceil(step) : Number(step.toPrecision(2))
+}
+
+// Toggle between AND and OR
+const LogicToggle = ({ value, onChange }) => (
+  <div className="inline-flex rounded-lg border border-gray-600 overflow-hidden text-xs font-semibold">
+    {['and', 'or'].map(logic => (
+      <button
+        key={logic}
+        type="button"
+        onClick={() => onChange(logic)}
+        className={`px-2.5 py-1 uppercase transition-colors ${
+          value === logic ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-400 hover:text-white'
+        }`}
+      >
+        {logic}
+      </button>
+    ))}
+  </div>
+)
+
+/**
+ * Operand inputs for one condition, chosen by the column type
+ * (also used for the KPI card filter in ChartConfigurator)
+ */
+export const ConditionInput = ({ condition, column, onChange }) => {
+  switch (condition.type) {
+    case 'number': {
+      if (column.min === undefined || column.max === undefined) {
+        return <p className="text-xs text-gray-500">No numeric values</p>
+      }
+      const low = condition.min ?? column.min
+      const high = condition.max ?? column.max
+      const step = getStep(column)
+      // Store null at the column bounds so the range stays open when the data grows
+      const setLow = (value) => onChange({ min: Math.min(value, high) <= column.min ? null : Math.min(value, high) })
+      const setHigh = (value) => onChange({ max: Math.max(value, low) >= column.max ? null : Math.max(value, low) })
+
+      return (
+        <div className="space-y-1">
+          <div className="flex justify-between text-xs text-gray-400">
+            <span>{Number(low).toLocaleString()}</span>
+            <span>{Number(high).toLocaleString()}</span>
+          </div>
+          <input
+            type="range"
+            min={column.min}
+            max={column.max}
+            step={step}
+            value={low}
+            onChange={(e) => setLow(Number(e.target.value))}
+            className="w-full accent-blue-500"
+            aria-label={`${condition.column} minimum`}
+          />
+          <input
+            type="range"
+            min={column.min}
+            max={column.max}
+            step={step}
+            value={high}
+            onChange={(e) => setHigh(Number(e.target.value))}
+            className="w-full accent-blue-500"
+            aria-label={`${condition.column} maximum`}
+          />
+        </div>
+      )
+    }
+
+    case 'date': {
+      const bounds = {
+        min: column.minDate ? column.minDate.split('T')[0] : undefined,
+        max: column.maxDate ? column.maxDate.split('T')[0] : undefined
+      }
+      return (
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={condition.from}
+            min={bounds.min}
+            max={condition.to || bounds.max}
+            onChange={(e) => onChange({ from: e.target.value })}
+            className="flex-1 min-w-0 bg-gray-700 text-white border border-gray-600 rounded-lg px-2 py-1 text-sm focus:outline-none focus:border-blue-500"
+          />
+          <span className="text-gray-500 text-sm">to</span>
+          <input
+            type="date"
+            value={condition.to}
+            min={condition.from || bounds.min}
+            max={bounds.max}
+            onChange={(e) => onChange({ to: e.target.value })}
+            className="flex-1 min-w-0 bg-gray-700 text-white border border-gray-600 rounded-lg px-2 py-1 text-sm focus:outline-none focus:border-blue-500"
+          />
+        </div>
+      )
+    }
+
+    case 'category': {
+      const selected = new Set(condition.values)
+      const toggle = (value) => {
+        onChange({
+          values: selected.has(value)
+            ? condition.values.filter(v => v !== value)
+            : [...condition.values, value]
+        })
+      }
+      return (
+        <div className="max-h-36 overflow-y-auto space-y-1 pr-1">
+          {(column.categories || []).map(value => (
+            <label key={value} className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selected.has(String(value))}
+                onChange={() => toggle(String(value))}
+                className="accent-blue-500"
+              />
+              <span className="truncate">{String(value)}</span>
+            </label>
+          ))}
+        </div>
+      )
+    }
+
+    case 'boolean':
+      return (
+        <div className="inline-flex rounded-lg border border-gray-600 overflow-hidden text-sm">
+          {[null, true, false].map(value => (
+            <button
+              key={String(value)}
+              type="button"
+              onClick={() => onChange({ value })}
+              className={`px-3 py-1 transition-colors ${
+                condition.value === value ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-400 hover:text-white'
+              }`}
+            >
+              {value === null ? 'Any' : value ? 'True' : 'False'}
+            </button>
+          ))}
+        </div>
+      )
+
+    default: {
+      const regexError = condition.operator === 'regex' && condition.text ? getRegexError(condition.text) : null
+      return (
+        <div className="space-y-1">
+          <div className="flex gap-2">
+            <select
+              value={condition.operator}
+              onChange={(e) => onChange({ operator: e.target.value })}
+              className="bg-gray-700 text-white border border-gray-600 rounded-lg px-2 py-1 text-sm focus:outline-none focus:border-blue-500"
+            >
+              <option value="contains">contains</option>
+              <option value="regex">matches regex</option>
+            </select>
+            <input
+              type="text"
+              value={condition.text}
+              onChange={(e) => onChange({ text: e.target.value })}
+              placeholder={condition.operator === 'regex' ? '^North|South$' : 'Search text'}
+              className={`flex-1 min-w-0 bg-gray-700 text-white border rounded-lg px-2 py-1 text-sm focus:outline-none ${
+                regexError ? 'border-red-500' : 'border-gray-600 focus:border-blue-500'
+              }`}
+            />
+          </div>
+          {regexError && <p className="text-xs text-red-400">Invalid pattern (ignored): {regexError}</p>}
+        </div>
+      )
+    }
+  }
+}
+
+/**
+ * FilterPanel Component
+ * Builds the dashboard's filter tree: groups of typed conditions
+ * combined with AND/OR
+ *
+ * Props:
+ * - columns: Column metadata from inferColumnTypes
+ * - filterTree: Current filter tree (see filterHelpers)
+ * - datasets: Datasets the filters apply to, to mark conditions on columns they lack (optional)
+ * - onChange: Called with the updated filter tree
+ * - onClose: Called when the panel is closed (optional)
+ */
+const FilterPanel = ({ columns = [], filterTree, datasets = [], onChange, onClose }) => {
+  const tree = filterTree || EMPTY_FILTER_TREE
+  const [newColumn, setNewColumn] = useState({}) // groupId -> column name to add
+
+  const columnsByName = {}
+  columns.forEach(col => {
+    columnsByName[col.name] = col
+  })
+
+  const updateGroup = (groupId, changes) => {
+    onChange({
+      ...tree,
+      groups: tree.groups.map(group => (group.id === groupId ? { ...group, ...changes } : group))
+    })
+  }
+
+  const updateCondition = (group, conditionId, changes) => {
+    updateGroup(group.id, {
+      conditions: group.conditions.map(condition =>
+        condition.id === conditionId ? { ...condition, ...changes } : condition
+      )
+    })
+  }
+
+  const removeCondition = (group, conditionId) => {
+    updateGroup(group.id, { conditions: group.conditions.filter(c => c.id !== conditionId) })
+  }
+
+  const addCondition = (group) => {
+    const column = columnsByName[newColumn[group.id]] || columns[0]
+    if (!column) return
+    updateGroup(group.id, { conditions: [...group.conditions, createCondition(column)] })
+  }
+
+  const addGroup = () => {
+    onChange({ ...tree, groups: [...tree.groups, createFilterGroup()] })
+  }
+
+  const removeGroup = (groupId) => {
+    onChange({ ...tree, groups: tree.groups.filter(group => group.id !== groupId) })
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-gray-800 rounded-2xl p-5 border border-gray-700 space-y-4"
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div className="flex items-center gap-3">
+          <SlidersHorizontal className="w-5 h-5 text-blue-400" />
+          <h3 className="text-lg font-semibold text-white">Filters</h3>
+          {tree.groups.length > 1 && (
+            <div className="flex items-center gap-2 text-sm text-gray-400">
+              <span>Groups match</span>
+              <LogicToggle value={tree.logic} onChange={(logic) => onChange({ ...tree, logic })} />
+            </div>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {tree.groups.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange(EMPTY_FILTER_TREE)}
+              className="text-sm text-gray-400 hover:text-white underline-offset-2 hover:underline"
+            >
+              Clear filters
+            </button>
+          )}
+          {onClose && (
+            <button type="button" onClick={onClose} className="p-1.5 hover:bg-gray-700 rounded-lg transition-colors">
+              <X className="w-4 h-4 text-gray-400" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Groups */}
+      {tree.groups.length === 0 && (
+        <p className="text-sm text-gray-400">No filters yet. Add a group to start narrowing down the rows.</p>
+      )}
+
+      {tree.groups.map((group, groupIndex) => (
+        <div key={group.id}>
+          {groupIndex > 0 && (
+            <p className="text-xs font-semibold uppercase text-blue-400 text-center mb-2">{tree.logic}</p>
+          )}
+          <div className="bg-gray-700/40 border border-gray-700 rounded-xl p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2 text-sm text-gray-400">
+                <span>Group {groupIndex + 1}: match</span>
+                <LogicToggle value={group.logic} onChange={(logic) => updateGroup(group.id, { logic })} />
+              </div>
+              <button
+                type="button"
+                onClick={() => removeGroup(group.id)}
+                className="p-1.5 hover:bg-gray-700 rounded-lg transition-colors"
+                title="Remove group"
+              >
+                <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+              </button>
+            </div>
+
+            {/* Conditions */}
+            <div className="grid gap-3 md:grid-cols-2">
+              {group.conditions.map(condition => {
+                const column = columnsByName[condition.column]
+                const skipped = getDatasetsWithoutColumn(condition.column, datasets)
+                return (
+                  <div
+                    key={condition.id}
+                    className={`rounded-lg p-3 border ${
+                      skipped.length > 0 || !column
+                        ? 'border-dashed border-yellow-500/40 bg-gray-800/60'
+                        : isConditionActive(condition) ? 'border-blue-500/40 bg-blue-500/5' : 'border-gray-600 bg-gray-800/60'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between mb-2">
+                      <p className="text-sm font-medium text-white truncate">
+                        {condition.column}
+                        <span className="ml-2 text-xs font-normal text-gray-500">{condition.type}</span>
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => removeCondition(group, condition.id)}
+                        className="p-1 hover:bg-gray-700 rounded"
+                        title="Remove condition"
+                      >
+                        <X className="w-3.5 h-3.5 text-gray-400" />
+                      </button>
+                    </div>
+                    {column && (
+                      <ConditionInput
+                        condition={condition}
+                        column={column}
+                        onChange={(changes) => updateCondition(group, condition.id, changes)}
+                      />
+                    )}
+                    {(skipped.length > 0 || !column) && (
+                      <p className={`text-xs text-yellow-400 ${column ? 'mt-2' : ''}`}>
+                        Not applied to {skipped.length > 0 ? skipped.join(', ') : 'the current data'} (no such column)
+                      </p>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+
+            {/* Add Condition */}
+            <div className="flex items-center gap-2">
+              <select
+                value={newColumn[group.id] || columns[0]?.name || ''}
+                onChange={(e) => setNewColumn({ ...newColumn, [group.id]: e.target.value })}
+                className="bg-gray-700 text-white border border-gray-600 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-blue-500"
+              >
+                {columns.map(col => (
+                  <option key={col.name} value={col.name}>
+                    {col.name} ({col.type})
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => addCondition(group)}
+                disabled={columns.length === 0}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-gray-700 text-gray-300 hover:bg-gray-600 hover:text-white transition-colors disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                Add condition
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addGroup}
+        className="flex items-center gap-2 px-4 py-2 text-sm rounded-lg border border-dashed border-gray-600 text-gray-400 hover:border-blue-500 hover:text-white transition-colors"
+      >
+        <Plus className="w-4 h-4" />
+        Add filter group
+      </button>
+    </motion.div>
+  )
+}
+
+export default FilterPanel
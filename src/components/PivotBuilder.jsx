@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import { GripVertical, X } from 'lucide-react';
+import { PIVOT_AGGREGATIONS } from '../utils/pivotHelpers';
+
+// Drop zones: config field, title and hint
+const PIVOT_ZONES = [
+  { field: 'pivotRows', name: 'Rows', hint: 'Outermost first' },
+  { field: 'pivotColumns', name: 'Columns', hint: 'Outermost first' },
+  { field: 'pivotValues', name: 'Values', hint: 'Empty = count rows' },
+];
+
+const PIVOT_OPTIONS = [
+  { field: 'showSubtotals', name: 'Subtotals' },
+  { field: 'showGrandTotals', name: 'Grand totals' },
+  { field: 'heatmap', name: 'Heatmap coloring' },
+];
+
+// Value fields default to a sum for numbers and a count for everything else
+const createValueField = (column) => ({
+  column: column.name,
+  aggregation: column.type === 'number' ? 'sum' : 'count',
+});
+
+/**
+ * PivotBuilder
+ * Drag columns from the field list into the Rows, Columns and Values zones
+ * (or between zones) to configure a pivot table. Each zone also has a
+ * picker for adding fields without dragging.
+ *
+ * Props:
+ * - columns: Column metadata ({ name, type })
+ * - config: Current pivot fields ({ pivotRows, pivotColumns, pivotValues, showSubtotals, showGrandTotals, heatmap })
+ * - onChange: Called with the changed fields
+ */
+const PivotBuilder = ({ columns, config, onChange }) => {
+  const [dragOverZone, setDragOverZone] = useState(null);
+  const rows = config.pivotRows || [];
+  const pivotColumns = config.pivotColumns || [];
+  const values = config.pivotValues || [];
+
+  const getZoneColumns = (field) =>
+    field === 'pivotValues' ? values.map((value) => value.column) : config[field] || [];
+
+  // Move a column into a zone (dimensions appear in one zone only; values may repeat)
+  const addToZone = (zone, columnName, fromZone = null, fromIndex = null) => {
+    const column = columns.find((col) => col.name === columnName);
+    if (!column) return;
+
+    const changes = {};
+    if (fromZone && fromZone !== zone) {
+      changes[fromZone] = (config[fromZone] || []).filter((_, index) => index !== fromIndex);
+    }
+    if (zone === 'pivotValues') {
+      if (fromZone === 'pivotValues') return;
+      changes.pivotValues = [...values, createValueField(column)];
+    } else {
+      // Dropping a dimension in its own zone moves it to the end
+      const other = zone === 'pivotRows' ? 'pivotColumns' : 'pivotRows';
+      changes[zone] = [...(config[zone] || []).filter((name) => name !== columnName), columnName];
+      changes[other] = (changes[other] || config[other] || []).filter((name) => name !== columnName);
+    }
+    onChange(changes);
+  };
+
+  const removeFromZone = (zone, index) => {
+    onChange({ [zone]: (config[zone] || []).filter((_, i) => i !== index) });
+  };
+
+  const handleDragStart = (e, columnName, fromZone = null, fromIndex = null) => {
+    e.dataTransfer.setData('text/plain', JSON.stringify({ columnName, fromZone, fromIndex }));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = (e, zone) => {
+    e.preventDefault();
+    setDragOverZone(null);
+    try {
+      const { columnName, fromZone, fromIndex } = JSON.parse(e.dataTransfer.getData('text/plain'));
+      addToZone(zone, columnName, fromZone, fromIndex);
+    } catch {
+      // Not one of our field chips
+    }
+  };
+
+  const usedDimensions = new Set([...rows, ...pivotColumns]);
+
+  return (
+    <div className="space-y-4">
+      {/* Field List */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Fields</label>
+        <div className="flex flex-wrap gap-2">
+          {columns.map((col) => (
+            <span
+              key={col.name}
+              draggable
+              onDragStart={(e) => handleDragStart(e, col.name)}
+              className={`flex items-center gap-1 px-2 py-1 rounded border text-xs cursor-grab ${
+                usedDimensions.has(col.name) ? 'bg-gray-100 text-gray-400' : 'bg-white text-gray-700'
+              }`}
+              title={`${col.name} (${col.type})`}
+            >
+              <GripVertical className="w-3 h-3" />
+              {col.name}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Drop Zones */}
+      {PIVOT_ZONES.map((zone) => {
+        const zoneColumns = getZoneColumns(zone.field);
+        const pickable = columns.filter((col) =>
+          zone.field === 'pivotValues' ? true : !usedDimensions.has(col.name)
+        );
+        return (
+          <div key={zone.field}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {zone.name} <span className="text-xs font-normal text-gray-500">({zone.hint})</span>
+            </label>
+            <div
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOverZone(zone.field);
+              }}
+              onDragLeave={() => setDragOverZone(null)}
+              onDrop={(e) => handleDrop(e, zone.field)}
+              className={`min-h-[44px] p-2 rounded-lg border-2 border-dashed space-y-2 transition-colors ${
+                dragOverZone === zone.field ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+              }`}
+            >
+              {zoneColumns.map((columnName, index) => (
+                <div
+                  key={`${columnName}-${index}`}
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, columnName, zone.field, index)}
+                  className="flex items-center gap-2 px-2 py-1 bg-blue-50 border border-blue-200 rounded text-sm cursor-grab"
+                >
+                  <GripVertical className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                  <span className="flex-1 truncate text-gray-800">{columnName}</span>
+                  {zone.field === 'pivotValues' && (
+                    <select
+                      value={values[index].aggregation}
+                      onChange={(e) =>
+                        onChange({
+                          pivotValues: values.map((value, i) =>
+                            i === index ? { ...value, aggregation: e.target.value } : value
+                          ),
+                        })
+                      }
+                      className="px-1 py-0.5 border rounded text-xs"
+                    >
+                      {PIVOT_AGGREGATIONS.map((item) => (
+                        <option key={item.id} value={item.id}>
+                          {item.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    onClick={() => removeFromZone(zone.field, index)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <select
+                value=""
+                onChange={(e) => addToZone(zone.field, e.target.value)}
+                className="w-full px-2 py-1 border rounded text-xs text-gray-500 bg-white"
+              >
+                <option value="">Drop a field here or pick one...</option>
+                {pickable.map((col) => (
+                  <option key={col.name} value={col.name}>
+                    {col.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        );
+      })}
+
+      {/* Options */}
+      <div className="flex flex-wrap gap-4">
+        {PIVOT_OPTIONS.map((option) => (
+          <label key={option.field} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={option.field === 'heatmap' ? Boolean(config.heatmap) : config[option.field] !== false}
+              onChange={(e) => onChange({ [option.field]: e.target.checked })}
+              className="w-4 h-4"
+            />
+            {option.name}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PivotBuilder;
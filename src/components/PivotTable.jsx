@@ -0,0 +1,232 @@
+import { useState, useMemo } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+import { getHeatmapColor } from '../utils/chartHelpers';
+import { getColumnSlots, getValueFieldLabel, getVisibleRows, toPathKey } from '../utils/pivotHelpers';
+import { formatNumber } from '../utils/localeHelpers';
+import useLocale from '../hooks/useLocale';
+
+// Table colors per theme
+const PIVOT_THEME_CLASSES = {
+  dark: {
+    header: 'bg-gray-900 text-gray-300',
+    border: 'border-gray-700',
+    cell: 'text-gray-200',
+    label: 'text-gray-200',
+    total: 'bg-gray-900/60 text-white font-semibold',
+    muted: 'text-gray-400',
+    button: 'text-gray-400 hover:text-white',
+  },
+  light: {
+    header: 'bg-gray-100 text-gray-700',
+    border: 'border-gray-200',
+    cell: 'text-gray-800',
+    label: 'text-gray-800',
+    total: 'bg-gray-50 text-gray-900 font-semibold',
+    muted: 'text-gray-500',
+    button: 'text-gray-500 hover:text-gray-900',
+  },
+};
+
+const formatPivotValue = (value, locale) => {
+  if (value === null || value === undefined) return '';
+  return formatNumber(value, locale);
+};
+
+// Header rows for the column dimensions: one per level, groups spanning their slots
+const buildHeaderRows = (slots, levels, valueCount) => {
+  const rows = [];
+  for (let depth = 0; depth < levels; depth++) {
+    const cells = [];
+    slots.forEach((slot) => {
+      if (slot.path.length > depth) {
+        const key = toPathKey(slot.path.slice(0, depth + 1));
+        const last = cells[cells.length - 1];
+        if (last && last.key === key) {
+          last.colSpan += valueCount;
+        } else {
+          cells.push({ key, label: slot.path[depth], colSpan: valueCount, rowSpan: 1 });
+        }
+      } else if (slot.path.length === depth) {
+        // Totals start on the level below their group and span the remaining levels
+        cells.push({
+          key: `${toPathKey(slot.path)}\u0000total`,
+          label: depth === 0 ? 'Grand Total' : `${slot.path[depth - 1]} Total`,
+          colSpan: valueCount,
+          rowSpan: levels - depth,
+          isTotal: true,
+        });
+      }
+    });
+    rows.push(cells);
+  }
+  return rows;
+};
+
+/**
+ * PivotTable
+ * Renders a pivot from buildPivot: row groups can be expanded and collapsed,
+ * group rows carry their subtotals, and cells can be colored on a heatmap
+ * scale per value field.
+ *
+ * Props:
+ * - pivot: Result of buildPivot
+ * - config: Pivot config (pivotRows, pivotColumns, showSubtotals, showGrandTotals, heatmap)
+ * - theme: 'dark' (dashboard) or 'light' (configurator preview)
+ * - maxHeight: Maximum height in pixels before the table scrolls
+ */
+const PivotTable = ({ pivot, config, theme = 'dark', maxHeight = 400 }) => {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const classes = PIVOT_THEME_CLASSES[theme];
+  const locale = useLocale();
+  const rowDims = config.pivotRows || [];
+  const columnLevels = (config.pivotColumns || []).length;
+  const valueCount = pivot.valueFields.length;
+  const showSubtotals = config.showSubtotals !== false;
+  const showGrandTotals = config.showGrandTotals !== false;
+
+  const slots = useMemo(
+    () => getColumnSlots(pivot.columnTree, { showSubtotals, showGrandTotals }),
+    [pivot, showSubtotals, showGrandTotals]
+  );
+  const headerRows = useMemo(() => buildHeaderRows(slots, columnLevels, valueCount), [slots, columnLevels, valueCount]);
+  const visibleRows = useMemo(() => getVisibleRows(pivot.rowTree, collapsed), [pivot, collapsed]);
+  // Name the value fields in their own header row unless a single field is implied
+  const showValueRow = valueCount > 1 || columnLevels === 0;
+  const headerDepth = columnLevels + (showValueRow ? 1 : 0);
+
+  const toggleRow = (key) => {
+    const next = new Set(collapsed);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
+    }
+    setCollapsed(next);
+  };
+
+  // Only innermost cells are colored; totals would dwarf them
+  const getCellStyle = (rowPath, slot, valueIndex, value) => {
+    const range = pivot.ranges[valueIndex];
+    const isInnermost = rowPath.length === rowDims.length && slot.path.length === columnLevels;
+    if (!config.heatmap || !isInnermost || value === null || !range) return undefined;
+    return { backgroundColor: getHeatmapColor(value, range.min, range.max) };
+  };
+
+  const renderValueCells = (rowPath, isGroupRow) =>
+    slots.flatMap((slot) =>
+      pivot.valueFields.map((_, valueIndex) => {
+        // Group rows show their subtotals only when subtotals are on
+        const hidden = isGroupRow && !showSubtotals;
+        const value = hidden ? null : pivot.getValue(rowPath, slot.path, valueIndex);
+        return (
+          <td
+            key={`${toPathKey(slot.path)}\u0000${slot.type}\u0000${valueIndex}`}
+            className={`px-3 py-1.5 text-right whitespace-nowrap border-t ${classes.border} ${
+              slot.type === 'cell' ? '' : 'font-semibold'
+            }`}
+            style={getCellStyle(rowPath, slot, valueIndex, value)}
+          >
+            {formatPivotValue(value, locale)}
+          </td>
+        );
+      })
+    );
+
+  return (
+    <div className="flex flex-col gap-2 h-full">
+      <div className={`overflow-auto rounded-lg border ${classes.border}`} style={{ maxHeight }}>
+        <table className={`min-w-full text-sm ${classes.cell}`}>
+          <thead className={`sticky top-0 ${classes.header}`}>
+            {headerRows.map((cells, depth) => (
+              <tr key={depth}>
+                {depth === 0 && (
+                  <th rowSpan={headerDepth} className="px-3 py-2 text-left font-semibold align-bottom whitespace-nowrap">
+                    {rowDims.join(' / ')}
+                  </th>
+                )}
+                {cells.map((cell) => (
+                  <th
+                    key={cell.key}
+                    colSpan={cell.colSpan}
+                    rowSpan={cell.rowSpan}
+                    className={`px-3 py-2 text-center whitespace-nowrap border-l ${classes.border} ${
+                      cell.isTotal ? 'font-semibold' : 'font-medium'
+                    }`}
+                  >
+                    {cell.label}
+                  </th>
+                ))}
+              </tr>
+            ))}
+            {showValueRow && (
+              <tr>
+                {headerRows.length === 0 && (
+                  <th className="px-3 py-2 text-left font-semibold whitespace-nowrap">{rowDims.join(' / ')}</th>
+                )}
+                {slots.flatMap((slot) =>
+                  pivot.valueFields.map((field, valueIndex) => (
+                    <th
+                      key={`${toPathKey(slot.path)}\u0000${slot.type}\u0000${valueIndex}`}
+                      className={`px-3 py-2 text-right font-medium whitespace-nowrap border-l ${classes.border}`}
+                    >
+                      {getValueFieldLabel(field)}
+                    </th>
+                  ))
+                )}
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {visibleRows.map((node) => {
+              const isLeafRow = node.children.length === 0;
+              const isCollapsed = collapsed.has(node.key);
+              const Chevron = isCollapsed ? ChevronRight : ChevronDown;
+              return (
+                <tr key={node.key} className={isLeafRow ? '' : 'font-medium'}>
+                  <td
+                    className={`py-1.5 pr-3 whitespace-nowrap border-t ${classes.border} ${classes.label}`}
+                    style={{ paddingLeft: 12 + node.depth * 16 }}
+                  >
+                    {isLeafRow ? (
+                      node.label
+                    ) : (
+                      <button
+                        onClick={() => toggleRow(node.key)}
+                        className={`flex items-center gap-1 ${classes.button}`}
+                        title={isCollapsed ? 'Expand' : 'Collapse'}
+                      >
+                        <Chevron className="w-4 h-4" />
+                        {node.label}
+                      </button>
+                    )}
+                  </td>
+                  {renderValueCells(node.path, !isLeafRow)}
+                </tr>
+              );
+            })}
+            {(showGrandTotals || rowDims.length === 0) && (
+              <tr className={classes.total}>
+                <td className={`px-3 py-1.5 whitespace-nowrap border-t ${classes.border}`}>
+                  {rowDims.length > 0 ? 'Grand Total' : 'Total'}
+                </td>
+                {renderValueCells([], false)}
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {pivot.truncatedRows > 0 && (
+        <p className={`text-xs ${classes.muted}`}>
+          {pivot.truncatedRows} more row combinations not shown; totals include them
+        </p>
+      )}
+      {pivot.truncatedColumns > 0 && (
+        <p className={`text-xs ${classes.muted}`}>
+          {pivot.truncatedColumns} more column combinations not shown; totals include them
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PivotTable;
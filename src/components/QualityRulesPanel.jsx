@@ -0,0 +1,417 @@
+import { useState } from 'react'
+import { ShieldCheck, Trash2, AlertCircle, CheckCircle, ChevronDown, ChevronRight, Loader2 } from 'lucide-react'
+import {
+  QUALITY_RULE_TYPES,
+  createQualityRule,
+  describeQualityRule,
+  runQualityRules,
+  validateQualityRule
+} from '../utils/qualityHelpers'
+import { validateFormula } from '../utils/formulaHelpers'
+
+// Rows the draft rule is previewed on, and offending rows listed per rule
+const PREVIEW_SAMPLE_ROWS = 1000
+const SHOWN_FAILING_ROWS = 20
+// Most distinct values offered as an allowed-values list
+const MAX_LISTED_VALUES = 100
+
+const inputClass = 'w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500'
+const labelClass = 'block text-sm font-medium text-gray-400 mb-2'
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+const formatCell = (value) => (isEmpty(value) ? 'NULL' : String(value))
+
+const formatPercent = (rate) => `${(Math.round(rate * 1000) / 10).toLocaleString()}%`
+
+const getTypeName = (type) => QUALITY_RULE_TYPES.find(item => item.id === type)?.name || type
+
+// The draft keeps allowed values as typed (one per line) until it is saved
+const toRule = (draft) => {
+  if (draft.type !== 'allowedValues') return draft
+  const { valuesText, ...rule } = draft
+  return { ...rule, values: Array.from(new Set(valuesText.split('\n').map(value => value.trim()).filter(Boolean))) }
+}
+
+// A column's distinct values, sorted, or null when there are too many to list
+const getDistinctValues = (rows, column) => {
+  const values = new Set()
+  for (const row of rows) {
+    if (isEmpty(row[column])) continue
+    values.add(row[column] instanceof Date ? row[column].toISOString() : String(row[column]))
+    if (values.size > MAX_LISTED_VALUES) return null
+  }
+  return Array.from(values).sort()
+}
+
+// Columns to show for a rule's offending rows
+const getShownColumns = (rule, columnNames) => {
+  if (rule.type !== 'expression') return [rule.column]
+  const { references } = validateFormula(rule.expression, columnNames)
+  return references.length > 0 ? references : columnNames.slice(0, 4)
+}
+
+/**
+ * QualityRulesPanel Component
+ * Edits the active dataset's data quality rules (not null, unique, range,
+ * pattern, allowed values, lookup in another dataset, custom expression;
+ * see qualityHelpers) and shows each rule's pass rate with the rows that
+ * break it. The mean pass rate is the dataset's quality score.
+ *
+ * Props:
+ * - data: Current rows (after prep steps, edits and calculated columns)
+ * - columns: Column metadata
+ * - rules: The ruleset
+ * - quality: Results of the ruleset (dataStats.quality; null while a worker checks them)
+ * - datasets: All datasets, for lookup rules
+ * - onChange: Called with the new ruleset
+ */
+const QualityRulesPanel = ({ data, columns, rules, quality, datasets, onChange }) => {
+  const [draft, setDraft] = useState(null)
+  const [expandedId, setExpandedId] = useState(null)
+
+  const columnNames = columns.map(col => col.name)
+  const candidate = draft ? toRule(draft) : null
+  const validation = candidate ? validateQualityRule(candidate, columnNames, datasets) : null
+  const isDraftValid = Boolean(validation?.isValid)
+
+  // Pass rate of the draft rule on the first rows (a small sample, so it's cheap to redo per keystroke)
+  const sample = isDraftValid ? data.slice(0, PREVIEW_SAMPLE_ROWS) : []
+  const preview = isDraftValid
+    ? { ...runQualityRules(sample, [candidate], { datasets }).results[0], sampleSize: sample.length }
+    : null
+
+  const resultsById = new Map((quality?.results || []).map(result => [result.ruleId, result]))
+  const isChecking = rules.length > 0 && !quality
+
+  const startDraft = (type) => {
+    const rule = createQualityRule(type)
+    setDraft(type === 'allowedValues' ? { ...rule, valuesText: '' } : rule)
+  }
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes })
+
+  const handleSave = () => {
+    if (!isDraftValid) return
+    onChange([...rules, candidate])
+    setDraft(null)
+  }
+
+  const handleRemove = (rule) => {
+    if (expandedId === rule.id) setExpandedId(null)
+    onChange(rules.filter(item => item.id !== rule.id))
+  }
+
+  const renderColumnSelect = (label = 'Column') => (
+    <div>
+      <label className={labelClass}>{label}</label>
+      <select value={draft.column} onChange={(e) => updateDraft({ column: e.target.value })} className={inputClass}>
+        <option value="">Choose a column...</option>
+        {columns.map(col => (
+          <option key={col.name} value={col.name}>{col.name} ({col.type})</option>
+        ))}
+      </select>
+    </div>
+  )
+
+  const renderRuleFields = () => {
+    switch (draft.type) {
+      case 'notNull':
+      case 'unique':
+        return renderColumnSelect()
+      case 'inRange':
+        return (
+          <>
+            {renderColumnSelect()}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Minimum</label>
+                <input type="text" value={draft.min} onChange={(e) => updateDraft({ min: e.target.value })} placeholder="e.g. 0 or 2024-01-01" className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Maximum</label>
+                <input type="text" value={draft.max} onChange={(e) => updateDraft({ max: e.target.value })} placeholder="Leave empty for no limit" className={inputClass} />
+              </div>
+            </div>
+          </>
+        )
+      case 'regex':
+        return (
+          <>
+            {renderColumnSelect()}
+            <div>
+              <label className={labelClass}>Pattern</label>
+              <input
+                type="text"
+                value={draft.pattern}
+                onChange={(e) => updateDraft({ pattern: e.target.value })}
+                placeholder="e.g. [A-Z]{3}-\d{4}"
+                className={`${inputClass} font-mono`}
+              />
+              <p className="text-xs text-gray-500 mt-1">JavaScript regular expression; the whole value must match</p>
+            </div>
+          </>
+        )
+      case 'allowedValues': {
+        const currentValues = draft.column ? getDistinctValues(data, draft.column) : null
+        return (
+          <>
+            {renderColumnSelect()}
+            <div>
+              <label className={labelClass}>Allowed values (one per line)</label>
+              <textarea
+                value={draft.valuesText}
+                onChange={(e) => updateDraft({ valuesText: e.target.value })}
+                rows={4}
+                className={`${inputClass} font-mono text-sm`}
+              />
+              {currentValues && currentValues.length > 0 && (
+                <button
+                  onClick={() => updateDraft({ valuesText: currentValues.join('\n') })}
+                  className="text-sm text-blue-400 hover:text-blue-300 mt-1"
+                >
+                  Use the column's current values
+                </button>
+              )}
+            </div>
+          </>
+        )
+      }
+      case 'reference': {
+        const target = datasets.find(dataset => dataset.id === draft.datasetId)
+        return (
+          <>
+            {renderColumnSelect()}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Dataset</label>
+                <select
+                  value={draft.datasetId}
+                  onChange={(e) => updateDraft({ datasetId: e.target.value, refColumn: '' })}
+                  className={inputClass}
+                >
+                  <option value="">Choose a dataset...</option>
+                  {datasets.map(dataset => (
+                    <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Column</label>
+                <select
+                  value={draft.refColumn}
+                  onChange={(e) => updateDraft({ refColumn: e.target.value })}
+                  disabled={!target}
+                  className={inputClass}
+                >
+                  <option value="">Choose a column...</option>
+                  {(target?.columns || []).map(col => (
+                    <option key={col.name} value={col.name}>{col.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </>
+        )
+      }
+      case 'expression':
+        return (
+          <div>
+            <label className={labelClass}>Expression</label>
+            <textarea
+              value={draft.expression}
+              onChange={(e) => updateDraft({ expression: e.target.value })}
+              rows={2}
+              placeholder="e.g. [Ship Date] >= [Order Date] AND quantity > 0"
+              className={`${inputClass} font-mono text-sm`}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Uses the calculated column formula language; rows where it is TRUE pass, rows where it is NULL aren't counted
+            </p>
+          </div>
+        )
+      default:
+        return null
+    }
+  }
+
+  const renderFailingRows = (rule, result) => {
+    const shownColumns = getShownColumns(rule, columnNames)
+    const rows = result.failingRows.slice(0, SHOWN_FAILING_ROWS)
+    return (
+      <div className="mt-2 overflow-x-auto">
+        <table className="text-xs w-full">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left font-medium px-2 py-1">Row</th>
+              {shownColumns.map(name => <th key={name} className="text-left font-medium px-2 py-1">{name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(index => (
+              <tr key={index} className="border-t border-gray-700">
+                <td className="px-2 py-1 text-gray-500 font-mono">{(index + 1).toLocaleString()}</td>
+                {shownColumns.map(name => (
+                  <td key={name} className="px-2 py-1 text-red-300 font-mono">{formatCell(data[index]?.[name])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {result.failed > rows.length && (
+          <p className="text-xs text-gray-500 mt-1">
+            Showing {rows.length} of {result.failed.toLocaleString()} offending rows
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-blue-400" />
+            Data Quality Rules
+          </h3>
+          <p className="text-sm text-gray-400">
+            Declare what valid data looks like; the quality score is the mean pass rate of the rules
+          </p>
+        </div>
+        {!draft && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && startDraft(e.target.value)}
+            className="bg-blue-600 hover:bg-blue-700 text-white rounded-lg px-4 py-2 transition-colors cursor-pointer"
+          >
+            <option value="">+ Add Rule</option>
+            {QUALITY_RULE_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {isChecking && (
+        <p className="flex items-center gap-2 text-sm text-gray-400 mb-3">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Checking the rules on {data.length.toLocaleString()} rows...
+        </p>
+      )}
+      {quality?.score !== null && quality?.score !== undefined && (
+        <p className="text-sm text-gray-300 mb-3">
+          Quality score: <span className="font-semibold text-white">{quality.score.toLocaleString()}%</span>
+        </p>
+      )}
+
+      {/* Rules */}
+      {rules.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {rules.map(rule => {
+            const result = resultsById.get(rule.id)
+            const isExpanded = expandedId === rule.id
+            const passRate = result && !result.error ? result.passRate : null
+            return (
+              <li key={rule.id} className="bg-gray-700/50 rounded-lg px-4 py-2">
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => setExpandedId(isExpanded ? null : rule.id)}
+                    disabled={!result?.failed}
+                    className="p-1 hover:bg-gray-600 rounded transition-colors disabled:opacity-30 disabled:cursor-default"
+                    title="Show offending rows"
+                  >
+                    {isExpanded ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                  </button>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white font-medium">{getTypeName(rule.type)}</p>
+                    <p className="text-sm text-gray-400 truncate font-mono" title={describeQualityRule(rule, datasets)}>
+                      {describeQualityRule(rule, datasets)}
+                    </p>
+                  </div>
+                  {result?.error ? (
+                    <span className="flex items-center gap-1 text-sm text-red-400">
+                      <AlertCircle className="w-4 h-4" />
+                      {result.error}
+                    </span>
+                  ) : result && (
+                    <div className="w-48 flex-shrink-0">
+                      <div className="flex justify-between text-xs mb-1">
+                        <span className={passRate === 1 ? 'text-green-400' : passRate >= 0.9 ? 'text-yellow-400' : 'text-red-400'}>
+                          {formatPercent(passRate)} pass
+                        </span>
+                        <span className="text-gray-400">{result.failed.toLocaleString()} failing</span>
+                      </div>
+                      <div className="h-1.5 bg-gray-600 rounded-full overflow-hidden">
+                        <div
+                          className={`h-full ${passRate === 1 ? 'bg-green-500' : passRate >= 0.9 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                          style={{ width: `${passRate * 100}%` }}
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <button
+                    onClick={() => handleRemove(rule)}
+                    className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                    title="Remove rule"
+                  >
+                    <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                  </button>
+                </div>
+                {isExpanded && result?.failed > 0 && renderFailingRows(rule, result)}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      {rules.length === 0 && !draft && (
+        <p className="text-sm text-gray-500">No rules yet; the quality score is the share of non-empty cells</p>
+      )}
+
+      {/* Editor */}
+      {draft && (
+        <div className="bg-gray-700/50 rounded-lg p-4 space-y-4">
+          <div>
+            <p className="text-white font-medium">{getTypeName(draft.type)}</p>
+            <p className="text-sm text-gray-400">{QUALITY_RULE_TYPES.find(type => type.id === draft.type)?.description}</p>
+          </div>
+
+          {renderRuleFields()}
+
+          {validation && !validation.isValid && (
+            <p className="flex items-center gap-2 text-sm text-red-400">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {validation.error}
+            </p>
+          )}
+          {preview && !preview.error && (
+            <p className="flex items-center gap-2 text-sm text-green-400">
+              <CheckCircle className="w-4 h-4" />
+              On the first {preview.sampleSize.toLocaleString()} rows: {formatPercent(preview.passRate)} pass
+              ({preview.failed.toLocaleString()} of {preview.checked.toLocaleString()} checked rows fail)
+            </p>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={!isDraftValid}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add Rule
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 rounded-lg border border-gray-600 text-gray-400 hover:bg-gray-700 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default QualityRulesPanel
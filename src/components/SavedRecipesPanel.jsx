@@ -0,0 +1,181 @@
+import { useState } from 'react'
+import { BookMarked, Save, Play, Trash2, CheckCircle, XCircle, X } from 'lucide-react'
+import { getHeaderMatch, RECIPE_MATCH_THRESHOLD } from '../utils/prepHelpers'
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`
+
+/**
+ * RecipeReport Component
+ * What a saved recipe run applied and skipped on the loaded file
+ */
+const RecipeReport = ({ report, onDismiss }) => {
+  const skipped = report.results.filter(result => !result.applied)
+
+  return (
+    <div className={`rounded-lg p-4 mb-4 border ${
+      skipped.length > 0 ? 'bg-yellow-900/20 border-yellow-700' : 'bg-green-900/20 border-green-700'
+    }`}>
+      <div className="flex items-start justify-between gap-4 mb-2">
+        <p className="text-sm text-white">
+          Applied <span className="font-semibold">{report.recipeName}</span>
+          {report.fileName && <> to <span className="font-semibold">{report.fileName}</span></>}:{' '}
+          {report.results.length - skipped.length} of {report.results.length} steps applied
+        </p>
+        <button onClick={onDismiss} className="text-gray-400 hover:text-white" title="Dismiss">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {(report.missingColumns.length > 0 || report.addedColumns.length > 0) && (
+        <div className="text-xs text-gray-400 mb-2 space-y-1">
+          {report.missingColumns.length > 0 && (
+            <p>Columns missing from this file: <span className="text-red-300">{report.missingColumns.join(', ')}</span></p>
+          )}
+          {report.addedColumns.length > 0 && (
+            <p>New columns in this file: <span className="text-green-300">{report.addedColumns.join(', ')}</span></p>
+          )}
+        </div>
+      )}
+
+      <ul className="space-y-1">
+        {report.results.map((result, index) => (
+          <li key={index} className="flex items-start gap-2 text-sm">
+            {result.applied
+              ? <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0 mt-0.5" />
+              : <XCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />}
+            <span className={result.applied ? 'text-gray-300' : 'text-gray-400 line-through'}>
+              {result.kind === 'calculatedColumn' ? 'Calculated column: ' : ''}{result.label}
+            </span>
+            {!result.applied && <span className="text-red-300 text-xs mt-0.5">{result.error}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/**
+ * SavedRecipesPanel Component
+ * Saves the current prep steps and calculated columns as a named recipe,
+ * lists the saved recipes with how well the loaded file's headers match
+ * them, and shows the report of the last recipe run. Recipes with
+ * "Run automatically" on are applied when a file with matching headers is
+ * processed.
+ *
+ * Props:
+ * - recipes: Saved recipes (see prepHelpers)
+ * - headers: Column names of the loaded file, as loaded
+ * - canSave: Whether there are prep steps or calculated columns to save
+ * - report: Report of the last recipe run, or null
+ * - onSave: Called with the recipe name
+ * - onApply: Called with a recipe id
+ * - onDelete: Called with a recipe id
+ * - onToggleAutoApply: Called with a recipe id and the new setting
+ * - onDismissReport: Called when the report is closed
+ */
+const SavedRecipesPanel = ({
+  recipes,
+  headers,
+  canSave,
+  report,
+  onSave,
+  onApply,
+  onDelete,
+  onToggleAutoApply,
+  onDismissReport
+}) => {
+  const [name, setName] = useState('')
+  const willReplace = recipes.some(recipe => recipe.name === name.trim())
+
+  const handleSave = () => {
+    if (!name.trim() || !canSave) return
+    onSave(name.trim())
+    setName('')
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+      <div className="mb-4">
+        <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+          <BookMarked className="w-5 h-5 text-blue-400" />
+          Saved Recipes
+        </h3>
+        <p className="text-sm text-gray-400">
+          Save the prep steps and calculated columns below to redo the same cleanup on the next export;
+          a recipe runs automatically on files whose headers match at least {formatPercent(RECIPE_MATCH_THRESHOLD)}
+        </p>
+      </div>
+
+      {report && <RecipeReport report={report} onDismiss={onDismissReport} />}
+
+      {/* Saved */}
+      {recipes.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {recipes.map(recipe => {
+            const match = getHeaderMatch(recipe.headers, headers)
+            const steps = recipe.prepSteps.length + recipe.calculatedColumns.length
+            return (
+              <div key={recipe.id} className="flex items-center gap-3 bg-gray-700/50 rounded-lg px-4 py-2">
+                <div className="flex-1 min-w-0">
+                  <p className="text-white font-medium truncate">{recipe.name}</p>
+                  <p className="text-xs text-gray-400">
+                    {steps} step{steps === 1 ? '' : 's'} ·{' '}
+                    <span className={match >= RECIPE_MATCH_THRESHOLD ? 'text-green-400' : ''}>
+                      {formatPercent(match)} header match
+                    </span>
+                  </p>
+                </div>
+                <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={recipe.autoApply !== false}
+                    onChange={(e) => onToggleAutoApply(recipe.id, e.target.checked)}
+                    className="w-4 h-4"
+                  />
+                  Run automatically
+                </label>
+                <button
+                  onClick={() => onApply(recipe.id)}
+                  className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                  title="Apply to this file (replaces the current steps)"
+                >
+                  <Play className="w-4 h-4 text-gray-400 hover:text-green-400" />
+                </button>
+                <button
+                  onClick={() => onDelete(recipe.id)}
+                  className="p-2 hover:bg-gray-600 rounded-lg transition-colors"
+                  title="Delete recipe"
+                >
+                  <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Save */}
+      <div className="flex gap-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder={canSave ? 'Recipe name, e.g. Weekly sales cleanup' : 'Add prep steps or calculated columns to save a recipe'}
+          disabled={!canSave}
+          className="flex-1 bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500 disabled:opacity-50"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!canSave || !name.trim()}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save className="w-4 h-4" />
+          {willReplace ? 'Replace' : 'Save Recipe'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SavedRecipesPanel
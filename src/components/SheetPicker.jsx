@@ -0,0 +1,104 @@
+import { motion } from 'framer-motion'
+import { Table } from 'lucide-react'
+
+/**
+ * SheetPicker Component
+ * Lets the user choose which sheet of a workbook to import and which row
+ * holds the column headers
+ *
+ * Props:
+ * - sheets: Array of { name, rowCount, columnCount, preview } from openWorkbookInWorker()
+ * - selectedSheet: Name of the selected sheet
+ * - headerRow: Zero-based index of the header row
+ * - onSheetChange: Called with the new sheet name
+ * - onHeaderRowChange: Called with the new zero-based header row index
+ */
+const SheetPicker = ({ sheets = [], selectedSheet, headerRow = 0, onSheetChange, onHeaderRowChange }) => {
+  const sheet = sheets.find(s => s.name === selectedSheet) || sheets[0]
+  const preview = sheet ? sheet.preview : []
+
+  // Format preview cell values
+  const formatPreviewValue = (value) => {
+    if (value === null || value === undefined) return ''
+    return String(value)
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mt-6 bg-gray-700/50 rounded-lg p-4 space-y-4"
+    >
+      <div className="flex items-center gap-2">
+        <Table className="w-5 h-5 text-blue-400" />
+        <h4 className="text-white font-semibold">Choose Sheet</h4>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Sheet Selection */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Sheet</label>
+          <select
+            value={sheet?.name || ''}
+            onChange={(e) => onSheetChange(e.target.value)}
+            className="w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+          >
+            {sheets.map((s) => (
+              <option key={s.name} value={s.name}>
+                {s.name} ({s.rowCount.toLocaleString()} rows × {s.columnCount} columns)
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Header Row Selection */}
+        <div>
+          <label className="block text-sm font-medium text-gray-400 mb-2">Header Row</label>
+          <input
+            type="number"
+            min={1}
+            max={Math.max(1, sheet?.rowCount || 1)}
+            value={headerRow + 1}
+            onChange={(e) => onHeaderRowChange(Math.max(0, Number(e.target.value) - 1))}
+            className="w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+          />
+        </div>
+      </div>
+
+      {/* Sheet Preview - click a row to use it as the header */}
+      {preview.length > 0 && (
+        <div>
+          <p className="text-xs text-gray-400 mb-2">Click a row to use it as the header row</p>
+          <div className="overflow-x-auto rounded-lg border border-gray-600">
+            <table className="w-full text-sm">
+              <tbody>
+                {preview.map((row, rowIndex) => (
+                  <tr
+                    key={rowIndex}
+                    onClick={() => onHeaderRowChange(rowIndex)}
+                    className={`border-t border-gray-600 cursor-pointer transition-colors ${
+                      rowIndex === headerRow
+                        ? 'bg-blue-600/30 text-white font-semibold'
+                        : rowIndex < headerRow
+                          ? 'text-gray-500'
+                          : 'text-gray-300 hover:bg-gray-600/50'
+                    }`}
+                  >
+                    <td className="px-3 py-1.5 text-xs text-gray-500 font-mono">{rowIndex + 1}</td>
+                    {row.map((value, colIndex) => (
+                      <td key={colIndex} className="px-3 py-1.5 whitespace-nowrap">
+                        {formatPreviewValue(value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default SheetPicker
@@ -1,13 +1,65 @@
-import { LayoutDashboard, Upload, Lightbulb, FileText, Settings, Menu } from 'lucide-react'
+import { useState } from 'react'
+import { LayoutDashboard, Upload, Lightbulb, FileText, ScanSearch, Settings, Menu, RotateCcw, Plus, Copy, Pencil, Trash2 } from 'lucide-react'
 import { motion } from 'framer-motion'
 import useStore from '../store/useStore'
+import DashboardDialog from './DashboardDialog'
 
 const Sidebar = () => {
-  const { currentPage, setCurrentPage, sidebarOpen, toggleSidebar } = useStore()
+  const {
+    currentPage,
+    setCurrentPage,
+    sidebarOpen,
+    toggleSidebar,
+    resetWorkspace,
+    dashboards,
+    activeDashboardId,
+    createDashboard,
+    switchDashboard,
+    duplicateDashboard,
+    renameDashboard,
+    deleteDashboard
+  } = useStore()
+
+  // Dashboard being created ({ mode: 'create' }) or renamed ({ mode: 'rename', dashboard })
+  const [dialog, setDialog] = useState(null)
+
+  const openDashboard = (id) => {
+    switchDashboard(id)
+    setCurrentPage('dashboard')
+  }
+
+  const handleDuplicate = (id) => {
+    duplicateDashboard(id)
+    setCurrentPage('dashboard')
+  }
+
+  const handleDeleteDashboard = (dashboard) => {
+    if (confirm(`Delete the dashboard "${dashboard.name}" and its ${dashboard.chartConfigs.length} chart(s)?`)) {
+      deleteDashboard(dashboard.id)
+    }
+  }
+
+  const handleDialogSave = (name, description) => {
+    if (dialog.mode === 'create') {
+      createDashboard(name, description)
+      setCurrentPage('dashboard')
+    } else {
+      renameDashboard(dialog.dashboard.id, name, description)
+    }
+    setDialog(null)
+  }
+
+  // Start fresh: clear the saved workspace after confirmation
+  const handleStartFresh = () => {
+    if (confirm('Start fresh? This removes the uploaded data, charts, AI insights and chat history saved in this browser.')) {
+      resetWorkspace()
+    }
+  }
 
   const menuItems = [
     { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard },
     { id: 'upload', label: 'Upload Data', icon: Upload },
+    { id: 'profile', label: 'Data Profile', icon: ScanSearch },
     { id: 'insights', label: 'AI Insights', icon: Lightbulb },
     { id: 'reports', label: 'Reports', icon: FileText },
     
@@ -67,6 +119,80 @@ const Sidebar = () => {
             )
           })}
         </nav>
+
+        {/* Saved Dashboards */}
+        <div className="p-4 border-t border-gray-800">
+          <div className="flex items-center justify-between mb-2 px-4">
+            <p className="text-gray-500 text-xs font-semibold uppercase tracking-wider">Dashboards</p>
+            <button
+              onClick={() => setDialog({ mode: 'create' })}
+              className="p-1 rounded text-gray-400 hover:text-white hover:bg-gray-800 transition-colors"
+              title="New dashboard"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="space-y-1">
+            {dashboards.map((dashboard) => {
+              const isActive = dashboard.id === activeDashboardId
+
+              return (
+                <div
+                  key={dashboard.id}
+                  className={`group flex items-center gap-1 rounded-lg transition-all ${
+                    isActive ? 'bg-gray-800 text-white' : 'text-gray-400 hover:bg-gray-800 hover:text-white'
+                  }`}
+                >
+                  <button
+                    onClick={() => openDashboard(dashboard.id)}
+                    className="flex-1 min-w-0 text-left px-4 py-2"
+                    title={dashboard.description || dashboard.name}
+                  >
+                    <span className="block truncate text-sm font-medium">{dashboard.name}</span>
+                    <span className="block text-xs text-gray-500">
+                      {dashboard.chartConfigs.length} chart{dashboard.chartConfigs.length !== 1 ? 's' : ''}
+                    </span>
+                  </button>
+                  <div className="flex items-center pr-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <button
+                      onClick={() => setDialog({ mode: 'rename', dashboard })}
+                      className="p-1 rounded hover:bg-gray-700"
+                      title="Rename"
+                    >
+                      <Pencil className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      onClick={() => handleDuplicate(dashboard.id)}
+                      className="p-1 rounded hover:bg-gray-700"
+                      title="Duplicate"
+                    >
+                      <Copy className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteDashboard(dashboard)}
+                      className="p-1 rounded hover:bg-gray-700 hover:text-red-400"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Workspace */}
+        <div className="p-4 border-t border-gray-800">
+          <p className="text-gray-500 text-xs mb-2 px-4">Workspace is saved in this browser</p>
+          <button
+            onClick={handleStartFresh}
+            className="w-full flex items-center gap-3 px-4 py-3 rounded-lg text-gray-400 hover:bg-gray-800 hover:text-white transition-all"
+          >
+            <RotateCcw className="w-5 h-5" />
+            <span className="font-medium">Start Fresh</span>
+          </button>
+        </div>
       </motion.aside>
 
       {/* Overlay for mobile */}
@@ -76,6 +202,18 @@ const Sidebar = () => {
           className="lg:hidden fixed inset-0 bg-black bg-opacity-50 z-30"
         />
       )}
+
+      {/* New / Rename Dashboard Dialog */}
+      {dialog && (
+        <DashboardDialog
+          title={dialog.mode === 'create' ? 'New Dashboard' : 'Rename Dashboard'}
+          initialName={dialog.dashboard?.name || ''}
+          initialDescription={dialog.dashboard?.description || ''}
+          submitLabel={dialog.mode === 'create' ? 'Create' : 'Save'}
+          onSave={handleDialogSave}
+          onCancel={() => setDialog(null)}
+        />
+      )}
     </>
   )
 }
@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import { Activity, Loader2, AlertCircle, CheckCircle } from 'lucide-react'
+import useLocale from '../hooks/useLocale'
+import { ANOMALY_METHODS, describeAnomaly } from '../utils/anomalyHelpers'
+import { formatBucketLabel } from '../utils/dateHelpers'
+import { formatNumber } from '../utils/localeHelpers'
+
+const SEVERITY_CLASSES = {
+  high: 'bg-red-500/20 text-red-400 border border-red-500/30',
+  medium: 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/30',
+  low: 'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+}
+
+const getMethodName = (id) => ANOMALY_METHODS.find(method => method.id === id)?.name || id
+
+/**
+ * StatisticalAnomaliesPanel Component
+ * Lists the anomalies the statistical detectors found over every row (see
+ * anomalyHelpers), most severe first, with a filter per method and the
+ * most extreme values of each finding.
+ *
+ * Props:
+ * - anomalies: detectAnomalies() findings (null while detecting)
+ * - isDetecting: true while the detectors run
+ * - error: Message if detection failed
+ * - rowCount: Rows the detectors looked at
+ */
+const StatisticalAnomaliesPanel = ({ anomalies, isDetecting, error, rowCount }) => {
+  const locale = useLocale()
+  const [method, setMethod] = useState('all')
+
+  const findings = anomalies || []
+  const shown = method === 'all' ? findings : findings.filter(finding => finding.method === method)
+
+  const formatExample = (finding, example) => {
+    const where = finding.method === 'seasonal'
+      ? formatBucketLabel(example.bucket, finding.granularity, { locale })
+      : `Row ${(example.row + 1).toLocaleString()}`
+    return `${where}: ${formatNumber(example.value, locale)}`
+  }
+
+  return (
+    <div className="bg-gradient-to-br from-cyan-500/10 to-blue-500/10 border border-cyan-500/30 rounded-2xl p-6">
+      <h3 className="text-xl font-semibold text-white mb-1 flex items-center gap-2">
+        <Activity className="w-6 h-6 text-cyan-400" />
+        Statistical Anomalies
+      </h3>
+      <p className="text-sm text-gray-400 mb-4">
+        Z-score, IQR, modified z-score and seasonal residuals over all {rowCount.toLocaleString()} rows
+      </p>
+
+      {findings.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {[{ id: 'all', name: 'All' }, ...ANOMALY_METHODS].map(item => {
+            const count = item.id === 'all' ? findings.length : findings.filter(finding => finding.method === item.id).length
+            if (count === 0 && item.id !== 'all') return null
+            return (
+              <button
+                key={item.id}
+                onClick={() => setMethod(item.id)}
+                className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                  method === item.id ? 'bg-cyan-600 text-white' : 'bg-gray-800/50 text-gray-400 hover:text-white'
+                }`}
+              >
+                {item.name} ({count})
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      {isDetecting && (
+        <p className="flex items-center gap-2 text-sm text-gray-400">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Checking {rowCount.toLocaleString()} rows...
+        </p>
+      )}
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-400">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </p>
+      )}
+      {anomalies && findings.length === 0 && (
+        <p className="flex items-center gap-2 text-sm text-green-400">
+          <CheckCircle className="w-4 h-4" />
+          No number column has values the detectors flag
+        </p>
+      )}
+
+      <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+        {shown.map(finding => (
+          <div key={finding.id} className="p-4 bg-gray-800/50 border border-cyan-500/20 rounded-xl">
+            <div className="flex items-center gap-2 mb-1 flex-wrap">
+              <p className="text-white font-semibold">{finding.column}</p>
+              <span className="text-xs px-2 py-0.5 rounded bg-gray-700 text-gray-300">{getMethodName(finding.method)}</span>
+            </div>
+            <p className="text-sm text-gray-400 mb-2">{describeAnomaly(finding, locale)}</p>
+            <div className="flex items-center gap-2 flex-wrap">
+              <span className={`text-xs px-2 py-1 rounded inline-block font-medium ${SEVERITY_CLASSES[finding.severity]}`}>
+                {finding.severity} severity
+              </span>
+              {finding.examples.map(example => (
+                <span
+                  key={example.row ?? example.bucket}
+                  className="text-xs px-2 py-1 rounded bg-gray-700/60 text-gray-300 font-mono"
+                  title={`Score ${formatNumber(example.score, locale)} (${example.severity})`}
+                >
+                  {formatExample(finding, example)}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default StatisticalAnomaliesPanel
@@ -0,0 +1,35 @@
+import { useMemo } from 'react';
+import { detectAnomalies, ANOMALY_WORKER_ROW_THRESHOLD } from '../utils/anomalyHelpers';
+import useWorkerComputation from './useWorkerComputation';
+
+const createAnomalyWorker = () =>
+  new Worker(new URL('../workers/anomaly.worker.js', import.meta.url), { type: 'module' });
+
+const computeAnomalies = ({ rows, columns }) => detectAnomalies(rows, columns);
+
+/**
+ * Custom hook for the statistical anomalies of a dataset (see
+ * anomalyHelpers). Small datasets are checked right away on the main
+ * thread; from ANOMALY_WORKER_ROW_THRESHOLD rows on, a worker
+ * (anomaly.worker.js) runs the detectors.
+ *
+ * @param {Array} rows - Rows
+ * @param {Array} columns - Column metadata
+ * @returns {Object} {
+ *   anomalies,    // detectAnomalies() findings, null while they are being found
+ *   isDetecting,  // true while a worker runs the detectors
+ *   error,        // message if detection failed
+ * }
+ */
+export const useAnomalyDetection = (rows, columns) => {
+  const inputs = useMemo(() => (rows ? { rows, columns } : null), [rows, columns]);
+  const { result, isComputing, error } = useWorkerComputation(
+    createAnomalyWorker,
+    computeAnomalies,
+    inputs,
+    ANOMALY_WORKER_ROW_THRESHOLD
+  );
+  return { anomalies: result, isDetecting: isComputing, error };
+};
+
+export default useAnomalyDetection;
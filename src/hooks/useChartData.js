@@ -1,9 +1,8 @@
 import { useMemo } from 'react';
 import {
-  prepareBarChartData,
-  prepareLineChartData,
-  preparePieChartData,
-  prepareScatterData,
+  prepareChartData,
+  prepareMultiSeriesData,
+  isMultiSeries,
   validateChartConfig,
 } from '../utils/chartHelpers';
 
@@ -13,15 +12,23 @@ import {
  * 
  * @param {Array} data - Raw CSV data array
  * @param {Object} config - Chart configuration
- * @param {string} config.chartType - Type of chart ('bar', 'line', 'pie', 'scatter')
- * @param {string} config.xColumn - X-axis column name
+ * @param {string} config.chartType - Type of chart ('bar', 'line', 'area', 'pie', 'scatter',
+ *                                    'histogram', 'box', 'heatmap', 'treemap', 'kpi', 'pivot')
+ * @param {string} config.xColumn - X-axis column name (the binned column for histograms)
  * @param {string} config.yColumn - Y-axis column name (not used for pie charts)
- * @param {string} config.categoryColumn - Category column for pie charts
- * @param {string} config.valueColumn - Value column for pie charts
+ * @param {Array} config.yColumns - Several Y-axis columns, one series each (bar/line/area, optional)
+ * @param {string} config.seriesColumn - Column that splits the Y column into series (bar/line/area, optional)
+ * @param {string} config.categoryColumn - Category column for pie and box charts, row column for heatmaps
+ * @param {string} config.valueColumn - Value column for pie, box, heatmap and treemap charts
+ * @param {Array} config.hierarchyColumns - Category levels for treemaps, outermost first
+ * @param {string} config.dateColumn - Date column a KPI card compares periods of (optional)
  * @param {string} config.nameColumn - Name column for scatter plots (optional)
  * @param {string} config.aggregation - Aggregation method ('sum', 'avg', 'count', 'min', 'max')
  * @param {number} config.topN - Number of top items to show (for pie charts)
- * @returns {Object} { chartData, isValid, error }
+ * @returns {Object} { chartData, series, isValid, error, stats }
+ *   series is [{ key, name }] for multi-series charts and [] otherwise;
+ *   chartData of a KPI card holds its one summary (see prepareKpiData);
+ *   pivots are only validated here and built with pivotHelpers.buildPivot
  */
 export const useChartData = (data, config) => {
   // Memoize validation result
@@ -48,41 +55,20 @@ export const useChartData = (data, config) => {
   }, [data, config]);
 
   // Memoize chart data transformation
-  const chartData = useMemo(() => {
+  const { chartData, series } = useMemo(() => {
     if (!validation.isValid) {
-      return [];
+      return { chartData: [], series: [] };
     }
 
     try {
-      const { chartType } = config;
-
-      switch (chartType) {
-        case 'bar': {
-          const { xColumn, yColumn, aggregation = 'sum' } = config;
-          return prepareBarChartData(data, xColumn, yColumn, aggregation);
-        }
-
-        case 'line': {
-          const { xColumn, yColumn, aggregation = 'sum' } = config;
-          return prepareLineChartData(data, xColumn, yColumn, aggregation);
-        }
-
-        case 'pie': {
-          const { categoryColumn, valueColumn, topN = 10 } = config;
-          return preparePieChartData(data, categoryColumn, valueColumn, topN);
-        }
-
-        case 'scatter': {
-          const { xColumn, yColumn, nameColumn } = config;
-          return prepareScatterData(data, xColumn, yColumn, nameColumn);
-        }
-
-        default:
-          return [];
+      if (isMultiSeries(config)) {
+        const result = prepareMultiSeriesData(data, config);
+        return { chartData: result.data, series: result.series };
       }
+      return { chartData: prepareChartData(data, config), series: [] };
     } catch (error) {
       console.error('Error preparing chart data:', error);
-      return [];
+      return { chartData: [], series: [] };
     }
   }, [data, config, validation.isValid]);
 
@@ -96,8 +82,12 @@ export const useChartData = (data, config) => {
 
     switch (chartType) {
       case 'bar':
-      case 'line': {
-        const values = chartData.map(item => item.value);
+      case 'line':
+      case 'area':
+      case 'heatmap': {
+        // Gap-filled time buckets can hold null values
+        const values = chartData.map(item => item.value).filter(val => typeof val === 'number');
+        if (values.length === 0) return null;
         return {
           total: values.reduce((sum, val) => sum + val, 0),
           average: values.reduce((sum, val) => sum + val, 0) / values.length,
@@ -129,6 +119,27 @@ export const useChartData = (data, config) => {
         };
       }
 
+      case 'histogram':
+        return {
+          count: chartData.reduce((sum, bin) => sum + bin.value, 0),
+          bins: chartData.length,
+          min: chartData[0].x0,
+          max: chartData[chartData.length - 1].x1,
+        };
+
+      case 'box':
+        return {
+          categories: chartData.length,
+          count: chartData.reduce((sum, box) => sum + box.count, 0),
+          outliers: chartData.reduce((sum, box) => sum + box.outlierCount, 0),
+        };
+
+      case 'treemap':
+        return {
+          total: chartData.reduce((sum, node) => sum + node.value, 0),
+          categories: chartData.length,
+        };
+
       default:
         return null;
     }
@@ -136,6 +147,7 @@ export const useChartData = (data, config) => {
 
   return {
     chartData,
+    series,
     isValid: validation.isValid,
     error: validation.error,
     stats,
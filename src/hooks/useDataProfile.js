@@ -0,0 +1,35 @@
+import { useMemo } from 'react';
+import { profileDataset, PROFILE_WORKER_ROW_THRESHOLD } from '../utils/profileHelpers';
+import useWorkerComputation from './useWorkerComputation';
+
+const createProfileWorker = () =>
+  new Worker(new URL('../workers/profile.worker.js', import.meta.url), { type: 'module' });
+
+const computeProfile = ({ rows, columns }) => profileDataset(rows, columns);
+
+/**
+ * Custom hook for profiling a dataset (see profileHelpers). Small datasets
+ * are profiled right away on the main thread; from
+ * PROFILE_WORKER_ROW_THRESHOLD rows on, a worker (profile.worker.js) builds
+ * the profile and the page shows a loading state until it arrives.
+ *
+ * @param {Array} rows - Rows
+ * @param {Array} columns - Column metadata
+ * @returns {Object} {
+ *   profile,      // Profile, null while it is being built
+ *   isProfiling,  // true while a worker builds it
+ *   error,        // message if profiling failed
+ * }
+ */
+export const useDataProfile = (rows, columns) => {
+  const inputs = useMemo(() => (rows ? { rows, columns } : null), [rows, columns]);
+  const { result, isComputing, error } = useWorkerComputation(
+    createProfileWorker,
+    computeProfile,
+    inputs,
+    PROFILE_WORKER_ROW_THRESHOLD
+  );
+  return { profile: result, isProfiling: isComputing, error };
+};
+
+export default useDataProfile;
@@ -0,0 +1,96 @@
+import { useMemo } from 'react';
+import useStore from '../store/useStore';
+import { getSubsetSummary, SUMMARY_WORKER_ROW_THRESHOLD } from '../utils/csvParser';
+import { withQualityScore } from '../utils/qualityHelpers';
+import useQualityRules from './useQualityRules';
+import useWorkerComputation from './useWorkerComputation';
+import {
+  applyFilters,
+  applyFilterTree,
+  countActiveConditions,
+  limitFiltersToColumns,
+  limitFilterTreeToColumns,
+} from '../utils/filterHelpers';
+
+const createSummaryWorker = () =>
+  new Worker(new URL('../workers/summary.worker.js', import.meta.url), { type: 'module' });
+
+const computeSummary = ({ rows, columns }) => getSubsetSummary(rows, columns);
+
+/**
+ * Custom hook for the rows left after the active dashboard's filters
+ * Used by every view that should follow the filters: charts, the data
+ * table, AI analysis and exports. Filters on columns the active dataset
+ * doesn't have (e.g. set up while another dataset was active) are skipped.
+ *
+ * @returns {Object} {
+ *   data,           // rows matching the filter panel and the cross-filters
+ *   panelData,      // rows matching the filter panel only (charts apply cross-filters themselves)
+ *   stats,          // getSubsetSummary() of `data` with its quality rule results (the store's dataStats when unfiltered;
+ *                   // null while a worker summarises large filtered rows)
+ *   totalRows,      // rows in the dataset
+ *   filteredRows,   // rows in `data`
+ *   isFiltered,     // true if any filter removes rows
+ *   isSummarizing,  // true while a worker summarises the filtered rows
+ *   activeConditions, // number of active filter panel conditions
+ *   filterTree,
+ *   crossFilters,
+ * }
+ */
+export const useFilteredData = () => {
+  const csvData = useStore((state) => state.csvData);
+  const dataStats = useStore((state) => state.dataStats);
+  const dataColumns = useStore((state) => state.dataColumns);
+  const qualityRules = useStore((state) => state.qualityRules);
+  const activeDashboard = useStore((state) =>
+    state.dashboards.find((d) => d.id === state.activeDashboardId)
+  );
+
+  const filterTree = activeDashboard?.filterTree;
+  const crossFilters = useMemo(() => activeDashboard?.filters || [], [activeDashboard]);
+
+  const columnNames = useMemo(() => dataColumns.map((col) => col.name), [dataColumns]);
+  const panelData = useMemo(
+    () => applyFilterTree(csvData, limitFilterTreeToColumns(filterTree, columnNames)),
+    [csvData, filterTree, columnNames]
+  );
+  const data = useMemo(
+    () => applyFilters(panelData, limitFiltersToColumns(crossFilters, columnNames)),
+    [panelData, crossFilters, columnNames]
+  );
+
+  const isFiltered = Boolean(csvData) && data !== csvData;
+
+  // The filtered rows' rule results (large ones are checked in a worker)
+  const { quality: filteredQuality } = useQualityRules(isFiltered ? data : null, qualityRules);
+  // The filtered rows' summary, with the dataset's column types (large ones are summarised in a worker)
+  const summaryInputs = useMemo(
+    () => (isFiltered ? { rows: data, columns: dataColumns } : null),
+    [isFiltered, data, dataColumns]
+  );
+  const { result: filteredSummary, isComputing: isSummarizing } = useWorkerComputation(
+    createSummaryWorker,
+    computeSummary,
+    summaryInputs,
+    SUMMARY_WORKER_ROW_THRESHOLD
+  );
+  const stats = useMemo(
+    () => (isFiltered ? withQualityScore(filteredSummary, filteredQuality) : dataStats),
+    [isFiltered, filteredSummary, filteredQuality, dataStats]
+  );
+
+  return {
+    data,
+    panelData,
+    stats,
+    totalRows: csvData?.length || 0,
+    filteredRows: data?.length || 0,
+    isFiltered,
+    isSummarizing,
+    activeConditions: countActiveConditions(filterTree),
+    filterTree,
+    crossFilters,
+  };
+};
+
+export default useFilteredData;
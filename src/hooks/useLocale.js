@@ -0,0 +1,17 @@
+import { useMemo } from 'react';
+import useStore from '../store/useStore';
+import { getLocale } from '../utils/localeHelpers';
+
+/**
+ * Custom hook for the locale the active dataset was read in
+ * Used to show numbers and dates the way the file wrote them: in the data
+ * table, chart axes and tooltips, and exports.
+ *
+ * @returns {Object} Locale (see localeHelpers; the default locale when no dataset is loaded)
+ */
+export const useLocale = () => {
+  const dataLocale = useStore((state) => state.dataLocale);
+  return useMemo(() => getLocale(dataLocale), [dataLocale]);
+};
+
+export default useLocale;
@@ -0,0 +1,41 @@
+import { useEffect } from 'react';
+import useStore from '../store/useStore';
+import useQualityRules from './useQualityRules';
+import { describeQualityRule } from '../utils/qualityHelpers';
+
+// The active dataset when the store left its quality check pending (quality: null)
+const getPendingDataset = (state) => {
+  const dataset = state.datasets.find((item) => item.id === state.activeDatasetId);
+  return dataset?.quality === null ? dataset : null;
+};
+
+/**
+ * Custom hook that finishes the quality check the store leaves pending for
+ * large datasets (and for every dataset of a restored workspace): the
+ * active dataset's rules run with useQualityRules (in a worker for large
+ * datasets) and the results are kept on the dataset. Used once, by App.
+ */
+export const useQualityCheck = () => {
+  const datasetId = useStore((state) => getPendingDataset(state)?.id || null);
+  const rows = useStore((state) => getPendingDataset(state)?.data || null);
+  const rules = useStore((state) => getPendingDataset(state)?.qualityRules || null);
+  const setDatasetQuality = useStore((state) => state.setDatasetQuality);
+
+  const { quality, error } = useQualityRules(rows, rules);
+
+  useEffect(() => {
+    if (!datasetId) return;
+    if (quality) {
+      setDatasetQuality(datasetId, rows, rules, quality);
+    } else if (error) {
+      // Show the failure on every rule rather than checking forever
+      const { datasets } = useStore.getState();
+      setDatasetQuality(datasetId, rows, rules, {
+        score: null,
+        results: rules.map((rule) => ({ ruleId: rule.id, label: describeQualityRule(rule, datasets), error }))
+      });
+    }
+  }, [datasetId, rows, rules, quality, error, setDatasetQuality]);
+};
+
+export default useQualityCheck;
@@ -0,0 +1,60 @@
+import { useMemo } from 'react';
+import { useShallow } from 'zustand/react/shallow';
+import useStore from '../store/useStore';
+import { runQualityRules, getReferencedDatasetIds, QUALITY_WORKER_ROW_THRESHOLD } from '../utils/qualityHelpers';
+import useWorkerComputation from './useWorkerComputation';
+
+const createQualityWorker = () =>
+  new Worker(new URL('../workers/quality.worker.js', import.meta.url), { type: 'module' });
+
+const computeQuality = ({ rows, rules, datasets }) => runQualityRules(rows, rules, { datasets });
+
+// What a reference rule needs of the dataset it looks values up in
+const LOOKUP_FIELDS = ['id', 'name', 'columns', 'data'];
+
+/**
+ * Custom hook for checking rows against a data quality ruleset (see
+ * qualityHelpers). Small datasets are checked right away on the main
+ * thread; from QUALITY_WORKER_ROW_THRESHOLD rows on, a worker
+ * (quality.worker.js) runs the rules, with the rows of the datasets its
+ * reference rules look up.
+ *
+ * @param {Array} rows - Rows (null to check nothing)
+ * @param {Array} rules - Rules
+ * @returns {Object} {
+ *   quality,     // runQualityRules() result, null while the rules run
+ *   isChecking,  // true while a worker runs the rules
+ *   error,       // message if the check failed
+ * }
+ */
+export const useQualityRules = (rows, rules) => {
+  // Only what reference rules read of the looked-up datasets matters, so other
+  // datasets (or their quality results) changing doesn't re-run the rules
+  const lookupIds = useMemo(() => getReferencedDatasetIds(rules), [rules]);
+  const lookupFields = useStore(
+    useShallow((state) => state.datasets
+      .filter((dataset) => lookupIds.includes(dataset.id))
+      .flatMap((dataset) => LOOKUP_FIELDS.map((field) => dataset[field])))
+  );
+  const lookups = useMemo(() => {
+    const datasets = [];
+    for (let i = 0; i < lookupFields.length; i += LOOKUP_FIELDS.length) {
+      datasets.push(Object.fromEntries(LOOKUP_FIELDS.map((field, index) => [field, lookupFields[i + index]])));
+    }
+    return datasets;
+  }, [lookupFields]);
+
+  const inputs = useMemo(
+    () => (rows ? { rows, rules, datasets: lookups } : null),
+    [rows, rules, lookups]
+  );
+  const { result, isComputing, error } = useWorkerComputation(
+    createQualityWorker,
+    computeQuality,
+    inputs,
+    QUALITY_WORKER_ROW_THRESHOLD
+  );
+  return { quality: result, isChecking: isComputing, error };
+};
+
+export default useQualityRules;
@@ -0,0 +1,152 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { queryTableRows, getColumnProfile, TABLE_WORKER_ROW_THRESHOLD } from '../utils/tableHelpers';
+
+const createQueryWorker = () =>
+  new Worker(new URL('../workers/tableQuery.worker.js', import.meta.url), { type: 'module' });
+
+// Most changed rows sent one by one; past that the worker gets all rows again
+const MAX_ROW_UPDATES = 100;
+
+// Positions of the rows that aren't the same objects as before (rows are
+// replaced, never mutated), or null when there are too many or the count changed
+const getChangedRows = (before, after) => {
+  if (!before || before.length !== after.length) return null;
+  const changed = [];
+  for (let i = 0; i < after.length; i++) {
+    if (before[i] === after[i]) continue;
+    if (changed.length === MAX_ROW_UPDATES) return null;
+    changed.push(i);
+  }
+  return changed;
+};
+
+/**
+ * Custom hook for running the data table's query (search, column filters,
+ * sort) and column profiles. Small tables are queried right away on the main
+ * thread; from TABLE_WORKER_ROW_THRESHOLD rows on, the work goes to a worker
+ * (tableQuery.worker.js) and the previous result stays on screen until the
+ * new one arrives.
+ *
+ * @param {Array} rows - Rows
+ * @param {Object} query - Table query (see tableHelpers); memoize it, every new object runs a query
+ * @returns {Object} {
+ *   indices,      // Uint32Array of matching rows in display order (null until the first result)
+ *   isQuerying,   // true while a worker query is running
+ *   error,        // message if the worker query failed
+ *   getProfile,   // (column) => Promise of getColumnProfile() over the matching rows
+ * }
+ */
+export const useTableQuery = (rows, query) => {
+  const inWorker = rows.length >= TABLE_WORKER_ROW_THRESHOLD;
+
+  // Small tables: query synchronously
+  const localIndices = useMemo(
+    () => (inWorker ? null : queryTableRows(rows, query)),
+    [inWorker, rows, query]
+  );
+
+  const workerRef = useRef(null);
+  const workerRowsRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const pendingRef = useRef(new Map());
+  const [workerResult, setWorkerResult] = useState({ rows: null, indices: null });
+  const [isQuerying, setIsQuerying] = useState(false);
+  const [error, setError] = useState(null);
+
+  // One worker per table while it shows large data
+  useEffect(() => {
+    if (!inWorker) return undefined;
+
+    const worker = createQueryWorker();
+    const pending = pendingRef.current;
+    worker.onmessage = (event) => {
+      const reply = event.data;
+      const resolve = pending.get(reply.requestId);
+      pending.delete(reply.requestId);
+      if (resolve) resolve(reply);
+    };
+    workerRef.current = worker;
+    workerRowsRef.current = null;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      // Settle requests still waiting, so callers (e.g. a column profile) don't wait forever
+      pending.forEach((resolve, requestId) => {
+        resolve({ type: 'error', requestId, message: 'The table worker stopped' });
+      });
+      pending.clear();
+    };
+  }, [inWorker]);
+
+  // It gets a copy of the rows when they change, or just the changed rows after a cell edit.
+  // Declared after the worker effect, so it runs once the worker exists.
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!worker) return;
+    const changed = getChangedRows(workerRowsRef.current, rows);
+    if (changed) {
+      if (changed.length > 0) {
+        worker.postMessage({ type: 'updateRows', updates: changed.map((index) => ({ index, row: rows[index] })) });
+      }
+    } else {
+      worker.postMessage({ type: 'setRows', rows });
+    }
+    workerRowsRef.current = rows;
+  }, [inWorker, rows]);
+
+  const request = useCallback((message) => {
+    const worker = workerRef.current;
+    if (!worker) return Promise.reject(new Error('The table worker is not running'));
+    const requestId = ++requestIdRef.current;
+    return new Promise((resolve) => {
+      pendingRef.current.set(requestId, resolve);
+      worker.postMessage({ ...message, requestId });
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!inWorker) return;
+
+    let isCurrent = true;
+    setIsQuerying(true);
+    request({ type: 'query', query }).then((reply) => {
+      // A newer query (or new rows) replaced this one
+      if (!isCurrent) return;
+      setIsQuerying(false);
+      if (reply.type === 'error') {
+        setError(reply.message);
+      } else {
+        setError(null);
+        setWorkerResult({ rows, indices: reply.indices });
+      }
+    }).catch((requestError) => {
+      if (!isCurrent) return;
+      setIsQuerying(false);
+      setError(requestError.message);
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [inWorker, rows, query, request]);
+
+  // Indices of older rows don't apply to new rows, unless only cells changed (the
+  // same number of rows, e.g. after a cell edit): keep those until the new result
+  const workerIndices = workerResult.rows?.length === rows.length ? workerResult.indices : null;
+  const indices = inWorker ? workerIndices : localIndices;
+
+  const getProfile = useCallback(
+    async (column) => {
+      if (!inWorker) return getColumnProfile(rows, localIndices, column);
+      const reply = await request({ type: 'profile', column });
+      if (reply.type === 'error') throw new Error(reply.message);
+      return reply.profile;
+    },
+    [inWorker, rows, localIndices, request]
+  );
+
+  return { indices, isQuerying: inWorker && isQuerying, error: inWorker ? error : null, getProfile };
+};
+
+export default useTableQuery;
@@ -0,0 +1,73 @@
+import { useState, useEffect, useMemo } from 'react';
+
+/**
+ * Custom hook for a computation over a dataset's rows that moves off the
+ * main thread for large data. Below `threshold` rows, `compute` runs right
+ * away on the main thread; from `threshold` rows on, a worker from
+ * `createWorker` gets the inputs and the caller shows a loading state until
+ * its result arrives.
+ *
+ * The worker receives the inputs as its message and posts back
+ * { type: 'result', result } or { type: 'error', message }.
+ *
+ * @param {Function} createWorker - () => Worker (keep it stable, e.g. module-level)
+ * @param {Function} compute - (inputs) => result, the same work on the main thread (keep it stable)
+ * @param {Object} inputs - { rows, ... } to compute from, null for nothing; memoize it,
+ *                          every new object runs the computation again
+ * @param {Number} threshold - Rows from which the worker runs it
+ * @returns {Object} {
+ *   result,        // compute() result, null while it is computed
+ *   isComputing,   // true while a worker computes it
+ *   error,         // message if the computation failed
+ * }
+ */
+export const useWorkerComputation = (createWorker, compute, inputs, threshold) => {
+  const inWorker = (inputs?.rows?.length || 0) >= threshold;
+
+  // Small data: compute synchronously
+  const localResult = useMemo(() => {
+    if (inWorker || !inputs) return null;
+    try {
+      return { result: compute(inputs), error: null };
+    } catch (error) {
+      return { result: null, error: error.message };
+    }
+  }, [inWorker, compute, inputs]);
+
+  const [workerResult, setWorkerResult] = useState({ inputs: null, result: null, error: null });
+
+  useEffect(() => {
+    if (!inWorker) return undefined;
+
+    const worker = createWorker();
+    worker.onmessage = (event) => {
+      const reply = event.data;
+      setWorkerResult({
+        inputs,
+        result: reply.type === 'result' ? reply.result : null,
+        error: reply.type === 'error' ? reply.message : null
+      });
+      worker.terminate();
+    };
+    worker.onerror = (event) => {
+      setWorkerResult({ inputs, result: null, error: event.message || 'The worker failed' });
+      worker.terminate();
+    };
+    worker.postMessage(inputs);
+
+    return () => worker.terminate();
+  }, [inWorker, createWorker, inputs]);
+
+  if (!inWorker) {
+    return { result: localResult?.result ?? null, isComputing: false, error: localResult?.error || null };
+  }
+  // A result for older inputs doesn't describe these ones
+  const isCurrent = workerResult.inputs === inputs;
+  return {
+    result: isCurrent ? workerResult.result : null,
+    isComputing: !isCurrent,
+    error: isCurrent ? workerResult.error : null
+  };
+};
+
+export default useWorkerComputation;
@@ -22,6 +22,9 @@ import {
   Lightbulb,
 } from 'lucide-react';
 import useStore from '../store/useStore';
+import useFilteredData from '../hooks/useFilteredData';
+import useAnomalyDetection from '../hooks/useAnomalyDetection';
+import StatisticalAnomaliesPanel from '../components/StatisticalAnomaliesPanel';
 import { analyzeData, answerQuestion } from '../services/openai';
 import { isOpenAIConfigured, getConfigStatus } from '../config/openai.config';
 import {
@@ -40,7 +43,6 @@ const AIInsightsPage = () => {
   const {
     csvData,
     dataColumns,
-    dataStats,
     aiInsights,
     aiInsightsLoading,
     aiInsightsError,
@@ -63,6 +65,30 @@ const AIInsightsPage = () => {
     aiAutoGenerate,
   } = useStore();
 
+  // AI analysis follows the dashboard filters
+  const {
+    data: analysisData,
+    stats: analysisStats,
+    totalRows,
+    filteredRows,
+    isFiltered,
+  } = useFilteredData();
+
+  // Statistical anomalies over every row, next to the AI's (which sees a sample)
+  const {
+    anomalies: statisticalAnomalies,
+    isDetecting,
+    error: detectionError,
+  } = useAnomalyDetection(analysisData, dataColumns);
+  const statisticalAnomaliesPanel = (
+    <StatisticalAnomaliesPanel
+      anomalies={statisticalAnomalies}
+      isDetecting={isDetecting}
+      error={detectionError}
+      rowCount={analysisData?.length || 0}
+    />
+  );
+
   const [showChat, setShowChat] = useState(false);
   const [chatInput, setChatInput] = useState('');
   const [dataQuality, setDataQuality] = useState(null);
@@ -74,11 +100,11 @@ const AIInsightsPage = () => {
 
   // Auto-generate insights when data is uploaded (if enabled)
   useEffect(() => {
-    if (csvData && csvData.length > 0 && dataColumns && dataColumns.length > 0 && isConfigured && aiAutoGenerate) {
+    if (analysisData && analysisData.length > 0 && dataColumns && dataColumns.length > 0 && isConfigured && aiAutoGenerate) {
       // Only auto-generate if we don't have insights yet
       if (aiInsights.length === 0 && !aiInsightsLoading) {
         // Check cache first
-        const cacheKey = generateCacheKey(csvData, dataColumns);
+        const cacheKey = generateCacheKey(analysisData, dataColumns);
         const cached = getCachedResponse(cacheKey);
 
         if (cached) {
@@ -94,7 +120,7 @@ const AIInsightsPage = () => {
         }
       }
     }
-  }, [csvData, dataColumns, isConfigured, aiAutoGenerate]);
+  }, [analysisData, dataColumns, isConfigured, aiAutoGenerate]);
 
   // Generate AI insights
   const handleGenerateInsights = async () => {
@@ -103,6 +129,11 @@ const AIInsightsPage = () => {
       return;
     }
 
+    if (analysisData.length === 0) {
+      setAiInsightsError('No rows match the dashboard filters. Clear or widen the filters to analyze the data.');
+      return;
+    }
+
     if (!isConfigured) {
       setAiInsightsError(configStatus.message);
       return;
@@ -112,9 +143,9 @@ const AIInsightsPage = () => {
     setAiInsightsError(null);
 
     try {
-      console.log('🚀 Generating AI insights for', csvData.length, 'rows...');
+      console.log('🚀 Generating AI insights for', analysisData.length, 'rows...');
 
-      const result = await analyzeData(csvData, dataColumns);
+      const result = await analyzeData(analysisData, dataColumns);
 
       if (result.success && result.data) {
         const data = result.data;
@@ -130,7 +161,7 @@ const AIInsightsPage = () => {
         setDataQuality(formatDataQuality(data.dataQuality));
 
         // Cache the results
-        const cacheKey = generateCacheKey(csvData, dataColumns);
+        const cacheKey = generateCacheKey(analysisData, dataColumns);
         setCachedResponse(cacheKey, {
           insights: formattedInsights,
           recommendations: formattedRecommendations,
@@ -181,7 +212,7 @@ const AIInsightsPage = () => {
     setAiChatLoading(true);
 
     try {
-      const result = await answerQuestion(question, csvData, dataColumns);
+      const result = await answerQuestion(question, analysisData, dataColumns);
 
       if (result.success) {
         addChatMessage({
@@ -278,6 +309,8 @@ const AIInsightsPage = () => {
             Configure in Settings
           </button>
         </motion.div>
+
+        {statisticalAnomaliesPanel}
       </div>
     );
   }
@@ -293,9 +326,14 @@ const AIInsightsPage = () => {
           </h1>
           <p className="text-gray-400">
             {aiInsights.length > 0
-              ? `${aiInsights.length} AI-generated insights from ${csvData.length.toLocaleString()} rows`
+              ? `${aiInsights.length} AI-generated insights from ${analysisData.length.toLocaleString()} rows`
               : 'Generate intelligent insights from your data'}
           </p>
+          {isFiltered && (
+            <p className="text-sm text-blue-300 mt-1">
+              Analyzing {filteredRows.toLocaleString()} of {totalRows.toLocaleString()} rows (dashboard filters applied)
+            </p>
+          )}
         </div>
         <div className="flex items-center gap-3">
           <button
@@ -349,7 +387,7 @@ const AIInsightsPage = () => {
       )}
 
       {/* Data Summary Cards */}
-      {dataStats && (
+      {analysisStats && (
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -358,7 +396,11 @@ const AIInsightsPage = () => {
           >
             <BarChart3 className="w-8 h-8 text-blue-400 mb-2" />
             <p className="text-sm text-gray-400">Total Rows</p>
-            <p className="text-2xl font-bold text-white">{dataStats.totalRows?.toLocaleString?.()}</p>
+            <p className="text-2xl font-bold text-white">{analysisStats.totalRows?.toLocaleString?.()}
+              {isFiltered && (
+                <span className="text-sm font-normal text-gray-400"> of {totalRows.toLocaleString()}</span>
+              )}
+            </p>
           </motion.div>
 
           <motion.div
@@ -369,7 +411,7 @@ const AIInsightsPage = () => {
           >
             <Activity className="w-8 h-8 text-green-400 mb-2" />
             <p className="text-sm text-gray-400">Columns</p>
-            <p className="text-2xl font-bold text-white">{dataStats.totalColumns}</p>
+            <p className="text-2xl font-bold text-white">{analysisStats.totalColumns}</p>
           </motion.div>
 
           <motion.div
@@ -380,8 +422,14 @@ const AIInsightsPage = () => {
           >
             <Zap className="w-8 h-8 text-purple-400 mb-2" />
             <p className="text-sm text-gray-400">Data Quality</p>
-            <p className="text-2xl font-bold text-white">
-              {dataQuality ? `${dataQuality.score}%` : `${dataStats.qualityScore || 'N/A'}`}
+            {/* The quality rules' score is measured, so it wins over the AI's estimate */}
+            <p
+              className="text-2xl font-bold text-white"
+              title={analysisStats.quality?.score != null && dataQuality ? `AI estimate: ${dataQuality.score}%` : undefined}
+            >
+              {analysisStats.quality?.score != null
+                ? `${analysisStats.qualityScore}%`
+                : dataQuality ? `${dataQuality.score}%` : `${analysisStats.qualityScore || 'N/A'}`}
             </p>
           </motion.div>
 
@@ -608,43 +656,47 @@ const AIInsightsPage = () => {
         </motion.div>
       )}
 
-      {/* Anomalies */}
-      {aiAnomalies && aiAnomalies.length > 0 && (
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          className="bg-gradient-to-br from-yellow-500/10 to-orange-500/10 border border-yellow-500/30 rounded-2xl p-6"
-        >
-          <h3 className="text-xl font-semibold text-white mb-4 flex items-center gap-2">
-            <AlertCircle className="w-6 h-6 text-yellow-400" />
-            Detected Anomalies
-          </h3>
-          <div className="space-y-3">
-            {aiAnomalies.map((anomaly, index) => (
-              <motion.div
-                key={anomaly.id}
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                transition={{ delay: index * 0.05 }}
-                className="flex items-start gap-3 p-4 bg-gray-800/50 backdrop-blur-sm border border-yellow-500/20 rounded-xl hover:border-yellow-500/40 transition-colors"
-              >
-                <Info className="w-5 h-5 text-yellow-400 flex-shrink-0 mt-0.5" />
-                <div className="flex-1">
-                  <p className="text-white font-semibold mb-1">{anomaly.column}</p>
-                  <p className="text-sm text-gray-400 mb-2">{anomaly.description}</p>
-                  <span className={`text-xs px-2 py-1 rounded inline-block font-medium ${
-                    anomaly.severity === 'high' ? 'bg-red-500/20 text-red-400 border border-red-500/30' :
-                    anomaly.severity === 'medium' ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/30' :
-                    'bg-blue-500/20 text-blue-400 border border-blue-500/30'
-                  }`}>
-                    {anomaly.severity} severity
-                  </span>
-                </div>
-              </motion.div>
-            ))}
-          </div>
-        </motion.div>
-      )}
+      {/* Anomalies: the AI's next to the statistical detectors' */}
+      <div className={`grid grid-cols-1 gap-6 ${aiAnomalies && aiAnomalies.length > 0 ? 'lg:grid-cols-2' : ''}`}>
+        {aiAnomalies && aiAnomalies.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-gradient-to-br from-yellow-500/10 to-orange-500/10 border border-yellow-500/30 rounded-2xl p-6"
+          >
+            <h3 className="text-xl font-semibold text-white mb-4 flex items-center gap-2">
+              <AlertCircle className="w-6 h-6 text-yellow-400" />
+              AI-Detected Anomalies
+            </h3>
+            <div className="space-y-3">
+              {aiAnomalies.map((anomaly, index) => (
+                <motion.div
+                  key={anomaly.id}
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                  className="flex items-start gap-3 p-4 bg-gray-800/50 backdrop-blur-sm border border-yellow-500/20 rounded-xl hover:border-yellow-500/40 transition-colors"
+                >
+                  <Info className="w-5 h-5 text-yellow-400 flex-shrink-0 mt-0.5" />
+                  <div className="flex-1">
+                    <p className="text-white font-semibold mb-1">{anomaly.column}</p>
+                    <p className="text-sm text-gray-400 mb-2">{anomaly.description}</p>
+                    <span className={`text-xs px-2 py-1 rounded inline-block font-medium ${
+                      anomaly.severity === 'high' ? 'bg-red-500/20 text-red-400 border border-red-500/30' :
+                      anomaly.severity === 'medium' ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/30' :
+                      'bg-blue-500/20 text-blue-400 border border-blue-500/30'
+                    }`}>
+                      {anomaly.severity} severity
+                    </span>
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+
+        {statisticalAnomaliesPanel}
+      </div>
 
       {/* AI Chat Modal */}
       <AnimatePresence>
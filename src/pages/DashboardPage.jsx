@@ -1,43 +1,153 @@
-import { useState } from 'react';
+import { useState, useMemo, useRef } from 'react';
 import { motion } from 'framer-motion';
 import {
   Plus,
   Upload,
   AlertCircle,
   LayoutGrid,
+  AlertTriangle,
+  Download,
+  FileUp,
+  CheckCircle,
+  X,
+  Filter,
+  SlidersHorizontal,
 } from 'lucide-react';
 import useStore from '../store/useStore';
 import ChartConfigurator from '../components/ChartConfigurator';
 import ChartGrid from '../components/ChartGrid';
+import ColumnRemapDialog from '../components/ColumnRemapDialog';
+import DataTable from '../components/DataTable';
+import FilterPanel from '../components/FilterPanel';
+import useFilteredData from '../hooks/useFilteredData';
+import { checkDatasetCompatibility } from '../utils/dashboardHelpers';
+import {
+  createDashboardSpec,
+  parseDashboardSpec,
+  findUnmatchedColumns,
+  suggestColumnMapping,
+  specToDashboard,
+} from '../utils/dashboardSpec';
+import { exportToJSON } from '../utils/exportHelpers';
+import {
+  applyFilterTree,
+  createCrossFilter,
+  getDatasetsWithoutColumn,
+  limitFiltersToColumns,
+  limitFilterTreeToColumns,
+  toggleFilter,
+} from '../utils/filterHelpers';
 
 const DashboardPage = () => {
   const { 
     csvData, 
     dataColumns, 
     dataStats,
+    dataFileName,
+    datasets,
+    activeDatasetId,
     chartConfigs, 
     addChartConfig, 
     updateChartConfig, 
     removeChartConfig, 
+    setChartConfigs,
+    dashboards,
+    activeDashboardId,
+    setDashboardLayout,
+    setDashboardFilters,
+    setDashboardFilterTree,
+    bindDashboardToDataset,
+    importDashboard,
     setCurrentPage 
   } = useStore();
   const [showConfigurator, setShowConfigurator] = useState(false);
   const [editingChart, setEditingChart] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null); // { spec, unmatched, mapping }
+  const [specNotice, setSpecNotice] = useState(null); // { type: 'success' | 'error', message }
+  const [showFilters, setShowFilters] = useState(false);
+  const [configDatasetId, setConfigDatasetId] = useState(''); // dataset of the chart being configured ('' = active)
+  const specInputRef = useRef(null);
+
+  const activeDashboard = dashboards.find(d => d.id === activeDashboardId);
+
+  // Rows left after the filter panel and the cross-filters (the table and summary cards use these).
+  // Charts get the filter panel rows and apply the other charts' cross-filters themselves.
+  const {
+    data: filteredData,
+    panelData,
+    stats: filteredStats,
+    totalRows,
+    filteredRows,
+    isFiltered,
+    activeConditions,
+    filterTree,
+    crossFilters: filters,
+  } = useFilteredData();
+
+  // Rows and cross-filters for each chart's dataset. Charts follow the active dataset unless
+  // they target another one; the dashboard filters apply wherever the filtered columns exist.
+  const chartFilters = useMemo(
+    () => limitFiltersToColumns(filters, dataColumns.map(col => col.name)),
+    [filters, dataColumns]
+  );
+  const datasetViews = useMemo(() => {
+    const views = {};
+    const targeted = new Set(chartConfigs.map(config => config.datasetId).filter(Boolean));
+    datasets
+      .filter(dataset => targeted.has(dataset.id) && dataset.id !== activeDatasetId)
+      .forEach(dataset => {
+        const names = dataset.columns.map(col => col.name);
+        views[dataset.id] = {
+          data: applyFilterTree(dataset.data, limitFilterTreeToColumns(filterTree, names)),
+          filters: limitFiltersToColumns(filters, names),
+        };
+      });
+    return views;
+  }, [filters, filterTree, chartConfigs, datasets, activeDatasetId]);
+
+  // Datasets the dashboard filters apply to, to mark filters on columns some of them lack
+  const filteredDatasets = useMemo(() => {
+    const shown = new Set([activeDatasetId, ...chartConfigs.map(config => config.datasetId).filter(Boolean)]);
+    return datasets.filter(dataset => shown.has(dataset.id));
+  }, [datasets, activeDatasetId, chartConfigs]);
+
+  // Clicking a bar, slice or line point toggles a filter on that value
+  const handlePointClick = (config, value) => {
+    const filter = createCrossFilter(config, value);
+    if (filter) {
+      setDashboardFilters(toggleFilter(filters, filter));
+    }
+  };
+
+  const removeFilter = (id) => {
+    setDashboardFilters(filters.filter(f => f.id !== id));
+  };
+
+  // Warn when the dataset no longer has the columns this dashboard was built with
+  const compatibility = useMemo(
+    () => checkDatasetCompatibility(activeDashboard, dataColumns, { datasets }),
+    [activeDashboard, dataColumns, datasets]
+  );
+
+  const configDataset = datasets.find(dataset => dataset.id === configDatasetId);
 
   // Handle opening configurator for new chart
   const handleAddChart = () => {
     setEditingChart(null);
+    setConfigDatasetId('');
     setShowConfigurator(true);
   };
 
   // Handle opening configurator for editing
   const handleEditChart = (config) => {
     setEditingChart(config);
+    setConfigDatasetId(datasets.some(dataset => dataset.id === config.datasetId) ? config.datasetId : '');
     setShowConfigurator(true);
   };
 
   // Handle saving chart config
   const handleSaveChart = (config) => {
+    config = { ...config, datasetId: configDatasetId || undefined };
     if (editingChart) {
       updateChartConfig(editingChart.id, config);
     } else {
@@ -56,12 +166,65 @@ const DashboardPage = () => {
 
   // Handle chart reorder
   const handleChartReorder = (newOrder) => {
-    // Update the order in store
-    newOrder.forEach((config, index) => {
-      updateChartConfig(config.id, { ...config, order: index });
+    // Save the new order with the dashboard
+    setChartConfigs(newOrder.map((config, index) => ({ ...config, order: index })));
+  };
+
+  // Export the active dashboard as a JSON spec (charts, layout, filters - no data)
+  const handleExportSpec = () => {
+    const spec = createDashboardSpec(activeDashboard, dataColumns);
+    const slug = activeDashboard.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'dashboard';
+    const result = exportToJSON(spec, `${slug}.dashboard.json`);
+    if (!result.success) {
+      setSpecNotice({ type: 'error', message: `Export failed: ${result.error}` });
+    }
+  };
+
+  // Create the dashboard from a spec once every column is mapped (or skipped)
+  const finishImport = (spec, mapping) => {
+    const { dashboard, skippedCharts, skippedFilters } = specToDashboard(spec, mapping, dataColumns, dataFileName);
+    importDashboard(dashboard);
+    setPendingImport(null);
+
+    const skipped = skippedCharts.length > 0
+      ? ` Skipped ${skippedCharts.length}: ${skippedCharts.map(item => item.chart.title || 'Untitled Chart').join(', ')}.`
+      : '';
+    const skippedFilterUsers = Array.from(new Set(skippedFilters.map(item => item.usedBy)));
+    const droppedFilters = skippedFilters.length > 0
+      ? ` Dropped ${skippedFilters.length} invalid filter${skippedFilters.length !== 1 ? 's' : ''} (${skippedFilterUsers.join(', ')}).`
+      : '';
+    setSpecNotice({
+      type: skippedCharts.length > 0 || skippedFilters.length > 0 ? 'error' : 'success',
+      message: `Imported "${dashboard.name}" with ${dashboard.chartConfigs.length} chart${dashboard.chartConfigs.length !== 1 ? 's' : ''}.${skipped}${droppedFilters}`,
     });
   };
 
+  // Read a spec file and ask for column matches if the template uses unknown columns
+  const handleImportSpec = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // allow importing the same file again
+    if (!file) return;
+
+    setSpecNotice(null);
+    try {
+      const spec = parseDashboardSpec(await file.text());
+      const unmatched = findUnmatchedColumns(spec, dataColumns);
+
+      if (unmatched.length === 0) {
+        finishImport(spec, {});
+      } else {
+        setPendingImport({
+          spec,
+          unmatched,
+          mapping: suggestColumnMapping(unmatched, dataColumns),
+        });
+      }
+    } catch (error) {
+      console.error('Error importing dashboard spec:', error);
+      setSpecNotice({ type: 'error', message: error.message });
+    }
+  };
+
   // Note: Refresh button removed (was non-functional)
 
   // No data uploaded state
@@ -88,19 +251,102 @@ const DashboardPage = () => {
       {/* Page Header with Stats */}
       <div className="flex items-center justify-between flex-wrap gap-4">
         <div>
-          <h1 className="text-3xl font-bold text-white mb-2">Dashboard Overview</h1>
+          <h1 className="text-3xl font-bold text-white mb-2">{activeDashboard?.name || 'Dashboard Overview'}</h1>
+          {activeDashboard?.description && (
+            <p className="text-gray-300 mb-1">{activeDashboard.description}</p>
+          )}
           <p className="text-gray-400">
             {chartConfigs.length > 0
               ? `Displaying ${chartConfigs.length} chart${chartConfigs.length !== 1 ? 's' : ''} from ${dataStats?.totalRows || 0} rows`
               : 'Create charts to visualize your data'}
           </p>
+
+          {/* Active Cross-Filters */}
+          {filters.length > 0 && (
+            <div className="flex items-center flex-wrap gap-2 mt-3">
+              <Filter className="w-4 h-4 text-blue-400" />
+              {filters.map(filter => {
+                const skipped = getDatasetsWithoutColumn(filter.column, filteredDatasets);
+                return (
+                  <span
+                    key={filter.id}
+                    className={`flex items-center gap-1 pl-3 pr-1 py-1 rounded-full text-sm ${
+                      skipped.length > 0
+                        ? 'bg-gray-700/40 border border-dashed border-yellow-500/40 text-gray-300'
+                        : 'bg-blue-500/20 border border-blue-500/30 text-blue-200'
+                    }`}
+                    title={skipped.length > 0 ? `${skipped.join(', ')} has no "${filter.column}" column` : undefined}
+                  >
+                    <span className="text-blue-300/80">{filter.column}:</span> {filter.value}
+                    {skipped.length > 0 && (
+                      <span className="text-xs text-yellow-400">(not applied to {skipped.join(', ')})</span>
+                    )}
+                    <button
+                      onClick={() => removeFilter(filter.id)}
+                      className="p-0.5 rounded-full hover:bg-blue-500/30"
+                      title="Remove filter"
+                    >
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  </span>
+                );
+              })}
+              <button
+                onClick={() => setDashboardFilters([])}
+                className="text-sm text-gray-400 hover:text-white underline-offset-2 hover:underline"
+              >
+                Clear all
+              </button>
+            </div>
+          )}
         </div>
         <div className="flex items-center gap-3">
+          {isFiltered && (
+            <span className="text-sm text-blue-300 whitespace-nowrap" title="Rows matching the dashboard filters">
+              {filteredRows.toLocaleString()} of {totalRows.toLocaleString()} rows
+            </span>
+          )}
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`flex items-center gap-2 px-4 py-3 border rounded-lg transition-colors ${
+              showFilters || activeConditions > 0
+                ? 'bg-blue-500/20 text-blue-200 border-blue-500/40 hover:bg-blue-500/30'
+                : 'bg-gray-800 text-gray-300 border-gray-700 hover:bg-gray-700 hover:text-white'
+            }`}
+            title="Filter the rows used by charts, the table, AI analysis and exports"
+          >
+            <SlidersHorizontal className="w-5 h-5" />
+            <span>Filters{activeConditions > 0 ? ` (${activeConditions})` : ''}</span>
+          </button>
           {chartConfigs.length > 0 && (
             <>
               {/* Refresh removed - not required */}
             </>
           )}
+          <input
+            ref={specInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportSpec}
+            className="hidden"
+          />
+          <button
+            onClick={() => specInputRef.current?.click()}
+            className="flex items-center gap-2 px-4 py-3 bg-gray-800 text-gray-300 border border-gray-700 rounded-lg hover:bg-gray-700 hover:text-white transition-colors"
+            title="Import a dashboard spec and apply it to the current data"
+          >
+            <FileUp className="w-5 h-5" />
+            <span>Import</span>
+          </button>
+          <button
+            onClick={handleExportSpec}
+            disabled={!activeDashboard}
+            className="flex items-center gap-2 px-4 py-3 bg-gray-800 text-gray-300 border border-gray-700 rounded-lg hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50"
+            title="Export this dashboard as a shareable spec (no data included)"
+          >
+            <Download className="w-5 h-5" />
+            <span>Export Spec</span>
+          </button>
           <button
             onClick={handleAddChart}
             className="flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
@@ -111,8 +357,91 @@ const DashboardPage = () => {
         </div>
       </div>
 
+      {/* Filter Panel */}
+      {showFilters && (
+        <FilterPanel
+          columns={dataColumns}
+          filterTree={filterTree}
+          datasets={filteredDatasets}
+          onChange={setDashboardFilterTree}
+          onClose={() => setShowFilters(false)}
+        />
+      )}
+
+      {/* Spec Import / Export Result */}
+      {specNotice && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className={`rounded-xl p-4 border flex items-start gap-3 ${
+            specNotice.type === 'success'
+              ? 'bg-green-500/10 border-green-500/30'
+              : 'bg-red-500/10 border-red-500/30'
+          }`}
+        >
+          {specNotice.type === 'success' ? (
+            <CheckCircle className="w-5 h-5 text-green-400 mt-0.5 flex-shrink-0" />
+          ) : (
+            <AlertCircle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+          )}
+          <p className={`flex-1 text-sm ${specNotice.type === 'success' ? 'text-green-200' : 'text-red-200/80'}`}>
+            {specNotice.message}
+          </p>
+          <button onClick={() => setSpecNotice(null)} className="p-1 hover:bg-gray-700 rounded">
+            <X className="w-4 h-4 text-gray-400" />
+          </button>
+        </motion.div>
+      )}
+
+      {/* Dataset Mismatch Warning */}
+      {!compatibility.matches && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-4"
+        >
+          <div className="flex items-start gap-3">
+            <AlertTriangle className="w-5 h-5 text-yellow-400 mt-0.5 flex-shrink-0" />
+            <div className="flex-1">
+              <h4 className="text-yellow-400 font-semibold mb-1">
+                The current data doesn't match this dashboard
+              </h4>
+              <div className="text-yellow-100/80 text-sm space-y-1">
+                {activeDashboard?.dataset?.fileName && (
+                  <p>Built against: {activeDashboard.dataset.fileName}</p>
+                )}
+                {compatibility.missingColumns.length > 0 && (
+                  <p>Missing columns: {compatibility.missingColumns.join(', ')}</p>
+                )}
+                {compatibility.typeChanges.length > 0 && (
+                  <p>
+                    Changed types: {compatibility.typeChanges
+                      .map(change => `${change.name} (${change.from} → ${change.to})`)
+                      .join(', ')}
+                  </p>
+                )}
+                {compatibility.brokenCharts.length > 0 && (
+                  <p>
+                    Charts that can't be drawn: {compatibility.brokenCharts.map(config => config.title).join(', ')}
+                  </p>
+                )}
+              </div>
+            </div>
+            {(compatibility.missingColumns.length > 0 || compatibility.typeChanges.length > 0) && (
+              <button
+                onClick={() => bindDashboardToDataset(activeDashboardId)}
+                className="px-4 py-2 text-sm rounded-lg border border-yellow-500/40 text-yellow-300 hover:bg-yellow-500/10 transition-colors flex-shrink-0"
+                title="Record the current columns as this dashboard's dataset"
+              >
+                Use Current Data
+              </button>
+            )}
+          </div>
+        </motion.div>
+      )}
+
       {/* Data Summary Cards (when charts exist) */}
-      {chartConfigs.length > 0 && dataStats && (
+      {chartConfigs.length > 0 && filteredStats && (
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -138,7 +467,11 @@ const DashboardPage = () => {
               <LayoutGrid className="w-8 h-8 text-green-400" />
               <div>
                 <p className="text-sm text-gray-400">Data Rows</p>
-                <p className="text-2xl font-bold text-white">{dataStats.totalRows?.toLocaleString?.()}</p>
+                <p className="text-2xl font-bold text-white">{filteredStats.totalRows?.toLocaleString?.()}
+                  {isFiltered && (
+                    <span className="text-sm font-normal text-gray-400"> of {totalRows.toLocaleString()}</span>
+                  )}
+                </p>
               </div>
             </div>
           </motion.div>
@@ -153,7 +486,7 @@ const DashboardPage = () => {
               <LayoutGrid className="w-8 h-8 text-purple-400" />
               <div>
                 <p className="text-sm text-gray-400">Columns</p>
-                <p className="text-2xl font-bold text-white">{dataStats.totalColumns}</p>
+                <p className="text-2xl font-bold text-white">{filteredStats.totalColumns}</p>
               </div>
             </div>
           </motion.div>
@@ -168,7 +501,7 @@ const DashboardPage = () => {
               <LayoutGrid className="w-8 h-8 text-orange-400" />
               <div>
                 <p className="text-sm text-gray-400">Data Quality</p>
-                <p className="text-2xl font-bold text-white">{dataStats.qualityScore}%</p>
+                <p className="text-2xl font-bold text-white">{filteredStats.qualityScore}%</p>
               </div>
             </div>
           </motion.div>
@@ -200,18 +533,53 @@ const DashboardPage = () => {
       ) : (
         <ChartGrid
           configs={chartConfigs}
-          data={csvData}
+          data={panelData}
           onEdit={handleEditChart}
           onDelete={handleDeleteChart}
           onReorder={handleChartReorder}
+          gridLayout={activeDashboard?.layout?.gridLayout}
+          onLayoutChange={(gridLayout) => setDashboardLayout({ gridLayout })}
+          filters={chartFilters}
+          datasetViews={datasetViews}
+          onPointClick={handlePointClick}
+        />
+      )}
+
+      {/* Data Table (follows the filters) */}
+      {chartConfigs.length > 0 && (
+        <div className="space-y-3">
+          <h2 className="text-xl font-semibold text-white">
+            Data
+            {isFiltered && (
+              <span className="ml-2 text-sm font-normal text-gray-400">
+                {filteredRows.toLocaleString()} of {totalRows.toLocaleString()} rows match the filters
+              </span>
+            )}
+          </h2>
+          <DataTable data={filteredData} columns={dataColumns} />
+        </div>
+      )}
+
+      {/* Column Remapping for Imported Specs */}
+      {pendingImport && (
+        <ColumnRemapDialog
+          spec={pendingImport.spec}
+          unmatchedColumns={pendingImport.unmatched}
+          columns={dataColumns}
+          initialMapping={pendingImport.mapping}
+          onConfirm={(mapping) => finishImport(pendingImport.spec, mapping)}
+          onCancel={() => setPendingImport(null)}
         />
       )}
 
       {/* Chart Configurator Modal */}
       {showConfigurator && (
         <ChartConfigurator
-          data={csvData}
-          columns={dataColumns}
+          data={configDataset ? configDataset.data : csvData}
+          columns={configDataset ? configDataset.columns : dataColumns}
+          datasets={datasets}
+          datasetId={configDatasetId}
+          onDatasetChange={setConfigDatasetId}
           initialConfig={editingChart}
           onSave={handleSaveChart}
           onCancel={() => {
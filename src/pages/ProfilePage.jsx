@@ -0,0 +1,313 @@
+import { Upload, Download, Loader2, AlertCircle, Rows3, Columns, CircleSlash, Copy } from 'lucide-react'
+import useStore from '../store/useStore'
+import useLocale from '../hooks/useLocale'
+import useDataProfile from '../hooks/useDataProfile'
+import { formatNumber, formatDate } from '../utils/localeHelpers'
+import { WEEKDAY_NAMES, describeCorrelation } from '../utils/profileHelpers'
+import { exportProfileReport } from '../utils/exportHelpers'
+
+/**
+ * Bars
+ * Small bar chart of counts with a label per bar (shown on hover)
+ */
+const Bars = ({ counts, labels, color = 'bg-blue-500/70' }) => {
+  const max = Math.max(1, ...counts)
+  return (
+    <div className="flex items-end gap-px h-16">
+      {counts.map((count, index) => (
+        <div
+          key={index}
+          className={`flex-1 ${color} hover:opacity-80 rounded-t-sm`}
+          style={{ height: `${count > 0 ? Math.max(3, (count / max) * 100) : 0}%` }}
+          title={`${labels[index]}: ${count.toLocaleString()}`}
+        />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * FrequencyList
+ * Values with their count and a bar for their share of the rows
+ */
+const FrequencyList = ({ items, locale }) => (
+  <div className="space-y-1">
+    {items.map((item, index) => (
+      <div key={index} className="relative text-xs rounded overflow-hidden">
+        <div className="absolute inset-y-0 left-0 bg-blue-500/20" style={{ width: `${item.share * 100}%` }} />
+        <div className="relative flex justify-between gap-2 px-2 py-1">
+          <span className="text-gray-200 truncate" title={item.title}>{item.label}</span>
+          <span className="text-gray-400 flex-shrink-0">
+            {formatNumber(item.count, locale)} · {(item.share * 100).toFixed(1)}%
+          </span>
+        </div>
+      </div>
+    ))}
+  </div>
+)
+
+/**
+ * ColumnProfileCard
+ * Statistics of one column, by its type
+ */
+const ColumnProfileCard = ({ column, locale }) => {
+  const number = (value, digits = 2) => formatNumber(value, locale, { maximumFractionDigits: digits })
+  const stats = [
+    ['Empty', `${number(column.nullCount)} (${((column.nullCount / Math.max(1, column.count)) * 100).toFixed(1)}%)`],
+    ['Distinct', number(column.distinctCount)]
+  ]
+
+  const { number: numbers, text, date, boolean } = column
+  if (numbers) {
+    stats.push(
+      ['Mean', number(numbers.mean)], ['Median', number(numbers.median)],
+      ['Std dev', number(numbers.stdDev)], ['Skewness', number(numbers.skewness)],
+      ['Min', number(numbers.min)], ['Max', number(numbers.max)],
+      ['Q1', number(numbers.q1)], ['Q3', number(numbers.q3)],
+      ['Zeros', number(numbers.zeroCount)], ['Negatives', number(numbers.negativeCount)]
+    )
+  }
+  if (text) {
+    stats.push(['Length', `${number(text.length.min)} – ${number(text.length.max)}`], ['Mean length', number(text.length.mean, 1)])
+  }
+  if (date) {
+    stats.push(
+      ['From', formatDate(date.min, locale)], ['To', formatDate(date.max, locale)],
+      ['Range', `${number(date.rangeDays)} days`], ['Distinct days', number(date.distinctDays)],
+      ['Typical step', `${number(date.typicalStepDays, 1)} days`], ['Gaps', number(date.gapCount)]
+    )
+  }
+  if (boolean) {
+    stats.push(['True', number(boolean.trueCount)], ['False', number(boolean.falseCount)])
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-5 border border-gray-700 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-lg font-semibold text-white truncate" title={column.name}>{column.name}</h3>
+        <span className="text-xs px-2 py-0.5 rounded bg-gray-700 text-gray-300 flex-shrink-0">
+          {column.type}{column.semanticType ? ` · ${column.semanticType}` : ''}
+        </span>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+        {stats.map(([label, value]) => (
+          <div key={label} className="flex justify-between gap-2">
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="text-white font-mono text-right truncate">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {numbers && (
+        <div>
+          <p className="text-xs font-medium text-gray-400 mb-2">Distribution</p>
+          <Bars
+            counts={numbers.histogram.map(bin => bin.count)}
+            labels={numbers.histogram.map(bin => `${number(bin.start)} – ${number(bin.end)}`)}
+          />
+        </div>
+      )}
+
+      {text && (
+        <>
+          <div>
+            <p className="text-xs font-medium text-gray-400 mb-2">Top Values</p>
+            <FrequencyList items={text.topValues.map(item => ({ ...item, label: item.value, title: item.value }))} locale={locale} />
+          </div>
+          <div>
+            <p className="text-xs font-medium text-gray-400 mb-2">Patterns (A upper-case, a lower-case letter, 9 digit)</p>
+            <FrequencyList
+              items={text.patterns.map(item => ({ ...item, label: item.pattern, title: `e.g. ${item.example}` }))}
+              locale={locale}
+            />
+          </div>
+          <div>
+            <p className="text-xs font-medium text-gray-400 mb-2">Length Distribution</p>
+            <Bars
+              counts={text.length.histogram.map(bin => bin.count)}
+              labels={text.length.histogram.map(bin => `${number(bin.start, 0)} – ${number(bin.end, 0)} characters`)}
+              color="bg-yellow-500/70"
+            />
+          </div>
+        </>
+      )}
+
+      {date && (
+        <>
+          <div>
+            <p className="text-xs font-medium text-gray-400 mb-2">Day of Week</p>
+            <Bars counts={date.weekdays} labels={WEEKDAY_NAMES} color="bg-purple-500/70" />
+            <div className="flex text-xs text-gray-500 mt-1">
+              {WEEKDAY_NAMES.map(name => <span key={name} className="flex-1 text-center">{name}</span>)}
+            </div>
+          </div>
+          {date.largestGaps.length > 0 && (
+            <div>
+              <p className="text-xs font-medium text-gray-400 mb-2">Largest Gaps</p>
+              <ul className="space-y-1 text-xs">
+                {date.largestGaps.map(gap => (
+                  <li key={gap.from} className="flex justify-between gap-2 text-gray-300">
+                    <span>{formatDate(gap.from, locale)} → {formatDate(gap.to, locale)}</span>
+                    <span className="text-gray-400">{number(gap.days)} days</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * ProfilePage Component
+ * Profiles the active dataset: per-column statistics by type (numbers,
+ * text, dates, booleans), a correlation matrix of the number columns and
+ * the duplicate row count, exportable as a standalone HTML report
+ */
+const ProfilePage = () => {
+  const { csvData, dataColumns, dataFileName, setCurrentPage } = useStore()
+  const locale = useLocale()
+  const { profile, isProfiling, error } = useDataProfile(csvData, dataColumns)
+
+  if (!csvData || csvData.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="text-center">
+          <div className="w-24 h-24 mx-auto mb-6 bg-gradient-to-br from-blue-500/20 to-purple-500/20 rounded-2xl flex items-center justify-center">
+            <Upload className="w-12 h-12 text-blue-400" />
+          </div>
+          <h2 className="text-3xl font-bold text-white mb-3">No Data Available</h2>
+          <p className="text-gray-400 mb-8 max-w-md">Upload data to see a profile of every column</p>
+          <button
+            onClick={() => setCurrentPage('upload')}
+            className="px-8 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all font-semibold shadow-lg shadow-blue-500/25"
+          >
+            Upload Data Now
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const title = `${(dataFileName || 'Data').replace(/\.[^.]+$/, '')} profile`
+  const handleExport = () => {
+    const baseName = (dataFileName || 'data').replace(/\.[^.]+$/, '')
+    exportProfileReport(profile, `${baseName}-profile.html`, { title, locale })
+  }
+
+  const overview = profile && [
+    { label: 'Rows', value: profile.rowCount, icon: Rows3 },
+    { label: 'Columns', value: profile.columnCount, icon: Columns },
+    { label: 'Empty Cells', value: profile.missingCellCount, icon: CircleSlash },
+    { label: 'Duplicate Rows', value: profile.duplicateRowCount, icon: Copy }
+  ]
+  const { columns: correlationColumns = [], matrix = [] } = profile?.correlations || {}
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-white mb-2">Data Profile</h1>
+          <p className="text-gray-400">Statistics for every column of {dataFileName || 'the active dataset'}</p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={!profile}
+          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-lg font-semibold transition-colors"
+        >
+          <Download className="w-5 h-5" />
+          Export HTML Report
+        </button>
+      </div>
+
+      {isProfiling && (
+        <div className="flex items-center justify-center gap-2 text-gray-400 py-16">
+          <Loader2 className="w-5 h-5 animate-spin" />
+          Profiling {csvData.length.toLocaleString()} rows...
+        </div>
+      )}
+      {error && (
+        <p className="flex items-center gap-2 text-red-400">
+          <AlertCircle className="w-5 h-5" />
+          {error}
+        </p>
+      )}
+
+      {profile && (
+        <>
+          {/* Overview */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {overview.map((item) => {
+              const Icon = item.icon
+              return (
+                <div key={item.label} className="bg-gray-800 rounded-2xl p-5 border border-gray-700">
+                  <div className="flex items-center gap-2 text-gray-400 text-sm mb-1">
+                    <Icon className="w-4 h-4" />
+                    {item.label}
+                  </div>
+                  <p className="text-2xl font-bold text-white">{formatNumber(item.value, locale)}</p>
+                </div>
+              )
+            })}
+          </div>
+
+          {/* Columns */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 2xl:grid-cols-3 gap-4">
+            {profile.columns.map(column => (
+              <ColumnProfileCard key={column.name} column={column} locale={locale} />
+            ))}
+          </div>
+
+          {/* Correlations */}
+          <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
+            <h3 className="text-xl font-semibold text-white mb-1">Correlations</h3>
+            <p className="text-sm text-gray-400 mb-4">Pearson correlation between number columns (blue positive, red negative)</p>
+            {correlationColumns.length < 2 ? (
+              <p className="text-sm text-gray-500">The data needs at least two number columns.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="text-sm">
+                  <thead>
+                    <tr>
+                      <th />
+                      {correlationColumns.map(name => (
+                        <th key={name} className="px-2 py-1 text-gray-400 font-medium max-w-[8rem] truncate" title={name}>{name}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {correlationColumns.map((name, i) => (
+                      <tr key={name}>
+                        <th className="px-2 py-1 text-left text-gray-400 font-medium max-w-[10rem] truncate" title={name}>{name}</th>
+                        {matrix[i].map((r, j) => (
+                          <td
+                            key={j}
+                            className="px-2 py-1 text-center font-mono text-white border border-gray-700"
+                            style={{
+                              backgroundColor: r === null
+                                ? 'transparent'
+                                : r >= 0 ? `rgba(59, 130, 246, ${Math.abs(r) * 0.8})` : `rgba(239, 68, 68, ${Math.abs(r) * 0.8})`
+                            }}
+                            title={`${name} × ${correlationColumns[j]}: ${describeCorrelation(r)}`}
+                          >
+                            {r === null ? '–' : formatNumber(r, locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ProfilePage
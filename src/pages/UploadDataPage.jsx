@@ -1,12 +1,26 @@
-import { useState } from 'react'
+import { useState, useRef, useMemo, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { Upload, FileText, X, CheckCircle, AlertCircle, Loader2, Eye } from 'lucide-react'
 import useStore from '../store/useStore'
 // Import CSV parser utilities
-import { parseCSVFile, validateCSV, inferColumnTypes, getDataSummary } from '../utils/csvParser'
+import { formatBytes } from '../utils/csvParser'
+import { parseFileInWorker, parseJSONInWorker, openWorkbookInWorker } from '../utils/parseInWorker'
+import { isSpreadsheetFile } from '../utils/spreadsheetParser'
+import { isJSONFile } from '../utils/jsonParser'
+import { findMatchingRecipe } from '../utils/prepHelpers'
+import { AUTO_LOCALE, LOCALE_PRESETS, describeLocale, getLocale } from '../utils/localeHelpers'
+import { getEditedCells } from '../utils/editHelpers'
 // Import new components
 import DataTable from '../components/DataTable'
 import DataStats from '../components/DataStats'
+import SheetPicker from '../components/SheetPicker'
+import CalculatedColumnsPanel from '../components/CalculatedColumnsPanel'
+import DataPrepPanel from '../components/DataPrepPanel'
+import SavedRecipesPanel from '../components/SavedRecipesPanel'
+import DatasetsPanel from '../components/DatasetsPanel'
+import CombineDatasetsPanel from '../components/CombineDatasetsPanel'
+import CellEditsPanel from '../components/CellEditsPanel'
+import QualityRulesPanel from '../components/QualityRulesPanel'
 
 const UploadDataPage = () => {
   const [dragActive, setDragActive] = useState(false)
@@ -15,15 +29,72 @@ const UploadDataPage = () => {
   const [processingError, setProcessingError] = useState(null)
   const [processingResults, setProcessingResults] = useState(null)
   const [showPreview, setShowPreview] = useState(false)
+  const [progress, setProgress] = useState(null)
+  
+  // Active worker job (for cancellation) and its start time (for the ETA)
+  const parseJobRef = useRef(null)
+  const parseStartRef = useRef(null)
+  
+  // Spreadsheet state: the workbook stays open in a worker while the user picks a sheet
+  const workbookRef = useRef(null)
+  const [sheets, setSheets] = useState([])
+  const [selectedSheet, setSelectedSheet] = useState(null)
+  const [headerRow, setHeaderRow] = useState(0)
+  const [isLoadingWorkbook, setIsLoadingWorkbook] = useState(false)
+  
+  // JSON import options
+  const [jsonOptions, setJsonOptions] = useState({ format: 'auto', explodeArrays: false })
   
   const { 
     setCurrentPage, 
-    setCsvData, 
-    setDataColumns, 
-    setDataStats,
-    setUploadError 
+    loadDataset,
+    setUploadError,
+    localeSetting,
+    setLocaleSetting,
+    datasets,
+    activeDatasetId,
+    setActiveDataset,
+    renameDataset,
+    removeDataset,
+    addDerivedDataset,
+    csvData,
+    sourceData,
+    dataColumns,
+    dataStats,
+    prepSteps,
+    setPrepSteps,
+    calculatedColumns,
+    setCalculatedColumns,
+    dataFileName,
+    cellEdits,
+    undoneEdits,
+    skippedEditIds,
+    rowIds,
+    editCell,
+    undoEdit,
+    redoEdit,
+    clearEdits,
+    qualityRules,
+    setQualityRules,
+    savedRecipes,
+    recipeReport,
+    saveRecipe,
+    deleteRecipe,
+    setRecipeAutoApply,
+    applySavedRecipe,
+    dismissRecipeReport
   } = useStore()
 
+  // Terminate the workbook worker and any running parse when leaving the page
+  useEffect(() => {
+    return () => {
+      parseJobRef.current?.cancel()
+      workbookRef.current?.close()
+    }
+  }, [])
+
+  const editedCells = useMemo(() => getEditedCells(cellEdits, skippedEditIds, rowIds || []), [cellEdits, skippedEditIds, rowIds])
+
   const handleDrag = (e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -51,73 +122,121 @@ const UploadDataPage = () => {
     }
   }
 
+  const closeWorkbook = () => {
+    if (workbookRef.current) {
+      workbookRef.current.close()
+      workbookRef.current = null
+    }
+    setSheets([])
+    setSelectedSheet(null)
+    setHeaderRow(0)
+    setIsLoadingWorkbook(false)
+  }
+
+  // Load a spreadsheet in the worker and list its sheets
+  const loadWorkbook = async (file) => {
+    closeWorkbook()
+    setIsLoadingWorkbook(true)
+    
+    const workbook = openWorkbookInWorker(file)
+    workbookRef.current = workbook
+    
+    try {
+      const workbookSheets = await workbook.sheets
+      if (workbookRef.current !== workbook) return
+      
+      if (workbookSheets.length === 0) {
+        throw new Error('The workbook does not contain any sheets')
+      }
+      
+      setSheets(workbookSheets)
+      setSelectedSheet(workbookSheets[0].name)
+      setHeaderRow(0)
+    } catch (error) {
+      // A newer file may have replaced this workbook while it was loading
+      if (workbookRef.current !== workbook) return
+      console.error('❌ Error reading spreadsheet:', error)
+      closeWorkbook()
+      setProcessingError(error.errors?.[0]?.message || error.message || 'Failed to read spreadsheet')
+    }
+    setIsLoadingWorkbook(false)
+  }
+
   const handleFile = (file) => {
     // Reset previous state
     setProcessingError(null)
     setProcessingResults(null)
     setShowPreview(false)
+    closeWorkbook()
     
     // Validate file type
-    if (!file.type.includes('csv') && !file.name.endsWith('.csv')) {
-      setProcessingError('Invalid file type. Please upload a CSV file.')
-      return
-    }
+    const isCsv = file.type.includes('csv') || file.name.toLowerCase().endsWith('.csv')
+    const isSpreadsheet = isSpreadsheetFile(file)
+    const isJson = isJSONFile(file)
     
-    // Validate file size (10MB max)
-    const maxSize = 10 * 1024 * 1024 // 10MB in bytes
-    if (file.size > maxSize) {
-      setProcessingError('File is too large. Maximum size is 10MB.')
+    if (!isCsv && !isSpreadsheet && !isJson) {
+      setProcessingError('Invalid file type. Please upload a CSV, Excel (.xlsx/.xls), ODS or JSON (.json/.ndjson) file.')
       return
     }
     
     setUploadedFile(file)
+    
+    if (isSpreadsheet) {
+      loadWorkbook(file)
+    }
   }
 
   const removeFile = () => {
+    closeWorkbook()
     setUploadedFile(null)
     setProcessingError(null)
     setProcessingResults(null)
     setShowPreview(false)
   }
 
+  const handleSheetChange = (sheetName) => {
+    setSelectedSheet(sheetName)
+    setHeaderRow(0)
+  }
+
   const processFile = async () => {
     if (!uploadedFile) return
     
     setIsProcessing(true)
     setProcessingError(null)
+    setProgress({ rowsParsed: 0, bytesRead: 0, totalBytes: uploadedFile.size })
     
     try {
-      console.log('📄 Starting CSV parsing...')
-      
-      // Step 1: Parse CSV file
-      const parseResult = await parseCSVFile(uploadedFile)
-      
-      if (parseResult.errors && parseResult.errors.length > 0) {
-        throw new Error(`CSV parsing failed: ${parseResult.errors[0].message}`)
+      // Parse, validate, infer column types and summarize off the main thread
+      parseStartRef.current = Date.now()
+      let job
+      if (isSpreadsheetFile(uploadedFile)) {
+        // Never fall through to the CSV parser with binary workbook bytes
+        if (!workbookRef.current || !selectedSheet) {
+          throw new Error('The workbook could not be read. Please choose the file again.')
+        }
+        console.log(`📗 Reading sheet "${selectedSheet}" (header row ${headerRow + 1}) in worker...`)
+        job = workbookRef.current.readSheet(selectedSheet, headerRow, { locale: localeSetting, onProgress: setProgress })
+      } else if (isJSONFile(uploadedFile)) {
+        console.log('🧾 Starting JSON parsing in worker...', jsonOptions)
+        job = parseJSONInWorker(uploadedFile, { ...jsonOptions, locale: localeSetting, onProgress: setProgress })
+      } else {
+        console.log('📄 Starting CSV parsing in worker...')
+        job = parseFileInWorker(uploadedFile, { locale: localeSetting, onProgress: setProgress })
       }
+      parseJobRef.current = job
       
-      const { data } = parseResult
+      const { data, validation, columns, summary, meta } = await job.promise
       
       if (!data || data.length === 0) {
-        throw new Error('CSV file is empty or contains no valid data')
+        throw new Error('File is empty or contains no valid data')
       }
       
       console.log('✅ Parsing complete! Rows:', data.length)
-      
-      // Step 2: Validate data
-      console.log('🔍 Validating data...')
-      const validation = validateCSV(data)
       console.log('Validation result:', validation)
-      
-      // Step 3: Infer column types
-      console.log('🔬 Inferring column types...')
-      const columns = inferColumnTypes(data)
       console.log('Column types:', columns)
-      
-      // Step 4: Generate summary statistics
-      console.log('📊 Generating summary...')
-      const summary = getDataSummary(data)
       console.log('Summary:', summary)
+      console.log(`🌐 Read with locale ${meta.locale}${meta.localeDetected ? ' (detected)' : ''}`)
       
       // Store results
       const results = {
@@ -125,15 +244,23 @@ const UploadDataPage = () => {
         columns,
         validation,
         summary,
-        fileName: uploadedFile.name
+        fileName: uploadedFile.name,
+        sheetName: workbookRef.current ? selectedSheet : null,
+        locale: meta.locale,
+        localeDetected: meta.localeDetected
       }
       
       setProcessingResults(results)
       
       // Save to Zustand store
-      setCsvData(data)
-      setDataColumns(columns)
-      setDataStats(summary)
+      loadDataset({ data, fileName: uploadedFile.name, columns, summary, locale: meta.locale })
+      
+      // Redo the cleanup saved for files like this one (e.g. last week's export)
+      const recipe = findMatchingRecipe(savedRecipes, Object.keys(data[0]))
+      if (recipe) {
+        console.log(`🧪 Applying saved recipe "${recipe.name}"...`)
+        applySavedRecipe(recipe.id)
+      }
       
       console.log('🎉 Processing complete!')
       
@@ -141,14 +268,44 @@ const UploadDataPage = () => {
       setShowPreview(true)
       
     } catch (error) {
-      console.error('❌ Error processing CSV:', error)
-      setProcessingError(error.message || 'Failed to process CSV file')
-      setUploadError(error.message)
+      if (error.cancelled) {
+        console.log('⏹️ Parsing cancelled')
+        // Cancelling terminates the worker, so reopen the workbook for another attempt
+        if (workbookRef.current) {
+          loadWorkbook(uploadedFile)
+        }
+        return
+      }
+      
+      console.error('❌ Error processing file:', error)
+      const message = error.errors?.[0]?.message
+        ? `Parsing failed: ${error.errors[0].message}`
+        : error.message || 'Failed to process file'
+      setProcessingError(message)
+      setUploadError(message)
     } finally {
+      parseJobRef.current = null
       setIsProcessing(false)
+      setProgress(null)
+    }
+  }
+  
+  const cancelProcessing = () => {
+    if (parseJobRef.current) {
+      parseJobRef.current.cancel()
     }
   }
   
+  // Estimate remaining time from the read rate so far
+  const getEta = () => {
+    if (!progress || !progress.bytesRead || !parseStartRef.current) return null
+    const elapsed = (Date.now() - parseStartRef.current) / 1000
+    const remaining = (elapsed / progress.bytesRead) * (progress.totalBytes - progress.bytesRead)
+    if (remaining < 1) return 'less than a second'
+    if (remaining < 60) return `${Math.ceil(remaining)}s`
+    return `${Math.floor(remaining / 60)}m ${Math.ceil(remaining % 60)}s`
+  }
+  
   const navigateToDashboard = () => {
     setCurrentPage('dashboard')
   }
@@ -158,7 +315,7 @@ const UploadDataPage = () => {
       {/* Page Header */}
       <div>
         <h1 className="text-3xl font-bold text-white mb-2">Upload Your Data</h1>
-        <p className="text-gray-400">Upload a CSV file to start analyzing your data</p>
+        <p className="text-gray-400">Upload a CSV, spreadsheet or JSON file to start analyzing your data</p>
       </div>
       
       {/* Processing Error */}
@@ -200,7 +357,7 @@ const UploadDataPage = () => {
           >
             <input
               type="file"
-              accept=".csv"
+              accept=".csv,.xlsx,.xls,.ods,.json,.ndjson,.jsonl"
               onChange={handleChange}
               className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
             />
@@ -212,7 +369,7 @@ const UploadDataPage = () => {
 
               <div>
                 <h3 className="text-xl font-semibold text-white mb-2">
-                  Drop your CSV file here
+                  Drop your data file here
                 </h3>
                 <p className="text-gray-400">
                   or <span className="text-blue-400 hover:text-blue-300">browse</span> to choose a file
@@ -220,7 +377,7 @@ const UploadDataPage = () => {
               </div>
 
               <p className="text-sm text-gray-500">
-                Supported format: CSV (Max 10MB)
+                Supported formats: CSV, Excel (.xlsx, .xls), OpenDocument (.ods), JSON (.json, .ndjson, .jsonl)
               </p>
             </div>
           </div>
@@ -241,7 +398,7 @@ const UploadDataPage = () => {
                 <div>
                   <p className="text-white font-medium">{uploadedFile.name}</p>
                   <p className="text-sm text-gray-400">
-                    {(uploadedFile.size / 1024).toFixed(2)} KB
+                    {formatBytes(uploadedFile.size)}
                   </p>
                 </div>
               </div>
@@ -258,6 +415,89 @@ const UploadDataPage = () => {
           </motion.div>
         )}
 
+        {/* Spreadsheet Sheet / Header Row Selection */}
+        {isLoadingWorkbook && (
+          <div className="mt-6 flex items-center gap-2 text-gray-400">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            Reading workbook...
+          </div>
+        )}
+        {sheets.length > 0 && !processingResults && (
+          <SheetPicker
+            sheets={sheets}
+            selectedSheet={selectedSheet}
+            headerRow={headerRow}
+            onSheetChange={handleSheetChange}
+            onHeaderRowChange={setHeaderRow}
+          />
+        )}
+
+        {/* JSON Import Options */}
+        {uploadedFile && isJSONFile(uploadedFile) && !processingResults && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mt-6 bg-gray-700/50 rounded-lg p-4 grid grid-cols-1 md:grid-cols-2 gap-4"
+          >
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Format</label>
+              <select
+                value={jsonOptions.format}
+                onChange={(e) => setJsonOptions({ ...jsonOptions, format: e.target.value })}
+                disabled={isProcessing}
+                className="w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+              >
+                <option value="auto">Detect automatically</option>
+                <option value="json">JSON document (array, object or columnar)</option>
+                <option value="ndjson">Newline-delimited JSON (one record per line)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">Nested Arrays</label>
+              <label className="flex items-center gap-2 text-gray-300 py-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={jsonOptions.explodeArrays}
+                  onChange={(e) => setJsonOptions({ ...jsonOptions, explodeArrays: e.target.checked })}
+                  disabled={isProcessing}
+                  className="w-4 h-4 accent-blue-500"
+                />
+                Explode arrays into one row per item
+              </label>
+              <p className="text-xs text-gray-500">
+                Nested objects are flattened into dotted columns (e.g. customer.name)
+              </p>
+            </div>
+          </motion.div>
+        )}
+
+        {/* Number & Date Format */}
+        {uploadedFile && !processingResults && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mt-6 bg-gray-700/50 rounded-lg p-4"
+          >
+            <label className="block text-sm font-medium text-gray-400 mb-2">Number & Date Format</label>
+            <select
+              value={localeSetting}
+              onChange={(e) => setLocaleSetting(e.target.value)}
+              disabled={isProcessing}
+              className="w-full bg-gray-700 text-white border border-gray-600 rounded-lg px-4 py-2 focus:outline-none focus:border-blue-500"
+            >
+              <option value={AUTO_LOCALE}>Detect from the file</option>
+              {LOCALE_PRESETS.map(locale => (
+                <option key={locale.id} value={locale.id}>
+                  {locale.name} ({describeLocale(locale)})
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-2">
+              How the file writes decimals, thousands and dates; values are shown and exported the same way
+            </p>
+          </motion.div>
+        )}
+
         {/* Action Buttons */}
         {uploadedFile && !processingResults && (
           <motion.div
@@ -267,7 +507,7 @@ const UploadDataPage = () => {
           >
             <button
               onClick={processFile}
-              disabled={isProcessing}
+              disabled={isProcessing || isLoadingWorkbook || (isSpreadsheetFile(uploadedFile) && sheets.length === 0)}
               className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
             >
               {isProcessing ? (
@@ -280,15 +520,56 @@ const UploadDataPage = () => {
               )}
             </button>
             <button
-              onClick={removeFile}
-              disabled={isProcessing}
-              className="px-6 py-3 rounded-lg border border-gray-600 text-gray-400 hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={isProcessing ? cancelProcessing : removeFile}
+              className="px-6 py-3 rounded-lg border border-gray-600 text-gray-400 hover:bg-gray-700 hover:text-white transition-colors"
             >
               Cancel
             </button>
           </motion.div>
         )}
         
+        {/* Parsing Progress */}
+        {isProcessing && progress && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="mt-4 bg-gray-700/50 rounded-lg p-4"
+          >
+            <div className="w-full h-2 bg-gray-600 rounded-full overflow-hidden mb-3">
+              <div
+                className="h-full bg-blue-500 transition-all"
+                style={{ width: `${progress.totalBytes ? (progress.bytesRead / progress.totalBytes) * 100 : 0}%` }}
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="text-gray-400">Rows Parsed</p>
+                <p className="text-white font-medium">{progress.rowsParsed.toLocaleString()}</p>
+              </div>
+              <div>
+                <p className="text-gray-400">Bytes Read</p>
+                <p className="text-white font-medium">
+                  {formatBytes(progress.bytesRead)} / {formatBytes(progress.totalBytes)}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-400">Time Remaining</p>
+                <p className="text-white font-medium">
+                  {progress.bytesRead >= progress.totalBytes ? 'Analyzing...' : getEta() || 'Estimating...'}
+                </p>
+              </div>
+            </div>
+          </motion.div>
+        )}
+        
+        {/* Locale the file was read in */}
+        {processingResults?.locale && (
+          <p className="mt-4 text-sm text-gray-400">
+            Numbers and dates read as {getLocale(processingResults.locale).name} ({describeLocale(getLocale(processingResults.locale))})
+            {processingResults.localeDetected ? ', detected from the file' : ''}
+          </p>
+        )}
+
         {/* Success & Navigate to Dashboard */}
         {processingResults && (
           <motion.div
@@ -329,29 +610,106 @@ const UploadDataPage = () => {
         >
           {/* Data Statistics */}
           <DataStats
-            summary={processingResults.summary}
-            columns={processingResults.columns}
+            summary={csvData ? dataStats : processingResults.summary}
+            columns={csvData ? dataColumns : processingResults.columns}
             validation={processingResults.validation}
           />
           
-          {/* Data Preview Table */}
+          {/* Data Preview Table (from the store, so prep steps and calculated columns show up) */}
           <div className="bg-gray-800 rounded-2xl p-6 border border-gray-700">
             <div className="mb-4">
               <h3 className="text-xl font-semibold text-white mb-1">Data Preview</h3>
               <p className="text-sm text-gray-400">
-                Showing first {Math.min(processingResults.data.length, 10)} rows of {processingResults.data.length} total
+                All {(csvData || processingResults.data).length.toLocaleString()} rows; scroll, filter and sort to explore them
               </p>
             </div>
             
             <DataTable
-              data={processingResults.data}
-              columns={processingResults.columns}
-              rowsPerPage={10}
+              data={csvData || processingResults.data}
+              columns={csvData ? dataColumns : processingResults.columns}
+              height={420}
+              onEditCell={csvData ? editCell : undefined}
+              editedCells={editedCells}
             />
           </div>
         </motion.div>
       )}
 
+      {/* Cell Edits (undo/redo and the edit log) */}
+      {csvData && !isProcessing && (cellEdits.length > 0 || undoneEdits.length > 0) && (
+        <CellEditsPanel
+          edits={cellEdits}
+          undoneEdits={undoneEdits}
+          skippedEditIds={skippedEditIds}
+          columns={dataColumns}
+          fileName={dataFileName}
+          onUndo={undoEdit}
+          onRedo={redoEdit}
+          onClear={clearEdits}
+        />
+      )}
+
+      {/* Loaded Datasets and Combined Views */}
+      {datasets.length > 0 && !isProcessing && (
+        <DatasetsPanel
+          datasets={datasets}
+          activeDatasetId={activeDatasetId}
+          onActivate={setActiveDataset}
+          onRename={renameDataset}
+          onRemove={removeDataset}
+        />
+      )}
+
+      {datasets.length > 1 && !isProcessing && (
+        <CombineDatasetsPanel datasets={datasets} onCreate={addDerivedDataset} />
+      )}
+
+      {/* Saved Recipes, Data Prep and Calculated Columns (for the loaded dataset, also when returning to this page) */}
+      {csvData && sourceData && !isProcessing && (
+        <SavedRecipesPanel
+          recipes={savedRecipes}
+          headers={Object.keys(sourceData[0] || {})}
+          canSave={prepSteps.length > 0 || calculatedColumns.length > 0}
+          report={recipeReport}
+          onSave={saveRecipe}
+          onApply={applySavedRecipe}
+          onDelete={deleteRecipe}
+          onToggleAutoApply={setRecipeAutoApply}
+          onDismissReport={dismissRecipeReport}
+        />
+      )}
+
+      {csvData && sourceData && !isProcessing && (
+        <DataPrepPanel
+          data={csvData}
+          columns={dataColumns}
+          sourceColumns={Object.keys(sourceData[0] || {})}
+          prepSteps={prepSteps}
+          calculatedColumns={calculatedColumns}
+          onChange={setPrepSteps}
+        />
+      )}
+
+      {csvData && !isProcessing && (
+        <CalculatedColumnsPanel
+          data={csvData}
+          columns={dataColumns}
+          calculatedColumns={calculatedColumns}
+          onChange={setCalculatedColumns}
+        />
+      )}
+
+      {csvData && !isProcessing && (
+        <QualityRulesPanel
+          data={csvData}
+          columns={dataColumns}
+          rules={qualityRules}
+          quality={dataStats?.quality}
+          datasets={datasets}
+          onChange={setQualityRules}
+        />
+      )}
+
       {/* Instructions */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -363,15 +721,15 @@ const UploadDataPage = () => {
         <ul className="space-y-2 text-gray-400">
           <li className="flex items-center gap-2">
             <div className="w-1.5 h-1.5 bg-blue-400 rounded-full"></div>
-            File format must be CSV
+            File format must be CSV, Excel (.xlsx/.xls), OpenDocument (.ods), JSON or NDJSON (.ndjson/.jsonl)
           </li>
           <li className="flex items-center gap-2">
             <div className="w-1.5 h-1.5 bg-blue-400 rounded-full"></div>
-            Maximum file size: 10MB
+            Large files are parsed in the background and can be cancelled
           </li>
           <li className="flex items-center gap-2">
             <div className="w-1.5 h-1.5 bg-blue-400 rounded-full"></div>
-            First row should contain column headers
+            First row should contain column headers (for spreadsheets you can pick the header row)
           </li>
           <li className="flex items-center gap-2">
             <div className="w-1.5 h-1.5 bg-blue-400 rounded-full"></div>
@@ -100,7 +100,8 @@ const prepareDataForAI = (data, columns, maxRows = OPENAI_CONFIG.maxDataRows) =>
   return {
     sample,
     statistics,
-    columns: columns.map(c => ({ name: c.name, type: c.type }))
+    // Calculated columns carry their formula so the model knows how they're derived
+    columns: columns.map(c => ({ name: c.name, type: c.type, ...(c.formula && { formula: c.formula }) }))
   };
 };
 
@@ -153,7 +154,7 @@ DATA OVERVIEW:
 - Column Types: ${JSON.stringify(prepared.statistics.columnTypes)}
 
 COLUMNS:
-${prepared.columns.map(col => `- ${col.name} (${col.type})`).join('\n')}
+${prepared.columns.map(col => `- ${col.name} (${col.type})${col.formula ? ` = ${col.formula}` : ''}`).join('\n')}
 
 SAMPLE DATA (first ${prepared.sample.length} rows):
 ${JSON.stringify(prepared.sample.slice(0, 10), null, 2)}
@@ -290,7 +291,7 @@ export const suggestChartWithAI = async (csvData, columns, apiKey = null) => {
   const prompt = `You are a data visualization expert. Suggest the best chart types for this dataset.
 
 COLUMNS:
-${prepared.columns.map(col => `- ${col.name} (${col.type})`).join('\n')}
+${prepared.columns.map(col => `- ${col.name} (${col.type})${col.formula ? ` = ${col.formula}` : ''}`).join('\n')}
 
 SAMPLE DATA:
 ${JSON.stringify(prepared.sample.slice(0, 5), null, 2)}
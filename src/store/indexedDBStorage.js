@@ -0,0 +1,126 @@
+/**
+ * IndexedDB storage for zustand's persist middleware
+ *
+ * Datasets are far bigger than localStorage's ~5MB quota, so the workspace
+ * is kept in IndexedDB instead. Values are stored as structured clones (no
+ * JSON round trip), and writes are debounced so a burst of store updates
+ * (e.g. while parsing or chatting) results in a single write.
+ *
+ * Example usage:
+ *   persist(creator, { name: 'workspace', storage: createIndexedDBStorage() })
+ */
+
+const DB_NAME = 'ai-analytics-dashboard'
+const DB_VERSION = 1
+const STORE_NAME = 'keyval'
+
+let dbPromise = null
+
+// Open (and create on first use) the database; the connection is shared
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME)
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+    // Allow a retry on the next call if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+// Run one request in its own transaction and resolve once it has committed
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Create a PersistStorage backed by IndexedDB
+ *
+ * @param {Object} options
+ * @param {Number} options.writeDelay - Debounce delay for writes in ms (default: 500)
+ * @returns {Object} - { getItem, setItem, removeItem } for persist's `storage` option
+ */
+export const createIndexedDBStorage = ({ writeDelay = 500 } = {}) => {
+  // Writes waiting for their debounce timer: name -> { value, timer }
+  const pending = new Map()
+
+  const write = (name, value) => {
+    pending.delete(name)
+    return runRequest('readwrite', (store) => store.put(value, name)).catch((error) => {
+      console.error('❌ Failed to save workspace:', error)
+    })
+  }
+
+  // Write anything still waiting before the page goes away
+  const flushAll = () => {
+    pending.forEach(({ value, timer }, name) => {
+      clearTimeout(timer)
+      write(name, value)
+    })
+  }
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', flushAll)
+  }
+
+  return {
+    getItem: async (name) => {
+      // A value that hasn't been written yet is still the latest one
+      if (pending.has(name)) {
+        return pending.get(name).value
+      }
+
+      try {
+        const value = await runRequest('readonly', (store) => store.get(name))
+        return value === undefined ? null : value
+      } catch (error) {
+        console.error('❌ Failed to load workspace:', error)
+        return null
+      }
+    },
+
+    setItem: (name, value) => {
+      if (pending.has(name)) {
+        clearTimeout(pending.get(name).timer)
+      }
+      const timer = setTimeout(() => write(name, value), writeDelay)
+      pending.set(name, { value, timer })
+    },
+
+    removeItem: async (name) => {
+      if (pending.has(name)) {
+        clearTimeout(pending.get(name).timer)
+        pending.delete(name)
+      }
+
+      try {
+        await runRequest('readwrite', (store) => store.delete(name))
+      } catch (error) {
+        console.error('❌ Failed to clear workspace:', error)
+      }
+    }
+  }
+}
+
+export default createIndexedDBStorage
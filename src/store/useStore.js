@@ -1,8 +1,263 @@
 import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { createWorkspaceStorage } from './workspaceStorage'
+import {
+  createDashboard,
+  createDatasetSignature,
+  duplicateDashboard as copyDashboard
+} from '../utils/dashboardHelpers'
+import { removeColumns } from '../utils/formulaHelpers'
+import { applyRecipe, createRecipe, planRecipe } from '../utils/prepHelpers'
+import {
+  buildDerivedData,
+  createDataset,
+  generateDatasetId,
+  getDependentDatasetIds,
+  getDerivedSourceIds,
+  getUniqueDatasetName,
+  patchDatasetCell,
+  prepareDataset,
+  refreshDerivedDatasets
+} from '../utils/datasetHelpers'
+import { AUTO_LOCALE } from '../utils/localeHelpers'
+import { createEdit, getEditRowIndex, isCellChange } from '../utils/editHelpers'
+import {
+  getReferencedDatasetIds,
+  recheckQualityRow,
+  runQualityRules,
+  withQualityScore,
+  QUALITY_WORKER_ROW_THRESHOLD
+} from '../utils/qualityHelpers'
 
-const useStore = create((set) => ({
+// Bump when the shape of the persisted workspace changes, and add a migration below
+export const WORKSPACE_VERSION = 6
+
+// State that makes up a workspace and survives a reload.
+// Loading/error flags, modals and darkMode (kept in localStorage by App) are left out.
+// Each dataset's rows are saved in a record of their own (see workspaceStorage), so the
+// active dataset's row mirrors (csvData, sourceData, rowIds) are left out and restored from it.
+const PERSISTED_KEYS = [
+  'currentPage',
+  'uploadedFiles',
+  'datasets',
+  'activeDatasetId',
+  'dataHeaders',
+  'dataFileName',
+  'dataLocale',
+  'localeSetting',
+  'dataColumns',
+  'dataStats',
+  'calculatedColumns',
+  'prepSteps',
+  'cellEdits',
+  'undoneEdits',
+  'skippedEditIds',
+  'qualityRules',
+  'savedRecipes',
+  'chartConfigs',
+  'dashboards',
+  'activeDashboardId',
+  'aiInsights',
+  'aiInsightsLastUpdated',
+  'aiRecommendations',
+  'aiPredictions',
+  'aiAnomalies',
+  'aiChatMessages',
+  'aiAutoGenerate'
+]
+
+// Migrations keyed by the version they upgrade to: { 2: (state) => newState }
+const migrations = {
+  // v2: named dashboards - the single implicit dashboard becomes the first named one
+  2: (state) => {
+    const dashboard = createDashboard({
+      chartConfigs: state.chartConfigs || [],
+      dataset: createDatasetSignature(state.dataColumns)
+    })
+    return { ...state, dashboards: [dashboard], activeDashboardId: dashboard.id }
+  },
+  // v3: data prep recipes replay on the rows as loaded, which are now kept next to csvData
+  3: (state) => ({
+    ...state,
+    sourceData: removeColumns(state.csvData, (state.calculatedColumns || []).map(column => column.name)) || null,
+    prepSteps: []
+  }),
+  // v4: several named datasets - the loaded data becomes the first one
+  4: (state) => {
+    if (!state.sourceData) return { ...state, datasets: [], activeDatasetId: null }
+    const dataset = {
+      id: generateDatasetId(),
+      name: (state.dataFileName || 'Dataset').replace(/\.[^.]+$/, ''),
+      fileName: state.dataFileName || null,
+      sourceData: state.sourceData,
+      data: state.csvData,
+      columns: state.dataColumns || [],
+      stats: state.dataStats || {},
+      prepSteps: state.prepSteps || [],
+      calculatedColumns: state.calculatedColumns || [],
+      derived: null,
+      createdAt: new Date().toISOString()
+    }
+    return { ...state, datasets: [dataset], activeDatasetId: dataset.id }
+  },
+  // v5: cells can be edited by hand - datasets start with an empty edit history, and their
+  // rows get the stable ids edits follow them by (see applyRecipe)
+  5: (state) => ({
+    ...state,
+    datasets: (state.datasets || []).map(dataset => {
+      const { rowIds, typeOverrides } = applyRecipe(dataset.sourceData, dataset.prepSteps || [])
+      return { ...dataset, rowIds, typeOverrides, edits: [], undoneEdits: [], skippedEditIds: [] }
+    }),
+    cellEdits: [],
+    undoneEdits: [],
+    skippedEditIds: []
+  }),
+  // v6: data quality rules - datasets start without any (results are kept with each
+  // dataset, and checked again after loading, see useQualityCheck)
+  6: (state) => ({
+    ...state,
+    datasets: (state.datasets || []).map(dataset => ({ ...dataset, qualityRules: [], quality: null })),
+    qualityRules: []
+  })
+}
+
+// Upgrade a stored workspace one version at a time up to WORKSPACE_VERSION
+const migrateWorkspace = (persistedState, version) => {
+  if (version > WORKSPACE_VERSION) {
+    // Saved by a newer build; don't guess at its shape
+    console.warn(`⚠️ Stored workspace version ${version} is newer than ${WORKSPACE_VERSION}, starting fresh`)
+    return {}
+  }
+
+  let state = persistedState
+  for (let v = version + 1; v <= WORKSPACE_VERSION; v++) {
+    if (migrations[v]) {
+      state = migrations[v](state)
+    }
+  }
+  return state
+}
+
+// Replace the active dashboard's charts, keeping chartConfigs and dashboards in sync
+const withActiveCharts = (state, chartConfigs) => ({
+  chartConfigs,
+  dashboards: state.dashboards.map(dashboard =>
+    dashboard.id === state.activeDashboardId
+      ? { ...dashboard, chartConfigs, updatedAt: new Date().toISOString() }
+      : dashboard
+  )
+})
+
+// Check the quality rules of the datasets whose rows or rules changed since `previous`,
+// or whose reference rules look up a dataset whose rows did. Results are kept on the
+// dataset (quality); large datasets are left pending (quality: null) for a worker (see useQualityCheck).
+// `checkedIds` are datasets whose results were already brought up to date.
+const withQuality = (datasets, previous, checkedIds = []) => datasets.map(dataset => {
+  if (checkedIds.includes(dataset.id)) return dataset
+  const before = previous.find(item => item.id === dataset.id)
+  const rowsOf = (list, id) => list.find(item => item.id === id)?.data
+  const isCurrent = before && dataset.quality !== undefined &&
+    before.data === dataset.data &&
+    before.qualityRules === dataset.qualityRules &&
+    getReferencedDatasetIds(dataset.qualityRules).every(id => rowsOf(previous, id) === rowsOf(datasets, id))
+  if (isCurrent) return dataset
+
+  const rules = dataset.qualityRules || []
+  const quality = rules.length > 0 && (dataset.data?.length || 0) >= QUALITY_WORKER_ROW_THRESHOLD
+    ? null
+    : runQualityRules(dataset.data, rules, { datasets })
+  return { ...dataset, quality }
+})
+
+// The top-level data fields (what everything reads) mirror the active dataset
+const getActiveFields = (dataset) => (dataset
+  ? {
+      csvData: dataset.data,
+      sourceData: dataset.sourceData,
+      rowIds: dataset.rowIds,
+      dataFileName: dataset.fileName || dataset.name,
+      dataLocale: dataset.locale,
+      dataColumns: dataset.columns,
+      dataStats: withQualityScore(dataset.stats, dataset.quality),
+      prepSteps: dataset.prepSteps,
+      calculatedColumns: dataset.calculatedColumns,
+      cellEdits: dataset.edits,
+      undoneEdits: dataset.undoneEdits,
+      skippedEditIds: dataset.skippedEditIds,
+      qualityRules: dataset.qualityRules
+    }
+  : {
+      csvData: null,
+      sourceData: null,
+      rowIds: null,
+      dataFileName: null,
+      dataLocale: null,
+      dataColumns: [],
+      dataStats: {},
+      prepSteps: [],
+      calculatedColumns: [],
+      cellEdits: [],
+      undoneEdits: [],
+      skippedEditIds: [],
+      qualityRules: []
+    })
+
+// Replace datasets and the active one, keeping the mirror fields in sync.
+// `previous` are the datasets before the change, to tell whose quality results still hold.
+const withDatasets = (datasets, activeDatasetId, previous, checkedIds = []) => {
+  const checked = withQuality(datasets, previous, checkedIds)
+  return {
+    datasets: checked,
+    activeDatasetId,
+    ...getActiveFields(checked.find(dataset => dataset.id === activeDatasetId))
+  }
+}
+
+// Rebuild the active dataset's rows from its rows as loaded with new prep steps,
+// cell edits, calculated columns or rows (see prepareDataset), then the views combined from it.
+// Calculated columns are stored in the rows like any other column, so charts,
+// filters and AI prompts use them as is.
+const withActiveDataset = (state, changes) => {
+  const active = state.datasets.find(dataset => dataset.id === state.activeDatasetId)
+  if (!active) return {}
+
+  const updated = prepareDataset(active, changes)
+  const datasets = refreshDerivedDatasets(
+    state.datasets.map(dataset => (dataset.id === active.id ? updated : dataset)),
+    active.id
+  )
+  return withDatasets(datasets, active.id, state.datasets)
+}
+
+// Write one cell of the active dataset (row position `index`) without replaying its recipe:
+// the row, the changed columns' metadata and the quality results are updated in place
+// (see patchDatasetCell, recheckQualityRow), then the views combined from it are rebuilt.
+// `changes` are the edit lists to store with it.
+const withCellChange = (state, index, column, value, changes) => {
+  const active = state.datasets.find(dataset => dataset.id === state.activeDatasetId)
+  if (!active) return {}
+
+  const patched = { ...patchDatasetCell(active, index, column, value), ...changes }
+  let datasets = state.datasets.map(dataset => (dataset.id === active.id ? patched : dataset))
+  const rules = active.qualityRules || []
+  // Rules that look values up in this dataset itself see a changed lookup; check them all over
+  const checkedIds = []
+  if (active.quality && !getReferencedDatasetIds(rules).includes(active.id)) {
+    const quality = recheckQualityRow(active.quality, rules, patched.data, index, active.data[index], {
+      datasets,
+      canCheckAll: patched.data.length < QUALITY_WORKER_ROW_THRESHOLD
+    })
+    datasets = datasets.map(dataset => (dataset.id === active.id ? { ...patched, quality } : dataset))
+    checkedIds.push(active.id)
+  }
+  return withDatasets(refreshDerivedDatasets(datasets, active.id), active.id, state.datasets, checkedIds)
+}
+
+const initialDashboard = createDashboard()
+
+const useStore = create(persist((set) => ({
   // Navigation
-  currentPage: 'landing', // 'landing', 'dashboard', 'insights', 'reports', 'settings'
+  currentPage: 'landing', // 'landing', 'dashboard', 'upload', 'profile', 'insights', 'reports', 'settings'
   setCurrentPage: (page) => set({ currentPage: page }),
   
   // Sidebar
@@ -12,10 +267,25 @@ const useStore = create((set) => ({
   
   //New state for csv data
   uploadedFiles:  [],
-  csvData: null,
+  datasets: [],                    // Named datasets, loaded or combined (see datasetHelpers)
+  activeDatasetId: null,           // Dataset mirrored in the fields below
+  csvData: null,                   // Rows after data prep and calculated columns (what everything reads)
+  sourceData: null,                // Rows as loaded, for replaying the data prep recipe
+  rowIds: null,                    // Each csvData row's stable id, its position in sourceData (see prepHelpers)
   dataHeaders: [],
+  dataFileName: null,
+  dataLocale: null,                // Locale id the active dataset was read in (see localeHelpers)
   dataColumns: [],
   dataStats: {},
+  prepSteps: [],                   // Data prep recipe, in order (see prepHelpers)
+  calculatedColumns: [],           // [{ id, name, expression }] (see formulaHelpers)
+  cellEdits: [],                   // Cells fixed by hand, oldest first (see editHelpers)
+  undoneEdits: [],                 // Undone cell edits to redo, most recently undone last
+  skippedEditIds: [],              // Cell edits that no longer apply (their cell changed under them)
+  qualityRules: [],                // Data quality ruleset; dataStats.quality holds the results (see qualityHelpers)
+  savedRecipes: [],                // Named recipes to run on new uploads (see prepHelpers)
+  recipeReport: null,              // What the last saved recipe run applied and skipped
+  localeSetting: AUTO_LOCALE,      // Locale id to read uploads in, or 'auto' to detect it per file
   isProcessing: false,
   uploadError: null,
 
@@ -28,15 +298,184 @@ const useStore = create((set) => ({
     uploadedFiles: state.uploadedFiles.filter(file => file.id !== fileId)
   })),
   setCsvData: (data) => set({ csvData: data }),
+  setDataFileName: (fileName) => set({ dataFileName: fileName }),
   setDataColumns: (columns) => set({ dataColumns: columns }),
   setDataStats: (stats) => set({ dataStats: stats }),
+  setLocaleSetting: (localeSetting) => set({ localeSetting }),
+  // Load a file as a dataset and make it active. A file with the name of a loaded one
+  // replaces its rows (charts and combined views that use it keep working); the prep
+  // recipe and calculated columns start over, as they were written for the old rows,
+  // while its quality rules are kept to check the new rows.
+  loadDataset: ({ data, fileName, columns, summary, locale = null }) => set((state) => {
+    const existing = state.datasets.find(dataset => !dataset.derived && dataset.fileName === fileName)
+    let dataset = createDataset({
+      name: getUniqueDatasetName(fileName.replace(/\.[^.]+$/, ''), state.datasets),
+      fileName,
+      sourceData: data,
+      columns,
+      stats: summary,
+      locale
+    })
+    if (existing) {
+      dataset = {
+        ...dataset,
+        id: existing.id,
+        name: existing.name,
+        qualityRules: existing.qualityRules || [],
+        createdAt: existing.createdAt
+      }
+    }
+
+    const datasets = existing
+      ? refreshDerivedDatasets(state.datasets.map(item => (item.id === existing.id ? dataset : item)), dataset.id)
+      : [...state.datasets, dataset]
+    return { ...withDatasets(datasets, dataset.id, state.datasets), recipeReport: null }
+  }),
+  setPrepSteps: (prepSteps) => set((state) => withActiveDataset(state, { prepSteps })),
+  setCalculatedColumns: (calculatedColumns) => set((state) => withActiveDataset(state, { calculatedColumns })),
+
+  // Cell Edits
+  // Set a cell of the active dataset (rowIndex is its position in csvData). A new edit clears the redo history.
+  // Calculated columns can't be edited; change their formula instead.
+  // Edits, undo and redo patch the one cell rather than rebuilding the rows (see withCellChange).
+  editCell: (rowIndex, column, value) => set((state) => {
+    const row = state.csvData?.[rowIndex]
+    if (!row || !(column in row) || state.calculatedColumns.some(item => item.name === column)) return {}
+    if (!isCellChange(row[column], value)) return {}
+    const edit = createEdit({ rowId: state.rowIds[rowIndex], column, oldValue: row[column], newValue: value })
+    return withCellChange(state, rowIndex, column, value, { edits: [...state.cellEdits, edit], undoneEdits: [] })
+  }),
+  undoEdit: () => set((state) => {
+    if (state.cellEdits.length === 0) return {}
+    const edit = state.cellEdits[state.cellEdits.length - 1]
+    const changes = {
+      edits: state.cellEdits.slice(0, -1),
+      undoneEdits: [...state.undoneEdits, edit],
+      skippedEditIds: state.skippedEditIds.filter(id => id !== edit.id)
+    }
+    // A skipped edit never changed its cell
+    if (state.skippedEditIds.includes(edit.id)) {
+      const datasets = state.datasets.map(dataset =>
+        dataset.id === state.activeDatasetId ? { ...dataset, ...changes } : dataset
+      )
+      return withDatasets(datasets, state.activeDatasetId, state.datasets)
+    }
+    return withCellChange(state, getEditRowIndex(state.rowIds, edit), edit.column, edit.oldValue, changes)
+  }),
+  redoEdit: () => set((state) => {
+    if (state.undoneEdits.length === 0) return {}
+    const edit = state.undoneEdits[state.undoneEdits.length - 1]
+    const changes = { edits: [...state.cellEdits, edit], undoneEdits: state.undoneEdits.slice(0, -1) }
+    // Like replaying it: the edit only applies while its row is there and its cell still holds the old value
+    const index = getEditRowIndex(state.rowIds, edit)
+    const row = state.csvData[index]
+    if (!row || !(edit.column in row) || isCellChange(row[edit.column], edit.oldValue)) {
+      const datasets = state.datasets.map(dataset =>
+        dataset.id === state.activeDatasetId
+          ? { ...dataset, ...changes, skippedEditIds: [...dataset.skippedEditIds, edit.id] }
+          : dataset
+      )
+      return withDatasets(datasets, state.activeDatasetId, state.datasets)
+    }
+    return withCellChange(state, index, edit.column, edit.newValue, changes)
+  }),
+  // Drop every edit of the active dataset, back to the values as prepared
+  clearEdits: () => set((state) => withActiveDataset(state, { edits: [], undoneEdits: [] })),
+
+  // Data Quality Rules
+  // Replace the active dataset's ruleset; the rows stay as they are, only the results change
+  setQualityRules: (qualityRules) => set((state) => withDatasets(
+    state.datasets.map(dataset => (dataset.id === state.activeDatasetId ? { ...dataset, qualityRules } : dataset)),
+    state.activeDatasetId,
+    state.datasets
+  )),
+  // Keep results a worker found for a dataset's rows and rules, unless either changed meanwhile
+  setDatasetQuality: (id, rows, rules, quality) => set((state) => {
+    const target = state.datasets.find(dataset => dataset.id === id)
+    if (!target || target.data !== rows || target.qualityRules !== rules) return {}
+    const datasets = state.datasets.map(dataset => (dataset.id === id ? { ...dataset, quality } : dataset))
+    return withDatasets(datasets, state.activeDatasetId, datasets)
+  }),
+
+  // Datasets
+  setActiveDataset: (id) => set((state) => {
+    if (!state.datasets.some(dataset => dataset.id === id)) return {}
+    return { ...withDatasets(state.datasets, id, state.datasets), recipeReport: null }
+  }),
+  renameDataset: (id, name) => set((state) => {
+    const others = state.datasets.filter(dataset => dataset.id !== id)
+    const datasets = state.datasets.map(dataset =>
+      dataset.id === id && name.trim() ? { ...dataset, name: getUniqueDatasetName(name, others) } : dataset
+    )
+    // Unions can record each row's dataset name
+    return withDatasets(refreshDerivedDatasets(datasets, id), state.activeDatasetId, state.datasets)
+  }),
+  // Remove a dataset and the combined views built from it
+  removeDataset: (id) => set((state) => {
+    const removed = new Set([id, ...getDependentDatasetIds(state.datasets, id)])
+    const datasets = state.datasets.filter(dataset => !removed.has(dataset.id))
+    const activeDatasetId = removed.has(state.activeDatasetId)
+      ? datasets[datasets.length - 1]?.id || null
+      : state.activeDatasetId
+    return {
+      ...withDatasets(datasets, activeDatasetId, state.datasets),
+      recipeReport: removed.has(state.activeDatasetId) ? null : state.recipeReport
+    }
+  }),
+  // Add a view combined from other datasets (see datasetHelpers) and make it active.
+  // It shows numbers and dates like its first source.
+  addDerivedDataset: (name, derived) => set((state) => {
+    const [firstSourceId] = getDerivedSourceIds(derived)
+    const dataset = createDataset({
+      name: getUniqueDatasetName(name, state.datasets),
+      sourceData: buildDerivedData(derived, state.datasets),
+      derived,
+      locale: state.datasets.find(item => item.id === firstSourceId)?.locale || null
+    })
+    return { ...withDatasets([...state.datasets, dataset], dataset.id, state.datasets), recipeReport: null }
+  }),
+
+  // Saved Recipes
+  // Save the current prep steps and calculated columns (a recipe with the same name is replaced)
+  saveRecipe: (name) => set((state) => {
+    const recipe = createRecipe({
+      name,
+      headers: Object.keys(state.sourceData?.[0] || {}),
+      prepSteps: state.prepSteps,
+      calculatedColumns: state.calculatedColumns
+    })
+    const existing = state.savedRecipes.find(item => item.name === recipe.name)
+    return {
+      savedRecipes: existing
+        ? state.savedRecipes.map(item => (item.id === existing.id
+          ? { ...recipe, id: existing.id, autoApply: existing.autoApply, createdAt: existing.createdAt }
+          : item))
+        : [...state.savedRecipes, recipe]
+    }
+  }),
+  deleteRecipe: (id) => set((state) => ({
+    savedRecipes: state.savedRecipes.filter(recipe => recipe.id !== id)
+  })),
+  setRecipeAutoApply: (id, autoApply) => set((state) => ({
+    savedRecipes: state.savedRecipes.map(recipe => (recipe.id === id ? { ...recipe, autoApply } : recipe))
+  })),
+  // Replace the current prep steps and calculated columns with the parts of a saved recipe that fit the data
+  applySavedRecipe: (id) => set((state) => {
+    const recipe = state.savedRecipes.find(item => item.id === id)
+    if (!recipe || !state.sourceData) return {}
+    const { prepSteps, calculatedColumns, report } = planRecipe(recipe, Object.keys(state.sourceData[0] || {}))
+    return {
+      ...withActiveDataset(state, { prepSteps, calculatedColumns }),
+      recipeReport: { ...report, fileName: state.dataFileName, appliedAt: new Date().toISOString() }
+    }
+  }),
+  dismissRecipeReport: () => set({ recipeReport: null }),
   setIsProcessing: (processing) => set({ isProcessing: processing }),
   setUploadError: (error) => set({ uploadError: error }),
   clearAllData: () => set({
     uploadedFiles: [],
-    csvData: null,
-    dataColumns: [],
-    dataStats: {},
+    ...withDatasets([], null, []),
+    recipeReport: null,
     uploadError: null
   }),
   
@@ -49,20 +488,123 @@ const useStore = create((set) => ({
   showExportModal: false,
   setShowExportModal: (show) => set({ showExportModal: show }),
   
-  // Chart Configurations
+  // Chart Configurations (mirror of the active dashboard's charts)
   chartConfigs: [],
-  addChartConfig: (config) => set((state) => ({
-    chartConfigs: [...state.chartConfigs, config]
-  })),
-  updateChartConfig: (id, updatedConfig) => set((state) => ({
-    chartConfigs: state.chartConfigs.map(config => 
+  addChartConfig: (config) => set((state) => {
+    const next = withActiveCharts(state, [...state.chartConfigs, config])
+    // A dashboard created before any data was loaded adopts the current dataset
+    next.dashboards = next.dashboards.map(dashboard =>
+      dashboard.id === state.activeDashboardId && !dashboard.dataset
+        ? { ...dashboard, dataset: createDatasetSignature(state.dataColumns, state.dataFileName) }
+        : dashboard
+    )
+    return next
+  }),
+  updateChartConfig: (id, updatedConfig) => set((state) => withActiveCharts(state,
+    state.chartConfigs.map(config => 
       config.id === id ? { ...config, ...updatedConfig } : config
     )
+  )),
+  removeChartConfig: (id) => set((state) => withActiveCharts(state,
+    state.chartConfigs.filter(config => config.id !== id)
+  )),
+  setChartConfigs: (configs) => set((state) => withActiveCharts(state, configs)),
+  clearChartConfigs: () => set((state) => withActiveCharts(state, [])),
+
+  // Named Dashboards
+  dashboards: [initialDashboard],
+  activeDashboardId: initialDashboard.id,
+  createDashboard: (name, description = '') => set((state) => {
+    const dashboard = createDashboard({
+      name,
+      description,
+      dataset: createDatasetSignature(state.dataColumns, state.dataFileName)
+    })
+    return {
+      dashboards: [...state.dashboards, dashboard],
+      activeDashboardId: dashboard.id,
+      chartConfigs: dashboard.chartConfigs
+    }
+  }),
+  // Add a ready-made dashboard (e.g. from an imported spec) and open it
+  importDashboard: (dashboard) => set((state) => ({
+    dashboards: [...state.dashboards, dashboard],
+    activeDashboardId: dashboard.id,
+    chartConfigs: dashboard.chartConfigs
   })),
-  removeChartConfig: (id) => set((state) => ({
-    chartConfigs: state.chartConfigs.filter(config => config.id !== id)
+  switchDashboard: (id) => set((state) => {
+    const dashboard = state.dashboards.find(d => d.id === id)
+    if (!dashboard) return {}
+    return { activeDashboardId: id, chartConfigs: dashboard.chartConfigs }
+  }),
+  duplicateDashboard: (id) => set((state) => {
+    const source = state.dashboards.find(d => d.id === id)
+    if (!source) return {}
+    const dashboard = copyDashboard(source, state.dashboards)
+    return {
+      dashboards: [...state.dashboards, dashboard],
+      activeDashboardId: dashboard.id,
+      chartConfigs: dashboard.chartConfigs
+    }
+  }),
+  renameDashboard: (id, name, description) => set((state) => ({
+    dashboards: state.dashboards.map(dashboard =>
+      dashboard.id === id
+        ? {
+            ...dashboard,
+            name: name.trim() || dashboard.name,
+            description: description ?? dashboard.description,
+            updatedAt: new Date().toISOString()
+          }
+        : dashboard
+    )
+  })),
+  deleteDashboard: (id) => set((state) => {
+    let dashboards = state.dashboards.filter(d => d.id !== id)
+    // Always keep at least one dashboard
+    if (dashboards.length === 0) {
+      dashboards = [createDashboard({
+        dataset: createDatasetSignature(state.dataColumns, state.dataFileName)
+      })]
+    }
+    const active = dashboards.find(d => d.id === state.activeDashboardId) || dashboards[0]
+    return {
+      dashboards,
+      activeDashboardId: active.id,
+      chartConfigs: active.chartConfigs
+    }
+  }),
+  setDashboardLayout: (layout) => set((state) => ({
+    dashboards: state.dashboards.map(dashboard =>
+      dashboard.id === state.activeDashboardId
+        ? { ...dashboard, layout: { ...dashboard.layout, ...layout } }
+        : dashboard
+    )
+  })),
+  // Cross-filters of the active dashboard
+  setDashboardFilters: (filters) => set((state) => ({
+    dashboards: state.dashboards.map(dashboard =>
+      dashboard.id === state.activeDashboardId
+        ? { ...dashboard, filters }
+        : dashboard
+    )
+  })),
+  // Filter panel conditions of the active dashboard (see filterHelpers)
+  setDashboardFilterTree: (filterTree) => set((state) => ({
+    dashboards: state.dashboards.map(dashboard =>
+      dashboard.id === state.activeDashboardId
+        ? { ...dashboard, filterTree }
+        : dashboard
+    )
+  })),
+  // Record the current dataset as the one the dashboard is built against
+  bindDashboardToDataset: (id) => set((state) => ({
+    dashboards: state.dashboards.map(dashboard =>
+      dashboard.id === id
+        ? { ...dashboard, dataset: createDatasetSignature(state.dataColumns, state.dataFileName) }
+        : dashboard
+    )
   })),
-  clearChartConfigs: () => set({ chartConfigs: [] }),
 
   // AI Insights State
   aiInsights: [],                  // Array of generated insights
@@ -113,6 +655,52 @@ const useStore = create((set) => ({
   // API Key Management
   setAiAutoGenerate: (auto) => set({ aiAutoGenerate: auto }),
 
+  // Workspace Persistence
+  hasHydrated: false,              // True once the saved workspace has been loaded
+  setHasHydrated: (hydrated) => set({ hasHydrated: hydrated }),
+  // Start fresh: drop the dataset, charts and AI results and delete the saved copy
+  resetWorkspace: () => {
+    const dashboard = createDashboard()
+    set({
+      currentPage: 'upload',
+      uploadedFiles: [],
+      ...withDatasets([], null, []),
+      dataHeaders: [],
+      savedRecipes: [],
+      recipeReport: null,
+      uploadError: null,
+      chartConfigs: [],
+      dashboards: [dashboard],
+      activeDashboardId: dashboard.id,
+      aiInsights: [],
+      aiInsightsError: null,
+      aiInsightsLastUpdated: null,
+      aiRecommendations: [],
+      aiPredictions: null,
+      aiAnomalies: [],
+      aiChatMessages: []
+    })
+    useStore.persist.clearStorage()
+  },
+
+}), {
+  name: 'workspace',
+  version: WORKSPACE_VERSION,
+  storage: createWorkspaceStorage(),
+  partialize: (state) => Object.fromEntries(
+    PERSISTED_KEYS.map(key => [key, state[key]])
+  ),
+  migrate: migrateWorkspace,
+  onRehydrateStorage: () => (state, error) => {
+    if (error) {
+      console.error('❌ Failed to restore workspace:', error)
+    }
+    // The row mirrors aren't saved; take them from the restored active dataset
+    useStore.setState((current) => getActiveFields(
+      current.datasets.find(dataset => dataset.id === current.activeDatasetId)
+    ))
+    useStore.getState().setHasHydrated(true)
+  }
 }))
 
 export default useStore
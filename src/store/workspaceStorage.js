@@ -0,0 +1,105 @@
+import { createIndexedDBStorage } from './indexedDBStorage'
+
+/**
+ * Workspace storage for zustand's persist middleware
+ *
+ * Rows are by far the largest part of a workspace, and most store updates
+ * (switching pages, editing a chart, chatting) don't touch them. Each
+ * dataset's rows are therefore kept in a record of their own next to the
+ * workspace record and only written when they change; the workspace record
+ * holds the datasets without their rows. Reading joins them back together,
+ * so migrations see whole datasets.
+ *
+ * Records (see indexedDBStorage):
+ *   <name>                   - { state, version }, datasets without their rows
+ *   <name>:rows:<datasetId>  - { sourceData, data, rowIds } of one dataset
+ *   <name>:rows              - { csvData, sourceData } of workspaces saved before datasets (v3 and older)
+ *
+ * Example usage:
+ *   persist(creator, { name: 'workspace', storage: createWorkspaceStorage() })
+ */
+
+// Dataset fields kept in the rows record
+export const ROW_FIELDS = ['sourceData', 'data', 'rowIds']
+
+const getRowsKey = (name, datasetId) => `${name}:rows:${datasetId}`
+const getLegacyRowsKey = (name) => `${name}:rows`
+
+const pickRows = (dataset) => Object.fromEntries(ROW_FIELDS.map(field => [field, dataset[field]]))
+
+const withoutRows = (dataset) =>
+  Object.fromEntries(Object.entries(dataset).filter(([key]) => !ROW_FIELDS.includes(key)))
+
+/**
+ * Create a PersistStorage that keeps each dataset's rows in their own record
+ *
+ * @param {Object} options - Passed to createIndexedDBStorage
+ * @returns {Object} - { getItem, setItem, removeItem } for persist's `storage` option
+ */
+export const createWorkspaceStorage = (options) => {
+  const storage = createIndexedDBStorage(options)
+  // Rows last written or read, by dataset id, to tell which ones changed
+  const savedRows = new Map()
+  let hasLegacyRows = false
+
+  const readRows = async (name, dataset) => {
+    const rows = await storage.getItem(getRowsKey(name, dataset.id))
+    if (!rows) {
+      console.warn(`⚠️ The rows of dataset "${dataset.name}" could not be restored`)
+      return { ...dataset, sourceData: [], data: [], rowIds: [] }
+    }
+    savedRows.set(dataset.id, rows)
+    return { ...dataset, ...rows }
+  }
+
+  return {
+    getItem: async (name) => {
+      const value = await storage.getItem(name)
+      if (!value?.state) return value
+
+      if (!Array.isArray(value.state.datasets)) {
+        const rows = await storage.getItem(getLegacyRowsKey(name))
+        hasLegacyRows = Boolean(rows)
+        return rows ? { ...value, state: { ...value.state, ...rows } } : value
+      }
+      const datasets = await Promise.all(value.state.datasets.map(dataset => readRows(name, dataset)))
+      return { ...value, state: { ...value.state, datasets } }
+    },
+
+    setItem: (name, value) => {
+      const datasets = value.state.datasets || []
+      datasets.forEach(dataset => {
+        const saved = savedRows.get(dataset.id)
+        if (saved && ROW_FIELDS.every(field => saved[field] === dataset[field])) return
+        const rows = pickRows(dataset)
+        savedRows.set(dataset.id, rows)
+        storage.setItem(getRowsKey(name, dataset.id), rows)
+      })
+
+      // Rows of removed datasets, and of a migrated older workspace, go
+      const ids = new Set(datasets.map(dataset => dataset.id))
+      savedRows.forEach((_, id) => {
+        if (ids.has(id)) return
+        savedRows.delete(id)
+        storage.removeItem(getRowsKey(name, id))
+      })
+      if (hasLegacyRows) {
+        hasLegacyRows = false
+        storage.removeItem(getLegacyRowsKey(name))
+      }
+
+      storage.setItem(name, { ...value, state: { ...value.state, datasets: datasets.map(withoutRows) } })
+    },
+
+    removeItem: async (name) => {
+      const ids = Array.from(savedRows.keys())
+      savedRows.clear()
+      await Promise.all([
+        ...ids.map(id => storage.removeItem(getRowsKey(name, id))),
+        storage.removeItem(name)
+      ])
+    }
+  }
+}
+
+export default createWorkspaceStorage
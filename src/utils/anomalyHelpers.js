@@ -0,0 +1,510 @@
+import { isTimeBucketed } from './chartHelpers'
+import { toDate, getBucketStart, getNextBucketStart, formatBucketLabel, MAX_FILLED_BUCKETS } from './dateHelpers'
+import { formatNumber } from './localeHelpers'
+
+/**
+ * Anomaly Helpers Utility
+ *
+ * Finds unusual values with plain statistics over every row, as a check
+ * that doesn't depend on the AI analysis (which only sees a sample):
+ * - Z-score: distance from the mean in standard deviations
+ * - IQR: distance beyond the quartiles in interquartile ranges (Tukey's fences)
+ * - Modified z-score: distance from the median in MADs (median absolute
+ *   deviations), which the outliers themselves can't inflate
+ * - Seasonal residual: for a number column over a date column, the mean per
+ *   time bucket minus its trend and seasonal pattern (see decomposeSeries),
+ *   scored like the modified z-score
+ *
+ * Scores are signed (negative below the expected value); the severity of a
+ * value comes from its absolute score (see ANOMALY_METHODS).
+ */
+
+// Above this many rows, detection runs in a worker
+export const ANOMALY_WORKER_ROW_THRESHOLD = 50000
+
+// Scores from which a value is a low, medium or high severity anomaly
+export const ANOMALY_METHODS = [
+  { id: 'zscore', name: 'Z-score', thresholds: { low: 3, medium: 4, high: 5 } },
+  { id: 'iqr', name: 'IQR', thresholds: { low: 1.5, medium: 3, high: 4.5 } },
+  { id: 'mad', name: 'Modified z-score (MAD)', thresholds: { low: 3.5, medium: 5, high: 7 } },
+  { id: 'seasonal', name: 'Seasonal residual', thresholds: { low: 3.5, medium: 5, high: 7 } }
+]
+
+// Season length per time bucket (years have none)
+export const SEASONAL_PERIODS = { hour: 24, day: 7, week: 52, month: 12, quarter: 4, year: null }
+
+// Values a detector needs before it reports anything
+export const MIN_ANOMALY_VALUES = 10
+// Most extreme values kept per finding
+export const MAX_ANOMALY_EXAMPLES = 5
+
+// Seasons a series needs for its seasonal pattern: the trend leaves out half a
+// season at each end, and a median per position needs a few values
+const MIN_SEASONS = 4
+// Trend window (in steps) when a series is too short for its seasonal pattern
+const TREND_WINDOW = 5
+// Scales the MAD to a standard deviation for normal data (Iglewicz and Hoaglin)
+const MAD_SCALE = 0.6745
+// Scales the mean absolute deviation the same way when the MAD is 0
+const MEAN_AD_SCALE = 0.7979
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 }
+
+// Methods that score a column's values on their own (seasonal needs a date column)
+const DISTRIBUTION_METHODS = ['zscore', 'iqr', 'mad']
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value)
+    return Number.isFinite(number) ? number : null
+  }
+  return null
+}
+
+const getMethod = (id) => ANOMALY_METHODS.find(method => method.id === id)
+
+// Linear interpolation between the closest ranks, as in box plots
+const getQuantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+const round = (value) => Number(value.toPrecision(4))
+
+/**
+ * Severity of an anomaly score
+ *
+ * @param {Number} score - Score (its sign is ignored)
+ * @param {String} methodId - Method id (see ANOMALY_METHODS)
+ * @returns {String|null} - 'high', 'medium', 'low', or null for a normal value
+ */
+export const getSeverity = (score, methodId) => {
+  const { thresholds } = getMethod(methodId)
+  const size = Math.abs(score)
+  if (size >= thresholds.high) return 'high'
+  if (size >= thresholds.medium) return 'medium'
+  if (size >= thresholds.low) return 'low'
+  return null
+}
+
+// Modified z-scores of numbers (null stays null); null scores when they don't vary
+const getModifiedZScores = (values) => {
+  const numbers = values.filter(value => value !== null)
+  const sorted = Float64Array.from(numbers).sort()
+  const median = getQuantile(sorted, 0.5)
+  const deviations = Float64Array.from(numbers, value => Math.abs(value - median)).sort()
+  const mad = getQuantile(deviations, 0.5)
+  // Over half the values equal the median: fall back to the mean absolute deviation
+  const spread = mad > 0
+    ? mad / MAD_SCALE
+    : deviations.reduce((sum, value) => sum + value, 0) / deviations.length / MEAN_AD_SCALE
+  const scores = spread > 0
+    ? values.map(value => (value === null ? null : (value - median) / spread))
+    : null
+  return { scores, stats: { median, mad } }
+}
+
+/**
+ * Score numbers with one of the distribution methods
+ *
+ * @param {Array} values - Numbers, null for empty cells
+ * @param {String} methodId - 'zscore', 'iqr' or 'mad'
+ * @returns {Object} - {
+ *   scores,  // signed score per value (null for empty cells), or null when the values don't vary
+ *   stats    // zscore: { mean, stdDev }; iqr: { q1, q3, lower, upper }; mad: { median, mad }
+ * }
+ *
+ * Example usage:
+ *   scoreValues([10, 11, 9, 10, 12, 95], 'iqr').scores
+ *   // → [0, 0, -0.57, 0, 0.14, 47.57]
+ */
+export const scoreValues = (values, methodId) => {
+  const numbers = values.filter(value => value !== null)
+
+  switch (methodId) {
+    case 'zscore': {
+      const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+      const variance = numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, numbers.length - 1)
+      const stdDev = Math.sqrt(variance)
+      const scores = stdDev > 0 ? values.map(value => (value === null ? null : (value - mean) / stdDev)) : null
+      return { scores, stats: { mean, stdDev } }
+    }
+    case 'iqr': {
+      const sorted = Float64Array.from(numbers).sort()
+      const q1 = getQuantile(sorted, 0.25)
+      const q3 = getQuantile(sorted, 0.75)
+      const iqr = q3 - q1
+      const stats = { q1, q3, lower: q1 - 1.5 * iqr, upper: q3 + 1.5 * iqr }
+      if (iqr <= 0) return { scores: null, stats }
+      const scores = values.map(value => {
+        if (value === null) return null
+        if (value > q3) return (value - q3) / iqr
+        if (value < q1) return (value - q1) / iqr
+        return 0
+      })
+      return { scores, stats }
+    }
+    case 'mad':
+      return getModifiedZScores(values)
+    default:
+      throw new Error(`Unknown anomaly method: ${methodId}`)
+  }
+}
+
+// Median of the numbers in a list (null when there are none)
+const getMedian = (values) => {
+  const numbers = values.filter(value => value !== null)
+  return numbers.length > 0 ? getQuantile(Float64Array.from(numbers).sort(), 0.5) : null
+}
+
+// Centered moving median over an odd window, leaving out the value in the middle
+// so it doesn't pull its own expected value; null near the ends and around gaps
+const getMovingMedian = (values, window) => {
+  const half = Math.floor(window / 2)
+  return values.map((_, index) => {
+    if (index < half || index + half >= values.length) return null
+    const neighbors = [...values.slice(index - half, index), ...values.slice(index + 1, index + half + 1)]
+    return neighbors.includes(null) ? null : getMedian(neighbors)
+  })
+}
+
+/**
+ * Split a regular series into trend, seasonal pattern and residual: an
+ * additive decomposition that uses medians where the classical one uses
+ * means (a moving median for the trend, the median per position in the
+ * season), so one spike doesn't leak into the expected values around it.
+ * Without a period, or with fewer than MIN_SEASONS full seasons, there is
+ * no seasonal part and the trend is a short moving median.
+ *
+ * @param {Array} values - Values at regular steps, null where there is none
+ * @param {Number|null} period - Season length in steps (e.g. 7 for days)
+ * @returns {Object} - { trend, seasonal, residual, isSeasonal } (null entries where unknown)
+ *
+ * Example usage:
+ *   decomposeSeries(dailySales, 7).residual
+ */
+export const decomposeSeries = (values, period) => {
+  const isSeasonal = Boolean(period) && period > 1 && values.length >= MIN_SEASONS * period
+  const window = isSeasonal ? period : Math.min(TREND_WINDOW, values.length)
+  const trend = getMovingMedian(values, window % 2 === 0 ? window + 1 : window)
+
+  const seasonal = new Array(values.length).fill(0)
+  if (isSeasonal) {
+    // Median detrended value per position in the season, centered on 0
+    const byPhase = Array.from({ length: period }, () => [])
+    values.forEach((value, index) => {
+      if (value !== null && trend[index] !== null) byPhase[index % period].push(value - trend[index])
+    })
+    const indices = byPhase.map(phase => getMedian(phase) ?? 0)
+    const mean = indices.reduce((sum, value) => sum + value, 0) / period
+    values.forEach((_, index) => {
+      seasonal[index] = indices[index % period] - mean
+    })
+  }
+
+  const residual = values.map((value, index) =>
+    (value === null || trend[index] === null ? null : value - trend[index] - seasonal[index])
+  )
+  return { trend, seasonal, residual, isSeasonal }
+}
+
+/**
+ * Score a regular series by its residuals after decomposition
+ *
+ * @param {Array} values - Values at regular steps, null where there is none
+ * @param {Number|null} period - Season length in steps
+ * @returns {Object} - { scores, expected, isSeasonal } (expected is trend plus season; null entries where unknown)
+ */
+export const scoreSeries = (values, period) => {
+  const { trend, seasonal, residual, isSeasonal } = decomposeSeries(values, period)
+  const known = residual.filter(value => value !== null)
+  const scores = known.length >= MIN_ANOMALY_VALUES ? getModifiedZScores(residual).scores : null
+  const expected = trend.map((value, index) => (value === null ? null : value + seasonal[index]))
+  return { scores, expected, isSeasonal }
+}
+
+/**
+ * Score points by their distance from the least-squares line through them
+ * (modified z-score of the residuals)
+ *
+ * @param {Array} points - [{ x, y }]
+ * @returns {Array|null} - Signed score per point, or null when there are too few or they don't vary
+ */
+export const scoreLinearResiduals = (points) => {
+  if (points.length < MIN_ANOMALY_VALUES) return null
+  const n = points.length
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n
+  let sxx = 0
+  let sxy = 0
+  points.forEach(point => {
+    sxx += (point.x - meanX) ** 2
+    sxy += (point.x - meanX) * (point.y - meanY)
+  })
+  const slope = sxx > 0 ? sxy / sxx : 0
+  return getModifiedZScores(points.map(point => point.y - (meanY + slope * (point.x - meanX)))).scores
+}
+
+// Step between the distinct timestamps of a column, as a bucket granularity
+const getSeriesGranularity = (times) => {
+  const distinct = Float64Array.from(new Set(times)).sort()
+  if (distinct.length < 2) return null
+  const steps = new Float64Array(distinct.length - 1)
+  for (let i = 1; i < distinct.length; i++) steps[i - 1] = distinct[i] - distinct[i - 1]
+  const step = getQuantile(steps.sort(), 0.5)
+  if (step < DAY) return 'hour'
+  if (step < 7 * DAY) return 'day'
+  if (step < 28 * DAY) return 'week'
+  if (step < 90 * DAY) return 'month'
+  if (step < 365 * DAY) return 'quarter'
+  return 'year'
+}
+
+const GRANULARITY_ADJECTIVES = { hour: 'hourly', day: 'daily', week: 'weekly', month: 'monthly', quarter: 'quarterly', year: 'yearly' }
+
+const COARSER = { hour: 'day', day: 'week', week: 'month', month: 'quarter', quarter: 'year', year: null }
+
+// Regular time buckets for a date column: each row's bucket index and the bucket starts
+const getTimeBuckets = (rows, dateColumn) => {
+  const dates = rows.map(row => toDate(row[dateColumn]))
+  const times = []
+  let min = Infinity
+  let max = -Infinity
+  dates.forEach(date => {
+    if (!date) return
+    const time = date.getTime()
+    times.push(time)
+    if (time < min) min = time
+    if (time > max) max = time
+  })
+  let granularity = getSeriesGranularity(times)
+
+  while (granularity) {
+    const first = getBucketStart(new Date(min), granularity)
+    const last = getBucketStart(new Date(max), granularity).getTime()
+    const starts = []
+    for (let start = first; start.getTime() <= last && starts.length <= MAX_FILLED_BUCKETS; start = getNextBucketStart(start, granularity)) {
+      starts.push(start)
+    }
+    if (starts.length <= MAX_FILLED_BUCKETS) {
+      const indexByTime = new Map(starts.map((start, index) => [start.getTime(), index]))
+      const rowBuckets = dates.map(date => (date ? indexByTime.get(getBucketStart(date, granularity).getTime()) : -1))
+      return { granularity, starts, rowBuckets }
+    }
+    granularity = COARSER[granularity]
+  }
+  return null
+}
+
+// Keep the most extreme flagged values of a scored column
+const collectFinding = (scores, methodId, getExample) => {
+  let count = 0
+  let checked = 0
+  let severity = null
+  const flagged = []
+  scores.forEach((score, index) => {
+    if (score === null) return
+    checked++
+    const level = getSeverity(score, methodId)
+    if (!level) return
+    count++
+    if (!severity || SEVERITY_ORDER[level] < SEVERITY_ORDER[severity]) severity = level
+    flagged.push({ index, score })
+  })
+  if (count === 0) return null
+
+  const examples = flagged
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+    .slice(0, MAX_ANOMALY_EXAMPLES)
+    .map(({ index, score }) => ({
+      ...getExample(index),
+      score: round(score),
+      severity: getSeverity(score, methodId)
+    }))
+  return { count, checked, severity, examples }
+}
+
+/**
+ * Find anomalies in every number column of a dataset
+ *
+ * @param {Array} rows - Rows
+ * @param {Array} columns - Column metadata
+ * @returns {Array} - Findings, most severe first: [{
+ *   id, method, column,
+ *   count, checked,        // anomalous values / values looked at
+ *   severity,              // of the most anomalous value
+ *   stats,                 // what the scores are relative to (see scoreValues)
+ *   examples,              // up to MAX_ANOMALY_EXAMPLES: [{ row, value, score, severity }]
+ *   dateColumn, granularity // seasonal findings; their examples are
+ *                          // [{ bucket (ISO start), value, expected, score, severity }]
+ * }]
+ *
+ * Example usage:
+ *   detectAnomalies(rows, columns)
+ *   // → [{ id: 'iqr:Revenue', method: 'iqr', column: 'Revenue', count: 3, severity: 'high', ... }]
+ */
+export const detectAnomalies = (rows, columns) => {
+  if (!rows || rows.length === 0) return []
+  const numberColumns = columns.filter(col => col.type === 'number').map(col => col.name)
+  const dateColumns = columns.filter(col => col.type === 'date').map(col => col.name)
+  const findings = []
+
+  numberColumns.forEach(column => {
+    const values = rows.map(row => toNumber(row[column]))
+    if (values.filter(value => value !== null).length < MIN_ANOMALY_VALUES) return
+
+    DISTRIBUTION_METHODS.forEach(methodId => {
+      const { scores, stats } = scoreValues(values, methodId)
+      if (!scores) return
+      const finding = collectFinding(scores, methodId, index => ({ row: index, value: values[index] }))
+      if (finding) findings.push({ id: `${methodId}:${column}`, method: methodId, column, stats, ...finding })
+    })
+  })
+
+  dateColumns.forEach(dateColumn => {
+    const buckets = getTimeBuckets(rows, dateColumn)
+    if (!buckets) return
+    const { granularity, starts, rowBuckets } = buckets
+
+    numberColumns.forEach(column => {
+      // Mean per bucket, so busier buckets don't stand out for having more rows
+      const sums = new Float64Array(starts.length)
+      const counts = new Uint32Array(starts.length)
+      rows.forEach((row, index) => {
+        const bucket = rowBuckets[index]
+        const value = bucket >= 0 ? toNumber(row[column]) : null
+        if (value === null) return
+        sums[bucket] += value
+        counts[bucket]++
+      })
+      const series = Array.from(sums, (sum, index) => (counts[index] > 0 ? sum / counts[index] : null))
+
+      const { scores, expected, isSeasonal } = scoreSeries(series, SEASONAL_PERIODS[granularity])
+      if (!scores) return
+      const finding = collectFinding(scores, 'seasonal', index => ({
+        bucket: starts[index].toISOString(),
+        value: series[index],
+        expected: expected[index]
+      }))
+      if (finding) {
+        findings.push({
+          id: `seasonal:${dateColumn}:${column}`,
+          method: 'seasonal',
+          column,
+          dateColumn,
+          granularity,
+          stats: { period: isSeasonal ? SEASONAL_PERIODS[granularity] : null },
+          ...finding
+        })
+      }
+    })
+  })
+
+  return findings.sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.count / b.checked - a.count / a.checked
+  )
+}
+
+/**
+ * Describe a finding in a sentence
+ *
+ * @param {Object} finding - detectAnomalies() finding
+ * @param {Object} locale - Locale for the numbers
+ * @returns {String}
+ */
+export const describeAnomaly = (finding, locale) => {
+  const number = (value) => formatNumber(value, locale)
+  const share = formatNumber((finding.count / finding.checked) * 100, locale, { maximumFractionDigits: 1 })
+  const top = finding.examples[0]
+
+  if (finding.method === 'seasonal') {
+    const bucket = formatBucketLabel(top.bucket, finding.granularity, { locale })
+    const pattern = finding.stats.period ? 'trend and seasonal pattern' : 'trend'
+    return `${finding.count} of ${finding.checked} ${GRANULARITY_ADJECTIVES[finding.granularity]} averages (by ${finding.dateColumn}) ` +
+      `are off the ${pattern}. The largest: ${bucket} at ${number(top.value)}, expected about ${number(top.expected)}.`
+  }
+
+  const values = `${finding.count} ${finding.count === 1 ? 'value' : 'values'} (${share}%) ${finding.count === 1 ? 'lies' : 'lie'}`
+  const where = `${number(top.value)} in row ${(top.row + 1).toLocaleString()}`
+  switch (finding.method) {
+    case 'zscore':
+      return `${values} 3+ standard deviations from the mean of ${number(finding.stats.mean)}. ` +
+        `The most extreme is ${where} (z = ${number(top.score)}).`
+    case 'iqr':
+      return `${values} outside ${number(finding.stats.lower)} to ${number(finding.stats.upper)} (1.5 × IQR beyond the quartiles). ` +
+        `The most extreme is ${where}.`
+    default:
+      return `${values} far from the median of ${number(finding.stats.median)} (modified z-score above 3.5). ` +
+        `The most extreme is ${where} (score ${number(top.score)}).`
+  }
+}
+
+/**
+ * Find the anomalous points of a line or scatter chart. Time-bucketed line
+ * charts are scored by seasonal residuals, other line charts by modified
+ * z-score, and scatter plots by distance from the fitted line.
+ *
+ * @param {Array} chartData - Chart rows (see prepareChartData / prepareMultiSeriesData)
+ * @param {Object} config - Chart configuration
+ * @param {Array} series - [{ key }] for multi-series charts, [] otherwise
+ * @returns {Map} - `${valueKey}:${index}` (scatter plots: the index) → { score, severity, method, expected }
+ */
+export const getChartAnomalies = (chartData, config, series = []) => {
+  const marks = new Map()
+  if (!chartData || chartData.length < MIN_ANOMALY_VALUES) return marks
+
+  if (config.chartType === 'scatter') {
+    const scores = scoreLinearResiduals(chartData) || []
+    scores.forEach((score, index) => {
+      const severity = getSeverity(score, 'mad')
+      if (severity) marks.set(index, { score: round(score), severity, method: 'mad', expected: null })
+    })
+    return marks
+  }
+
+  if (config.chartType !== 'line') return marks
+  const isTimeSeries = isTimeBucketed(config)
+  const keys = series.length > 0 ? series.map(item => item.key) : ['value']
+
+  keys.forEach(key => {
+    const values = chartData.map(row => toNumber(row[key]))
+    if (values.filter(value => value !== null).length < MIN_ANOMALY_VALUES) return
+    const methodId = isTimeSeries ? 'seasonal' : 'mad'
+    const { scores, expected } = isTimeSeries
+      ? scoreSeries(values, SEASONAL_PERIODS[config.granularity])
+      : { scores: scoreValues(values, 'mad').scores, expected: null }
+    if (!scores) return
+    scores.forEach((score, index) => {
+      const severity = score === null ? null : getSeverity(score, methodId)
+      if (severity) {
+        marks.set(`${key}:${index}`, { score: round(score), severity, method: methodId, expected: expected?.[index] ?? null })
+      }
+    })
+  })
+  return marks
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  ANOMALY_WORKER_ROW_THRESHOLD,
+  ANOMALY_METHODS,
+  SEASONAL_PERIODS,
+  MIN_ANOMALY_VALUES,
+  MAX_ANOMALY_EXAMPLES,
+  getSeverity,
+  scoreValues,
+  decomposeSeries,
+  scoreSeries,
+  scoreLinearResiduals,
+  detectAnomalies,
+  describeAnomaly,
+  getChartAnomalies
+}
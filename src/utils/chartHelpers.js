@@ -1,3 +1,6 @@
+import { bucketDate, fillDateGaps, getBucketStart, isBucketed, suggestGranularity, toDate } from './dateHelpers'
+import { compileCondition } from './filterHelpers'
+
 /**
  * Chart Helpers Utility
  * 
@@ -10,6 +13,17 @@
  * - Line Chart: Time-series or sequential data
  * - Pie Chart: Category distribution
  * - Scatter Plot: Two numeric variables correlation
+ * - Area Chart: Stacked time-series or sequential data
+ * - Histogram: Distribution of one numeric variable
+ * - Box Plot: Spread of a numeric variable per category
+ * - Heatmap: Aggregated value for each category × category pair
+ * - Treemap: Hierarchical categories sized by value
+ * - KPI Card: One aggregated number, optionally compared with the previous period
+ * - Pivot Table: Validated here, built by pivotHelpers.buildPivot
+ *
+ * Bar, line and area charts can also be multi-series: several Y columns
+ * (config.yColumns), or one Y column split by a category column
+ * (config.seriesColumn). See prepareMultiSeriesData.
  */
 
 /**
@@ -78,11 +92,11 @@ export const prepareBarChartData = (data, xColumn, yColumn, aggregation = 'sum')
         break
       
       case 'min':
-        aggregatedValue = Math.min(...group.values)
+        aggregatedValue = group.values.reduce((min, val) => (val < min ? val : min), Infinity)
         break
       
       case 'max':
-        aggregatedValue = Math.max(...group.values)
+        aggregatedValue = group.values.reduce((max, val) => (val > max ? val : max), -Infinity)
         break
       
       default:
@@ -93,8 +107,8 @@ export const prepareBarChartData = (data, xColumn, yColumn, aggregation = 'sum')
       name: group.name,
       value: Math.round(aggregatedValue * 100) / 100, // Round to 2 decimals
       count: group.count,
-      min: Math.min(...group.values),
-      max: Math.max(...group.values)
+      min: group.values.reduce((min, val) => (val < min ? val : min), Infinity),
+      max: group.values.reduce((max, val) => (val > max ? val : max), -Infinity)
     }
   })
 
@@ -112,6 +126,11 @@ export const prepareBarChartData = (data, xColumn, yColumn, aggregation = 'sum')
  * @param {String} xColumn - Column name for X-axis (date or sequential)
  * @param {String} yColumn - Column name for Y-axis (numeric)
  * @param {String} aggregation - Aggregation method if duplicate X values exist
+ * @param {Object} options - Date bucketing (only for date X columns)
+ * @param {String} options.granularity - 'hour', 'day', 'week', 'month', 'quarter', 'year'
+ *                                       (default: none - group on the raw X value)
+ * @param {String} options.fill - Missing buckets: 'zero', 'null', 'previous' or 'none' (default: 'zero')
+ * @param {Number} options.fiscalYearStart - First month of the fiscal year, 1-12 (default: 1)
  * @returns {Array} - Array of objects formatted for Recharts LineChart
  * 
  * Example output:
@@ -119,11 +138,17 @@ export const prepareBarChartData = (data, xColumn, yColumn, aggregation = 'sum')
  *   { name: '2023-01', value: 1500 },
  *   { name: '2023-02', value: 1800 }
  * ]
+ *
+ * With a granularity, `name` is the bucket key, `label` the formatted bucket
+ * and `date` the bucket start (ISO string).
  */
-export const prepareLineChartData = (data, xColumn, yColumn, aggregation = 'avg') => {
+export const prepareLineChartData = (data, xColumn, yColumn, aggregation = 'avg', options = {}) => {
   if (!data || data.length === 0) return []
   if (!xColumn || !yColumn) return []
 
+  const { granularity, fill = 'zero', fiscalYearStart = 1 } = options
+  const bucketed = isBucketed(granularity)
+
   // Group by X column (might be dates or categories)
   const grouped = data.reduce((acc, row) => {
     let xValue = row[xColumn]
@@ -134,6 +159,23 @@ export const prepareLineChartData = (data, xColumn, yColumn, aggregation = 'avg'
       return acc
     }
 
+    // Put dates into time buckets
+    if (bucketed) {
+      const bucket = bucketDate(xValue, granularity, { fiscalYearStart })
+      if (!bucket) return acc
+
+      if (!acc[bucket.key]) {
+        acc[bucket.key] = {
+          name: bucket.key,
+          label: bucket.label,
+          values: [],
+          date: bucket.start.toISOString()
+        }
+      }
+      acc[bucket.key].values.push(yValue)
+      return acc
+    }
+
     // Convert date objects to string if needed
     if (xValue instanceof Date) {
       xValue = xValue.toISOString().split('T')[0]
@@ -169,10 +211,10 @@ export const prepareLineChartData = (data, xColumn, yColumn, aggregation = 'avg'
           aggregatedValue = sum / group.values.length
           break
         case 'min':
-          aggregatedValue = Math.min(...group.values)
+          aggregatedValue = group.values.reduce((min, val) => (val < min ? val : min), Infinity)
           break
         case 'max':
-          aggregatedValue = Math.max(...group.values)
+          aggregatedValue = group.values.reduce((max, val) => (val > max ? val : max), -Infinity)
           break
         default:
           aggregatedValue = group.values.reduce((sum, val) => sum + val, 0) / group.values.length
@@ -181,6 +223,7 @@ export const prepareLineChartData = (data, xColumn, yColumn, aggregation = 'avg'
 
     return {
       name: group.name,
+      ...(bucketed && { label: group.label }),
       value: Math.round(aggregatedValue * 100) / 100,
       date: group.date
     }
@@ -200,7 +243,208 @@ export const prepareLineChartData = (data, xColumn, yColumn, aggregation = 'avg'
     return String(a.name).localeCompare(String(b.name))
   })
 
-  return result
+  return bucketed ? fillDateGaps(result, ['value'], { granularity, fill, fiscalYearStart }) : result
+}
+
+// Most series a split chart draws; smaller ones are merged into "Others"
+export const MAX_SERIES = 10
+
+export const BAR_MODES = ['grouped', 'stacked', 'percent']
+
+// Chart types whose X axis can be bucketed by date (config.granularity)
+export const TIME_SERIES_CHART_TYPES = ['line', 'area']
+
+// Chart types that can draw several series
+export const MULTI_SERIES_CHART_TYPES = ['bar', 'line', 'area']
+
+/**
+ * Check whether a chart buckets its date X axis
+ *
+ * @param {Object} config - Chart configuration
+ * @returns {Boolean}
+ */
+export const isTimeBucketed = (config) =>
+  Boolean(config) && TIME_SERIES_CHART_TYPES.includes(config.chartType) && isBucketed(config.granularity)
+
+/**
+ * Get the Y columns of a bar, line or area chart
+ *
+ * @param {Object} config - Chart configuration
+ * @returns {Array} - Column names (config.yColumns, or [config.yColumn])
+ */
+export const getYColumns = (config) => {
+  if (!config) return []
+  if (Array.isArray(config.yColumns) && config.yColumns.length > 0) {
+    return config.yColumns.filter(Boolean)
+  }
+  return config.yColumn ? [config.yColumn] : []
+}
+
+/**
+ * Check whether a chart draws more than one series
+ *
+ * @param {Object} config - Chart configuration
+ * @returns {Boolean}
+ */
+export const isMultiSeries = (config) => {
+  if (!config || !MULTI_SERIES_CHART_TYPES.includes(config.chartType)) return false
+  return getYColumns(config).length > 1 || Boolean(config.seriesColumn)
+}
+
+// Aggregate a list of numbers
+const aggregateValues = (values, aggregation = 'sum') => {
+  if (values.length === 0) return null
+
+  switch (aggregation.toLowerCase()) {
+    case 'avg':
+    case 'average':
+      return values.reduce((sum, val) => sum + val, 0) / values.length
+    case 'count':
+      return values.length
+    case 'min':
+      return values.reduce((min, val) => (val < min ? val : min), Infinity)
+    case 'max':
+      return values.reduce((max, val) => (val > max ? val : max), -Infinity)
+    default:
+      return values.reduce((sum, val) => sum + val, 0)
+  }
+}
+
+/**
+ * Prepare data for a multi-series Bar or Line Chart
+ *
+ * Either every Y column becomes a series, or the single Y column is split
+ * by the values of config.seriesColumn (e.g. revenue by month, one series
+ * per region). Series are stored under safe keys (series_0, series_1, ...)
+ * because Recharts reads dotted dataKeys as paths.
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Object} config - Chart configuration ({ chartType, xColumn, yColumns | yColumn,
+ *                          seriesColumn, aggregation })
+ * @returns {Object} - { data: rows, series: [{ key, name }] }
+ *
+ * Example output (revenue by month split by region):
+ * {
+ *   data: [{ name: '2024-01', series_0: 1200, series_1: 800, value: 2000 }, ...],
+ *   series: [{ key: 'series_0', name: 'North' }, { key: 'series_1', name: 'South' }]
+ * }
+ * `value` is the total across series.
+ */
+export const prepareMultiSeriesData = (data, config) => {
+  const empty = { data: [], series: [] }
+  if (!data || data.length === 0 || !config?.xColumn) return empty
+
+  const yColumns = getYColumns(config)
+  if (yColumns.length === 0) return empty
+
+  const { xColumn, seriesColumn, chartType } = config
+  const aggregation = config.aggregation || 'sum'
+  const splitColumn = yColumns.length === 1 ? seriesColumn : null
+  // Line and area charts can bucket a date X column (see prepareLineChartData)
+  const bucketOptions = { fiscalYearStart: config.fiscalYearStart || 1 }
+  const bucketed = isTimeBucketed(config)
+
+  // x -> { name, date, cells: { seriesName: [values] } }
+  const groups = new Map()
+  const seriesTotals = new Map()
+
+  const addValue = (xValue, seriesName, rawValue) => {
+    const value = parseFloat(rawValue)
+    if (isNaN(value)) return
+
+    let key
+    if (bucketed) {
+      const bucket = bucketDate(xValue, config.granularity, bucketOptions)
+      if (!bucket) return
+      key = bucket.key
+      if (!groups.has(key)) {
+        groups.set(key, { name: key, label: bucket.label, date: bucket.start.toISOString(), cells: {} })
+      }
+    } else {
+      key = xValue instanceof Date ? xValue.toISOString().split('T')[0] : String(xValue)
+      if (!groups.has(key)) {
+        groups.set(key, { name: key, date: xValue, cells: {} })
+      }
+    }
+    const cells = groups.get(key).cells
+    if (!cells[seriesName]) cells[seriesName] = []
+    cells[seriesName].push(value)
+    seriesTotals.set(seriesName, (seriesTotals.get(seriesName) || 0) + Math.abs(value))
+  }
+
+  data.forEach(row => {
+    const xValue = row[xColumn]
+    if (xValue === null || xValue === undefined) return
+
+    if (splitColumn) {
+      const seriesValue = row[splitColumn]
+      if (seriesValue === null || seriesValue === undefined) return
+      addValue(xValue, seriesValue instanceof Date ? seriesValue.toISOString().split('T')[0] : String(seriesValue), row[yColumns[0]])
+    } else {
+      yColumns.forEach(column => addValue(xValue, column, row[column]))
+    }
+  })
+
+  // Keep the largest split series, merge the rest into "Others"
+  let seriesNames = splitColumn
+    ? Array.from(seriesTotals.keys()).sort((a, b) => seriesTotals.get(b) - seriesTotals.get(a))
+    : yColumns.filter(column => seriesTotals.has(column))
+  let merged = new Set()
+  if (splitColumn && seriesNames.length > MAX_SERIES) {
+    merged = new Set(seriesNames.slice(MAX_SERIES - 1))
+    seriesNames = [...seriesNames.slice(0, MAX_SERIES - 1), 'Others']
+  }
+
+  const series = seriesNames.map((name, index) => ({ key: `series_${index}`, name }))
+
+  const rows = Array.from(groups.values()).map(group => {
+    const row = { name: group.name }
+    if (bucketed) row.label = group.label
+    let total = 0
+
+    series.forEach(({ key, name }) => {
+      const values = name === 'Others' && merged.size > 0
+        ? Array.from(merged).flatMap(seriesName => group.cells[seriesName] || [])
+        : group.cells[name] || []
+      const value = aggregateValues(values, aggregation)
+      row[key] = value === null ? null : Math.round(value * 100) / 100
+      total += row[key] || 0
+    })
+
+    row.value = Math.round(total * 100) / 100
+    row.date = group.date
+    return row
+  })
+
+  if (TIME_SERIES_CHART_TYPES.includes(chartType)) {
+    // Chronological order, like prepareLineChartData
+    rows.sort((a, b) => {
+      const dateA = new Date(a.date)
+      const dateB = new Date(b.date)
+      if (!isNaN(dateA) && !isNaN(dateB)) {
+        return dateA - dateB
+      }
+      return String(a.name).localeCompare(String(b.name))
+    })
+  } else {
+    rows.sort((a, b) => b.value - a.value)
+  }
+
+  if (bucketed) {
+    const filled = fillDateGaps(rows, [...series.map(item => item.key), 'value'], {
+      granularity: config.granularity,
+      fill: config.fill || 'zero',
+      fiscalYearStart: bucketOptions.fiscalYearStart
+    })
+    return { data: filled, series }
+  }
+
+  // `date` is only needed for sorting
+  rows.forEach(row => {
+    delete row.date
+  })
+
+  return { data: rows, series }
 }
 
 /**
@@ -320,6 +564,518 @@ export const prepareScatterData = (data, xColumn, yColumn, nameColumn = null) =>
   return result
 }
 
+/**
+ * Pick the default time bucket for a date column from its range
+ *
+ * @param {Object} column - Column metadata from inferColumnTypes
+ * @returns {String|null} - Granularity id, or null for non-date columns
+ */
+export const getDefaultGranularity = (column) => {
+  if (!column || column.type !== 'date') return null
+  return suggestGranularity(column.minDate, column.maxDate)
+}
+
+// Keep numbers short in bin labels (0.30000000000000004 → 0.3)
+const formatBinEdge = (value) => String(Number(value.toPrecision(4)))
+
+// Most bins a histogram draws
+export const MAX_HISTOGRAM_BINS = 200
+
+/**
+ * Prepare data for Histogram
+ * Counts the values of a numeric column in equal-width bins
+ *
+ * @param {Array} data - Array of data objects
+ * @param {String} column - Numeric column
+ * @param {Object} options
+ * @param {Number} options.binCount - Number of bins (default: automatic, Sturges' rule)
+ * @param {Number} options.binWidth - Bin width; takes precedence over binCount, and is
+ *                                    widened to a multiple of itself if it needs more than MAX_HISTOGRAM_BINS bins
+ * @returns {Array} - Array of objects formatted for Recharts BarChart
+ *
+ * Example output:
+ * [
+ *   { name: '0–10', x0: 0, x1: 10, value: 12 },
+ *   { name: '10–20', x0: 10, x1: 20, value: 30 }
+ * ]
+ */
+export const prepareHistogramData = (data, column, { binCount = null, binWidth = null } = {}) => {
+  if (!data || data.length === 0 || !column) return []
+
+  const values = []
+  data.forEach(row => {
+    const value = parseFloat(row[column])
+    if (!isNaN(value) && isFinite(value)) values.push(value)
+  })
+  if (values.length === 0) return []
+
+  let min = Infinity
+  let max = -Infinity
+  values.forEach(value => {
+    if (value < min) min = value
+    if (value > max) max = value
+  })
+
+  let start = min
+  let width
+  let count
+
+  if (min === max) {
+    width = 1
+    count = 1
+  } else if (binWidth && binWidth > 0) {
+    // Too narrow a width for the range is widened to a multiple of itself
+    // so every bin keeps the same width and no values pile into the last one
+    let factor = Math.max(1, Math.ceil((max - min) / binWidth / MAX_HISTOGRAM_BINS))
+    do {
+      width = binWidth * factor++
+      // Align bins to multiples of the width so edges are round numbers
+      start = Math.floor(min / width) * width
+      count = Math.max(1, Math.ceil((max - start) / width))
+      if ((max - start) / width === count) count++ // max sits on the last edge
+    } while (count > MAX_HISTOGRAM_BINS)
+  } else {
+    count = binCount && binCount > 0
+      ? Math.round(binCount)
+      : Math.ceil(Math.log2(values.length) + 1)
+    count = Math.min(count, MAX_HISTOGRAM_BINS)
+    width = (max - min) / count
+  }
+
+  const bins = Array.from({ length: count }, (_, index) => {
+    const x0 = start + index * width
+    const x1 = start + (index + 1) * width
+    return { name: `${formatBinEdge(x0)}–${formatBinEdge(x1)}`, x0, x1, value: 0 }
+  })
+
+  values.forEach(value => {
+    // The last bin includes its upper edge
+    const index = Math.min(Math.floor((value - start) / width), count - 1)
+    if (index >= 0) bins[index].value++
+  })
+
+  return bins
+}
+
+// Quantile of sorted values with linear interpolation
+const getQuantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+// Most categories a box plot or heatmap axis shows (the most frequent ones)
+export const MAX_CHART_CATEGORIES = 30
+
+// Most outliers a box keeps for drawing; outlierCount has the full number
+export const MAX_BOX_OUTLIERS = 200
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+// Evenly spaced sample of sorted values that keeps the first and last
+const sampleSorted = (sorted, limit) => {
+  if (sorted.length <= limit) return sorted
+  const step = (sorted.length - 1) / (limit - 1)
+  return Array.from({ length: limit }, (_, index) => sorted[Math.round(index * step)])
+}
+
+/**
+ * Prepare data for Box Plot
+ * Five-number summary per category; whiskers reach the furthest values
+ * within 1.5 × IQR, anything beyond is an outlier. At most MAX_BOX_OUTLIERS
+ * outliers are kept (an even sample that includes the most extreme ones)
+ *
+ * @param {Array} data - Array of data objects
+ * @param {String} categoryColumn - Column to group by (optional: one box for all rows)
+ * @param {String} valueColumn - Numeric column
+ * @returns {Array} - Array of box objects
+ *
+ * Example output:
+ * [
+ *   { name: 'North', min: 2, q1: 10, median: 14, q3: 20, max: 34, count: 120, outliers: [80], outlierCount: 1, value: 14 }
+ * ]
+ */
+export const prepareBoxPlotData = (data, categoryColumn, valueColumn) => {
+  if (!data || data.length === 0 || !valueColumn) return []
+
+  const groups = new Map()
+  data.forEach(row => {
+    const value = parseFloat(row[valueColumn])
+    if (isNaN(value)) return
+
+    const category = categoryColumn ? row[categoryColumn] : valueColumn
+    if (category === null || category === undefined) return
+
+    const key = category instanceof Date ? category.toISOString().split('T')[0] : String(category)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(value)
+  })
+
+  return Array.from(groups.entries())
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, MAX_CHART_CATEGORIES)
+    .map(([name, values]) => {
+      const sorted = values.sort((a, b) => a - b)
+      const q1 = getQuantile(sorted, 0.25)
+      const median = getQuantile(sorted, 0.5)
+      const q3 = getQuantile(sorted, 0.75)
+      const fence = 1.5 * (q3 - q1)
+      const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence)
+      const outliers = sorted.filter(value => value < q1 - fence || value > q3 + fence)
+
+      return {
+        name,
+        min: round2(inside[0]),
+        q1: round2(q1),
+        median: round2(median),
+        q3: round2(q3),
+        max: round2(inside[inside.length - 1]),
+        count: sorted.length,
+        outliers: sampleSorted(outliers, MAX_BOX_OUTLIERS).map(round2),
+        outlierCount: outliers.length,
+        value: round2(median)
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+}
+
+// Most frequent values of a column (as strings), at most `limit`
+const getTopCategories = (data, column, limit) => {
+  const counts = new Map()
+  data.forEach(row => {
+    const value = row[column]
+    if (value === null || value === undefined) return
+    const key = value instanceof Date ? value.toISOString().split('T')[0] : String(value)
+    counts.set(key, (counts.get(key) || 0) + 1)
+  })
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key]) => key)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+}
+
+/**
+ * Prepare data for Heatmap
+ * Aggregates a value for each (x category, y category) pair
+ *
+ * @param {Array} data - Array of data objects
+ * @param {String} xColumn - Category column for the columns of the grid
+ * @param {String} yColumn - Category column for the rows of the grid
+ * @param {String} valueColumn - Numeric column (optional, counts rows if not provided)
+ * @param {String} aggregation - 'sum', 'avg', 'count', 'min', 'max'
+ * @returns {Array} - One cell per pair that has data
+ *
+ * Example output:
+ * [
+ *   { name: 'North × Q1', x: 'North', y: 'Q1', value: 1500, count: 12 }
+ * ]
+ */
+export const prepareHeatmapData = (data, xColumn, yColumn, valueColumn = null, aggregation = 'sum') => {
+  if (!data || data.length === 0 || !xColumn || !yColumn) return []
+
+  const xKeys = new Set(getTopCategories(data, xColumn, MAX_CHART_CATEGORIES))
+  const yKeys = new Set(getTopCategories(data, yColumn, MAX_CHART_CATEGORIES))
+  const toKey = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : String(value))
+
+  const cells = new Map()
+  data.forEach(row => {
+    if (row[xColumn] === null || row[xColumn] === undefined || row[yColumn] === null || row[yColumn] === undefined) return
+    const x = toKey(row[xColumn])
+    const y = toKey(row[yColumn])
+    if (!xKeys.has(x) || !yKeys.has(y)) return
+
+    const value = valueColumn ? parseFloat(row[valueColumn]) : 1
+    if (isNaN(value)) return
+
+    const key = `${x}\u0000${y}`
+    if (!cells.has(key)) cells.set(key, { x, y, values: [] })
+    cells.get(key).values.push(value)
+  })
+
+  const method = valueColumn ? aggregation : 'count'
+  return Array.from(cells.values()).map(cell => ({
+    name: `${cell.x} × ${cell.y}`,
+    x: cell.x,
+    y: cell.y,
+    value: round2(aggregateValues(cell.values, method)),
+    count: cell.values.length
+  }))
+}
+
+/**
+ * Color for a value on a heatmap scale: faint to solid blue between the
+ * smallest and largest value (used by heatmaps and pivot tables)
+ *
+ * @param {Number} value - Cell value
+ * @param {Number} min - Smallest value on the scale
+ * @param {Number} max - Largest value on the scale
+ * @returns {String} - CSS color
+ */
+export const getHeatmapColor = (value, min, max) => {
+  const t = max === min ? 1 : (value - min) / (max - min)
+  return `rgba(59, 130, 246, ${(0.12 + 0.88 * t).toFixed(3)})`
+}
+
+// Most children a treemap node shows; the rest are merged into "Others"
+export const MAX_TREEMAP_CHILDREN = 20
+
+/**
+ * Prepare data for Treemap
+ * Nests rows by one or more category columns (e.g. Region → Country → City)
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Array} hierarchyColumns - Category columns, outermost first
+ * @param {String} valueColumn - Numeric column to sum (optional, counts rows if not provided)
+ * @returns {Array} - Nested nodes formatted for Recharts Treemap
+ *
+ * Example output:
+ * [
+ *   { name: 'Europe', value: 900, children: [{ name: 'France', value: 400 }, ...] }
+ * ]
+ */
+export const prepareTreemapData = (data, hierarchyColumns, valueColumn = null) => {
+  if (!data || data.length === 0 || !hierarchyColumns || hierarchyColumns.length === 0) return []
+
+  const root = { children: new Map() }
+
+  data.forEach(row => {
+    const value = valueColumn ? parseFloat(row[valueColumn]) : 1
+    // Treemap areas can't be negative
+    if (isNaN(value) || value <= 0) return
+
+    let node = root
+    for (const column of hierarchyColumns) {
+      const raw = row[column]
+      const key = raw === null || raw === undefined || raw === ''
+        ? '(blank)'
+        : raw instanceof Date ? raw.toISOString().split('T')[0] : String(raw)
+      if (!node.children.has(key)) {
+        node.children.set(key, { name: key, value: 0, children: new Map() })
+      }
+      node = node.children.get(key)
+      node.value += value
+    }
+  })
+
+  const toNodes = (children) => {
+    const nodes = Array.from(children.values()).sort((a, b) => b.value - a.value)
+    const kept = nodes.slice(0, MAX_TREEMAP_CHILDREN)
+    const rest = nodes.slice(MAX_TREEMAP_CHILDREN)
+
+    const result = kept.map(node => ({
+      name: node.name,
+      value: round2(node.value),
+      ...(node.children.size > 0 && { children: toNodes(node.children) })
+    }))
+
+    if (rest.length > 0) {
+      result.push({ name: 'Others', value: round2(rest.reduce((sum, node) => sum + node.value, 0)) })
+    }
+    return result
+  }
+
+  return toNodes(root.children)
+}
+
+// Metrics a KPI card can show
+export const KPI_AGGREGATIONS = [
+  { id: 'sum', name: 'Sum' },
+  { id: 'avg', name: 'Average' },
+  { id: 'count', name: 'Count' },
+  { id: 'distinct', name: 'Distinct Count' },
+  { id: 'percentile', name: 'Percentile' },
+  { id: 'min', name: 'Minimum' },
+  { id: 'max', name: 'Maximum' }
+]
+
+// Periods in a KPI card's sparkline (the current one included)
+export const KPI_SPARKLINE_PERIODS = 12
+
+/**
+ * Describe a KPI's metric
+ *
+ * @param {Object} config - KPI config
+ * @returns {String}
+ *
+ * Example usage:
+ *   getKpiMetricLabel({ valueColumn: 'Revenue', aggregation: 'percentile', percentile: 90 })
+ *   // → 'P90 of Revenue'
+ */
+export const getKpiMetricLabel = (config) => {
+  const aggregation = config.aggregation || 'sum'
+  if (!config.valueColumn) return 'Rows'
+  const name = aggregation === 'percentile'
+    ? `P${config.percentile ?? 50}`
+    : KPI_AGGREGATIONS.find(item => item.id === aggregation)?.name || aggregation
+  return `${name} of ${config.valueColumn}`
+}
+
+/**
+ * Compute a KPI metric over some rows
+ *
+ * @param {Array} rows - Array of data objects
+ * @param {Object} config - KPI config ({ valueColumn, aggregation, percentile })
+ * @returns {Number|null} - null when there is nothing to aggregate (e.g. the average of no values)
+ */
+export const computeKpiMetric = (rows, { valueColumn, aggregation = 'sum', percentile = 50 }) => {
+  if (aggregation === 'count') {
+    // Without a column every row counts; with one, only rows that have a value
+    return valueColumn
+      ? rows.filter(row => row[valueColumn] !== null && row[valueColumn] !== undefined && row[valueColumn] !== '').length
+      : rows.length
+  }
+
+  if (aggregation === 'distinct') {
+    const values = new Set()
+    rows.forEach(row => {
+      const value = row[valueColumn]
+      if (value === null || value === undefined || value === '') return
+      values.add(value instanceof Date ? value.toISOString() : String(value))
+    })
+    return values.size
+  }
+
+  const values = []
+  rows.forEach(row => {
+    const value = parseFloat(row[valueColumn])
+    if (!isNaN(value)) values.push(value)
+  })
+  if (values.length === 0) return aggregation === 'sum' ? 0 : null
+
+  if (aggregation === 'percentile') {
+    const p = Math.min(100, Math.max(0, Number(percentile)))
+    return getQuantile(values.sort((a, b) => a - b), p / 100)
+  }
+  return aggregateValues(values, aggregation)
+}
+
+/**
+ * Rate a KPI value against its thresholds
+ *
+ * @param {Number} value - KPI value
+ * @param {Object} thresholds - { good, bad, higherIsBetter = true } (good and bad are optional)
+ * @returns {String|null} - 'good', 'warning', 'bad', or null if no threshold is set
+ *
+ * Example usage:
+ *   getKpiStatus(80, { good: 100, bad: 50 })  // → 'warning'
+ *   getKpiStatus(40, { good: 10, bad: 30, higherIsBetter: false })  // → 'bad'
+ */
+export const getKpiStatus = (value, thresholds) => {
+  if (value === null || value === undefined || !thresholds) return null
+  const isSet = (threshold) => threshold !== null && threshold !== undefined && threshold !== '' && !isNaN(Number(threshold))
+  const hasGood = isSet(thresholds.good)
+  const hasBad = isSet(thresholds.bad)
+  if (!hasGood && !hasBad) return null
+
+  const higherIsBetter = thresholds.higherIsBetter !== false
+  const isAtLeast = (threshold) => (higherIsBetter ? value >= Number(threshold) : value <= Number(threshold))
+  const isAtMost = (threshold) => (higherIsBetter ? value <= Number(threshold) : value >= Number(threshold))
+
+  if (hasGood && isAtLeast(thresholds.good)) return 'good'
+  if (hasBad && isAtMost(thresholds.bad)) return 'bad'
+  return 'warning'
+}
+
+/**
+ * Prepare data for a KPI Card
+ *
+ * Without a date column the metric covers every (matching) row. With one,
+ * the metric is for the latest period in the data (which may still be in
+ * progress) and is compared with the period before it.
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Object} config - KPI config
+ * @param {String} config.valueColumn - Column to aggregate (optional for 'count')
+ * @param {String} config.aggregation - One of KPI_AGGREGATIONS
+ * @param {Number} config.percentile - 0-100, for 'percentile'
+ * @param {Object} config.filter - Condition rows must match (filterHelpers condition shape, optional)
+ * @param {String} config.dateColumn - Date column for the period comparison (optional)
+ * @param {String} config.granularity - Period length: 'day', 'week', 'month', 'quarter', 'year' (default: 'month')
+ * @param {Number} config.fiscalYearStart - First month of the fiscal year, 1-12 (default: 1)
+ * @param {Object} config.thresholds - See getKpiStatus
+ * @returns {Object} - KPI summary
+ *
+ * Example output:
+ * {
+ *   name: 'Mar 2024',            // current period ('All rows' without a date column)
+ *   value: 1500,
+ *   previousName: 'Feb 2024',
+ *   previousValue: 1200,
+ *   change: 300,
+ *   changePercent: 25,            // null when the previous value is 0 or missing
+ *   status: 'good',
+ *   count: 42,                    // rows in the current period
+ *   sparkline: [{ name: '2023-04', label: 'Apr 2023', value: 900 }, ...]
+ * }
+ */
+export const prepareKpiData = (data, config) => {
+  const predicate = config.filter ? compileCondition(config.filter) : null
+  const rows = predicate ? data.filter(predicate) : data
+  const summary = (value, count) => ({
+    value: value === null ? null : round2(value),
+    status: getKpiStatus(value, config.thresholds),
+    count
+  })
+
+  if (!config.dateColumn) {
+    return { name: 'All rows', ...summary(computeKpiMetric(rows, config), rows.length), sparkline: [] }
+  }
+
+  const granularity = isBucketed(config.granularity) ? config.granularity : 'month'
+  const options = { fiscalYearStart: config.fiscalYearStart || 1 }
+
+  // key -> rows in that period
+  const periods = new Map()
+  let latest = null
+  rows.forEach(row => {
+    const date = toDate(row[config.dateColumn])
+    if (!date) return
+    const bucket = bucketDate(date, granularity, options)
+    if (!periods.has(bucket.key)) periods.set(bucket.key, [])
+    periods.get(bucket.key).push(row)
+    if (!latest || date > latest) latest = date
+  })
+
+  if (!latest) {
+    return { name: 'No dates', ...summary(null, 0), sparkline: [] }
+  }
+
+  // Walk back from the latest period, one period at a time
+  const sparkline = []
+  let start = getBucketStart(latest, granularity, options)
+  for (let i = 0; i < KPI_SPARKLINE_PERIODS; i++) {
+    const bucket = bucketDate(start, granularity, options)
+    const periodRows = periods.get(bucket.key) || []
+    const value = computeKpiMetric(periodRows, config)
+    sparkline.unshift({
+      name: bucket.key,
+      label: bucket.label,
+      value: value === null ? null : round2(value),
+      count: periodRows.length
+    })
+    start = getBucketStart(new Date(start.getTime() - 1), granularity, options)
+  }
+
+  const current = sparkline[sparkline.length - 1]
+  const previous = sparkline[sparkline.length - 2]
+  const hasPrevious = previous && previous.count > 0 && previous.value !== null && current.value !== null
+  const change = hasPrevious ? round2(current.value - previous.value) : null
+
+  return {
+    name: current.label,
+    ...summary(current.value, current.count),
+    previousName: previous ? previous.label : null,
+    previousValue: hasPrevious ? previous.value : null,
+    change,
+    changePercent: hasPrevious && previous.value !== 0
+      ? round2((change / Math.abs(previous.value)) * 100)
+      : null,
+    sparkline
+  }
+}
+
 /**
  * Auto-suggest best chart type based on column types
  * 
@@ -376,7 +1132,8 @@ export const suggestChartType = (columns, xColumn = null, yColumn = null) => {
         reason: 'Time-series data - best for trend analysis',
         xColumn,
         yColumn,
-        aggregation: 'avg'
+        aggregation: 'avg',
+        granularity: getDefaultGranularity(columns.find(c => c.name === xColumn))
       }
     }
 
@@ -414,7 +1171,8 @@ export const suggestChartType = (columns, xColumn = null, yColumn = null) => {
       reason: 'Date and numeric columns found - time-series analysis recommended',
       xColumn: dateCols[0].name,
       yColumn: numericCols[0].name,
-      aggregation: 'avg'
+      aggregation: 'avg',
+      granularity: getDefaultGranularity(dateCols[0])
     }
   }
 
@@ -459,21 +1217,25 @@ export const suggestChartType = (columns, xColumn = null, yColumn = null) => {
  * Aggregate data by grouping column
  * 
  * @param {Array} data - Array of data objects
- * @param {String} groupByColumn - Column to group by
+ * @param {String|Array} groupByColumn - Column to group by, or several columns
+ *                                       (an empty array aggregates all rows into one group)
  * @param {String} valueColumn - Column to aggregate
  * @param {String} operation - Aggregation operation: 'sum', 'avg', 'count', 'min', 'max'
- * @returns {Array} - Aggregated data
+ * @returns {Array} - Aggregated data, one object per group with the group-by columns,
+ *                    the aggregated value and _count
  */
 export const aggregateData = (data, groupByColumn, valueColumn, operation = 'sum') => {
   if (!data || data.length === 0) return []
   if (!groupByColumn) return []
 
+  const groupColumns = Array.isArray(groupByColumn) ? groupByColumn : [groupByColumn]
+
   const grouped = data.reduce((acc, row) => {
-    const groupKey = String(row[groupByColumn] || 'null')
+    const groupKey = groupColumns.map(column => String(row[column] || 'null')).join('\u0000')
     
     if (!acc[groupKey]) {
       acc[groupKey] = {
-        [groupByColumn]: row[groupByColumn],
+        keys: Object.fromEntries(groupColumns.map(column => [column, row[column]])),
         values: []
       }
     }
@@ -506,17 +1268,17 @@ export const aggregateData = (data, groupByColumn, valueColumn, operation = 'sum
         aggregatedValue = group.values.length
         break
       case 'min':
-        aggregatedValue = Math.min(...group.values)
+        aggregatedValue = group.values.reduce((min, val) => (val < min ? val : min), Infinity)
         break
       case 'max':
-        aggregatedValue = Math.max(...group.values)
+        aggregatedValue = group.values.reduce((max, val) => (val > max ? val : max), -Infinity)
         break
       default:
         aggregatedValue = group.values.reduce((sum, val) => sum + val, 0)
     }
 
     return {
-      [groupByColumn]: group[groupByColumn],
+      ...group.keys,
       [valueColumn || 'count']: Math.round(aggregatedValue * 100) / 100,
       _count: group.values.length
     }
@@ -586,24 +1348,44 @@ export const validateChartConfig = (config, columns) => {
     ? columns.map(c => typeof c === 'string' ? c : c.name)
     : []
 
+  // Types are only known when column metadata is passed
+  const columnTypes = {}
+  if (Array.isArray(columns)) {
+    columns.forEach(c => {
+      if (c && typeof c === 'object') columnTypes[c.name] = c.type
+    })
+  }
+
   const chartType = config.chartType
 
   switch (chartType) {
     case 'bar':
     case 'line':
+    case 'area': {
+      const yColumns = getYColumns(config)
       if (!config.xColumn) {
         return { isValid: false, error: 'X-axis column is required' }
       }
-      if (!config.yColumn) {
+      if (yColumns.length === 0) {
         return { isValid: false, error: 'Y-axis column is required' }
       }
       if (!columnNames.includes(config.xColumn)) {
         return { isValid: false, error: `Column "${config.xColumn}" not found` }
       }
-      if (!columnNames.includes(config.yColumn)) {
-        return { isValid: false, error: `Column "${config.yColumn}" not found` }
+      const missingY = yColumns.find(column => !columnNames.includes(column))
+      if (missingY) {
+        return { isValid: false, error: `Column "${missingY}" not found` }
+      }
+      if (config.seriesColumn) {
+        if (yColumns.length > 1) {
+          return { isValid: false, error: 'Split by a column only works with a single Y-axis column' }
+        }
+        if (!columnNames.includes(config.seriesColumn)) {
+          return { isValid: false, error: `Column "${config.seriesColumn}" not found` }
+        }
       }
       break
+    }
 
     case 'pie':
       if (!config.categoryColumn) {
@@ -632,6 +1414,109 @@ export const validateChartConfig = (config, columns) => {
       }
       break
 
+    case 'histogram':
+      if (!config.xColumn) {
+        return { isValid: false, error: 'Value column is required' }
+      }
+      if (!columnNames.includes(config.xColumn)) {
+        return { isValid: false, error: `Column "${config.xColumn}" not found` }
+      }
+      if (columnTypes[config.xColumn] && columnTypes[config.xColumn] !== 'number') {
+        return { isValid: false, error: 'Histograms need a numeric column' }
+      }
+      if (config.binWidth !== undefined && config.binWidth !== null && !(Number(config.binWidth) > 0)) {
+        return { isValid: false, error: 'Bin width must be greater than 0' }
+      }
+      break
+
+    case 'box':
+      if (!config.valueColumn) {
+        return { isValid: false, error: 'Value column is required' }
+      }
+      if (!columnNames.includes(config.valueColumn)) {
+        return { isValid: false, error: `Column "${config.valueColumn}" not found` }
+      }
+      if (columnTypes[config.valueColumn] && columnTypes[config.valueColumn] !== 'number') {
+        return { isValid: false, error: 'Box plots need a numeric value column' }
+      }
+      if (config.categoryColumn && !columnNames.includes(config.categoryColumn)) {
+        return { isValid: false, error: `Column "${config.categoryColumn}" not found` }
+      }
+      break
+
+    case 'heatmap':
+      if (!config.xColumn || !config.categoryColumn) {
+        return { isValid: false, error: 'Column and row categories are required' }
+      }
+      if (config.xColumn === config.categoryColumn) {
+        return { isValid: false, error: 'Pick two different category columns' }
+      }
+      for (const column of [config.xColumn, config.categoryColumn, config.valueColumn].filter(Boolean)) {
+        if (!columnNames.includes(column)) {
+          return { isValid: false, error: `Column "${column}" not found` }
+        }
+      }
+      break
+
+    case 'treemap': {
+      const levels = Array.isArray(config.hierarchyColumns) ? config.hierarchyColumns.filter(Boolean) : []
+      if (levels.length === 0) {
+        return { isValid: false, error: 'At least one category level is required' }
+      }
+      const missing = [...levels, config.valueColumn].filter(Boolean).find(column => !columnNames.includes(column))
+      if (missing) {
+        return { isValid: false, error: `Column "${missing}" not found` }
+      }
+      break
+    }
+
+    case 'kpi': {
+      const aggregation = config.aggregation || 'sum'
+      if (!KPI_AGGREGATIONS.some(item => item.id === aggregation)) {
+        return { isValid: false, error: `Unknown metric: ${aggregation}` }
+      }
+      if (!config.valueColumn && aggregation !== 'count') {
+        return { isValid: false, error: 'Value column is required' }
+      }
+      const missing = [config.valueColumn, config.dateColumn, config.filter?.column]
+        .filter(Boolean)
+        .find(column => !columnNames.includes(column))
+      if (missing) {
+        return { isValid: false, error: `Column "${missing}" not found` }
+      }
+      if (config.valueColumn && !['count', 'distinct'].includes(aggregation) &&
+        columnTypes[config.valueColumn] && columnTypes[config.valueColumn] !== 'number') {
+        return { isValid: false, error: 'This metric needs a numeric column' }
+      }
+      if (config.dateColumn && columnTypes[config.dateColumn] && columnTypes[config.dateColumn] !== 'date') {
+        return { isValid: false, error: 'Comparison column must be a date column' }
+      }
+      if (aggregation === 'percentile' && config.percentile !== undefined &&
+        !(Number(config.percentile) >= 0 && Number(config.percentile) <= 100)) {
+        return { isValid: false, error: 'Percentile must be between 0 and 100' }
+      }
+      break
+    }
+
+    case 'pivot': {
+      const dimensions = [...(config.pivotRows || []), ...(config.pivotColumns || [])]
+      if (dimensions.length === 0) {
+        return { isValid: false, error: 'Add at least one row or column field' }
+      }
+      const values = (config.pivotValues || []).filter(field => field && field.column)
+      const missing = [...dimensions, ...values.map(field => field.column)]
+        .find(column => !columnNames.includes(column))
+      if (missing) {
+        return { isValid: false, error: `Column "${missing}" not found` }
+      }
+      const nonNumeric = values.find(field =>
+        field.aggregation !== 'count' && columnTypes[field.column] && columnTypes[field.column] !== 'number')
+      if (nonNumeric) {
+        return { isValid: false, error: `"${nonNumeric.column}" isn't numeric; use Count for it` }
+      }
+      break
+    }
+
     default:
       return { isValid: false, error: `Unknown chart type: ${chartType}` }
   }
@@ -639,6 +1524,67 @@ export const validateChartConfig = (config, columns) => {
   return { isValid: true, error: null }
 }
 
+/**
+ * Prepare chart-ready data for any chart configuration
+ * Dispatches to the matching prepare* function based on config.chartType
+ * 
+ * @param {Array} data - Array of data objects
+ * @param {Object} config - Chart configuration (as saved by ChartConfigurator)
+ * @returns {Array} - Chart data, or [] for an unknown chart type
+ *                    (multi-series charts return the rows of prepareMultiSeriesData)
+ * 
+ * Example usage:
+ *   prepareChartData(csvData, { chartType: 'bar', xColumn: 'Region', yColumn: 'Sales' })
+ */
+export const prepareChartData = (data, config) => {
+  if (!config) return []
+
+  if (isMultiSeries(config)) {
+    return prepareMultiSeriesData(data, config).data
+  }
+
+  switch (config.chartType) {
+    case 'bar':
+      return prepareBarChartData(data, config.xColumn, config.yColumn, config.aggregation || 'sum')
+
+    case 'line':
+    case 'area':
+      return prepareLineChartData(data, config.xColumn, config.yColumn, config.aggregation || 'sum', {
+        granularity: config.granularity,
+        fill: config.fill,
+        fiscalYearStart: config.fiscalYearStart
+      })
+
+    case 'pie':
+      return preparePieChartData(data, config.categoryColumn, config.valueColumn, config.topN || 10)
+
+    case 'scatter':
+      return prepareScatterData(data, config.xColumn, config.yColumn, config.nameColumn)
+
+    case 'histogram':
+      return prepareHistogramData(data, config.xColumn, {
+        binCount: config.binCount,
+        binWidth: config.binWidth
+      })
+
+    case 'box':
+      return prepareBoxPlotData(data, config.categoryColumn, config.valueColumn)
+
+    case 'heatmap':
+      return prepareHeatmapData(data, config.xColumn, config.categoryColumn, config.valueColumn, config.aggregation || 'sum')
+
+    case 'treemap':
+      return prepareTreemapData(data, config.hierarchyColumns, config.valueColumn)
+
+    case 'kpi':
+      // One summary object, wrapped so chart data is always an array
+      return [prepareKpiData(data, config)]
+
+    default:
+      return []
+  }
+}
+
 /**
  * Export all chart helper functions
  */
@@ -647,10 +1593,35 @@ export default {
   prepareLineChartData,
   preparePieChartData,
   prepareScatterData,
+  prepareHistogramData,
+  prepareBoxPlotData,
+  prepareHeatmapData,
+  getHeatmapColor,
+  prepareTreemapData,
+  prepareKpiData,
+  computeKpiMetric,
+  getKpiStatus,
+  getKpiMetricLabel,
+  KPI_AGGREGATIONS,
+  KPI_SPARKLINE_PERIODS,
+  MAX_SERIES,
+  BAR_MODES,
+  MAX_HISTOGRAM_BINS,
+  MAX_CHART_CATEGORIES,
+  MAX_BOX_OUTLIERS,
+  MAX_TREEMAP_CHILDREN,
+  TIME_SERIES_CHART_TYPES,
+  MULTI_SERIES_CHART_TYPES,
+  isTimeBucketed,
+  getYColumns,
+  isMultiSeries,
+  prepareMultiSeriesData,
+  getDefaultGranularity,
   suggestChartType,
   aggregateData,
   getNumericColumns,
   getCategoricalColumns,
   getDateColumns,
-  validateChartConfig
+  validateChartConfig,
+  prepareChartData
 }
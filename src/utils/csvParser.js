@@ -1,9 +1,14 @@
 import Papa from 'papaparse'
+import { normalizeLocaleText } from './localeHelpers'
+import { toDate } from './dateHelpers'
 
 /**
  * Parse CSV file to JSON format
  * 
  * @param {File} file - The CSV file object from input/drag-drop
+ * @param {Object} options
+ * @param {Object} options.locale - Locale (see localeHelpers) to read numbers and dates with;
+ *                                  without it only plain numbers (1234.56) are converted
  * @returns {Promise} - Resolves with parsed data object containing:
  *                      - data: Array of parsed rows as objects
  *                      - errors: Array of parsing errors
@@ -13,7 +18,7 @@ import Papa from 'papaparse'
  *   const result = await parseCSVFile(file)
  *   console.log(result.data) // [{ name: 'John', age: 25 }, ...]
  */
-export const parseCSVFile = (file) => {
+export const parseCSVFile = (file, { locale } = {}) => {
   // Return a Promise to handle async file reading
   return new Promise((resolve, reject) => {
     // PapaParse.parse() reads and parses the CSV file
@@ -40,6 +45,10 @@ export const parseCSVFile = (file) => {
       // You could also use this to: lowercase, remove special chars, etc.
       transformHeader: (header) => header.trim(),
       
+      // transform: runs on each value before dynamicTyping
+      // With a German locale "1.234,56" → "1234.56" → 1234.56 and "31.12.2024" → "2024-12-31"
+      transform: locale ? (value) => normalizeLocaleText(value, locale) : undefined,
+      
       // complete: callback when parsing finishes successfully
       // 'results' object contains: { data, errors, meta }
       complete: (results) => {
@@ -205,163 +214,248 @@ export const validateCSV = (data) => {
   return result
 }
 
+// Rows type-checked per column: every row up to this count, an even spread of rows beyond it
+export const TYPE_INFERENCE_ROW_LIMIT = 50000
+
+// From this many rows on, the summary of a subset of rows (see getSubsetSummary) is built in a worker
+export const SUMMARY_WORKER_ROW_THRESHOLD = 50000
+
+// Share of a column's non-empty values that must fit a type for the column to get it
+export const TYPE_CONFIDENCE_THRESHOLD = 0.95
+
+// Most distinct values a text column can have to count as a category
+export const MAX_CATEGORIES = 250
+
+// Finer-grained meaning of a column, next to its type
+export const SEMANTIC_TYPES = {
+  integer: 'Integer',
+  decimal: 'Decimal',
+  currency: 'Currency',
+  percentage: 'Percentage',
+  email: 'Email',
+  url: 'URL',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  id: 'ID'
+}
+
+const isEmptyValue = (value) => value === null || value === undefined || value === ''
+
+// new Date() accepts almost any text with a digit in it ("Item 12"), so text
+// only counts as a date when it also has a date-like shape
+const DATE_SHAPE_PATTERN = /\d{1,4}[-/.]\d{1,2}|(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s*\d|\d\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i
+
+const CURRENCY_PATTERN = /^[-+]?\s*[$€£¥₹]\s*-?\d[\d,]*(\.\d+)?$|^-?\d[\d,]*(\.\d+)?\s*[$€£¥₹]$/
+const PERCENTAGE_PATTERN = /^[-+]?\d[\d,]*(\.\d+)?\s*%$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const URL_PATTERN = /^(https?:\/\/|www\.)\S+$/i
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const CODE_PATTERN = /^(?=.*\d)[A-Za-z0-9]+([-_][A-Za-z0-9]+)*$/
+
+const LATITUDE_NAME_PATTERN = /(^|[^a-z])lat(itude)?([^a-z]|$)/i
+const LONGITUDE_NAME_PATTERN = /(^|[^a-z])(lon|lng|long|longitude)([^a-z]|$)/i
+const PERCENTAGE_NAME_PATTERN = /percent|pct|%/i
+const ID_NAME_PATTERN = /(^|[^a-z])(id|key|uuid|guid)([^a-z]|$)|[a-z]Id$/i
+
+const fitsBoolean = (value) => typeof value === 'boolean'
+
+const fitsNumber = (value) => {
+  if (typeof value === 'number') return !isNaN(value)
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))
+}
+
+const fitsDate = (value) => {
+  if (value instanceof Date) return !isNaN(value.getTime())
+  return typeof value === 'string' && DATE_SHAPE_PATTERN.test(value) && !isNaN(new Date(value).getTime())
+}
+
+// The kind a single value looks like, checked in the same order as column types
+const getValueKind = (value) => {
+  if (fitsBoolean(value)) return 'boolean'
+  if (fitsNumber(value)) return 'number'
+  if (fitsDate(value)) return 'date'
+  return 'text'
+}
+
+// Rows to type-check: all of them, or one row from each of TYPE_INFERENCE_ROW_LIMIT
+// equal slices of the data, so values that change type late in the file are seen
+const getInferenceSample = (data) => {
+  if (data.length <= TYPE_INFERENCE_ROW_LIMIT) return data
+  const step = data.length / TYPE_INFERENCE_ROW_LIMIT
+  return Array.from({ length: TYPE_INFERENCE_ROW_LIMIT }, (_, index) => data[Math.floor(index * step)])
+}
+
+// Smallest and largest of a list (spreading large arrays into Math.min overflows the stack)
+const getRange = (values) => {
+  let min = Infinity
+  let max = -Infinity
+  values.forEach(value => {
+    if (value < min) min = value
+    if (value > max) max = value
+  })
+  return values.length > 0 ? { min, max } : { min: null, max: null }
+}
+
+const share = (count, total) => (total > 0 ? count / total : 0)
+
+// Semantic type of a column from its type, name and values
+const getSemanticType = (name, type, values, uniqueCount) => {
+  const allUnique = values.length > 1 && uniqueCount === values.length
+  const matching = (pattern) => share(values.filter(v => pattern.test(String(v).trim())).length, values.length)
+
+  if (type === 'number') {
+    const numbers = values.map(Number)
+    const isInteger = numbers.every(Number.isInteger)
+    const { min, max } = getRange(numbers)
+    if (LATITUDE_NAME_PATTERN.test(name) && min >= -90 && max <= 90) return 'latitude'
+    if (LONGITUDE_NAME_PATTERN.test(name) && min >= -180 && max <= 180) return 'longitude'
+    if (isInteger && allUnique && ID_NAME_PATTERN.test(name)) return 'id'
+    if (PERCENTAGE_NAME_PATTERN.test(name)) return 'percentage'
+    return isInteger ? 'integer' : 'decimal'
+  }
+
+  if (type === 'string' || type === 'category') {
+    if (matching(CURRENCY_PATTERN) >= TYPE_CONFIDENCE_THRESHOLD) return 'currency'
+    if (matching(PERCENTAGE_PATTERN) >= TYPE_CONFIDENCE_THRESHOLD) return 'percentage'
+    if (matching(EMAIL_PATTERN) >= TYPE_CONFIDENCE_THRESHOLD) return 'email'
+    if (matching(URL_PATTERN) >= TYPE_CONFIDENCE_THRESHOLD) return 'url'
+    if (allUnique && (ID_NAME_PATTERN.test(name) || matching(UUID_PATTERN) === 1 || matching(CODE_PATTERN) === 1)) {
+      return 'id'
+    }
+  }
+  return null
+}
+
 /**
  * Infer data types for each column
  * 
+ * Every row is checked up to TYPE_INFERENCE_ROW_LIMIT rows; larger datasets
+ * are checked on an even spread of rows across the whole file. A column
+ * gets a type when at least TYPE_CONFIDENCE_THRESHOLD of its non-empty
+ * values fit it, and reports how many don't (charts leave those out).
+ * 
  * @param {Array} data - Parsed CSV data (array of objects)
- * @param {Number} sampleSize - Number of rows to sample for type inference (default: 100)
+ * @param {Object} options
+ * @param {Object} options.typeOverrides - { columnName: type } types chosen by the user,
+ *                                         used instead of the inferred ones (see prepHelpers)
+ * @param {Array} options.columns - Columns to analyse (default: every column)
  * @returns {Array} - Array of column objects with:
  *                    - name: column name
- *                    - type: inferred type ('number', 'date', 'boolean', 'string')
+ *                    - type: inferred type ('number', 'date', 'boolean', 'category', 'string')
+ *                    - semanticType: finer meaning (see SEMANTIC_TYPES) or null
+ *                    - confidence: share (0-1) of the non-empty values that fit the type
+ *                    - mismatchCount: non-empty values that don't fit the type
+ *                    - mismatchSamples: up to 5 of those values
+ *                    - valueKinds: { boolean, number, date, text } values that look like each kind
+ *                    - checkedRows: rows the type was inferred from
  *                    - nullable: whether column contains null/undefined values
+ *                    - nullCount: empty cells (counted over every row)
  *                    - uniqueCount: number of unique values
  * 
  * Type inference logic:
- * 1. Check if all non-null values are numbers → 'number'
- * 2. Check if all non-null values are valid dates → 'date'
- * 3. Check if all non-null values are booleans → 'boolean'
- * 4. Otherwise → 'string'
+ * 1. Enough non-null values are booleans → 'boolean'
+ * 2. Enough non-null values are numbers → 'number'
+ * 3. Enough non-null values are valid dates → 'date'
+ * 4. Few distinct values → 'category'
+ * 5. Otherwise → 'string'
+ * For text columns, values that look like numbers, dates or booleans count as
+ * mismatches, so a mostly numeric column with some text shows a low confidence.
+ * Overridden types keep every value of a text type as a match.
  */
-export const inferColumnTypes = (data) => {
+export const inferColumnTypes = (data, { typeOverrides = {}, columns: columnNames = null } = {}) => {
   // Return empty array if no data
   if (!data || data.length === 0) {
     return []
   }
 
   // Get column names from first row
-  const columns = Object.keys(data[0])
-  
-  // Determine sample size (use smaller of: 100 rows or total rows)
-  const sampleSize = Math.min(100, data.length)
-  
-  // Sample rows for analysis (first N rows)
-  const sample = data.slice(0, sampleSize)
+  const columns = columnNames || Object.keys(data[0])
+  const sample = getInferenceSample(data)
 
   // Analyze each column
   return columns.map(columnName => {
-    // Extract all values for this column from sample
     const values = sample.map(row => row[columnName])
-    
-    // Filter out null/undefined values for type checking
-    const nonNullValues = values.filter(v => v !== null && v !== undefined && v !== '')
-    
+    const nonNullValues = values.filter(v => !isEmptyValue(v))
+    const nullCount = data.reduce((count, row) => count + (isEmptyValue(row[columnName]) ? 1 : 0), 0)
+    const forcedType = typeOverrides[columnName]
+
     // If all values are null, default to string type
     if (nonNullValues.length === 0) {
       return {
         name: columnName,
-        type: 'string',
+        type: forcedType || 'string',
+        semanticType: null,
+        confidence: 1,
+        mismatchCount: 0,
+        mismatchSamples: [],
+        valueKinds: { boolean: 0, number: 0, date: 0, text: 0 },
+        checkedRows: sample.length,
         nullable: true,
         uniqueCount: 0,
-        nullCount: values.length,
+        nullCount,
         sampleValues: []
       }
     }
 
-    // Calculate statistics
-    const nullCount = values.length - nonNullValues.length
     const uniqueValues = new Set(nonNullValues)
     const uniqueCount = uniqueValues.size
-    
-    // Get sample values (first 5 unique values)
     const sampleValues = Array.from(uniqueValues).slice(0, 5)
 
-    // Type inference checks (in order of specificity)
-    
-    // Check 1: Boolean type
-    // If all non-null values are strictly true/false
-    const isBoolean = nonNullValues.every(v => 
-      typeof v === 'boolean' || v === true || v === false
-    )
-    
-    if (isBoolean) {
-      return {
-        name: columnName,
-        type: 'boolean',
-        nullable: nullCount > 0,
-        uniqueCount,
-        nullCount,
-        sampleValues
-      }
+    const valueKinds = { boolean: 0, number: 0, date: 0, text: 0 }
+    nonNullValues.forEach(v => {
+      valueKinds[getValueKind(v)]++
+    })
+
+    // Values that fit each type; a number-like string can also be a date ("2024")
+    const fitChecks = { boolean: fitsBoolean, number: fitsNumber, date: fitsDate }
+    const fits = (type) => share(nonNullValues.filter(fitChecks[type]).length, nonNullValues.length)
+
+    const type = forcedType || ['boolean', 'number', 'date'].find(candidate =>
+      fits(candidate) >= TYPE_CONFIDENCE_THRESHOLD
+    ) || (uniqueCount < Math.max(10, Math.min(MAX_CATEGORIES, nonNullValues.length * 0.1)) ? 'category' : 'string')
+
+    const isMismatch = fitChecks[type]
+      ? (v) => !fitChecks[type](v)
+      : forcedType ? () => false : (v) => getValueKind(v) !== 'text'
+    const mismatches = nonNullValues.filter(isMismatch)
+    const matching = mismatches.length > 0 ? nonNullValues.filter(v => !isMismatch(v)) : nonNullValues
+
+    const column = {
+      name: columnName,
+      type,
+      semanticType: getSemanticType(columnName, type, matching, uniqueCount),
+      confidence: share(nonNullValues.length - mismatches.length, nonNullValues.length),
+      mismatchCount: mismatches.length,
+      mismatchSamples: Array.from(new Set(mismatches.map(String))).slice(0, 5),
+      valueKinds,
+      checkedRows: sample.length,
+      nullable: nullCount > 0,
+      uniqueCount,
+      nullCount,
+      sampleValues
     }
 
-    // Check 2: Number type
-    // If all non-null values are numbers or can be converted to numbers
-    const isNumber = nonNullValues.every(v => {
-      // Already a number type
-      if (typeof v === 'number' && !isNaN(v)) return true
-      
-      // String that can be converted to number
-      if (typeof v === 'string') {
-        // Try to convert string to number
-        const num = Number(v)
-        return !isNaN(num) && v.trim() !== ''
-      }
-      
-      return false
-    })
-    
-    if (isNumber) {
-      return {
-        name: columnName,
-        type: 'number',
-        nullable: nullCount > 0,
-        uniqueCount,
-        nullCount,
-        sampleValues,
-        // Calculate min/max for numbers
-        min: Math.min(...nonNullValues.map(v => Number(v))),
-        max: Math.max(...nonNullValues.map(v => Number(v)))
-      }
+    if (type === 'number') {
+      // Only the values that are numbers count towards the range
+      return { ...column, ...getRange(matching.map(Number)) }
     }
 
-    // Check 3: Date type
-    // If all non-null values are valid dates
-    const isDate = nonNullValues.every(v => {
-      // If already a Date object
-      if (v instanceof Date) return !isNaN(v.getTime())
-      
-      // If string, try to parse as date
-      if (typeof v === 'string') {
-        const date = new Date(v)
-        return !isNaN(date.getTime()) && v.match(/\d/)
-      }
-      
-      return false
-    })
-    
-    if (isDate) {
-      // Find date range
-      const dates = nonNullValues.map(v => new Date(v))
-      const minDate = new Date(Math.min(...dates))
-      const maxDate = new Date(Math.max(...dates))
-      
+    if (type === 'date') {
+      const dates = matching.map(v => toDate(v).getTime())
+      const { min, max } = getRange(dates)
       return {
-        name: columnName,
-        type: 'date',
-        nullable: nullCount > 0,
-        uniqueCount,
-        nullCount,
-        sampleValues: sampleValues.map(v => new Date(v).toISOString()),
-        minDate: minDate.toISOString(),
-        maxDate: maxDate.toISOString()
+        ...column,
+        sampleValues: sampleValues.map(toDate).filter(Boolean).map(date => date.toISOString()),
+        minDate: min !== null ? new Date(min).toISOString() : null,
+        maxDate: max !== null ? new Date(max).toISOString() : null
       }
     }
 
-    // Check 4: Category type (string with limited unique values)
-    // If unique count is less than 10% of total values, consider it categorical
-    const isCategorical = uniqueCount < Math.max(10, nonNullValues.length * 0.1)
-    
-    // Default: String type
-    return {
-      name: columnName,
-      type: isCategorical ? 'category' : 'string',
-      nullable: nullCount > 0,
-      uniqueCount,
-      nullCount,
-      sampleValues,
+    if (type === 'category') {
       // For categorical data, include all categories
-      ...(isCategorical && { categories: Array.from(uniqueValues) })
+      return { ...column, categories: Array.from(uniqueValues) }
     }
+    return column
   })
 }
 
@@ -369,6 +463,7 @@ export const inferColumnTypes = (data) => {
  * Get a summary of the entire dataset
  * 
  * @param {Array} data - Parsed CSV data
+ * @param {Object} options - Passed to inferColumnTypes (e.g. { typeOverrides })
  * @returns {Object} - Dataset summary with:
  *                     - totalRows: number of rows
  *                     - totalColumns: number of columns
@@ -376,7 +471,7 @@ export const inferColumnTypes = (data) => {
  *                     - memorySize: estimated memory usage
  *                     - dataQuality: quality score (0-100)
  */
-export const getDataSummary = (data) => {
+export const getDataSummary = (data, options = {}) => {
   // Return empty summary if no data
   if (!data || data.length === 0) {
     return {
@@ -389,18 +484,14 @@ export const getDataSummary = (data) => {
   }
 
   // Get column information
-  const columns = inferColumnTypes(data)
-  
-  // Calculate total null values across all columns
-  const totalNulls = columns.reduce((sum, col) => sum + (col.nullCount || 0), 0)
-  const totalCells = data.length * columns.length
-  
-  // Calculate data quality score (0-100)
-  // Based on: completeness, consistency, and validity
-  const completeness = ((totalCells - totalNulls) / totalCells) * 100
+  const columns = inferColumnTypes(data, options)
   
   // Estimate memory size (rough calculation)
-  const memorySizeBytes = JSON.stringify(data).length
+  // For large datasets, extrapolate from a sample instead of serializing everything
+  const sizeSample = data.length > 10000 ? data.slice(0, 1000) : data
+  const memorySizeBytes = Math.round(
+    JSON.stringify(sizeSample).length * (data.length / sizeSample.length)
+  )
   const memorySize = formatBytes(memorySizeBytes) // Convert to human-readable format
   
   return {
@@ -409,6 +500,21 @@ export const getDataSummary = (data) => {
     columns,
     memorySize, // Now formatted as "158.67 KB"
     memorySizeBytes, // Keep raw bytes for calculations if needed
+    ...getCompleteness(columns, data.length)
+  }
+}
+
+// Completeness-based quality score (0-100) and null counts of the summary
+const getCompleteness = (columns, rowCount) => {
+  // Calculate total null values across all columns
+  const totalNulls = columns.reduce((sum, col) => sum + (col.nullCount || 0), 0)
+  const totalCells = rowCount * columns.length
+
+  // Calculate data quality score (0-100)
+  // Based on: completeness, consistency, and validity
+  const completeness = ((totalCells - totalNulls) / totalCells) * 100
+
+  return {
     qualityScore: Math.round(completeness), // Use qualityScore for consistency
     dataQuality: Math.round(completeness), // Keep for backward compatibility
     completeness: Math.round(completeness * 10) / 10,
@@ -417,6 +523,55 @@ export const getDataSummary = (data) => {
   }
 }
 
+/**
+ * Refresh a summary after the values of some columns changed (e.g. a cell
+ * edit): only those columns are analysed again, the others keep their
+ * metadata. The rows and columns must be the same as before.
+ *
+ * @param {Object} summary - getDataSummary() result from before the change
+ * @param {Array} data - Rows after the change
+ * @param {Array} changedColumns - Columns whose values changed
+ * @param {Object} options - Passed to inferColumnTypes (e.g. { typeOverrides })
+ * @returns {Object} - Dataset summary
+ *
+ * Example usage:
+ *   const stats = updateDataSummary(dataset.stats, data, ['City'], { typeOverrides })
+ */
+export const updateDataSummary = (summary, data, changedColumns, options = {}) => {
+  if (!data || data.length === 0 || !summary?.columns || changedColumns.length === 0) return summary
+
+  const refreshed = new Map(
+    inferColumnTypes(data, { ...options, columns: changedColumns }).map(col => [col.name, col])
+  )
+  const columns = summary.columns.map(col => refreshed.get(col.name) || col)
+  return { ...summary, columns, ...getCompleteness(columns, data.length) }
+}
+
+/**
+ * Summarise a subset of a dataset's rows (e.g. the rows a filter keeps).
+ * The dataset's column types stay as they are, so a filter can't change a
+ * column's type, and calculated columns keep their formula; counts, ranges
+ * and completeness describe the subset.
+ *
+ * @param {Array} data - Rows of the subset
+ * @param {Array} columns - The dataset's column metadata
+ * @returns {Object} - Dataset summary (see getDataSummary)
+ *
+ * Example usage:
+ *   const stats = getSubsetSummary(filteredRows, dataColumns)
+ */
+export const getSubsetSummary = (data, columns) => {
+  const typeOverrides = Object.fromEntries(columns.map(col => [col.name, col.type]))
+  const summary = getDataSummary(data, { typeOverrides })
+  const formulas = new Map(columns.filter(col => col.formula).map(col => [col.name, col.formula]))
+  if (formulas.size === 0) return summary
+
+  const subsetColumns = summary.columns.map(col =>
+    formulas.has(col.name) ? { ...col, formula: formulas.get(col.name) } : col
+  )
+  return { ...summary, columns: subsetColumns }
+}
+
 /**
  * Helper function to format bytes to human-readable format
  * 
@@ -437,9 +592,16 @@ export const formatBytes = (bytes) => {
  * Export functions for use in other components
  */
 export default {
+  TYPE_INFERENCE_ROW_LIMIT,
+  SUMMARY_WORKER_ROW_THRESHOLD,
+  TYPE_CONFIDENCE_THRESHOLD,
+  MAX_CATEGORIES,
+  SEMANTIC_TYPES,
   parseCSVFile,
   validateCSV,
   inferColumnTypes,
   getDataSummary,
+  updateDataSummary,
+  getSubsetSummary,
   formatBytes
 }
\ No newline at end of file
@@ -0,0 +1,243 @@
+import { EMPTY_FILTER_TREE } from './filterHelpers'
+
+/**
+ * Dashboard Helpers Utility
+ *
+ * Functions for named dashboards: creating and copying dashboard objects,
+ * recording which dataset a dashboard was built against, and checking
+ * whether the current dataset still has the columns its charts use.
+ *
+ * Dashboard shape:
+ * {
+ *   id, name, description,
+ *   chartConfigs: [...],             // same objects ChartConfigurator saves
+ *   layout: { gridLayout: '2-col' }, // '1-col', '2-col', '3-col'
+ *   filters: [...],                  // cross-filters from chart clicks
+ *   filterTree: { logic, groups },   // filter panel conditions
+ *   dataset: { fileName, columns: [{ name, type }] } | null,
+ *   createdAt, updatedAt
+ * }
+ */
+
+export const DEFAULT_DASHBOARD_NAME = 'My Dashboard'
+
+export const DEFAULT_LAYOUT = { gridLayout: '2-col' }
+
+// Config fields that hold column names, for every chart type
+export const CHART_COLUMN_FIELDS = ['xColumn', 'yColumn', 'categoryColumn', 'valueColumn', 'nameColumn', 'seriesColumn', 'dateColumn']
+
+// Config fields that hold a list of column names
+export const CHART_COLUMN_LIST_FIELDS = ['yColumns', 'hierarchyColumns', 'pivotRows', 'pivotColumns']
+
+// Config fields that hold a filter condition ({ column, ... }, see filterHelpers)
+export const CHART_CONDITION_FIELDS = ['filter']
+
+// Config fields that hold a list of { column, ... } objects (pivot value fields)
+export const CHART_COLUMN_OBJECT_LIST_FIELDS = ['pivotValues']
+
+/**
+ * Generate a unique dashboard id
+ *
+ * @returns {String}
+ */
+export const generateDashboardId = () =>
+  `dashboard_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Record the dataset a dashboard is built against
+ *
+ * @param {Array} dataColumns - Column metadata from inferColumnTypes
+ * @param {String} fileName - Name of the uploaded file (optional)
+ * @returns {Object|null} - { fileName, columns: [{ name, type }] }, or null without columns
+ */
+export const createDatasetSignature = (dataColumns, fileName = null) => {
+  if (!dataColumns || dataColumns.length === 0) return null
+
+  return {
+    fileName,
+    columns: dataColumns.map(col => ({ name: col.name, type: col.type }))
+  }
+}
+
+/**
+ * Create a new dashboard object
+ *
+ * @param {Object} options
+ * @param {String} options.name - Dashboard name
+ * @param {String} options.description - Optional description
+ * @param {Array} options.chartConfigs - Initial charts (default: none)
+ * @param {Object} options.layout - Layout settings (default: DEFAULT_LAYOUT)
+ * @param {Array} options.filters - Dashboard filters (default: none)
+ * @param {Object} options.filterTree - Filter panel conditions (default: EMPTY_FILTER_TREE)
+ * @param {Object} options.dataset - Dataset signature from createDatasetSignature()
+ * @returns {Object} - Dashboard
+ *
+ * Example usage:
+ *   const dashboard = createDashboard({ name: 'Regional Sales', dataset })
+ */
+export const createDashboard = ({
+  name = DEFAULT_DASHBOARD_NAME,
+  description = '',
+  chartConfigs = [],
+  layout = DEFAULT_LAYOUT,
+  filters = [],
+  filterTree = EMPTY_FILTER_TREE,
+  dataset = null
+} = {}) => {
+  const now = new Date().toISOString()
+
+  return {
+    id: generateDashboardId(),
+    name: name.trim() || DEFAULT_DASHBOARD_NAME,
+    description,
+    chartConfigs,
+    layout: { ...DEFAULT_LAYOUT, ...layout },
+    filters,
+    filterTree,
+    dataset,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+/**
+ * Pick a name that isn't used yet: "Sales", "Sales (copy)", "Sales (copy 2)", ...
+ *
+ * @param {String} name - Desired name
+ * @param {Array} dashboards - Existing dashboards
+ * @returns {String}
+ */
+export const getCopyName = (name, dashboards) => {
+  const names = new Set(dashboards.map(d => d.name))
+  let candidate = `${name} (copy)`
+  let counter = 2
+  while (names.has(candidate)) {
+    candidate = `${name} (copy ${counter++})`
+  }
+  return candidate
+}
+
+/**
+ * Copy a dashboard with a new id and name
+ *
+ * @param {Object} dashboard - Dashboard to copy
+ * @param {Array} dashboards - Existing dashboards (to keep the name unique)
+ * @returns {Object} - New dashboard
+ */
+export const duplicateDashboard = (dashboard, dashboards = []) => {
+  return createDashboard({
+    name: getCopyName(dashboard.name, dashboards),
+    description: dashboard.description,
+    // Deep copy so editing a chart in the copy doesn't touch the original
+    chartConfigs: JSON.parse(JSON.stringify(dashboard.chartConfigs || [])),
+    layout: dashboard.layout,
+    filters: JSON.parse(JSON.stringify(dashboard.filters || [])),
+    filterTree: JSON.parse(JSON.stringify(dashboard.filterTree || EMPTY_FILTER_TREE)),
+    dataset: dashboard.dataset
+  })
+}
+
+/**
+ * List the column names a chart configuration refers to
+ *
+ * @param {Object} config - Chart configuration
+ * @returns {Array} - Column names
+ */
+export const getChartColumns = (config) => {
+  if (!config) return []
+  const columns = [
+    ...CHART_COLUMN_FIELDS.map(field => config[field]),
+    ...CHART_COLUMN_LIST_FIELDS.flatMap(field => (Array.isArray(config[field]) ? config[field] : [])),
+    ...CHART_CONDITION_FIELDS.map(field => config[field]?.column),
+    ...CHART_COLUMN_OBJECT_LIST_FIELDS.flatMap(field =>
+      (Array.isArray(config[field]) ? config[field].map(item => item?.column) : [])
+    )
+  ]
+  return Array.from(new Set(columns.filter(column => column !== undefined && column !== null && column !== '')))
+}
+
+/**
+ * Compare a dashboard's recorded dataset with the current columns
+ *
+ * @param {Object} dashboard - Dashboard with dataset signature and charts
+ * @param {Array} dataColumns - Current column metadata from inferColumnTypes
+ * @param {Object} options
+ * @param {Array} options.datasets - Loaded datasets; charts that target one of them
+ *                                   (config.datasetId) are checked against its columns
+ * @returns {Object} - {
+ *   matches,           // false if columns were removed or changed type
+ *   missingColumns,    // recorded columns that no longer exist
+ *   typeChanges,       // [{ name, from, to }]
+ *   addedColumns,      // new columns (harmless, reported for information)
+ *   brokenCharts       // charts that reference a missing column
+ * }
+ *
+ * Example usage:
+ *   const check = checkDatasetCompatibility(activeDashboard, dataColumns)
+ *   if (!check.matches) showWarning(check.missingColumns)
+ */
+export const checkDatasetCompatibility = (dashboard, dataColumns, { datasets = [] } = {}) => {
+  const result = {
+    matches: true,
+    missingColumns: [],
+    typeChanges: [],
+    addedColumns: [],
+    brokenCharts: []
+  }
+
+  if (!dashboard || !dataColumns || dataColumns.length === 0) {
+    return result
+  }
+
+  const current = {}
+  dataColumns.forEach(col => {
+    current[col.name] = col.type
+  })
+
+  const recorded = dashboard.dataset?.columns || []
+  const recordedNames = new Set(recorded.map(col => col.name))
+
+  recorded.forEach(col => {
+    if (!(col.name in current)) {
+      result.missingColumns.push(col.name)
+    } else if (col.type && current[col.name] !== col.type) {
+      result.typeChanges.push({ name: col.name, from: col.type, to: current[col.name] })
+    }
+  })
+
+  result.addedColumns = dataColumns
+    .map(col => col.name)
+    .filter(name => recorded.length > 0 && !recordedNames.has(name))
+
+  // Charts can break even without a recorded dataset (e.g. older dashboards)
+  result.brokenCharts = (dashboard.chartConfigs || []).filter(config => {
+    const target = config.datasetId && datasets.find(dataset => dataset.id === config.datasetId)
+    const names = target ? new Set(target.columns.map(col => col.name)) : null
+    return getChartColumns(config).some(column => (names ? !names.has(column) : !(column in current)))
+  })
+
+  result.matches = result.missingColumns.length === 0 &&
+    result.typeChanges.length === 0 &&
+    result.brokenCharts.length === 0
+
+  return result
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  DEFAULT_DASHBOARD_NAME,
+  DEFAULT_LAYOUT,
+  CHART_COLUMN_FIELDS,
+  CHART_COLUMN_LIST_FIELDS,
+  CHART_CONDITION_FIELDS,
+  CHART_COLUMN_OBJECT_LIST_FIELDS,
+  generateDashboardId,
+  createDatasetSignature,
+  createDashboard,
+  getCopyName,
+  duplicateDashboard,
+  getChartColumns,
+  checkDatasetCompatibility
+}
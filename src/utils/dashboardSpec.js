@@ -0,0 +1,375 @@
+import { validateChartConfig } from './chartHelpers'
+import {
+  createDashboard,
+  createDatasetSignature,
+  getChartColumns,
+  CHART_COLUMN_FIELDS,
+  CHART_COLUMN_LIST_FIELDS,
+  CHART_CONDITION_FIELDS,
+  CHART_COLUMN_OBJECT_LIST_FIELDS,
+  DEFAULT_LAYOUT
+} from './dashboardHelpers'
+import { EMPTY_FILTER_TREE, isValidCondition, isValidCrossFilter } from './filterHelpers'
+
+/**
+ * Dashboard Spec Utility
+ *
+ * A dashboard spec is a portable JSON template of a dashboard: chart
+ * configs, titles, grid layout and filters, plus the columns the charts
+ * expect. It never contains rows, so analysts can share templates and
+ * apply them to their own CSVs.
+ *
+ * Spec shape (version 1):
+ * {
+ *   format: 'ai-analytics-dashboard',
+ *   version: 1,
+ *   exportedAt: '2024-01-01T00:00:00.000Z',
+ *   dashboard: { name, description, layout, charts: [...], filters: [...], filterTree },
+ *   columns: [{ name, type }]   // columns referenced by the charts and filters
+ * }
+ */
+
+export const DASHBOARD_SPEC_FORMAT = 'ai-analytics-dashboard'
+export const DASHBOARD_SPEC_VERSION = 1
+
+// Upgrades for older spec versions, keyed by the version they produce: { 2: (spec) => newSpec }
+const specMigrations = {}
+
+// Columns the cross-filters (chart click filters) restrict
+const getFilterColumns = (filters = []) => filters.map(filter => filter?.column).filter(Boolean)
+
+// Columns the filter panel conditions test
+const getFilterTreeColumns = (filterTree) =>
+  (filterTree?.groups || []).flatMap(group => getFilterColumns(group.conditions))
+
+// Point an item's `column` at its mapped column (unmapped columns are left as-is)
+const renameItemColumn = (item, mapping) =>
+  (item?.column && mapping[item.column] ? { ...item, column: mapping[item.column] } : item)
+
+/**
+ * Keep the well-formed filters of an imported dashboard: cross-filters,
+ * filter panel conditions and chart conditions (e.g. a KPI's filter).
+ * Malformed ones would throw once the dashboard renders, so they are
+ * dropped and reported instead.
+ *
+ * @param {Object} dashboard - spec.dashboard (charts already checked to be objects)
+ * @returns {Object} - { charts, filters, filterTree, skippedFilters: [{ filter, usedBy }] }
+ */
+const cleanSpecFilters = (dashboard) => {
+  const skippedFilters = []
+  const keep = (isValid, usedBy) => (filter) => {
+    if (isValid(filter)) return true
+    skippedFilters.push({ filter, usedBy })
+    return false
+  }
+
+  const filters = (Array.isArray(dashboard.filters) ? dashboard.filters : [])
+    .filter(keep(isValidCrossFilter, 'Cross-filters'))
+
+  // Older specs have no filter panel conditions
+  const tree = dashboard.filterTree
+  const filterTree = Array.isArray(tree?.groups)
+    ? {
+        ...tree,
+        logic: tree.logic === 'or' ? 'or' : 'and',
+        groups: tree.groups
+          .filter(group => group && typeof group === 'object')
+          .map(group => ({
+            ...group,
+            logic: group.logic === 'or' ? 'or' : 'and',
+            conditions: (Array.isArray(group.conditions) ? group.conditions : [])
+              .filter(keep(isValidCondition, 'Filter panel'))
+          }))
+      }
+    : EMPTY_FILTER_TREE
+
+  const charts = dashboard.charts.map(chart => {
+    const cleaned = { ...chart }
+    CHART_CONDITION_FIELDS.forEach(field => {
+      if (cleaned[field] === null || cleaned[field] === undefined) return
+      if (!keep(isValidCondition, chart.title || 'Untitled Chart')(cleaned[field])) {
+        delete cleaned[field]
+      }
+    })
+    return cleaned
+  })
+
+  return { charts, filters, filterTree, skippedFilters }
+}
+
+/**
+ * Build a spec from a dashboard
+ *
+ * @param {Object} dashboard - Dashboard from the store
+ * @param {Array} dataColumns - Current column metadata (used for column types)
+ * @returns {Object} - Dashboard spec
+ *
+ * Example usage:
+ *   exportToJSON(createDashboardSpec(activeDashboard, dataColumns), 'sales.dashboard.json')
+ */
+export const createDashboardSpec = (dashboard, dataColumns = []) => {
+  // Dataset ids only mean something in this workspace; imported charts follow the active dataset
+  const charts = (dashboard.chartConfigs || []).map(config => {
+    const chart = { ...config }
+    delete chart.datasetId
+    return chart
+  })
+
+  // Prefer the current column types, then the ones recorded with the dashboard
+  const types = {}
+  const knownColumns = [...(dashboard.dataset?.columns || []), ...dataColumns]
+  knownColumns.forEach(col => {
+    types[col.name] = col.type
+  })
+
+  const usedColumns = Array.from(new Set([
+    ...charts.flatMap(getChartColumns),
+    ...getFilterColumns(dashboard.filters),
+    ...getFilterTreeColumns(dashboard.filterTree)
+  ]))
+
+  return {
+    format: DASHBOARD_SPEC_FORMAT,
+    version: DASHBOARD_SPEC_VERSION,
+    exportedAt: new Date().toISOString(),
+    dashboard: {
+      name: dashboard.name,
+      description: dashboard.description || '',
+      layout: dashboard.layout || DEFAULT_LAYOUT,
+      charts,
+      filters: dashboard.filters || [],
+      filterTree: dashboard.filterTree || EMPTY_FILTER_TREE
+    },
+    columns: usedColumns.map(name => ({ name, type: types[name] || null }))
+  }
+}
+
+/**
+ * Parse and check a spec file
+ *
+ * @param {String} text - File contents
+ * @returns {Object} - Spec upgraded to DASHBOARD_SPEC_VERSION, with malformed filters
+ *                     dropped and listed in skippedFilters ([{ filter, usedBy }])
+ * @throws {Error} - If the text is not a valid dashboard spec
+ */
+export const parseDashboardSpec = (text) => {
+  let spec
+  try {
+    spec = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`)
+  }
+
+  if (!spec || spec.format !== DASHBOARD_SPEC_FORMAT) {
+    throw new Error('The file is not a dashboard spec')
+  }
+  if (typeof spec.version !== 'number' || spec.version < 1) {
+    throw new Error('The dashboard spec has no valid version')
+  }
+  if (spec.version > DASHBOARD_SPEC_VERSION) {
+    throw new Error(`The dashboard spec is version ${spec.version}, but this app only reads up to version ${DASHBOARD_SPEC_VERSION}. Please update the app.`)
+  }
+
+  for (let v = spec.version + 1; v <= DASHBOARD_SPEC_VERSION; v++) {
+    if (specMigrations[v]) {
+      spec = specMigrations[v](spec)
+    }
+  }
+
+  if (!spec.dashboard || !Array.isArray(spec.dashboard.charts)) {
+    throw new Error('The dashboard spec has no charts')
+  }
+
+  const { charts, filters, filterTree, skippedFilters } = cleanSpecFilters({
+    ...spec.dashboard,
+    charts: spec.dashboard.charts.filter(chart => chart && typeof chart === 'object')
+  })
+
+  return {
+    ...spec,
+    version: DASHBOARD_SPEC_VERSION,
+    dashboard: {
+      name: spec.dashboard.name || 'Imported Dashboard',
+      description: spec.dashboard.description || '',
+      layout: { ...DEFAULT_LAYOUT, ...spec.dashboard.layout },
+      charts,
+      filters,
+      filterTree
+    },
+    columns: Array.isArray(spec.columns) ? spec.columns : [],
+    skippedFilters
+  }
+}
+
+/**
+ * Find the template columns that don't exist in the current dataset
+ *
+ * @param {Object} spec - Parsed spec
+ * @param {Array} dataColumns - Current column metadata
+ * @returns {Array} - [{ name, type, usedBy: [chart titles, 'Cross-filters', 'Filter panel'] }]
+ */
+export const findUnmatchedColumns = (spec, dataColumns) => {
+  const available = new Set(dataColumns.map(col => col.name))
+  const types = {}
+  spec.columns.forEach(col => {
+    types[col.name] = col.type
+  })
+
+  const unmatched = {}
+  const report = (names, user) => {
+    new Set(names).forEach(name => {
+      if (available.has(name)) return
+      if (!unmatched[name]) {
+        unmatched[name] = { name, type: types[name] || null, usedBy: [] }
+      }
+      unmatched[name].usedBy.push(user)
+    })
+  }
+  spec.dashboard.charts.forEach(chart => report(getChartColumns(chart), chart.title || 'Untitled Chart'))
+  report(getFilterColumns(spec.dashboard.filters), 'Cross-filters')
+  report(getFilterTreeColumns(spec.dashboard.filterTree), 'Filter panel')
+
+  return Object.values(unmatched)
+}
+
+// Lowercase and drop punctuation/spaces so "Order Date" matches "order_date"
+const normalizeColumnName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Guess a current column for each unmatched template column
+ *
+ * Matches names that only differ in case, spacing or punctuation, and
+ * prefers a column of the same type.
+ *
+ * @param {Array} unmatchedColumns - From findUnmatchedColumns()
+ * @param {Array} dataColumns - Current column metadata
+ * @returns {Object} - { templateColumn: currentColumn | null }
+ */
+export const suggestColumnMapping = (unmatchedColumns, dataColumns) => {
+  const mapping = {}
+
+  unmatchedColumns.forEach(col => {
+    const key = normalizeColumnName(col.name)
+    const candidates = dataColumns.filter(current => normalizeColumnName(current.name) === key)
+    const match = candidates.find(current => current.type === col.type) || candidates[0]
+    mapping[col.name] = match ? match.name : null
+  })
+
+  return mapping
+}
+
+/**
+ * Rename the columns used by chart configs
+ *
+ * @param {Array} charts - Chart configs
+ * @param {Object} mapping - { templateColumn: currentColumn | null }
+ * @returns {Array} - Chart configs with renamed columns (unmapped columns are left as-is)
+ */
+export const applyColumnMapping = (charts, mapping) => {
+  return charts.map(chart => {
+    const renamed = { ...chart }
+    CHART_COLUMN_FIELDS.forEach(field => {
+      if (renamed[field] && mapping[renamed[field]]) {
+        renamed[field] = mapping[renamed[field]]
+      }
+    })
+    CHART_COLUMN_LIST_FIELDS.forEach(field => {
+      if (Array.isArray(renamed[field])) {
+        renamed[field] = renamed[field].map(column => mapping[column] || column)
+      }
+    })
+    CHART_CONDITION_FIELDS.forEach(field => {
+      if (renamed[field]?.column && mapping[renamed[field].column]) {
+        renamed[field] = { ...renamed[field], column: mapping[renamed[field].column] }
+      }
+    })
+    CHART_COLUMN_OBJECT_LIST_FIELDS.forEach(field => {
+      if (Array.isArray(renamed[field])) {
+        renamed[field] = renamed[field].map(item => renameItemColumn(item, mapping))
+      }
+    })
+    return renamed
+  })
+}
+
+/**
+ * Check each chart against the current dataset with validateChartConfig
+ *
+ * @param {Array} charts - Chart configs
+ * @param {Array} dataColumns - Current column metadata
+ * @returns {Array} - [{ chart, isValid, error }]
+ */
+export const validateSpecCharts = (charts, dataColumns) => {
+  return charts.map(chart => ({
+    chart,
+    ...validateChartConfig(chart, dataColumns)
+  }))
+}
+
+/**
+ * Turn a spec into a dashboard bound to the current dataset
+ *
+ * Charts that still don't validate after the mapping are left out. The
+ * cross-filters and the filter panel conditions get the same mapping.
+ * Filters parseDashboardSpec dropped are passed on in skippedFilters.
+ *
+ * @param {Object} spec - Parsed spec
+ * @param {Object} mapping - { templateColumn: currentColumn | null }
+ * @param {Array} dataColumns - Current column metadata
+ * @param {String} fileName - Current data file name (recorded with the dashboard)
+ * @returns {Object} - { dashboard, skippedCharts: [{ chart, error }], skippedFilters: [{ filter, usedBy }] }
+ *
+ * Example usage:
+ *   const spec = parseDashboardSpec(await file.text())
+ *   const mapping = suggestColumnMapping(findUnmatchedColumns(spec, dataColumns), dataColumns)
+ *   const { dashboard } = specToDashboard(spec, mapping, dataColumns)
+ */
+export const specToDashboard = (spec, mapping, dataColumns, fileName = null) => {
+  const results = validateSpecCharts(applyColumnMapping(spec.dashboard.charts, mapping), dataColumns)
+
+  const charts = results
+    .filter(result => result.isValid)
+    .map((result, index) => ({
+      ...result.chart,
+      id: result.chart.id || `chart_${Date.now()}_${index}`
+    }))
+
+  const dashboard = createDashboard({
+    name: spec.dashboard.name,
+    description: spec.dashboard.description,
+    chartConfigs: charts,
+    layout: spec.dashboard.layout,
+    filters: spec.dashboard.filters.map(filter => renameItemColumn(filter, mapping)),
+    filterTree: {
+      ...spec.dashboard.filterTree,
+      groups: spec.dashboard.filterTree.groups.map(group => ({
+        ...group,
+        conditions: (group.conditions || []).map(condition => renameItemColumn(condition, mapping))
+      }))
+    },
+    dataset: createDatasetSignature(dataColumns, fileName)
+  })
+
+  return {
+    dashboard,
+    skippedCharts: results
+      .filter(result => !result.isValid)
+      .map(result => ({ chart: result.chart, error: result.error })),
+    skippedFilters: spec.skippedFilters || []
+  }
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  DASHBOARD_SPEC_FORMAT,
+  DASHBOARD_SPEC_VERSION,
+  createDashboardSpec,
+  parseDashboardSpec,
+  findUnmatchedColumns,
+  suggestColumnMapping,
+  applyColumnMapping,
+  validateSpecCharts,
+  specToDashboard
+}
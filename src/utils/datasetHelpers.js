@@ -0,0 +1,524 @@
+import { applyRecipe } from './prepHelpers'
+import { applyCalculatedColumns } from './formulaHelpers'
+import { applyEdits, isCellChange } from './editHelpers'
+import { getDataSummary, updateDataSummary } from './csvParser'
+
+/**
+ * Dataset Helpers Utility
+ *
+ * Several named datasets can be loaded side by side. Each one keeps its rows
+ * as loaded and its own prep recipe and calculated columns. Datasets can be
+ * combined into derived views - a union of datasets with the same columns,
+ * or a join of two datasets on key columns - which are rebuilt from their
+ * sources' prepared rows whenever a source changes.
+ *
+ * Dataset shape:
+ * {
+ *   id, name, fileName,
+ *   sourceData,                 // rows as loaded (or as combined, for derived views)
+ *   data,                       // rows after the prep recipe, cell edits and calculated columns
+ *   rowIds,                     // each row's stable id: its position in `sourceData` (see applyRecipe)
+ *   typeOverrides,              // column types chosen by the recipe's change-type steps
+ *   columns, stats,             // inferColumnTypes / getDataSummary of `data`
+ *   prepSteps, calculatedColumns,
+ *   edits,                      // cells fixed by hand, oldest first (see editHelpers)
+ *   undoneEdits,                // undone edits to redo, most recently undone last
+ *   skippedEditIds,             // edits whose cell changed under them, so they don't apply
+ *   qualityRules,               // data quality ruleset (see qualityHelpers)
+ *   derived,                    // null, or how the view is built:
+ *                               // { type: 'union', datasetIds, sourceColumn }
+ *                               // { type: 'join', leftId, rightId, leftKeys, rightKeys, joinType }
+ *   locale,                     // id of the locale its numbers and dates were read in (see localeHelpers)
+ *   createdAt
+ * }
+ */
+
+export const JOIN_TYPES = [
+  { id: 'inner', name: 'Inner', description: 'Only rows with a match on both sides' },
+  { id: 'left', name: 'Left', description: 'Every left row, with right values where they match' },
+  { id: 'right', name: 'Right', description: 'Every right row, with left values where they match' },
+  { id: 'full', name: 'Full outer', description: 'Every row from both sides' }
+]
+
+// Most rows a join may produce (keys that repeat on both sides multiply rows)
+export const MAX_JOIN_ROWS = 1000000
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+// Key of a row's key columns; null when a key is empty (empty keys never match, as in SQL).
+// Values compare as text, so 7 in one file matches "7" in another.
+const getRowKey = (row, keys) => {
+  const values = []
+  for (const key of keys) {
+    const value = row[key]
+    if (isEmpty(value)) return null
+    values.push(value instanceof Date ? value.toISOString() : String(value))
+  }
+  return JSON.stringify(values)
+}
+
+/**
+ * Generate a unique dataset id
+ *
+ * @returns {String}
+ */
+export const generateDatasetId = () =>
+  `dataset_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Pick a dataset name that isn't used yet: "sales", "sales (2)", ...
+ *
+ * @param {String} name - Desired name
+ * @param {Array} datasets - Existing datasets
+ * @returns {String}
+ */
+export const getUniqueDatasetName = (name, datasets) => {
+  const names = new Set(datasets.map(dataset => dataset.name))
+  const base = name.trim() || 'Dataset'
+  let candidate = base
+  let counter = 2
+  while (names.has(candidate)) {
+    candidate = `${base} (${counter++})`
+  }
+  return candidate
+}
+
+/**
+ * Create a dataset
+ *
+ * @param {Object} options
+ * @param {String} options.name - Dataset name
+ * @param {String} options.fileName - File it was loaded from (null for derived views)
+ * @param {Array} options.sourceData - Rows
+ * @param {Array} options.columns - Column metadata (computed when missing)
+ * @param {Object} options.stats - Data summary (computed when missing)
+ * @param {Object} options.derived - How a derived view is built (see above)
+ * @param {String} options.locale - Locale id the file was read in
+ * @returns {Object} - Dataset
+ */
+export const createDataset = ({ name, fileName = null, sourceData, columns = null, stats = null, derived = null, locale = null }) => {
+  const summary = columns && stats ? stats : getDataSummary(sourceData)
+  return {
+    id: generateDatasetId(),
+    name,
+    fileName,
+    sourceData,
+    data: sourceData,
+    rowIds: sourceData.map((_, index) => index),
+    typeOverrides: {},
+    columns: columns || summary.columns,
+    stats: summary,
+    prepSteps: [],
+    calculatedColumns: [],
+    edits: [],
+    undoneEdits: [],
+    skippedEditIds: [],
+    qualityRules: [],
+    derived,
+    locale,
+    createdAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Rebuild a dataset's rows from its rows as loaded: replay the prep recipe,
+ * the cell edits, then the calculated columns, and refresh the column
+ * metadata (calculated columns' metadata also carries the formula)
+ *
+ * @param {Object} dataset - Dataset
+ * @param {Object} changes - { prepSteps, calculatedColumns, edits, undoneEdits, sourceData } to replace (optional)
+ * @returns {Object} - Updated dataset
+ */
+export const prepareDataset = (dataset, changes = {}) => {
+  const next = { ...dataset, ...changes }
+  const { data: preparedData, rowIds, typeOverrides } = applyRecipe(next.sourceData, next.prepSteps)
+  const { data: editedData, skippedIds } = applyEdits(preparedData, rowIds, next.edits)
+  const data = applyCalculatedColumns(editedData, next.calculatedColumns)
+  const summary = getDataSummary(data, { typeOverrides })
+  const columns = withFormulas(summary.columns, next.calculatedColumns)
+  return { ...next, data, rowIds, typeOverrides, columns, stats: { ...summary, columns }, skippedEditIds: skippedIds }
+}
+
+// Column metadata with each calculated column's formula
+const withFormulas = (columns, calculatedColumns) => {
+  const formulas = new Map(calculatedColumns.map(column => [column.name, column.expression]))
+  return columns.map(col =>
+    formulas.has(col.name) ? { ...col, formula: formulas.get(col.name) } : col
+  )
+}
+
+/**
+ * Write one cell of a prepared dataset without replaying its recipe: the
+ * row's calculated columns are recomputed and only the columns whose
+ * values changed are analysed again
+ *
+ * @param {Object} dataset - Prepared dataset
+ * @param {Number} index - Row position in `data`
+ * @param {String} column - Column name
+ * @param {*} value - New value
+ * @returns {Object} - Updated dataset
+ *
+ * Example usage:
+ *   const next = patchDatasetCell(dataset, 41, 'City', 'Paris')
+ */
+export const patchDatasetCell = (dataset, index, column, value) => {
+  const before = dataset.data[index]
+  const row = applyCalculatedColumns([{ ...before, [column]: value }], dataset.calculatedColumns)[0]
+  const data = [...dataset.data]
+  data[index] = row
+
+  const changed = Object.keys(row).filter(name => isCellChange(before[name], row[name]))
+  const summary = updateDataSummary(dataset.stats, data, changed, { typeOverrides: dataset.typeOverrides || {} })
+  const columns = withFormulas(summary.columns, dataset.calculatedColumns)
+  return { ...dataset, data, columns, stats: { ...summary, columns } }
+}
+
+/**
+ * Check that datasets can be stacked: they need the same column names (in any order)
+ *
+ * @param {Array} datasets - Datasets to stack
+ * @returns {Object} - {
+ *   isValid, error,
+ *   columns,          // column names of the union
+ *   typeMismatches    // [{ name, types }] columns with different types (allowed, reported)
+ * }
+ */
+export const checkUnionCompatibility = (datasets) => {
+  if (!datasets || datasets.length < 2) {
+    return { isValid: false, error: 'Choose at least two datasets', columns: [], typeMismatches: [] }
+  }
+
+  const columns = datasets[0].columns.map(col => col.name)
+  for (const dataset of datasets.slice(1)) {
+    const names = dataset.columns.map(col => col.name)
+    const missing = columns.filter(name => !names.includes(name))
+    const extra = names.filter(name => !columns.includes(name))
+    if (missing.length > 0 || extra.length > 0) {
+      const details = [
+        missing.length > 0 && `missing ${missing.join(', ')}`,
+        extra.length > 0 && `extra ${extra.join(', ')}`
+      ].filter(Boolean).join('; ')
+      return {
+        isValid: false,
+        error: `"${dataset.name}" has different columns than "${datasets[0].name}" (${details})`,
+        columns,
+        typeMismatches: []
+      }
+    }
+  }
+
+  const typeMismatches = columns
+    .map(name => ({
+      name,
+      types: Array.from(new Set(datasets.map(dataset => dataset.columns.find(col => col.name === name).type)))
+    }))
+    .filter(item => item.types.length > 1)
+
+  return { isValid: true, error: null, columns, typeMismatches }
+}
+
+/**
+ * Stack the rows of datasets with the same columns
+ *
+ * @param {Array} datasets - Datasets ({ name, data, columns })
+ * @param {Object} options
+ * @param {String} options.sourceColumn - Name of a column recording each row's dataset (optional)
+ * @returns {Array} - Rows, with the first dataset's column order
+ */
+export const unionRows = (datasets, { sourceColumn = '' } = {}) => {
+  const columns = datasets[0]?.columns.map(col => col.name) || []
+  return datasets.flatMap(dataset =>
+    dataset.data.map(row => {
+      const out = {}
+      if (sourceColumn) out[sourceColumn] = dataset.name
+      columns.forEach(name => {
+        out[name] = row[name]
+      })
+      return out
+    })
+  )
+}
+
+/**
+ * Count how the rows of two datasets match on key columns
+ *
+ * @param {Array} leftRows - Rows of the left dataset
+ * @param {Array} rightRows - Rows of the right dataset
+ * @param {Object} options - { leftKeys, rightKeys }
+ * @returns {Object} - {
+ *   leftRows, rightRows,                 // row counts
+ *   matchedLeftRows, matchedRightRows,   // rows with at least one match on the other side
+ *   leftMatchRate, rightMatchRate,       // 0-1
+ *   resultRows: { inner, left, right, full }  // rows each join type would produce
+ * }
+ *
+ * Example usage:
+ *   getJoinStats(orders, customers, { leftKeys: ['customer_id'], rightKeys: ['id'] })
+ *   // → { leftMatchRate: 0.97, rightMatchRate: 0.8, resultRows: { inner: 9700, ... }, ... }
+ */
+export const getJoinStats = (leftRows, rightRows, { leftKeys, rightKeys }) => {
+  const rightCounts = new Map()
+  rightRows.forEach(row => {
+    const key = getRowKey(row, rightKeys)
+    if (key !== null) rightCounts.set(key, (rightCounts.get(key) || 0) + 1)
+  })
+
+  const leftKeysSeen = new Set()
+  let matchedLeftRows = 0
+  let innerRows = 0
+  leftRows.forEach(row => {
+    const key = getRowKey(row, leftKeys)
+    const count = key === null ? 0 : rightCounts.get(key) || 0
+    if (count > 0) {
+      matchedLeftRows++
+      innerRows += count
+      leftKeysSeen.add(key)
+    }
+  })
+
+  let matchedRightRows = 0
+  leftKeysSeen.forEach(key => {
+    matchedRightRows += rightCounts.get(key)
+  })
+
+  const unmatchedLeft = leftRows.length - matchedLeftRows
+  const unmatchedRight = rightRows.length - matchedRightRows
+  return {
+    leftRows: leftRows.length,
+    rightRows: rightRows.length,
+    matchedLeftRows,
+    matchedRightRows,
+    leftMatchRate: leftRows.length > 0 ? matchedLeftRows / leftRows.length : 0,
+    rightMatchRate: rightRows.length > 0 ? matchedRightRows / rightRows.length : 0,
+    resultRows: {
+      inner: innerRows,
+      left: innerRows + unmatchedLeft,
+      right: innerRows + unmatchedRight,
+      full: innerRows + unmatchedLeft + unmatchedRight
+    }
+  }
+}
+
+// Output names of the right dataset's non-key columns (suffixed when the left already has the name)
+const getRightColumnNames = (leftColumns, rightColumns, rightKeys, rightName) => {
+  const taken = new Set(leftColumns)
+  const names = new Map()
+  rightColumns.filter(name => !rightKeys.includes(name)).forEach(name => {
+    let candidate = taken.has(name) ? `${name} (${rightName})` : name
+    let counter = 2
+    while (taken.has(candidate)) {
+      candidate = `${name} (${rightName} ${counter++})`
+    }
+    taken.add(candidate)
+    names.set(name, candidate)
+  })
+  return names
+}
+
+/**
+ * Check a join before running it
+ *
+ * @param {Object} left - Left dataset
+ * @param {Object} right - Right dataset
+ * @param {Object} options - { leftKeys, rightKeys, joinType }
+ * @returns {Object} - { isValid, error }
+ */
+export const validateJoin = (left, right, { leftKeys = [], rightKeys = [], joinType } = {}) => {
+  const fail = (error) => ({ isValid: false, error })
+  if (!left || !right) return fail('Choose two datasets')
+  if (!JOIN_TYPES.some(type => type.id === joinType)) return fail('Choose a join type')
+  if (leftKeys.length === 0) return fail('Choose at least one key column')
+  if (leftKeys.length !== rightKeys.length || rightKeys.some(key => !key)) {
+    return fail('Pick a right column for every left key')
+  }
+
+  const leftNames = left.columns.map(col => col.name)
+  const rightNames = right.columns.map(col => col.name)
+  const missing = [
+    ...leftKeys.filter(key => !leftNames.includes(key)),
+    ...rightKeys.filter(key => !rightNames.includes(key))
+  ]
+  if (missing.length > 0) return fail(`Column not found: ${missing.join(', ')}`)
+
+  const { resultRows } = getJoinStats(left.data, right.data, { leftKeys, rightKeys })
+  if (resultRows[joinType] > MAX_JOIN_ROWS) {
+    return fail(`The join would produce ${resultRows[joinType].toLocaleString()} rows (more than ${MAX_JOIN_ROWS.toLocaleString()}); check that the keys identify rows`)
+  }
+  return { isValid: true, error: null }
+}
+
+/**
+ * Join the rows of two datasets on key columns
+ *
+ * The result has every left column, then the right columns except the keys
+ * (suffixed with the right dataset's name when the left has the same name).
+ * Rows only on the right side take their key values into the left key columns.
+ *
+ * @param {Object} left - Left dataset ({ data, columns })
+ * @param {Object} right - Right dataset ({ name, data, columns })
+ * @param {Object} options - { leftKeys, rightKeys, joinType: 'inner' | 'left' | 'right' | 'full' }
+ * @returns {Array} - Joined rows
+ *
+ * Example usage:
+ *   joinRows(orders, customers, { leftKeys: ['customer_id'], rightKeys: ['id'], joinType: 'left' })
+ */
+export const joinRows = (left, right, { leftKeys, rightKeys, joinType }) => {
+  const leftColumns = left.columns.map(col => col.name)
+  const rightNames = getRightColumnNames(leftColumns, right.columns.map(col => col.name), rightKeys, right.name)
+
+  const rightIndex = new Map()
+  right.data.forEach((row, index) => {
+    const key = getRowKey(row, rightKeys)
+    if (key === null) return
+    if (!rightIndex.has(key)) rightIndex.set(key, [])
+    rightIndex.get(key).push(index)
+  })
+
+  const combine = (leftRow, rightRow) => {
+    const out = {}
+    leftColumns.forEach(name => {
+      out[name] = leftRow ? leftRow[name] : null
+    })
+    if (!leftRow) {
+      leftKeys.forEach((key, index) => {
+        out[key] = rightRow[rightKeys[index]]
+      })
+    }
+    rightNames.forEach((outName, name) => {
+      out[outName] = rightRow ? rightRow[name] : null
+    })
+    return out
+  }
+
+  const rows = []
+  const matchedRight = new Set()
+  left.data.forEach(leftRow => {
+    const key = getRowKey(leftRow, leftKeys)
+    const matches = key === null ? [] : rightIndex.get(key) || []
+    matches.forEach(index => {
+      matchedRight.add(index)
+      rows.push(combine(leftRow, right.data[index]))
+    })
+    if (matches.length === 0 && (joinType === 'left' || joinType === 'full')) {
+      rows.push(combine(leftRow, null))
+    }
+  })
+
+  if (joinType === 'right' || joinType === 'full') {
+    right.data.forEach((rightRow, index) => {
+      if (!matchedRight.has(index)) rows.push(combine(null, rightRow))
+    })
+  }
+  return rows
+}
+
+/**
+ * List the datasets a derived view reads
+ *
+ * @param {Object} derived - dataset.derived
+ * @returns {Array} - Dataset ids
+ */
+export const getDerivedSourceIds = (derived) => {
+  if (!derived) return []
+  return derived.type === 'union' ? derived.datasetIds : [derived.leftId, derived.rightId]
+}
+
+/**
+ * Describe how a derived view is built, e.g. "Left join of orders and customers on customer_id = id"
+ *
+ * @param {Object} derived - dataset.derived
+ * @param {Array} datasets - All datasets
+ * @returns {String}
+ */
+export const describeDerived = (derived, datasets) => {
+  if (!derived) return ''
+  const nameOf = (id) => datasets.find(dataset => dataset.id === id)?.name || '(removed)'
+
+  if (derived.type === 'union') {
+    return `Union of ${derived.datasetIds.map(nameOf).join(', ')}`
+  }
+  const joinType = JOIN_TYPES.find(type => type.id === derived.joinType)?.name || derived.joinType
+  const keys = derived.leftKeys
+    .map((key, index) => (key === derived.rightKeys[index] ? key : `${key} = ${derived.rightKeys[index]}`))
+    .join(', ')
+  return `${joinType} join of ${nameOf(derived.leftId)} and ${nameOf(derived.rightId)} on ${keys}`
+}
+
+/**
+ * Build the rows of a derived view from its sources' prepared rows
+ *
+ * @param {Object} derived - dataset.derived
+ * @param {Array} datasets - All datasets
+ * @returns {Array} - Rows (empty when a source is gone)
+ */
+export const buildDerivedData = (derived, datasets) => {
+  const sources = getDerivedSourceIds(derived).map(id => datasets.find(dataset => dataset.id === id))
+  if (sources.some(source => !source)) return []
+
+  if (derived.type === 'union') {
+    return unionRows(sources, { sourceColumn: derived.sourceColumn })
+  }
+  const [left, right] = sources
+  return joinRows(left, right, derived)
+}
+
+/**
+ * List the derived views that read a dataset, directly or through another view
+ *
+ * @param {Array} datasets - All datasets
+ * @param {String} id - Dataset id
+ * @returns {Array} - Dataset ids, in dataset order
+ */
+export const getDependentDatasetIds = (datasets, id) => {
+  const dependents = new Set()
+  // Views are always created after their sources, so one pass in order finds every level
+  datasets.forEach(dataset => {
+    const sources = getDerivedSourceIds(dataset.derived)
+    if (sources.includes(id) || sources.some(source => dependents.has(source))) {
+      dependents.add(dataset.id)
+    }
+  })
+  return datasets.filter(dataset => dependents.has(dataset.id)).map(dataset => dataset.id)
+}
+
+/**
+ * Rebuild the derived views that read a changed dataset
+ *
+ * @param {Array} datasets - All datasets (with the changed one already updated)
+ * @param {String} changedId - Id of the changed dataset
+ * @returns {Array} - Datasets with the affected views rebuilt
+ */
+export const refreshDerivedDatasets = (datasets, changedId) => {
+  const dependents = new Set(getDependentDatasetIds(datasets, changedId))
+  if (dependents.size === 0) return datasets
+
+  const result = [...datasets]
+  result.forEach((dataset, index) => {
+    if (!dependents.has(dataset.id)) return
+    result[index] = prepareDataset(dataset, { sourceData: buildDerivedData(dataset.derived, result) })
+  })
+  return result
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  JOIN_TYPES,
+  MAX_JOIN_ROWS,
+  generateDatasetId,
+  getUniqueDatasetName,
+  createDataset,
+  prepareDataset,
+  patchDatasetCell,
+  checkUnionCompatibility,
+  unionRows,
+  getJoinStats,
+  validateJoin,
+  joinRows,
+  getDerivedSourceIds,
+  describeDerived,
+  buildDerivedData,
+  getDependentDatasetIds,
+  refreshDerivedDatasets
+}
@@ -0,0 +1,518 @@
+/**
+ * Date Helpers Utility
+ *
+ * Date-aware bucketing for time-series charts: group timestamps into
+ * hour/day/week/month/quarter/year buckets, fill the buckets that have
+ * no data, and format bucket labels for a time axis.
+ *
+ * All calculations use UTC, matching how the CSV parser stores dates
+ * ('2024-03-01' becomes 2024-03-01T00:00:00Z).
+ *
+ * Bucket keys sort chronologically as strings:
+ * - hour:    '2024-03-01T14'
+ * - day:     '2024-03-01'
+ * - week:    '2024-W09'      (ISO 8601 weeks, Monday start)
+ * - month:   '2024-03'
+ * - quarter: '2024-Q1'       (fiscal years: 'FY2025-Q1')
+ * - year:    '2024'          (fiscal years: 'FY2025')
+ *
+ * Fiscal years are named after the calendar year they end in, so with an
+ * April start, April 2024 - March 2025 is FY2025.
+ */
+
+export const DATE_GRANULARITIES = [
+  { id: 'hour', name: 'Hour' },
+  { id: 'day', name: 'Day' },
+  { id: 'week', name: 'Week (ISO)' },
+  { id: 'month', name: 'Month' },
+  { id: 'quarter', name: 'Quarter' },
+  { id: 'year', name: 'Year' }
+]
+
+export const GAP_FILL_MODES = [
+  { id: 'zero', name: 'Zero' },
+  { id: 'null', name: 'Leave empty' },
+  { id: 'previous', name: 'Previous value' },
+  { id: 'none', name: 'Skip missing' }
+]
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Don't fill more buckets than this (e.g. hourly buckets over ten years)
+export const MAX_FILLED_BUCKETS = 5000
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Check whether a granularity buckets dates (falsy and 'none' mean raw values)
+ *
+ * @param {String} granularity - Granularity id
+ * @returns {Boolean}
+ */
+export const isBucketed = (granularity) => Boolean(granularity) && granularity !== 'none'
+
+// ISO date and time without a zone ('2024-03-05T23:30:00', '2024-03-05 23:30')
+const NAIVE_ISO_DATETIME_REGEX = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/
+
+/**
+ * Convert a cell value to a valid Date. Dates in cells have no time zone:
+ * like date-only strings, ISO date-times without a zone are read as UTC, so
+ * the UTC getters (and buckets) see the time as written.
+ *
+ * @param {*} value - Date, timestamp or date string
+ * @returns {Date|null} - null if the value isn't a date
+ *
+ * Example usage:
+ *   toDate('2024-03-05T23:30:00').toISOString()  // → '2024-03-05T23:30:00.000Z' in every time zone
+ */
+export const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value
+  const text = typeof value === 'string' ? value.trim() : value
+  const date = typeof text === 'string' && NAIVE_ISO_DATETIME_REGEX.test(text)
+    ? new Date(`${text.replace(' ', 'T')}Z`)
+    : new Date(text)
+  return isNaN(date.getTime()) ? null : date
+}
+
+// Formats offered when parsing a date column explicitly (any combination of the tokens works)
+export const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'DD/MM/YYYY',
+  'MM/DD/YYYY',
+  'DD.MM.YYYY',
+  'D MMM YYYY',
+  'MMM D, YYYY',
+  'YYYYMMDD',
+  'DD/MM/YYYY HH:mm',
+  'MM/DD/YYYY HH:mm:ss',
+  'YYYY-MM-DD HH:mm:ss'
+]
+
+const FULL_MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+]
+
+// Format tokens and the pattern each matches
+const FORMAT_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MMMM: '([A-Za-z]+)',
+  MMM: '([A-Za-z]{3})',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})'
+}
+const FORMAT_TOKEN_PATTERN = /YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss/g
+
+const formatPatterns = new Map()
+
+// Compile a format into a regex and the token of each capture group
+const compileDateFormat = (format) => {
+  if (formatPatterns.has(format)) return formatPatterns.get(format)
+
+  const tokens = []
+  let source = ''
+  let lastIndex = 0
+  format.replace(FORMAT_TOKEN_PATTERN, (token, index) => {
+    source += format.slice(lastIndex, index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + FORMAT_TOKENS[token]
+    tokens.push(token)
+    lastIndex = index + token.length
+    return token
+  })
+  source += format.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+  const compiled = { regex: new RegExp(`^${source}$`), tokens }
+  formatPatterns.set(format, compiled)
+  return compiled
+}
+
+const findMonth = (name) => {
+  const lower = name.toLowerCase()
+  const index = FULL_MONTH_NAMES.findIndex(month =>
+    month.toLowerCase() === lower || month.slice(0, 3).toLowerCase() === lower
+  )
+  return index === -1 ? null : index + 1
+}
+
+/**
+ * Check whether a format includes a time of day
+ *
+ * @param {String} format - Date format (see parseDateWithFormat)
+ * @returns {Boolean}
+ */
+export const hasTimeTokens = (format) => /H|mm|ss/.test(format || '')
+
+/**
+ * Parse a date written in a known format, instead of guessing like new Date()
+ * (which reads 03/04/2024 as March 4th)
+ *
+ * Tokens: YYYY, YY (70-99 → 19xx), MMMM (January), MMM (Jan), MM, M, DD, D,
+ * HH, H (24-hour), mm, ss. Anything else must match literally.
+ *
+ * @param {*} value - Cell value
+ * @param {String} format - e.g. 'DD/MM/YYYY'
+ * @returns {Date|null} - UTC date, or null if the value doesn't match the format or isn't a real date
+ *
+ * Example usage:
+ *   parseDateWithFormat('03/04/2024', 'DD/MM/YYYY')  // → 2024-04-03T00:00:00Z
+ *   parseDateWithFormat('31/02/2024', 'DD/MM/YYYY')  // → null
+ */
+export const parseDateWithFormat = (value, format) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value
+  if (value === null || value === undefined || value === '' || !format) return null
+
+  const { regex, tokens } = compileDateFormat(format)
+  const match = String(value).trim().match(regex)
+  if (!match) return null
+
+  const parts = { year: null, month: 1, day: 1, hour: 0, minute: 0, second: 0 }
+  for (let i = 0; i < tokens.length; i++) {
+    const text = match[i + 1]
+    switch (tokens[i]) {
+      case 'YYYY': parts.year = Number(text); break
+      case 'YY': parts.year = Number(text) + (Number(text) < 70 ? 2000 : 1900); break
+      case 'MMMM':
+      case 'MMM': parts.month = findMonth(text); break
+      case 'MM':
+      case 'M': parts.month = Number(text); break
+      case 'DD':
+      case 'D': parts.day = Number(text); break
+      case 'HH':
+      case 'H': parts.hour = Number(text); break
+      case 'mm': parts.minute = Number(text); break
+      case 'ss': parts.second = Number(text); break
+    }
+  }
+  if (parts.year === null || !parts.month) return null
+
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second))
+  // Reject values Date.UTC would roll over (Feb 31st, hour 25, ...)
+  const isExact = date.getUTCFullYear() === parts.year &&
+    date.getUTCMonth() === parts.month - 1 &&
+    date.getUTCDate() === parts.day &&
+    date.getUTCHours() === parts.hour &&
+    date.getUTCMinutes() === parts.minute &&
+    date.getUTCSeconds() === parts.second
+  return isExact ? date : null
+}
+
+// Monday of the ISO week containing the date
+const getISOWeekStart = (date) => {
+  const day = date.getUTCDay() || 7
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day + 1))
+}
+
+/**
+ * Get the ISO 8601 week-numbering year and week of a date
+ *
+ * @param {Date} date - Date
+ * @returns {Object} - { year, week }
+ */
+export const getISOWeek = (date) => {
+  // The Thursday of the week decides which year the week belongs to
+  const thursday = new Date(getISOWeekStart(date).getTime() + 3 * DAY)
+  const year = thursday.getUTCFullYear()
+  const firstThursday = new Date(Date.UTC(year, 0, 4))
+  const week = 1 + Math.round((getISOWeekStart(thursday).getTime() - getISOWeekStart(firstThursday).getTime()) / (7 * DAY))
+  return { year, week }
+}
+
+// First month (0-11) of the quarter or fiscal year containing the month
+const getPeriodStartMonth = (month, fiscalYearStart, length) => {
+  const offset = (month - (fiscalYearStart - 1) + 12) % 12
+  return (month - (offset % length) + 12) % 12
+}
+
+/**
+ * Get the start of the bucket a date falls into
+ *
+ * @param {Date} date - Date
+ * @param {String} granularity - 'hour', 'day', 'week', 'month', 'quarter' or 'year'
+ * @param {Object} options
+ * @param {Number} options.fiscalYearStart - First month of the fiscal year, 1-12 (default: 1)
+ * @returns {Date}
+ */
+export const getBucketStart = (date, granularity, { fiscalYearStart = 1 } = {}) => {
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth()
+
+  switch (granularity) {
+    case 'hour':
+      return new Date(Date.UTC(year, month, date.getUTCDate(), date.getUTCHours()))
+    case 'week':
+      return getISOWeekStart(date)
+    case 'month':
+      return new Date(Date.UTC(year, month, 1))
+    case 'quarter':
+    case 'year': {
+      const startMonth = getPeriodStartMonth(month, fiscalYearStart, granularity === 'quarter' ? 3 : 12)
+      // A period that started in a later month began last year
+      return new Date(Date.UTC(startMonth > month ? year - 1 : year, startMonth, 1))
+    }
+    default:
+      return new Date(Date.UTC(year, month, date.getUTCDate()))
+  }
+}
+
+/**
+ * Get the start of the bucket after the one starting at `start`
+ *
+ * @param {Date} start - Bucket start from getBucketStart()
+ * @param {String} granularity - Granularity id
+ * @returns {Date}
+ */
+export const getNextBucketStart = (start, granularity) => {
+  switch (granularity) {
+    case 'hour':
+      return new Date(start.getTime() + HOUR)
+    case 'week':
+      return new Date(start.getTime() + 7 * DAY)
+    case 'month':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+    case 'quarter':
+      return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 3, 1))
+    case 'year':
+      return new Date(Date.UTC(start.getUTCFullYear() + 1, start.getUTCMonth(), 1))
+    default:
+      return new Date(start.getTime() + DAY)
+  }
+}
+
+// Fiscal year (named by the year it ends in) and quarter of a bucket start
+const getFiscalPeriod = (start, fiscalYearStart) => {
+  const offset = (start.getUTCMonth() - (fiscalYearStart - 1) + 12) % 12
+  const fiscalYear = fiscalYearStart === 1 ? start.getUTCFullYear() : start.getUTCFullYear() + (start.getUTCMonth() >= fiscalYearStart - 1 ? 1 : 0)
+  return { fiscalYear, quarter: Math.floor(offset / 3) + 1 }
+}
+
+/**
+ * Get the sortable key of the bucket starting at `start`
+ *
+ * @param {Date} start - Bucket start from getBucketStart()
+ * @param {String} granularity - Granularity id
+ * @param {Object} options
+ * @param {Number} options.fiscalYearStart - First month of the fiscal year, 1-12 (default: 1)
+ * @returns {String} - e.g. '2024-03', '2024-W09', 'FY2025-Q1'
+ */
+export const getBucketKey = (start, granularity, { fiscalYearStart = 1 } = {}) => {
+  const year = start.getUTCFullYear()
+  const month = pad(start.getUTCMonth() + 1)
+  const day = pad(start.getUTCDate())
+
+  switch (granularity) {
+    case 'hour':
+      return `${year}-${month}-${day}T${pad(start.getUTCHours())}`
+    case 'week': {
+      const iso = getISOWeek(start)
+      return `${iso.year}-W${pad(iso.week)}`
+    }
+    case 'month':
+      return `${year}-${month}`
+    case 'quarter': {
+      const { fiscalYear, quarter } = getFiscalPeriod(start, fiscalYearStart)
+      return fiscalYearStart === 1 ? `${year}-Q${quarter}` : `FY${fiscalYear}-Q${quarter}`
+    }
+    case 'year': {
+      const { fiscalYear } = getFiscalPeriod(start, fiscalYearStart)
+      return fiscalYearStart === 1 ? String(year) : `FY${fiscalYear}`
+    }
+    default:
+      return `${year}-${month}-${day}`
+  }
+}
+
+// Intl formats for localized bucket labels, cached per locale
+const bucketFormatters = new Map()
+
+const LOCALIZED_BUCKET_FORMATS = {
+  hour: { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  month: { month: 'short', year: 'numeric' },
+  day: { month: 'short', day: 'numeric', year: 'numeric' }
+}
+
+const formatLocalizedBucket = (date, format, locale) => {
+  const key = `${locale.id}|${format}`
+  if (!bucketFormatters.has(key)) {
+    bucketFormatters.set(key, new Intl.DateTimeFormat(locale.id, { ...LOCALIZED_BUCKET_FORMATS[format], timeZone: 'UTC' }))
+  }
+  return bucketFormatters.get(key).format(date)
+}
+
+/**
+ * Format the bucket starting at `start` for axis ticks and tooltips
+ *
+ * @param {Date|Number} start - Bucket start (Date or timestamp)
+ * @param {String} granularity - Granularity id
+ * @param {Object} options
+ * @param {Number} options.fiscalYearStart - First month of the fiscal year, 1-12 (default: 1)
+ * @param {Object} options.locale - Locale (see localeHelpers) to name months and order days in (optional)
+ * @returns {String} - e.g. 'Mar 2024', 'W09 2024', 'Q1 FY2025' ('März 2024' in German)
+ */
+export const formatBucketLabel = (start, granularity, { fiscalYearStart = 1, locale = null } = {}) => {
+  const date = start instanceof Date ? start : new Date(start)
+  if (isNaN(date.getTime())) return ''
+
+  // Weeks, quarters and years read the same in every locale
+  if (locale && !['week', 'quarter', 'year'].includes(granularity)) {
+    return formatLocalizedBucket(date, LOCALIZED_BUCKET_FORMATS[granularity] ? granularity : 'day', locale)
+  }
+
+  const year = date.getUTCFullYear()
+  const monthName = MONTH_NAMES[date.getUTCMonth()]
+
+  switch (granularity) {
+    case 'hour':
+      return `${monthName} ${date.getUTCDate()} ${pad(date.getUTCHours())}:00`
+    case 'week': {
+      const iso = getISOWeek(date)
+      return `W${pad(iso.week)} ${iso.year}`
+    }
+    case 'month':
+      return `${monthName} ${year}`
+    case 'quarter': {
+      const { fiscalYear, quarter } = getFiscalPeriod(date, fiscalYearStart)
+      return fiscalYearStart === 1 ? `Q${quarter} ${year}` : `Q${quarter} FY${fiscalYear}`
+    }
+    case 'year': {
+      const { fiscalYear } = getFiscalPeriod(date, fiscalYearStart)
+      return fiscalYearStart === 1 ? String(year) : `FY${fiscalYear}`
+    }
+    default:
+      return `${monthName} ${date.getUTCDate()}, ${year}`
+  }
+}
+
+/**
+ * Put a date into its bucket
+ *
+ * @param {*} value - Cell value
+ * @param {String} granularity - Granularity id
+ * @param {Object} options - { fiscalYearStart }
+ * @returns {Object|null} - { key, start, label }, or null if the value isn't a date
+ *
+ * Example usage:
+ *   bucketDate('2024-03-15', 'month')
+ *   // → { key: '2024-03', start: Date(2024-03-01), label: 'Mar 2024' }
+ */
+export const bucketDate = (value, granularity, options = {}) => {
+  const date = toDate(value)
+  if (!date) return null
+
+  const start = getBucketStart(date, granularity, options)
+  return {
+    key: getBucketKey(start, granularity, options),
+    start,
+    label: formatBucketLabel(start, granularity, options)
+  }
+}
+
+/**
+ * Pick a granularity that gives a readable number of points for a date range
+ *
+ * @param {Date|String} minDate - Earliest date (e.g. column.minDate from inferColumnTypes)
+ * @param {Date|String} maxDate - Latest date
+ * @returns {String} - Granularity id ('day' if the range is unknown)
+ */
+export const suggestGranularity = (minDate, maxDate) => {
+  const min = toDate(minDate)
+  const max = toDate(maxDate)
+  if (!min || !max) return 'day'
+
+  const span = max.getTime() - min.getTime()
+  if (span <= 3 * DAY) return 'hour'
+  if (span <= 120 * DAY) return 'day'
+  if (span <= 2 * 365 * DAY) return 'week'
+  if (span <= 8 * 365 * DAY) return 'month'
+  if (span <= 25 * 365 * DAY) return 'quarter'
+  return 'year'
+}
+
+/**
+ * Fill the buckets between the first and last row that have no data
+ *
+ * @param {Array} rows - Chart rows sorted by time, each with `date` (bucket start ISO string)
+ * @param {Array} valueKeys - Keys to fill (e.g. ['value'] or series keys)
+ * @param {Object} options
+ * @param {String} options.granularity - Granularity id
+ * @param {String} options.fill - 'zero', 'null', 'previous' or 'none'
+ * @param {Object} options.fiscalYearStart - First month of the fiscal year, 1-12
+ * @returns {Array} - Rows with one entry per bucket
+ */
+export const fillDateGaps = (rows, valueKeys, { granularity, fill = 'zero', fiscalYearStart = 1 } = {}) => {
+  if (!rows || rows.length < 2 || fill === 'none' || !isBucketed(granularity)) return rows
+
+  const byKey = new Map(rows.map(row => [row.name, row]))
+  const options = { fiscalYearStart }
+  const last = new Date(rows[rows.length - 1].date)
+  const filled = []
+  const previous = {}
+
+  let start = new Date(rows[0].date)
+  while (start <= last) {
+    if (filled.length >= MAX_FILLED_BUCKETS) {
+      // Too many buckets for this range - keep the rows as they are
+      return rows
+    }
+
+    const key = getBucketKey(start, granularity, options)
+    const existing = byKey.get(key)
+
+    if (existing) {
+      filled.push(existing)
+      valueKeys.forEach(valueKey => {
+        if (existing[valueKey] !== null && existing[valueKey] !== undefined) {
+          previous[valueKey] = existing[valueKey]
+        }
+      })
+    } else {
+      const row = {
+        name: key,
+        label: formatBucketLabel(start, granularity, options),
+        date: start.toISOString()
+      }
+      valueKeys.forEach(valueKey => {
+        if (fill === 'zero') row[valueKey] = 0
+        else if (fill === 'previous') row[valueKey] = previous[valueKey] ?? null
+        else row[valueKey] = null
+      })
+      filled.push(row)
+    }
+
+    start = getNextBucketStart(start, granularity)
+  }
+
+  return filled
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  DATE_GRANULARITIES,
+  GAP_FILL_MODES,
+  MONTH_NAMES,
+  MAX_FILLED_BUCKETS,
+  DATE_FORMATS,
+  isBucketed,
+  toDate,
+  hasTimeTokens,
+  parseDateWithFormat,
+  getISOWeek,
+  getBucketStart,
+  getNextBucketStart,
+  getBucketKey,
+  formatBucketLabel,
+  bucketDate,
+  suggestGranularity,
+  fillDateGaps
+}
@@ -0,0 +1,236 @@
+import { formatNumber, parseLocaleDate, parseLocaleNumber } from './localeHelpers'
+
+/**
+ * Cell Edit Helpers Utility
+ *
+ * Cells fixed by hand in the data table are kept as a log of edits on the
+ * dataset, replayed after the prep recipe and before the calculated
+ * columns (see prepareDataset), so formulas, stats and charts see the
+ * fixed values and an edit can be undone by dropping it from the log.
+ *
+ * Edit shape:
+ * { id, rowId, column, oldValue, newValue, editedAt }
+ *
+ * `rowId` is the row's stable id: its position in the rows as loaded,
+ * which prep steps carry along (see applyRecipe's rowIds), so an edit
+ * follows its record when a dedupe or filter step drops rows before it.
+ * An edit only applies while that cell still holds `oldValue`: when its
+ * row is removed, or a prep step changes the value, the edit is skipped
+ * rather than written over a value it never saw.
+ *
+ * Empty input is stored as null, like empty cells elsewhere.
+ */
+
+const BOOLEAN_TEXT = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false
+}
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+  }
+  return (a ?? null) === (b ?? null)
+}
+
+const getCellKey = (rowIndex, column) => `${rowIndex}:${column}`
+
+// Positions of the given row ids in the prepared rows
+const getRowPositions = (rowIds, wanted) => {
+  const positions = new Map()
+  rowIds.forEach((rowId, index) => {
+    if (wanted.has(rowId)) positions.set(rowId, index)
+  })
+  return positions
+}
+
+/**
+ * Read what was typed into a cell as a value of the column's type
+ *
+ * @param {String} text - Typed text
+ * @param {Object} column - Column metadata ({ type })
+ * @param {Object} locale - Locale the dataset is read in
+ * @returns {Object} - { isValid, value, error }
+ *
+ * Example usage:
+ *   parseCellInput('1.234,5', { type: 'number' }, getLocale('de-DE'))  // → { isValid: true, value: 1234.5 }
+ *   parseCellInput('31/02/2024', { type: 'date' }, getLocale('en-GB')) // → { isValid: false, error: ... }
+ */
+export const parseCellInput = (text, column, locale) => {
+  const trimmed = String(text ?? '').trim()
+  if (trimmed === '') return { isValid: true, value: null, error: null }
+
+  switch (column.type) {
+    case 'number': {
+      // Canonical numbers ('1234.56') are accepted in every locale
+      const value = parseLocaleNumber(trimmed, locale) ?? (isNaN(Number(trimmed)) ? null : Number(trimmed))
+      return value === null
+        ? { isValid: false, value: null, error: `"${trimmed}" is not a number` }
+        : { isValid: true, value, error: null }
+    }
+    case 'date': {
+      const value = parseLocaleDate(trimmed, locale)
+      return value === null
+        ? { isValid: false, value: null, error: `"${trimmed}" is not a valid date` }
+        : { isValid: true, value, error: null }
+    }
+    case 'boolean': {
+      const value = BOOLEAN_TEXT[trimmed.toLowerCase()]
+      return value === undefined
+        ? { isValid: false, value: null, error: 'Enter true or false' }
+        : { isValid: true, value, error: null }
+    }
+    default:
+      return { isValid: true, value: trimmed, error: null }
+  }
+}
+
+/**
+ * Text to start editing a cell with: numbers in the dataset's locale
+ * (without grouping), dates as ISO strings, which read back the same
+ *
+ * @param {*} value - Cell value
+ * @param {Object} column - Column metadata
+ * @param {Object} locale - Locale
+ * @returns {String}
+ */
+export const getCellEditText = (value, column, locale) => {
+  if (value === null || value === undefined) return ''
+  if (column.type === 'number' && typeof value === 'number') {
+    return formatNumber(value, locale, { maximumFractionDigits: 15, useGrouping: false })
+  }
+  if (value instanceof Date) return value.toISOString()
+  return String(value)
+}
+
+/**
+ * Create an edit
+ *
+ * @param {Object} edit - { rowId, column, oldValue, newValue }
+ * @returns {Object} - Edit with an id and timestamp
+ */
+export const createEdit = ({ rowId, column, oldValue, newValue }) => ({
+  id: `edit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  rowId,
+  column,
+  oldValue: oldValue ?? null,
+  newValue: newValue ?? null,
+  editedAt: new Date().toISOString()
+})
+
+/**
+ * Whether an edit would change anything
+ *
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @returns {Boolean}
+ */
+export const isCellChange = (oldValue, newValue) => !sameValue(oldValue, newValue)
+
+/**
+ * Replay edits on rows. Only edited rows are copied.
+ *
+ * @param {Array} rows - Prepared rows
+ * @param {Array} rowIds - Each row's stable id (see applyRecipe)
+ * @param {Array} edits - Edits, oldest first
+ * @returns {Object} - { data, skippedIds } - ids of edits whose row is gone or whose cell no longer holds their old value
+ *
+ * Example usage:
+ *   const { data } = applyEdits(rows, rowIds, [{ id: 'e1', rowId: 0, column: 'City', oldValue: 'Pariss', newValue: 'Paris' }])
+ */
+export const applyEdits = (rows, rowIds, edits) => {
+  if (!rows || !edits || edits.length === 0) return { data: rows, skippedIds: [] }
+
+  const positions = getRowPositions(rowIds, new Set(edits.map(edit => edit.rowId)))
+  const data = [...rows]
+  const copied = new Set()
+  const skippedIds = []
+  edits.forEach(edit => {
+    const index = positions.get(edit.rowId)
+    const row = data[index]
+    if (!row || !(edit.column in row) || !sameValue(row[edit.column], edit.oldValue)) {
+      skippedIds.push(edit.id)
+      return
+    }
+    if (!copied.has(index)) {
+      data[index] = { ...row }
+      copied.add(index)
+    }
+    data[index][edit.column] = edit.newValue
+  })
+  return { data, skippedIds }
+}
+
+/**
+ * Find the current position of an edit's row
+ *
+ * @param {Array} rowIds - Each prepared row's stable id
+ * @param {Object} edit - Edit
+ * @returns {Number} - Row position, -1 if a prep step removed the row
+ */
+export const getEditRowIndex = (rowIds, edit) => rowIds.indexOf(edit.rowId)
+
+/**
+ * Index the edited cells for highlighting: the latest applied edit of each cell,
+ * by the row's current position
+ *
+ * @param {Array} edits - Edits, oldest first
+ * @param {Array} skippedIds - Edits that didn't apply
+ * @param {Array} rowIds - Each prepared row's stable id
+ * @returns {Map} - cell key (see getEditedCell) → edit
+ */
+export const getEditedCells = (edits = [], skippedIds = [], rowIds = []) => {
+  const skipped = new Set(skippedIds)
+  const applied = edits.filter(edit => !skipped.has(edit.id))
+  const positions = getRowPositions(rowIds, new Set(applied.map(edit => edit.rowId)))
+  const cells = new Map()
+  applied.forEach(edit => {
+    if (positions.has(edit.rowId)) cells.set(getCellKey(positions.get(edit.rowId), edit.column), edit)
+  })
+  return cells
+}
+
+/**
+ * Look up the edit of a cell
+ *
+ * @param {Map} editedCells - From getEditedCells
+ * @param {Number} rowIndex - Row position
+ * @param {String} column - Column name
+ * @returns {Object|undefined} - Edit
+ */
+export const getEditedCell = (editedCells, rowIndex, column) => editedCells.get(getCellKey(rowIndex, column))
+
+/**
+ * Turn the edit log into rows for a CSV export
+ *
+ * @param {Array} edits - Edits, oldest first
+ * @param {Array} skippedIds - Edits that didn't apply
+ * @returns {Array} - [{ 'Source Row', Column, 'Old Value', 'New Value', 'Edited At', Applied }]
+ *                    ('Source Row' counts the rows as loaded, from 1)
+ */
+export const editsToRecords = (edits = [], skippedIds = []) => {
+  const skipped = new Set(skippedIds)
+  return edits.map(edit => ({
+    'Source Row': edit.rowId + 1,
+    Column: edit.column,
+    'Old Value': edit.oldValue,
+    'New Value': edit.newValue,
+    'Edited At': edit.editedAt,
+    Applied: !skipped.has(edit.id)
+  }))
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  parseCellInput,
+  getCellEditText,
+  createEdit,
+  isCellChange,
+  applyEdits,
+  getEditRowIndex,
+  getEditedCells,
+  getEditedCell,
+  editsToRecords
+}
@@ -1,20 +1,31 @@
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
 import Papa from 'papaparse';
+import { prepareChartData, prepareMultiSeriesData, isMultiSeries, getKpiMetricLabel } from './chartHelpers';
+import { buildPivot, pivotToRecords } from './pivotHelpers';
+import { getCSVDelimiter, getExcelDateFormat, toLocaleCSVValue, formatNumber, formatDate, DEFAULT_LOCALE } from './localeHelpers';
+import { WEEKDAY_NAMES, describeCorrelation } from './profileHelpers';
+import { toDate } from './dateHelpers';
 
 /**
  * Export data as CSV file
  * @param {Array} data - Array of data objects
  * @param {string} filename - Name of the file to download
+ * @param {Object} options
+ * @param {Object} options.locale - Write numbers, dates and the delimiter the way this locale
+ *                                  does (see localeHelpers); plain CSV when omitted
  */
-export const exportToCSV = (data, filename = 'export.csv') => {
+export const exportToCSV = (data, filename = 'export.csv', { locale } = {}) => {
   try {
     if (!data || data.length === 0) {
       throw new Error('No data to export');
     }
 
     // Convert data to CSV using PapaParse
-    const csv = Papa.unparse(data);
+    const rows = locale
+      ? data.map((row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toLocaleCSVValue(value, locale)])))
+      : data;
+    const csv = Papa.unparse(rows, locale ? { delimiter: getCSVDelimiter(locale) } : {});
 
     // Create a blob from the CSV string
     const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
@@ -70,30 +81,482 @@ export const exportToJSON = (data, filename = 'export.json') => {
   }
 };
 
+// Excel limits sheet names to 31 characters and forbids : \ / ? * [ ]
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Excel sheets hold at most 1,048,576 rows, one of which is the header
+const MAX_SHEET_ROWS = 1048576;
+const MAX_SHEET_DATA_ROWS = MAX_SHEET_ROWS - 1;
+
+// Header row styling shared by every sheet
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } };
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF3B82F6' } }; // Blue-500
+
+/**
+ * Make a valid, unique worksheet name
+ * @param {string} name - Desired name
+ * @param {Set} usedNames - Names already taken in the workbook (lowercased)
+ */
+const getSheetName = (name, usedNames) => {
+  const base = (String(name || 'Sheet').replace(/[:\\/?*[\]]/g, ' ').replace(/\s+/g, ' ').trim() || 'Sheet')
+    .slice(0, MAX_SHEET_NAME_LENGTH);
+
+  let candidate = base;
+  let counter = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Apply header styling, frozen header row, autofilter and column widths
+ * @param {Object} worksheet - ExcelJS worksheet
+ * @param {Array} headers - Header labels in column order
+ * @param {Array} rows - Row value arrays (used to size the columns)
+ */
+const formatTableSheet = (worksheet, headers, rows) => {
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = HEADER_FONT;
+  headerRow.fill = HEADER_FILL;
+
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  if (headers.length > 0) {
+    worksheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: headers.length },
+    };
+  }
+
+  // Size columns from the header and the first rows, capped to keep sheets readable
+  const sample = rows.slice(0, 200);
+  headers.forEach((header, index) => {
+    const longest = sample.reduce((max, row) => {
+      const value = row[index];
+      const length = value instanceof Date ? 12 : String(value ?? '').length;
+      return Math.max(max, length);
+    }, String(header).length);
+    worksheet.getColumn(index + 1).width = Math.min(Math.max(longest + 2, 10), 50);
+  });
+};
+
+/**
+ * Add a worksheet holding a simple table
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {string} name - Sheet name
+ * @param {Array} headers - Header labels
+ * @param {Array} rows - Row value arrays
+ * @param {Set} usedNames - Sheet names already taken
+ * @throws {Error} - If the rows don't fit in one sheet
+ */
+const addTableSheet = (workbook, name, headers, rows, usedNames) => {
+  if (rows.length > MAX_SHEET_DATA_ROWS) {
+    throw new Error(
+      `"${name}" has ${rows.length.toLocaleString()} rows, but an Excel sheet holds at most ${MAX_SHEET_DATA_ROWS.toLocaleString()} below its header`
+    );
+  }
+  const worksheet = workbook.addWorksheet(getSheetName(name, usedNames));
+  worksheet.addRow(headers);
+  rows.forEach(row => worksheet.addRow(row));
+  formatTableSheet(worksheet, headers, rows);
+  return worksheet;
+};
+
+/**
+ * Build the data sheet with numbers and dates written as typed cells.
+ * Rows past Excel's sheet limit continue on "Data (2)", "Data (3)", ...
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Array} data - Array of data objects
+ * @param {Array} dataColumns - Column metadata from inferColumnTypes
+ * @param {Set} usedNames - Sheet names already taken
+ * @param {Object} locale - Locale whose day/month/year order the date columns use (optional)
+ */
+const addDataSheet = (workbook, data, dataColumns, usedNames, locale) => {
+  const headers = Object.keys(data[0]);
+  const columnTypes = {};
+  (dataColumns || []).forEach(col => {
+    columnTypes[col.name] = col.type;
+  });
+
+  const rows = data.map(row => headers.map(header => {
+    const value = row[header];
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    switch (columnTypes[header]) {
+      case 'number': {
+        const num = typeof value === 'number' ? value : Number(value);
+        return isNaN(num) ? value : num;
+      }
+      case 'date':
+        // Read as UTC (see toDate), which ExcelJS writes as the date shown
+        return toDate(value) || value;
+      case 'boolean':
+        return typeof value === 'boolean' ? value : String(value).toLowerCase() === 'true';
+      default:
+        // Nested values (e.g. from JSON imports) are written as text
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+  }));
+
+  // Date columns get a date (or date-time) number format
+  const dateFormats = {};
+  headers.forEach((header, index) => {
+    if (columnTypes[header] !== 'date') return;
+    const hasTime = rows.some(row => row[index] instanceof Date &&
+      (row[index].getUTCHours() || row[index].getUTCMinutes() || row[index].getUTCSeconds()));
+    dateFormats[index] = locale
+      ? getExcelDateFormat(locale, hasTime)
+      : hasTime ? 'yyyy-mm-dd hh:mm:ss' : 'yyyy-mm-dd';
+  });
+
+  const worksheets = [];
+  for (let start = 0; start < rows.length; start += MAX_SHEET_DATA_ROWS) {
+    const worksheet = addTableSheet(workbook, 'Data', headers, rows.slice(start, start + MAX_SHEET_DATA_ROWS), usedNames);
+    Object.entries(dateFormats).forEach(([index, numFmt]) => {
+      worksheet.getColumn(Number(index) + 1).numFmt = numFmt;
+    });
+    worksheets.push(worksheet);
+  }
+
+  return worksheets;
+};
+
+/**
+ * Build the Summary sheet from dataStats
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Object} dataStats - Summary from getDataSummary
+ * @param {Set} usedNames - Sheet names already taken
+ */
+const addSummarySheet = (workbook, dataStats, usedNames) => {
+  const worksheet = workbook.addWorksheet(getSheetName('Summary', usedNames));
+
+  const overview = [
+    ['Total Rows', dataStats.totalRows ?? null],
+    ['Total Columns', dataStats.totalColumns ?? null],
+    ['Data Quality (%)', dataStats.qualityScore ?? dataStats.dataQuality ?? null],
+    ['Completeness (%)', dataStats.completeness ?? null],
+    ['Missing Values', dataStats.totalNulls ?? null],
+    ['Missing Values (%)', dataStats.nullPercentage ?? null],
+    ['Memory Size', dataStats.memorySize ?? null],
+  ];
+
+  worksheet.addRow(['Metric', 'Value']);
+  overview.forEach(row => worksheet.addRow(row));
+  formatTableSheet(worksheet, ['Metric', 'Value'], overview);
+
+  // Per-column statistics below the overview
+  const columns = dataStats.columns || [];
+  if (columns.length > 0) {
+    worksheet.addRow([]);
+    const headers = ['Column', 'Type', 'Unique Values', 'Missing Values', 'Min', 'Max', 'Sample Values'];
+    const titleRow = worksheet.addRow(headers);
+    titleRow.font = HEADER_FONT;
+    titleRow.fill = HEADER_FILL;
+
+    columns.forEach(col => {
+      worksheet.addRow([
+        col.name,
+        col.type,
+        col.uniqueCount ?? null,
+        col.nullCount ?? null,
+        col.min ?? col.minDate ?? null,
+        col.max ?? col.maxDate ?? null,
+        (col.sampleValues || []).join(', '),
+      ]);
+    });
+
+    [24, 12, 14, 16, 14, 14, 40].forEach((width, index) => {
+      worksheet.getColumn(index + 1).width = width;
+    });
+  }
+
+  return worksheet;
+};
+
+/**
+ * Build the Insights sheet from AI insights and recommendations
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Array} aiInsights - Insights from the AI Insights page
+ * @param {Array} aiRecommendations - Recommendations from the AI Insights page
+ * @param {Set} usedNames - Sheet names already taken
+ */
+const addInsightsSheet = (workbook, aiInsights, aiRecommendations, usedNames) => {
+  const worksheet = workbook.addWorksheet(getSheetName('Insights', usedNames));
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  const addSection = (headers, rows) => {
+    const headerRow = worksheet.addRow(headers);
+    headerRow.font = HEADER_FONT;
+    headerRow.fill = HEADER_FILL;
+    rows.forEach(row => {
+      worksheet.addRow(row).alignment = { wrapText: true, vertical: 'top' };
+    });
+  };
+
+  addSection(
+    ['Insight', 'Type', 'Category', 'Description', 'Confidence (%)'],
+    (aiInsights || []).map(insight => [
+      insight.title || 'Insight',
+      insight.type || null,
+      insight.category || null,
+      insight.description || insight.text || insight.message || '',
+      typeof insight.confidence === 'number' ? insight.confidence : null,
+    ])
+  );
+
+  worksheet.addRow([]);
+
+  addSection(
+    ['Recommendation', 'Priority', 'Action', 'Expected Impact', 'Description'],
+    (aiRecommendations || []).map(rec => [
+      rec.title || 'Recommendation',
+      rec.priority || null,
+      rec.action || '',
+      rec.impact || '',
+      rec.description || rec.text || '',
+    ])
+  );
+
+  [32, 14, 40, 40, 40].forEach((width, index) => {
+    worksheet.getColumn(index + 1).width = width;
+  });
+
+  return worksheet;
+};
+
+/**
+ * Label chart data keys (name, value, x, y, ...) with the columns they came from
+ * @param {Object} config - Chart configuration
+ * @param {Array} keys - Keys of the chart data points
+ * @param {Array} series - Series of a multi-series chart ([{ key, name }])
+ */
+const getChartDataHeaders = (config, keys, series = []) => {
+  // Pivot records are already keyed by their headers
+  if (config.chartType === 'pivot') return keys;
+
+  const isScatter = config.chartType === 'scatter';
+  const getValueLabel = () => {
+    switch (config.chartType) {
+      case 'pie':
+      case 'treemap':
+        return config.valueColumn ? `${config.valueColumn} (sum)` : 'Count';
+      case 'heatmap':
+        return config.valueColumn ? `${config.valueColumn} (${config.aggregation || 'sum'})` : 'Count';
+      case 'histogram':
+        return 'Count';
+      case 'box':
+        return `${config.valueColumn} (median)`;
+      case 'kpi':
+        return getKpiMetricLabel(config);
+      default:
+        return series.length > 0 ? 'Total' : `${config.yColumn} (${config.aggregation || 'sum'})`;
+    }
+  };
+  const labels = {
+    name: isScatter
+      ? (config.nameColumn || 'Point')
+      : config.chartType === 'kpi' ? 'Period' : (config.xColumn || config.categoryColumn || 'Category'),
+    value: getValueLabel(),
+    x: config.xColumn,
+    y: config.chartType === 'heatmap' ? config.categoryColumn : config.yColumn,
+    x0: 'Bin start',
+    x1: 'Bin end',
+    label: 'Period',
+    previousName: 'Previous period',
+    previousValue: 'Previous value',
+    change: 'Change',
+    changePercent: 'Change %',
+    status: 'Status',
+    outlierCount: 'Outlier count',
+    date: config.granularity && config.granularity !== 'none' ? 'Period start' : 'date',
+  };
+  series.forEach(item => {
+    labels[item.key] = item.name;
+  });
+  return keys.map(key => labels[key] || key);
+};
+
 /**
- * Export data as Excel file (Enhanced CSV with .xlsx extension)
+ * Get a chart's data as flat rows for its sheet
+ * Treemaps become one row per leaf with a column per level; box plot
+ * outliers (the drawn sample) are listed in one cell next to their full count; KPI cards are one row without the sparkline;
+ * pivots are flattened by pivotToRecords
  * @param {Array} data - Array of data objects
+ * @param {Object} config - Chart configuration
+ * @returns {Object} { data, series }
+ */
+const getChartSheetData = (data, config) => {
+  if (isMultiSeries(config)) {
+    return prepareMultiSeriesData(data, config);
+  }
+
+  if (config.chartType === 'pivot') {
+    return { data: pivotToRecords(buildPivot(data, config), config), series: [] };
+  }
+
+  const chartData = prepareChartData(data, config);
+  if (config.chartType === 'treemap') {
+    const levels = config.hierarchyColumns || [];
+    const rows = [];
+    const addLeaves = (nodes, path) => {
+      nodes.forEach(node => {
+        const nodePath = [...path, node.name];
+        if (node.children) {
+          addLeaves(node.children, nodePath);
+          return;
+        }
+        const row = {};
+        levels.forEach((level, index) => {
+          row[level] = nodePath[index] ?? null;
+        });
+        row.value = node.value;
+        rows.push(row);
+      });
+    };
+    addLeaves(chartData, []);
+    return { data: rows, series: [] };
+  }
+
+  if (config.chartType === 'kpi') {
+    const kpi = chartData[0];
+    const row = { name: kpi.name, value: kpi.value };
+    if (config.dateColumn) {
+      Object.assign(row, {
+        previousName: kpi.previousName,
+        previousValue: kpi.previousValue,
+        change: kpi.change,
+        changePercent: kpi.changePercent
+      });
+    }
+    if (kpi.status) row.status = kpi.status;
+    return { data: [row], series: [] };
+  }
+
+  if (config.chartType === 'box') {
+    return {
+      data: chartData.map(box => ({ ...box, outliers: box.outliers.join(', ') })),
+      series: []
+    };
+  }
+
+  return { data: chartData, series: [] };
+};
+
+/**
+ * Write a workbook and trigger its download
+ * @param {Object} workbook - ExcelJS workbook
  * @param {string} filename - Name of the file to download
  */
-export const exportToExcel = (data, filename = 'export.xlsx') => {
+const downloadWorkbook = async (workbook, filename) => {
+  const buffer = await workbook.xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+// ExcelJS is only needed for XLSX exports, so it is loaded on the first one
+// rather than shipped with the app
+const createWorkbook = async () => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Analytics Dashboard';
+  workbook.created = new Date();
+  return workbook;
+};
+
+/**
+ * Export data as a real Excel workbook (.xlsx)
+ *
+ * Sheets:
+ * - Data: every row, with numbers and dates as typed cells, a frozen header and autofilter
+ *   (split over "Data (2)", ... past Excel's 1,048,576-row sheet limit)
+ * - Summary: dataset overview and per-column statistics from dataStats
+ * - Insights: AI insights and recommendations (when any have been generated)
+ * - One sheet per chart with its aggregated chart data
+ *
+ * @param {Object|Array} exportData - { csvData, dataColumns, dataStats, aiInsights,
+ *                                    aiRecommendations, chartConfigs, locale }, or just the data array
+ * @param {string} filename - Name of the file to download
+ */
+export const exportToExcel = async (exportData, filename = 'export.xlsx') => {
   try {
-    if (!data || data.length === 0) {
+    const {
+      csvData,
+      dataColumns,
+      dataStats,
+      aiInsights,
+      aiRecommendations,
+      chartConfigs,
+      locale,
+    } = Array.isArray(exportData) ? { csvData: exportData } : (exportData || {});
+
+    if (!csvData || csvData.length === 0) {
       throw new Error('No data to export');
     }
 
-    // For now, we'll export as CSV with .xlsx extension
-    // In a production app, you'd use a library like xlsx or exceljs for true Excel format
-    const csv = Papa.unparse(data);
-    const blob = new Blob([csv], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    const workbook = await createWorkbook();
 
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    const usedNames = new Set();
+    addDataSheet(workbook, csvData, dataColumns || dataStats?.columns, usedNames, locale);
+
+    if (dataStats) {
+      addSummarySheet(workbook, dataStats, usedNames);
+    }
+
+    if ((aiInsights?.length || 0) > 0 || (aiRecommendations?.length || 0) > 0) {
+      addInsightsSheet(workbook, aiInsights, aiRecommendations, usedNames);
+    }
+
+    (chartConfigs || []).forEach((config, index) => {
+      const { data: chartData, series } = getChartSheetData(csvData, config);
+      if (chartData.length === 0) return;
+
+      const keys = Object.keys(chartData[0]);
+      const rows = chartData.map(point => keys.map(key => point[key] ?? null));
+      addTableSheet(workbook, config.title || `Chart ${index + 1}`, getChartDataHeaders(config, keys, series), rows, usedNames);
+    });
+
+    await downloadWorkbook(workbook, filename);
+
+    return { success: true, message: 'Excel file exported successfully' };
+  } catch (error) {
+    console.error('Error exporting Excel:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Export one table (e.g. a pivot table) as an Excel workbook with a single sheet
+ * @param {Array} records - Array of objects; the keys of the first one are the headers
+ * @param {string} filename - Name of the file to download
+ * @param {string} sheetName - Name of the sheet
+ */
+export const exportTableToExcel = async (records, filename = 'table.xlsx', sheetName = 'Table') => {
+  try {
+    if (!records || records.length === 0) {
+      throw new Error('No data to export');
+    }
+
+    const workbook = await createWorkbook();
+
+    const headers = Object.keys(records[0]);
+    const rows = records.map(record => headers.map(header => record[header] ?? null));
+    addTableSheet(workbook, sheetName, headers, rows, new Set());
+
+    await downloadWorkbook(workbook, filename);
 
     return { success: true, message: 'Excel file exported successfully' };
   } catch (error) {
@@ -140,6 +603,7 @@ export const exportToPDF = async (exportData) => {
       includeCharts = true,
       includeInsights = true,
       includeData = false,
+      locale,
     } = exportData;
 
     // Initialize PDF (A4 size)
@@ -194,7 +658,7 @@ export const exportToPDF = async (exportData) => {
     pdf.setFontSize(10);
     pdf.setFont('helvetica', 'normal');
     pdf.setTextColor(255, 255, 255); // White text on blue background
-    pdf.text(`Generated on ${new Date().toLocaleString()}`, margin, 30);
+    pdf.text(`Generated on ${new Date().toLocaleString(locale?.id)}`, margin, 30);
     
     currentY = 50;
 
@@ -418,6 +882,177 @@ export const exportToPDF = async (exportData) => {
   }
 };
 
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Inline SVG bar chart of counts, for the HTML profile report
+const renderBarsSVG = (counts, labels = []) => {
+  const width = 320;
+  const height = 80;
+  const max = Math.max(1, ...counts);
+  const barWidth = width / Math.max(1, counts.length);
+  const bars = counts.map((count, index) => {
+    const barHeight = Math.max(count > 0 ? 2 : 0, (count / max) * height);
+    return `<rect x="${(index * barWidth + 1).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${Math.max(1, barWidth - 2).toFixed(1)}" height="${barHeight.toFixed(1)}" rx="1"><title>${escapeHTML(labels[index] ?? '')}: ${count}</title></rect>`;
+  });
+  return `<svg class="bars" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bars.join('')}</svg>`;
+};
+
+const renderStatTable = (stats) => `<table class="stats">${stats
+  .map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`)
+  .join('')}</table>`;
+
+const renderFrequencyTable = (heading, items, formatCount) => `<h4>${escapeHTML(heading)}</h4><table class="freq">${items
+  .map(item => `<tr><td>${escapeHTML(item.label)}</td><td class="num">${formatCount(item.count)}</td><td class="num">${(item.share * 100).toFixed(1)}%</td></tr>`)
+  .join('')}</table>`;
+
+// One column's section of the HTML profile report
+const renderColumnProfileHTML = (column, locale) => {
+  const number = (value, digits = 2) => formatNumber(value, locale, { maximumFractionDigits: digits });
+  const stats = [
+    ['Type', column.semanticType ? `${column.type} (${column.semanticType})` : column.type],
+    ['Empty', `${number(column.nullCount)} (${((column.nullCount / Math.max(1, column.count)) * 100).toFixed(1)}%)`],
+    ['Distinct', number(column.distinctCount)]
+  ];
+  const parts = [];
+
+  if (column.number) {
+    const n = column.number;
+    stats.push(
+      ['Mean', number(n.mean)], ['Median', number(n.median)], ['Std dev', number(n.stdDev)],
+      ['Min', number(n.min)], ['Q1', number(n.q1)], ['Q3', number(n.q3)], ['Max', number(n.max)],
+      ['Skewness', number(n.skewness)], ['Zeros', number(n.zeroCount)], ['Negatives', number(n.negativeCount)]
+    );
+    parts.push('<h4>Distribution</h4>', renderBarsSVG(
+      n.histogram.map(bin => bin.count),
+      n.histogram.map(bin => `${number(bin.start)} – ${number(bin.end)}`)
+    ));
+  }
+  if (column.text) {
+    const t = column.text;
+    stats.push(['Length', `${number(t.length.min)} – ${number(t.length.max)} (mean ${number(t.length.mean, 1)})`]);
+    parts.push(
+      renderFrequencyTable('Top values', t.topValues.map(item => ({ ...item, label: item.value })), number),
+      renderFrequencyTable('Patterns', t.patterns.map(item => ({ ...item, label: `${item.pattern}  e.g. ${item.example}` })), number),
+      '<h4>Length distribution</h4>',
+      renderBarsSVG(
+        t.length.histogram.map(bin => bin.count),
+        t.length.histogram.map(bin => `${number(bin.start, 0)} – ${number(bin.end, 0)} characters`)
+      )
+    );
+  }
+  if (column.date) {
+    const d = column.date;
+    stats.push(
+      ['From', formatDate(d.min, locale)], ['To', formatDate(d.max, locale)],
+      ['Range', `${number(d.rangeDays)} days`], ['Distinct days', number(d.distinctDays)],
+      ['Typical step', `${number(d.typicalStepDays, 1)} days`], ['Gaps', number(d.gapCount)]
+    );
+    if (d.largestGaps.length > 0) {
+      parts.push(`<h4>Largest gaps</h4><table class="freq">${d.largestGaps
+        .map(gap => `<tr><td>${escapeHTML(formatDate(gap.from, locale))} → ${escapeHTML(formatDate(gap.to, locale))}</td><td class="num">${number(gap.days)} days</td></tr>`)
+        .join('')}</table>`);
+    }
+    parts.push('<h4>Day of week</h4>', renderBarsSVG(d.weekdays, WEEKDAY_NAMES));
+  }
+  if (column.boolean) {
+    stats.push(['True', number(column.boolean.trueCount)], ['False', number(column.boolean.falseCount)]);
+  }
+
+  return `<section class="column"><h3>${escapeHTML(column.name)}</h3>${renderStatTable(stats)}${parts.join('')}</section>`;
+};
+
+// Correlation matrix of the HTML profile report, cells tinted by r
+const renderCorrelationHTML = ({ columns, matrix }, locale) => {
+  if (columns.length < 2) return '<p class="muted">Fewer than two number columns; no correlations to show.</p>';
+  const header = `<tr><th></th>${columns.map(name => `<th>${escapeHTML(name)}</th>`).join('')}</tr>`;
+  const rows = columns.map((name, i) => `<tr><th>${escapeHTML(name)}</th>${matrix[i].map(r => {
+    if (r === null) return '<td class="num muted">–</td>';
+    const color = r >= 0 ? `rgba(37, 99, 235, ${Math.abs(r).toFixed(2)})` : `rgba(220, 38, 38, ${Math.abs(r).toFixed(2)})`;
+    return `<td class="num" style="background:${color}" title="${escapeHTML(describeCorrelation(r))}">${formatNumber(r, locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>`;
+  }).join('')}</tr>`);
+  return `<table class="matrix">${header}${rows.join('')}</table>`;
+};
+
+/**
+ * Export a dataset profile (see profileHelpers) as a standalone HTML report:
+ * one file with inline styles and SVG charts, readable offline
+ * @param {Object} profile - Profile from profileDataset()
+ * @param {string} filename - Name of the file to download
+ * @param {Object} options
+ * @param {string} options.title - Report title (e.g. the dataset name)
+ * @param {Object} options.locale - Locale numbers and dates are written in
+ */
+export const exportProfileReport = (profile, filename = 'profile.html', { title = 'Data Profile', locale = DEFAULT_LOCALE } = {}) => {
+  try {
+    if (!profile) {
+      throw new Error('No profile to export');
+    }
+
+    const number = (value) => formatNumber(value, locale, { maximumFractionDigits: 0 });
+    const overview = [
+      ['Rows', number(profile.rowCount)],
+      ['Columns', number(profile.columnCount)],
+      ['Empty cells', number(profile.missingCellCount)],
+      ['Duplicate rows', number(profile.duplicateRowCount)]
+    ];
+
+    const html = `<!DOCTYPE html>
+<html lang="${escapeHTML(locale.id)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, sans-serif; color: #1f2937; margin: 0; padding: 32px; background: #f9fafb; }
+  h1 { margin: 0 0 4px; } h2 { margin: 32px 0 12px; } h3 { margin: 0 0 8px; } h4 { margin: 16px 0 6px; font-size: 13px; color: #4b5563; }
+  .muted { color: #6b7280; }
+  .overview { display: flex; gap: 12px; flex-wrap: wrap; }
+  .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; min-width: 140px; }
+  .card .value { font-size: 22px; font-weight: 600; }
+  .columns { display: grid; grid-template-columns: repeat(auto-fill, minmax(360px, 1fr)); gap: 16px; }
+  .column { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; break-inside: avoid; }
+  table { border-collapse: collapse; font-size: 13px; }
+  .stats th { text-align: left; font-weight: 500; color: #6b7280; padding: 2px 16px 2px 0; }
+  .freq { width: 100%; } .freq td { padding: 2px 4px; border-bottom: 1px solid #f3f4f6; word-break: break-all; }
+  .num { text-align: right; white-space: nowrap; font-variant-numeric: tabular-nums; }
+  .bars { width: 100%; height: 80px; fill: #3b82f6; }
+  .matrix th, .matrix td { border: 1px solid #e5e7eb; padding: 4px 8px; }
+  .matrix th { background: #f3f4f6; font-weight: 500; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="muted">Generated on ${escapeHTML(new Date().toLocaleString(locale.id))}</p>
+<div class="overview">${overview.map(([label, value]) => `<div class="card"><div class="muted">${escapeHTML(label)}</div><div class="value">${escapeHTML(value)}</div></div>`).join('')}</div>
+<h2>Columns</h2>
+<div class="columns">${profile.columns.map(column => renderColumnProfileHTML(column, locale)).join('')}</div>
+<h2>Correlations</h2>
+${renderCorrelationHTML(profile.correlations, locale)}
+</body>
+</html>
+`;
+
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    return { success: true, message: 'Profile report exported successfully' };
+  } catch (error) {
+    console.error('Error exporting profile report:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Prepare complete export data package
  * @param {Object} storeData - Data from Zustand store
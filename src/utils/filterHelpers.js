@@ -0,0 +1,495 @@
+import { bucketDate, isBucketed, toDate } from './dateHelpers'
+
+/**
+ * Filter Helpers Utility
+ *
+ * Two kinds of dashboard filters:
+ *
+ * 1. Cross-filters. Clicking a bar, pie slice, line point or box adds a filter on
+ *    that chart's category column; every other chart, the data table and the
+ *    summary cards are then computed from the filtered rows.
+ *
+ *    Filter shape:
+ *    { id, column, value, sourceChartId }
+ *
+ *    Filters from time-bucketed line and area charts also carry the bucket
+ *    ({ granularity, fiscalYearStart }) and match every date in it.
+ *
+ *    Filters on the same column are OR-ed (Region = North or South), filters
+ *    on different columns are AND-ed (Region = North and Year = 2024).
+ *
+ * 2. The filter tree built in the filter panel: typed conditions in groups,
+ *    combined with AND/OR.
+ *
+ *    Tree shape:
+ *    {
+ *      logic: 'and' | 'or',               // how groups combine
+ *      groups: [{
+ *        id,
+ *        logic: 'and' | 'or',             // how conditions in the group combine
+ *        conditions: [{ id, column, type, operator, ...operands }]
+ *      }]
+ *    }
+ *
+ *    Conditions by column type:
+ *    - number:   { operator: 'between', min, max }       (null = unbounded)
+ *    - date:     { operator: 'between', from, to }      ('YYYY-MM-DD', either may be empty)
+ *    - category: { operator: 'in', values: [...] }
+ *    - string:   { operator: 'contains' | 'regex', text }
+ *    - boolean:  { operator: 'is', value: true | false | null }  (null = either)
+ */
+
+/**
+ * Convert a cell value to the key the chart helpers group by
+ * (dates become 'YYYY-MM-DD', everything else a string)
+ *
+ * @param {*} value - Cell value
+ * @returns {String}
+ */
+export const toFilterKey = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0]
+  }
+  return String(value)
+}
+
+/**
+ * Get the column a chart filters on when one of its points is clicked
+ *
+ * @param {Object} config - Chart configuration
+ * @returns {String|null} - Column name, or null if the chart can't cross-filter
+ */
+export const getFilterColumn = (config) => {
+  switch (config?.chartType) {
+    case 'bar':
+    case 'line':
+    case 'area':
+      return config.xColumn || null
+    case 'pie':
+    case 'box':
+      return config.categoryColumn || null
+    default:
+      return null
+  }
+}
+
+/**
+ * Build a cross-filter from a clicked chart point
+ *
+ * @param {Object} config - Chart configuration of the clicked chart
+ * @param {String} value - Clicked category (the chart data point's `name`)
+ * @returns {Object|null} - Filter, or null if the point can't be filtered on
+ *
+ * Example usage:
+ *   createCrossFilter(config, 'North')
+ *   // → { id: 'filter_...', column: 'Region', value: 'North', sourceChartId: 'chart_1' }
+ */
+export const createCrossFilter = (config, value) => {
+  const column = getFilterColumn(config)
+  // "Others" is the pie chart's bucket of small slices, not a real value
+  if (!column || value === null || value === undefined || (config.chartType === 'pie' && value === 'Others')) {
+    return null
+  }
+
+  const filter = {
+    id: `filter_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    column,
+    value: toFilterKey(value),
+    sourceChartId: config.id
+  }
+
+  // Points of a bucketed line or area chart are buckets (e.g. '2024-03'), not raw dates
+  if ((config.chartType === 'line' || config.chartType === 'area') && isBucketed(config.granularity)) {
+    filter.granularity = config.granularity
+    filter.fiscalYearStart = config.fiscalYearStart || 1
+  }
+
+  return filter
+}
+
+/**
+ * Add a filter, or remove it if the same column/value is already filtered
+ *
+ * @param {Array} filters - Current filters
+ * @param {Object} filter - Filter to toggle
+ * @returns {Array} - New filter list
+ */
+export const toggleFilter = (filters, filter) => {
+  const exists = filters.some(f => f.column === filter.column && f.value === filter.value)
+  if (exists) {
+    return filters.filter(f => !(f.column === filter.column && f.value === filter.value))
+  }
+  return [...filters, filter]
+}
+
+/**
+ * Apply cross-filters to the data
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Array} filters - Filters to apply
+ * @param {Object} options
+ * @param {String} options.excludeSourceId - Ignore filters created by this chart, so
+ *                                           the chart still shows every category
+ * @returns {Array} - Filtered rows (the original array when nothing applies)
+ */
+export const applyFilters = (data, filters, { excludeSourceId = null } = {}) => {
+  if (!data || !filters || filters.length === 0) return data
+
+  const active = filters.filter(f => !excludeSourceId || f.sourceChartId !== excludeSourceId)
+  if (active.length === 0) return data
+
+  // column (+ bucket) -> { column, values: Set of accepted keys, toKey }
+  const byColumn = new Map()
+  active.forEach(f => {
+    const id = isBucketed(f.granularity) ? `${f.column}\u0000${f.granularity}\u0000${f.fiscalYearStart}` : f.column
+    if (!byColumn.has(id)) {
+      byColumn.set(id, {
+        column: f.column,
+        values: new Set(),
+        toKey: isBucketed(f.granularity)
+          ? (cell) => bucketDate(cell, f.granularity, { fiscalYearStart: f.fiscalYearStart })?.key
+          : toFilterKey
+      })
+    }
+    byColumn.get(id).values.add(f.value)
+  })
+
+  return data.filter(row => {
+    for (const { column, values, toKey } of byColumn.values()) {
+      const cell = row[column]
+      if (cell === null || cell === undefined || !values.has(toKey(cell))) {
+        return false
+      }
+    }
+    return true
+  })
+}
+
+/**
+ * Get the values of a chart's own filters (to highlight the selected points)
+ *
+ * @param {Array} filters - Current filters
+ * @param {String} chartId - Chart id
+ * @returns {Set} - Selected values
+ */
+export const getSelectedValues = (filters, chartId) => {
+  return new Set((filters || []).filter(f => f.sourceChartId === chartId).map(f => f.value))
+}
+
+export const EMPTY_FILTER_TREE = { logic: 'and', groups: [] }
+
+const generateFilterId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Create an empty filter group
+ *
+ * @returns {Object} - { id, logic: 'and', conditions: [] }
+ */
+export const createFilterGroup = () => ({
+  id: generateFilterId('group'),
+  logic: 'and',
+  conditions: []
+})
+
+/**
+ * Create a condition for a column. New conditions are inactive (they don't
+ * restrict rows) until the user narrows them down.
+ *
+ * @param {Object} column - Column metadata from inferColumnTypes
+ * @returns {Object} - Condition
+ *
+ * Example usage:
+ *   createCondition({ name: 'Revenue', type: 'number', min: 0, max: 900 })
+ *   // → { id, column: 'Revenue', type: 'number', operator: 'between', min: null, max: null }
+ */
+export const createCondition = (column) => {
+  const base = { id: generateFilterId('condition'), column: column.name, type: column.type }
+
+  switch (column.type) {
+    case 'number':
+      return { ...base, operator: 'between', min: null, max: null }
+    case 'date':
+      return { ...base, operator: 'between', from: '', to: '' }
+    case 'category':
+      return { ...base, operator: 'in', values: [] }
+    case 'boolean':
+      return { ...base, operator: 'is', value: null }
+    default:
+      return { ...base, type: 'string', operator: 'contains', text: '' }
+  }
+}
+
+// Operators each condition type supports
+const CONDITION_OPERATORS = {
+  number: ['between'],
+  date: ['between'],
+  category: ['in'],
+  string: ['contains', 'regex'],
+  boolean: ['is']
+}
+
+const isOptional = (value, check) => value === null || value === undefined || check(value)
+
+/**
+ * Check that a condition has the shape its type needs, so conditions read
+ * from a file can't break compileCondition
+ *
+ * @param {Object} condition - Condition
+ * @returns {Boolean}
+ */
+export const isValidCondition = (condition) => {
+  if (!condition || typeof condition !== 'object') return false
+  if (typeof condition.column !== 'string' || condition.column === '') return false
+  if (!(CONDITION_OPERATORS[condition.type] || []).includes(condition.operator)) return false
+
+  switch (condition.type) {
+    case 'number':
+      return isOptional(condition.min, value => ['number', 'string'].includes(typeof value)) &&
+        isOptional(condition.max, value => ['number', 'string'].includes(typeof value))
+    case 'date':
+      return isOptional(condition.from, value => typeof value === 'string') &&
+        isOptional(condition.to, value => typeof value === 'string')
+    case 'category':
+      return Array.isArray(condition.values)
+    case 'boolean':
+      return isOptional(condition.value, value => typeof value === 'boolean')
+    default:
+      return typeof condition.text === 'string'
+  }
+}
+
+/**
+ * Check that a cross-filter has a column and a value
+ *
+ * @param {Object} filter - Cross-filter
+ * @returns {Boolean}
+ */
+export const isValidCrossFilter = (filter) =>
+  Boolean(filter) && typeof filter === 'object' &&
+  typeof filter.column === 'string' && filter.column !== '' &&
+  typeof filter.value === 'string'
+
+// Parse a date cell or 'YYYY-MM-DD' operand to a timestamp (NaN if invalid)
+const toTimestamp = (value) => toDate(value)?.getTime() ?? NaN
+
+const isBound = (value) => value !== null && value !== undefined && value !== '' && !isNaN(Number(value))
+
+/**
+ * Check whether a condition restricts anything
+ * (an unbounded range, no selected categories or an empty search don't)
+ *
+ * @param {Object} condition - Condition
+ * @returns {Boolean}
+ */
+export const isConditionActive = (condition) => {
+  switch (condition.type) {
+    case 'number':
+      return isBound(condition.min) || isBound(condition.max)
+    case 'date':
+      return Boolean(condition.from || condition.to)
+    case 'category':
+      return (condition.values || []).length > 0
+    case 'boolean':
+      return condition.value === true || condition.value === false
+    default:
+      return Boolean(condition.text)
+  }
+}
+
+/**
+ * Compile one condition into a row predicate
+ *
+ * @param {Object} condition - Condition
+ * @returns {Function|null} - (row) => Boolean, or null if the condition is inactive or invalid
+ */
+export const compileCondition = (condition) => {
+  if (!isConditionActive(condition)) return null
+  const { column } = condition
+
+  switch (condition.type) {
+    case 'number': {
+      const min = isBound(condition.min) ? Number(condition.min) : -Infinity
+      const max = isBound(condition.max) ? Number(condition.max) : Infinity
+      return (row) => {
+        const value = Number(row[column])
+        return row[column] !== null && row[column] !== '' && !isNaN(value) && value >= min && value <= max
+      }
+    }
+
+    case 'date': {
+      const from = condition.from ? toTimestamp(condition.from) : -Infinity
+      // Include the whole "to" day
+      const to = condition.to ? toTimestamp(condition.to) + 24 * 60 * 60 * 1000 - 1 : Infinity
+      return (row) => {
+        if (row[column] === null || row[column] === undefined) return false
+        const time = toTimestamp(row[column])
+        return !isNaN(time) && time >= from && time <= to
+      }
+    }
+
+    case 'category': {
+      const values = new Set(condition.values.map(toFilterKey))
+      return (row) => row[column] !== null && row[column] !== undefined && values.has(toFilterKey(row[column]))
+    }
+
+    case 'boolean':
+      return (row) => row[column] === condition.value ||
+        String(row[column]).toLowerCase() === String(condition.value)
+
+    default: {
+      if (condition.operator === 'regex') {
+        let pattern
+        try {
+          pattern = new RegExp(condition.text, 'i')
+        } catch {
+          // Invalid patterns are reported by the panel and ignored here
+          return null
+        }
+        return (row) => row[column] !== null && row[column] !== undefined && pattern.test(String(row[column]))
+      }
+
+      const needle = condition.text.toLowerCase()
+      return (row) => row[column] !== null && row[column] !== undefined &&
+        String(row[column]).toLowerCase().includes(needle)
+    }
+  }
+}
+
+/**
+ * Check whether a regex condition has a valid pattern
+ *
+ * @param {String} text - Pattern
+ * @returns {String|null} - Error message, or null if valid
+ */
+export const getRegexError = (text) => {
+  try {
+    new RegExp(text, 'i')
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+/**
+ * Compile a filter tree into a row predicate
+ *
+ * @param {Object} tree - Filter tree
+ * @returns {Function|null} - (row) => Boolean, or null if nothing is filtered
+ */
+export const compileFilterTree = (tree) => {
+  if (!tree || !tree.groups) return null
+
+  const groups = tree.groups
+    .map(group => {
+      const predicates = group.conditions.map(compileCondition).filter(Boolean)
+      if (predicates.length === 0) return null
+      return group.logic === 'or'
+        ? (row) => predicates.some(predicate => predicate(row))
+        : (row) => predicates.every(predicate => predicate(row))
+    })
+    .filter(Boolean)
+
+  if (groups.length === 0) return null
+  return tree.logic === 'or'
+    ? (row) => groups.some(group => group(row))
+    : (row) => groups.every(group => group(row))
+}
+
+/**
+ * Apply a filter tree to the data
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Object} tree - Filter tree
+ * @returns {Array} - Filtered rows (the original array when nothing is filtered)
+ */
+export const applyFilterTree = (data, tree) => {
+  if (!data) return data
+  const predicate = compileFilterTree(tree)
+  return predicate ? data.filter(predicate) : data
+}
+
+/**
+ * Keep only the filters on the given columns, so a dashboard's filters can
+ * apply to a dataset that lacks some of the filtered columns
+ *
+ * @param {Array} filters - Cross-filters
+ * @param {Array} columnNames - Columns of the dataset
+ * @returns {Array} - Filters (the original array when all apply)
+ */
+export const limitFiltersToColumns = (filters, columnNames) => {
+  if (!filters || filters.every(f => columnNames.includes(f.column))) return filters
+  return filters.filter(f => columnNames.includes(f.column))
+}
+
+/**
+ * Drop the conditions of a filter tree on columns a dataset doesn't have
+ *
+ * @param {Object} tree - Filter tree
+ * @param {Array} columnNames - Columns of the dataset
+ * @returns {Object} - Filter tree (the original tree when every condition applies)
+ */
+export const limitFilterTreeToColumns = (tree, columnNames) => {
+  if (!tree || !tree.groups) return tree
+  const applies = (condition) => !condition.column || columnNames.includes(condition.column)
+  if (tree.groups.every(group => group.conditions.every(applies))) return tree
+  return {
+    ...tree,
+    groups: tree.groups.map(group => ({ ...group, conditions: group.conditions.filter(applies) }))
+  }
+}
+
+/**
+ * Name the datasets a filter on a column doesn't apply to (the ones
+ * limitFiltersToColumns and limitFilterTreeToColumns drop it for)
+ *
+ * @param {String} column - Filtered column
+ * @param {Array} datasets - Datasets the filters apply to
+ * @returns {Array} - Names of the datasets without the column
+ *
+ * Example usage:
+ *   getDatasetsWithoutColumn('Region', datasets) // → ['targets']
+ */
+export const getDatasetsWithoutColumn = (column, datasets) =>
+  datasets
+    .filter(dataset => !dataset.columns.some(col => col.name === column))
+    .map(dataset => dataset.name)
+
+/**
+ * Count the conditions that restrict rows
+ *
+ * @param {Object} tree - Filter tree
+ * @returns {Number}
+ */
+export const countActiveConditions = (tree) => {
+  if (!tree || !tree.groups) return 0
+  return tree.groups.reduce(
+    (count, group) => count + group.conditions.filter(c => compileCondition(c) !== null).length,
+    0
+  )
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  toFilterKey,
+  getFilterColumn,
+  createCrossFilter,
+  toggleFilter,
+  applyFilters,
+  getSelectedValues,
+  EMPTY_FILTER_TREE,
+  createFilterGroup,
+  createCondition,
+  isValidCondition,
+  isValidCrossFilter,
+  isConditionActive,
+  compileCondition,
+  getRegexError,
+  compileFilterTree,
+  applyFilterTree,
+  limitFiltersToColumns,
+  limitFilterTreeToColumns,
+  getDatasetsWithoutColumn,
+  countActiveConditions
+}
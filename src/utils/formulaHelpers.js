@@ -0,0 +1,788 @@
+import { getISOWeek, toDate } from './dateHelpers'
+
+/**
+ * Formula Helpers Utility
+ *
+ * A small expression language for calculated columns. Formulas are parsed
+ * into a tree and compiled into plain functions; nothing is ever passed to
+ * eval or Function, and only the functions listed in FORMULA_FUNCTIONS can
+ * be called.
+ *
+ * Syntax:
+ * - Columns:   revenue, [Order Date]            (brackets for names with spaces or symbols)
+ * - Literals:  12.5, 'text', "text", TRUE, FALSE, NULL
+ * - Math:      + - * / % ^                      (% is the remainder)
+ * - Text:      &                                (joins text; NULL joins as '')
+ * - Compare:   = == != <> < <= > >=
+ * - Logic:     AND OR NOT                       (also && || !)
+ * - Functions: ROUND(revenue - cost, 2), YEAR([Order Date]), IF(qty > 10, 'bulk', 'single')
+ *
+ * NULL handling: math, comparisons and most functions return NULL when an
+ * input is NULL, empty or not a number where one is expected (so does
+ * division by zero). In conditions NULL counts as false. IF, CASE,
+ * COALESCE, IFNULL, ISNULL, CONCAT, MIN and MAX accept NULL inputs.
+ *
+ * Dates are read from date strings or Date objects and returned as
+ * 'YYYY-MM-DD' strings, in UTC like the rest of the date helpers.
+ *
+ * Calculated column shape (stored in the workspace):
+ * { id, name, expression }
+ */
+
+const DAY = 24 * 60 * 60 * 1000
+
+const isNull = (value) =>
+  value === null || value === undefined || value === '' || (typeof value === 'number' && isNaN(value))
+
+// Coerce to a finite number, or null
+const toNumber = (value) => {
+  if (isNull(value)) return null
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (value instanceof Date) return value.getTime()
+  const number = typeof value === 'number' ? value : Number(String(value).trim())
+  return Number.isFinite(number) ? number : null
+}
+
+const toText = (value) => {
+  if (isNull(value)) return ''
+  if (value instanceof Date) return formatDate(value)
+  return String(value)
+}
+
+const toBoolean = (value) => {
+  if (isNull(value)) return false
+  if (typeof value === 'string') {
+    const lower = value.trim().toLowerCase()
+    return lower !== 'false' && lower !== '0'
+  }
+  return Boolean(value)
+}
+
+const formatDate = (date) => date.toISOString().split('T')[0]
+
+// Keep results finite; Infinity and NaN become NULL
+const finite = (value) => (Number.isFinite(value) ? value : null)
+
+// Add months in UTC, clamping the day (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1))
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay))
+  return target
+}
+
+const DATE_UNITS = ['day', 'week', 'month', 'quarter', 'year']
+
+const getUnit = (value) => {
+  const unit = toText(value || 'day').toLowerCase().replace(/s$/, '')
+  if (!DATE_UNITS.includes(unit)) {
+    throw new Error(`Unknown date unit '${value}' (use ${DATE_UNITS.join(', ')})`)
+  }
+  return unit
+}
+
+// Numbers (and numeric text) compare as numbers, everything else as text
+const compareValues = (a, b) => {
+  const x = toNumber(a)
+  const y = toNumber(b)
+  if (x !== null && y !== null) return x - y
+  const s = toText(a)
+  const t = toText(b)
+  return s < t ? -1 : s > t ? 1 : 0
+}
+
+/**
+ * Functions formulas can call
+ *
+ * Each entry: { category, signature, description, minArgs, maxArgs, fn }
+ * - fn receives the evaluated arguments; NULL inputs return NULL before fn
+ *   is called unless acceptsNull is set
+ * - lazy functions receive argument thunks (only the chosen branch runs)
+ */
+export const FORMULA_FUNCTIONS = {
+  // Math
+  ABS: {
+    category: 'Math', signature: 'ABS(number)', description: 'Absolute value',
+    minArgs: 1, maxArgs: 1, fn: (n) => Math.abs(toNumber(n))
+  },
+  ROUND: {
+    category: 'Math', signature: 'ROUND(number, [digits])', description: 'Round to a number of decimals (default 0)',
+    minArgs: 1, maxArgs: 2,
+    fn: (n, digits = 0) => {
+      const factor = Math.pow(10, toNumber(digits))
+      return Math.round(toNumber(n) * factor) / factor
+    }
+  },
+  FLOOR: {
+    category: 'Math', signature: 'FLOOR(number)', description: 'Round down to a whole number',
+    minArgs: 1, maxArgs: 1, fn: (n) => Math.floor(toNumber(n))
+  },
+  CEIL: {
+    category: 'Math', signature: 'CEIL(number)', description: 'Round up to a whole number',
+    minArgs: 1, maxArgs: 1, fn: (n) => Math.ceil(toNumber(n))
+  },
+  SQRT: {
+    category: 'Math', signature: 'SQRT(number)', description: 'Square root',
+    minArgs: 1, maxArgs: 1, fn: (n) => Math.sqrt(toNumber(n))
+  },
+  POWER: {
+    category: 'Math', signature: 'POWER(number, exponent)', description: 'Number raised to a power (same as ^)',
+    minArgs: 2, maxArgs: 2, fn: (n, p) => Math.pow(toNumber(n), toNumber(p))
+  },
+  MOD: {
+    category: 'Math', signature: 'MOD(number, divisor)', description: 'Remainder of a division (same as %)',
+    minArgs: 2, maxArgs: 2, fn: (n, d) => toNumber(n) % toNumber(d)
+  },
+  LN: {
+    category: 'Math', signature: 'LN(number)', description: 'Natural logarithm',
+    minArgs: 1, maxArgs: 1, fn: (n) => Math.log(toNumber(n))
+  },
+  LOG: {
+    category: 'Math', signature: 'LOG(number, [base])', description: 'Logarithm (default base 10)',
+    minArgs: 1, maxArgs: 2, fn: (n, base = 10) => Math.log(toNumber(n)) / Math.log(toNumber(base))
+  },
+  EXP: {
+    category: 'Math', signature: 'EXP(number)', description: 'e raised to a power',
+    minArgs: 1, maxArgs: 1, fn: (n) => Math.exp(toNumber(n))
+  },
+  MIN: {
+    category: 'Math', signature: 'MIN(value, ...)', description: 'Smallest of the values, ignoring NULLs',
+    minArgs: 1, maxArgs: Infinity, acceptsNull: true,
+    fn: (...values) => {
+      const numbers = values.map(toNumber).filter(n => n !== null)
+      return numbers.length > 0 ? Math.min(...numbers) : null
+    }
+  },
+  MAX: {
+    category: 'Math', signature: 'MAX(value, ...)', description: 'Largest of the values, ignoring NULLs',
+    minArgs: 1, maxArgs: Infinity, acceptsNull: true,
+    fn: (...values) => {
+      const numbers = values.map(toNumber).filter(n => n !== null)
+      return numbers.length > 0 ? Math.max(...numbers) : null
+    }
+  },
+  NUMBER: {
+    category: 'Math', signature: 'NUMBER(value)', description: 'Convert text to a number (NULL if it isn\'t one)',
+    minArgs: 1, maxArgs: 1, fn: (value) => toNumber(value)
+  },
+
+  // Text
+  LEN: {
+    category: 'Text', signature: 'LEN(text)', description: 'Number of characters',
+    minArgs: 1, maxArgs: 1, fn: (s) => toText(s).length
+  },
+  UPPER: {
+    category: 'Text', signature: 'UPPER(text)', description: 'Upper case',
+    minArgs: 1, maxArgs: 1, fn: (s) => toText(s).toUpperCase()
+  },
+  LOWER: {
+    category: 'Text', signature: 'LOWER(text)', description: 'Lower case',
+    minArgs: 1, maxArgs: 1, fn: (s) => toText(s).toLowerCase()
+  },
+  TRIM: {
+    category: 'Text', signature: 'TRIM(text)', description: 'Remove leading and trailing spaces',
+    minArgs: 1, maxArgs: 1, fn: (s) => toText(s).trim()
+  },
+  LEFT: {
+    category: 'Text', signature: 'LEFT(text, count)', description: 'First characters',
+    minArgs: 2, maxArgs: 2, fn: (s, count) => toText(s).slice(0, Math.max(0, toNumber(count)))
+  },
+  RIGHT: {
+    category: 'Text', signature: 'RIGHT(text, count)', description: 'Last characters',
+    minArgs: 2, maxArgs: 2,
+    fn: (s, count) => {
+      const n = Math.max(0, toNumber(count))
+      return n === 0 ? '' : toText(s).slice(-n)
+    }
+  },
+  MID: {
+    category: 'Text', signature: 'MID(text, start, count)', description: 'Characters from a position (1 = first)',
+    minArgs: 3, maxArgs: 3,
+    fn: (s, start, count) => toText(s).substr(Math.max(0, toNumber(start) - 1), Math.max(0, toNumber(count)))
+  },
+  REPLACE: {
+    category: 'Text', signature: 'REPLACE(text, find, replacement)', description: 'Replace every occurrence of some text',
+    minArgs: 3, maxArgs: 3, fn: (s, find, replacement) => toText(s).split(toText(find)).join(toText(replacement))
+  },
+  CONTAINS: {
+    category: 'Text', signature: 'CONTAINS(text, search)', description: 'Whether the text contains the search (ignoring case)',
+    minArgs: 2, maxArgs: 2, fn: (s, search) => toText(s).toLowerCase().includes(toText(search).toLowerCase())
+  },
+  CONCAT: {
+    category: 'Text', signature: 'CONCAT(value, ...)', description: 'Join values into one text (same as &)',
+    minArgs: 1, maxArgs: Infinity, acceptsNull: true, fn: (...values) => values.map(toText).join('')
+  },
+  TEXT: {
+    category: 'Text', signature: 'TEXT(value)', description: 'Convert a value to text',
+    minArgs: 1, maxArgs: 1, fn: (value) => toText(value)
+  },
+
+  // Date
+  YEAR: {
+    category: 'Date', signature: 'YEAR(date)', description: 'Year, e.g. 2024',
+    minArgs: 1, maxArgs: 1, fn: (d) => toDate(d)?.getUTCFullYear() ?? null
+  },
+  QUARTER: {
+    category: 'Date', signature: 'QUARTER(date)', description: 'Calendar quarter, 1–4',
+    minArgs: 1, maxArgs: 1, fn: (d) => { const date = toDate(d); return date ? Math.floor(date.getUTCMonth() / 3) + 1 : null }
+  },
+  MONTH: {
+    category: 'Date', signature: 'MONTH(date)', description: 'Month, 1–12',
+    minArgs: 1, maxArgs: 1, fn: (d) => { const date = toDate(d); return date ? date.getUTCMonth() + 1 : null }
+  },
+  WEEK: {
+    category: 'Date', signature: 'WEEK(date)', description: 'ISO week number, 1–53',
+    minArgs: 1, maxArgs: 1, fn: (d) => { const date = toDate(d); return date ? getISOWeek(date).week : null }
+  },
+  DAY: {
+    category: 'Date', signature: 'DAY(date)', description: 'Day of the month, 1–31',
+    minArgs: 1, maxArgs: 1, fn: (d) => toDate(d)?.getUTCDate() ?? null
+  },
+  WEEKDAY: {
+    category: 'Date', signature: 'WEEKDAY(date)', description: 'Day of the week, 1 = Monday … 7 = Sunday',
+    minArgs: 1, maxArgs: 1, fn: (d) => { const date = toDate(d); return date ? date.getUTCDay() || 7 : null }
+  },
+  DATE: {
+    category: 'Date', signature: 'DATE(year, month, day)', description: 'Build a date',
+    minArgs: 3, maxArgs: 3,
+    fn: (y, m, d) => formatDate(new Date(Date.UTC(toNumber(y), toNumber(m) - 1, toNumber(d))))
+  },
+  TODAY: {
+    category: 'Date', signature: 'TODAY()', description: 'Today\'s date',
+    minArgs: 0, maxArgs: 0, fn: () => formatDate(new Date())
+  },
+  DATEADD: {
+    category: 'Date', signature: 'DATEADD(date, amount, [unit])', description: 'Add days (or weeks, months, quarters, years)',
+    minArgs: 2, maxArgs: 3,
+    fn: (d, amount, unit) => {
+      const date = toDate(d)
+      if (!date) return null
+      const n = Math.trunc(toNumber(amount))
+      switch (getUnit(unit)) {
+        case 'week':
+          return formatDate(new Date(date.getTime() + n * 7 * DAY))
+        case 'month':
+          return formatDate(addMonths(date, n))
+        case 'quarter':
+          return formatDate(addMonths(date, n * 3))
+        case 'year':
+          return formatDate(addMonths(date, n * 12))
+        default:
+          return formatDate(new Date(date.getTime() + n * DAY))
+      }
+    }
+  },
+  DATEDIFF: {
+    category: 'Date', signature: 'DATEDIFF(end, start, [unit])', description: 'Whole days (or weeks, months, quarters, years) from start to end',
+    minArgs: 2, maxArgs: 3,
+    fn: (end, start, unit) => {
+      const to = toDate(end)
+      const from = toDate(start)
+      if (!to || !from) return null
+      let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth()
+      // Count whole months only: Jan 31 → Feb 15 is 0 months
+      if (to > from && to.getUTCDate() < from.getUTCDate()) months -= 1
+      if (to < from && to.getUTCDate() > from.getUTCDate()) months += 1
+      switch (getUnit(unit)) {
+        case 'week':
+          return Math.trunc((to - from) / (7 * DAY))
+        case 'month':
+          return months
+        case 'quarter':
+          return Math.trunc(months / 3)
+        case 'year':
+          return Math.trunc(months / 12)
+        default:
+          return Math.trunc((to - from) / DAY)
+      }
+    }
+  },
+
+  // Logic
+  IF: {
+    category: 'Logic', signature: 'IF(condition, then, [else])', description: 'Pick a value by a condition (else defaults to NULL)',
+    minArgs: 2, maxArgs: 3, lazy: true,
+    fn: (condition, then, otherwise) => (toBoolean(condition()) ? then() : otherwise ? otherwise() : null)
+  },
+  CASE: {
+    category: 'Logic', signature: 'CASE(condition1, value1, condition2, value2, ..., [default])',
+    description: 'Value of the first true condition, or the default',
+    minArgs: 2, maxArgs: Infinity, lazy: true,
+    fn: (...args) => {
+      for (let i = 0; i + 1 < args.length; i += 2) {
+        if (toBoolean(args[i]())) return args[i + 1]()
+      }
+      return args.length % 2 === 1 ? args[args.length - 1]() : null
+    }
+  },
+  COALESCE: {
+    category: 'Logic', signature: 'COALESCE(value, ...)', description: 'First value that isn\'t NULL',
+    minArgs: 1, maxArgs: Infinity, lazy: true,
+    fn: (...args) => {
+      for (const arg of args) {
+        const value = arg()
+        if (!isNull(value)) return value
+      }
+      return null
+    }
+  },
+  IFNULL: {
+    category: 'Logic', signature: 'IFNULL(value, fallback)', description: 'The value, or the fallback when it\'s NULL',
+    minArgs: 2, maxArgs: 2, lazy: true,
+    fn: (value, fallback) => { const result = value(); return isNull(result) ? fallback() : result }
+  },
+  ISNULL: {
+    category: 'Logic', signature: 'ISNULL(value)', description: 'Whether the value is NULL or empty',
+    minArgs: 1, maxArgs: 1, acceptsNull: true, fn: (value) => isNull(value)
+  }
+}
+
+// Tokenizer
+
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '&&', '||', '+', '-', '*', '/', '%', '^', '&', '=', '<', '>', '!']
+const KEYWORDS = { AND: '&&', OR: '||', NOT: '!' }
+
+const tokenize = (expression) => {
+  const tokens = []
+  let i = 0
+
+  while (i < expression.length) {
+    const char = expression[i]
+    const start = i
+
+    if (/\s/.test(char)) {
+      i++
+      continue
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(i))
+      if (!match) throw new Error(`Unexpected '${char}' at position ${start + 1}`)
+      tokens.push({ type: 'number', value: Number(match[0]), position: start })
+      i += match[0].length
+      continue
+    }
+
+    if (char === '"' || char === '\'') {
+      let value = ''
+      let closed = false
+      i++
+      while (i < expression.length) {
+        // A doubled quote inside the text is a literal quote ('it''s')
+        if (expression[i] === char) {
+          if (expression[i + 1] !== char) {
+            closed = true
+            i++
+            break
+          }
+          value += char
+          i += 2
+        } else {
+          value += expression[i++]
+        }
+      }
+      if (!closed) throw new Error(`Unclosed text starting at position ${start + 1}`)
+      tokens.push({ type: 'string', value, position: start })
+      continue
+    }
+
+    if (char === '[') {
+      const end = expression.indexOf(']', i)
+      if (end === -1) throw new Error(`Unclosed [ at position ${start + 1}`)
+      tokens.push({ type: 'column', value: expression.slice(i + 1, end), position: start })
+      i = end + 1
+      continue
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(expression.slice(i))
+      const word = match[0]
+      const upper = word.toUpperCase()
+      if (KEYWORDS[upper]) {
+        tokens.push({ type: 'operator', value: KEYWORDS[upper], position: start })
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: start })
+      }
+      i += word.length
+      continue
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: start })
+      i++
+      continue
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i))
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: start })
+      i += operator.length
+      continue
+    }
+
+    throw new Error(`Unexpected '${char}' at position ${start + 1}`)
+  }
+
+  tokens.push({ type: 'end', value: null, position: expression.length })
+  return tokens
+}
+
+// Parser: binary operators by precedence, lowest first
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  null, // NOT
+  ['=', '==', '!=', '<>', '<', '<=', '>', '>='],
+  ['&'],
+  ['+', '-'],
+  ['*', '/', '%']
+]
+
+const describeToken = (token) => (token.type === 'end' ? 'end of formula' : `'${token.value}'`)
+
+/**
+ * Parse a formula into a syntax tree
+ *
+ * @param {String} expression - Formula text
+ * @returns {Object} - Tree of { type: 'literal' | 'column' | 'unary' | 'binary' | 'call', ... }
+ * @throws {Error} - With the position of the problem when the formula is invalid
+ *
+ * Example usage:
+ *   parseFormula('revenue - cost')
+ *   // → { type: 'binary', op: '-', left: { type: 'column', name: 'revenue' }, right: { type: 'column', name: 'cost' } }
+ */
+export const parseFormula = (expression) => {
+  if (!expression || !String(expression).trim()) {
+    throw new Error('Formula is empty')
+  }
+
+  const tokens = tokenize(String(expression))
+  let index = 0
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+  const expect = (type) => {
+    const token = next()
+    if (token.type !== type) {
+      throw new Error(`Expected '${type}' but found ${describeToken(token)} at position ${token.position + 1}`)
+    }
+    return token
+  }
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary()
+    if (BINARY_LEVELS[level] === null) {
+      // NOT binds looser than comparisons: NOT a = b is NOT (a = b)
+      if (peek().type === 'operator' && peek().value === '!') {
+        next()
+        return { type: 'unary', op: '!', arg: parseLevel(level) }
+      }
+      return parseLevel(level + 1)
+    }
+
+    let left = parseLevel(level + 1)
+    while (peek().type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+      const op = next().value
+      left = { type: 'binary', op, left, right: parseLevel(level + 1) }
+    }
+    return left
+  }
+
+  const parseUnary = () => {
+    if (peek().type === 'operator' && (peek().value === '-' || peek().value === '+')) {
+      const op = next().value
+      return { type: 'unary', op, arg: parseUnary() }
+    }
+    return parsePower()
+  }
+
+  const parsePower = () => {
+    const base = parsePrimary()
+    if (peek().type === 'operator' && peek().value === '^') {
+      next()
+      // Right-associative, and -2^2 is -(2^2)
+      return { type: 'binary', op: '^', left: base, right: parseUnary() }
+    }
+    return base
+  }
+
+  const parsePrimary = () => {
+    const token = next()
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value }
+      case 'column':
+        return { type: 'column', name: token.value }
+      case '(': {
+        const inner = parseLevel(0)
+        expect(')')
+        return inner
+      }
+      case 'identifier': {
+        const upper = token.value.toUpperCase()
+        if (peek().type === '(') {
+          const definition = FORMULA_FUNCTIONS[upper]
+          if (!definition) throw new Error(`Unknown function ${token.value} at position ${token.position + 1}`)
+          next()
+          const args = []
+          if (peek().type !== ')') {
+            args.push(parseLevel(0))
+            while (peek().type === ',') {
+              next()
+              args.push(parseLevel(0))
+            }
+          }
+          expect(')')
+          if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+            throw new Error(`Wrong number of arguments at position ${token.position + 1}: ${definition.signature}`)
+          }
+          return { type: 'call', name: upper, args }
+        }
+        if (upper === 'TRUE' || upper === 'FALSE') return { type: 'literal', value: upper === 'TRUE' }
+        if (upper === 'NULL') return { type: 'literal', value: null }
+        return { type: 'column', name: token.value }
+      }
+      default:
+        throw new Error(`Unexpected ${describeToken(token)} at position ${token.position + 1}`)
+    }
+  }
+
+  const tree = parseLevel(0)
+  if (peek().type !== 'end') {
+    throw new Error(`Unexpected ${describeToken(peek())} at position ${peek().position + 1}`)
+  }
+  return tree
+}
+
+/**
+ * List the columns a formula reads
+ *
+ * @param {Object} tree - Result of parseFormula
+ * @returns {Array} - Column names (unique)
+ */
+export const getFormulaReferences = (tree) => {
+  const names = new Set()
+  const walk = (node) => {
+    if (node.type === 'column') names.add(node.name)
+    if (node.arg) walk(node.arg)
+    if (node.left) walk(node.left)
+    if (node.right) walk(node.right)
+    if (node.args) node.args.forEach(walk)
+  }
+  walk(tree)
+  return Array.from(names)
+}
+
+const arithmetic = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b),
+  '%': (a, b) => (b === 0 ? null : a % b),
+  '^': (a, b) => Math.pow(a, b)
+}
+
+const comparisons = {
+  '=': (c) => c === 0,
+  '==': (c) => c === 0,
+  '!=': (c) => c !== 0,
+  '<>': (c) => c !== 0,
+  '<': (c) => c < 0,
+  '<=': (c) => c <= 0,
+  '>': (c) => c > 0,
+  '>=': (c) => c >= 0
+}
+
+// Turn a syntax tree into a (row) => value function
+const compileNode = (node) => {
+  switch (node.type) {
+    case 'literal':
+      return () => node.value
+
+    case 'column':
+      return (row) => {
+        const value = row[node.name]
+        return value === undefined ? null : value
+      }
+
+    case 'unary': {
+      const arg = compileNode(node.arg)
+      if (node.op === '!') return (row) => !toBoolean(arg(row))
+      return (row) => {
+        const value = toNumber(arg(row))
+        return value === null ? null : node.op === '-' ? -value : value
+      }
+    }
+
+    case 'binary': {
+      const left = compileNode(node.left)
+      const right = compileNode(node.right)
+      const { op } = node
+
+      if (op === '&&') return (row) => toBoolean(left(row)) && toBoolean(right(row))
+      if (op === '||') return (row) => toBoolean(left(row)) || toBoolean(right(row))
+      if (op === '&') return (row) => toText(left(row)) + toText(right(row))
+      if (comparisons[op]) {
+        return (row) => {
+          const a = left(row)
+          const b = right(row)
+          if (isNull(a) || isNull(b)) return null
+          return comparisons[op](compareValues(a, b))
+        }
+      }
+      return (row) => {
+        const a = toNumber(left(row))
+        const b = toNumber(right(row))
+        if (a === null || b === null) return null
+        const result = arithmetic[op](a, b)
+        return result === null ? null : finite(result)
+      }
+    }
+
+    case 'call': {
+      const definition = FORMULA_FUNCTIONS[node.name]
+      const args = node.args.map(compileNode)
+      if (definition.lazy) {
+        return (row) => definition.fn(...args.map(arg => () => arg(row)))
+      }
+      return (row) => {
+        const values = args.map(arg => arg(row))
+        if (!definition.acceptsNull && values.some(isNull)) return null
+        const result = definition.fn(...values)
+        return typeof result === 'number' ? finite(result) : result
+      }
+    }
+
+    default:
+      throw new Error(`Unknown formula node ${node.type}`)
+  }
+}
+
+/**
+ * Compile a formula into a function of a row
+ *
+ * @param {String} expression - Formula text
+ * @returns {Function} - (row) => value; values that can't be computed are null
+ * @throws {Error} - When the formula is invalid
+ *
+ * Example usage:
+ *   const margin = compileFormula('ROUND((revenue - cost) / revenue * 100, 1)')
+ *   margin({ revenue: 200, cost: 150 })  // → 25
+ */
+export const compileFormula = (expression) => {
+  const evaluate = compileNode(parseFormula(expression))
+  return (row) => {
+    try {
+      const value = evaluate(row)
+      return value === undefined ? null : value
+    } catch {
+      // Runtime problems (e.g. an unknown date unit from a column) make the cell NULL
+      return null
+    }
+  }
+}
+
+/**
+ * Check a formula and the columns it uses
+ *
+ * @param {String} expression - Formula text
+ * @param {Array} columnNames - Columns the formula may read
+ * @returns {Object} - { isValid, error, references }
+ *
+ * Example usage:
+ *   validateFormula('YEAR([Order Date])', ['Order Date', 'Revenue'])
+ *   // → { isValid: true, error: null, references: ['Order Date'] }
+ */
+export const validateFormula = (expression, columnNames) => {
+  let references
+  try {
+    references = getFormulaReferences(parseFormula(expression))
+  } catch (error) {
+    return { isValid: false, error: error.message, references: [] }
+  }
+
+  const missing = references.find(name => !columnNames.includes(name))
+  if (missing) {
+    return { isValid: false, error: `Unknown column "${missing}"`, references }
+  }
+  return { isValid: true, error: null, references }
+}
+
+/**
+ * Check a calculated column's name and formula
+ *
+ * @param {Object} column - { name, expression }
+ * @param {Array} columnNames - Columns the formula may read (data columns and earlier calculated columns)
+ * @param {Array} takenNames - Names already in use
+ * @returns {Object} - { isValid, error, references }
+ */
+export const validateCalculatedColumn = (column, columnNames, takenNames = columnNames) => {
+  const name = (column.name || '').trim()
+  if (!name) {
+    return { isValid: false, error: 'Give the column a name', references: [] }
+  }
+  if (takenNames.includes(name)) {
+    return { isValid: false, error: `A column named "${name}" already exists`, references: [] }
+  }
+  return validateFormula(column.expression, columnNames)
+}
+
+/**
+ * Add calculated columns to the rows, in order (a column may read the ones before it)
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Array} calculatedColumns - [{ name, expression }]
+ * @returns {Array} - New rows with the calculated values; invalid formulas give null columns
+ */
+export const applyCalculatedColumns = (data, calculatedColumns) => {
+  if (!data || !calculatedColumns || calculatedColumns.length === 0) return data
+
+  const formulas = calculatedColumns.map(column => {
+    try {
+      return { name: column.name, evaluate: compileFormula(column.expression) }
+    } catch (error) {
+      console.warn(`⚠️ Calculated column "${column.name}" has an invalid formula:`, error.message)
+      return { name: column.name, evaluate: () => null }
+    }
+  })
+
+  return data.map(row => {
+    const out = { ...row }
+    formulas.forEach(({ name, evaluate }) => {
+      out[name] = evaluate(out)
+    })
+    return out
+  })
+}
+
+/**
+ * Remove columns from every row
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Array} names - Columns to remove
+ * @returns {Array} - New rows without the columns
+ */
+export const removeColumns = (data, names) => {
+  if (!data || !names || names.length === 0) return data
+  return data.map(row => {
+    const out = { ...row }
+    names.forEach(name => {
+      delete out[name]
+    })
+    return out
+  })
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  FORMULA_FUNCTIONS,
+  parseFormula,
+  getFormulaReferences,
+  compileFormula,
+  validateFormula,
+  validateCalculatedColumn,
+  applyCalculatedColumns,
+  removeColumns
+}
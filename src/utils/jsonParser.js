@@ -0,0 +1,304 @@
+/**
+ * JSON Parser Utility
+ *
+ * Turns JSON documents into the same flat array-of-objects shape that
+ * parseCSVFile() produces, so the result can go through validateCSV /
+ * inferColumnTypes / getDataSummary and every chart unchanged.
+ *
+ * Supported inputs:
+ * - JSON array of objects:        [{ "a": 1 }, { "a": 2 }]
+ * - Wrapped arrays:               { "data": [{ "a": 1 }, ...] }
+ * - Columnar (Parquet-style):     { "a": [1, 2], "b": ["x", "y"] }
+ * - Newline-delimited JSON:       {"a": 1}\n{"a": 2}
+ * - Nested objects, flattened into dotted column names: { "user": { "id": 1 } } → "user.id"
+ */
+
+export const JSON_EXTENSIONS = ['.json', '.ndjson', '.jsonl']
+
+// Most rows exploding arrays may produce; sibling arrays multiply, so a
+// single record can otherwise expand into billions of rows
+export const MAX_EXPLODED_ROWS = 1000000
+
+const checkExplodedRows = (count) => {
+  if (count > MAX_EXPLODED_ROWS) {
+    throw new Error(
+      `Exploding arrays would produce more than ${MAX_EXPLODED_ROWS.toLocaleString()} rows. ` +
+      'Import with arrays kept in one cell instead.'
+    )
+  }
+}
+
+/**
+ * Check whether a file is a supported JSON file
+ *
+ * @param {File} file - File object from input/drag-drop
+ * @returns {Boolean}
+ */
+export const isJSONFile = (file) => {
+  if (!file || !file.name) return false
+  const name = file.name.toLowerCase()
+  return JSON_EXTENSIONS.some(ext => name.endsWith(ext)) || file.type === 'application/json'
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Parse newline-delimited JSON (one value per line)
+ *
+ * @param {String} text - File contents
+ * @returns {Array} - Parsed values
+ * @throws {Error} - With the offending line number if a line is not valid JSON
+ */
+export const parseNDJSON = (text) => {
+  const records = []
+  const lines = text.split(/\r?\n/)
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim()
+    if (trimmed === '') return
+
+    try {
+      records.push(JSON.parse(trimmed))
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`)
+    }
+  })
+
+  return records
+}
+
+/**
+ * Check whether an object is columnar data: every value is an array and
+ * all arrays have the same length
+ */
+const isColumnar = (obj) => {
+  const values = Object.values(obj)
+  if (values.length === 0 || !values.every(Array.isArray)) return false
+  const length = values[0].length
+  return length > 0 && values.every(v => v.length === length) &&
+    values.every(v => v.every(item => !isPlainObject(item)))
+}
+
+/**
+ * Convert columnar data into row objects
+ *
+ * @param {Object} columns - { columnName: [values...] }
+ * @returns {Array} - Array of row objects
+ */
+export const columnarToRows = (columns) => {
+  const names = Object.keys(columns)
+  const length = names.length > 0 ? columns[names[0]].length : 0
+  const rows = []
+
+  for (let i = 0; i < length; i++) {
+    const row = {}
+    names.forEach(name => {
+      row[name] = columns[name][i]
+    })
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Pull the list of records out of a parsed JSON document
+ *
+ * @param {*} document - Result of JSON.parse
+ * @returns {Array} - Array of records (objects or primitives)
+ */
+export const extractRecords = (document) => {
+  if (Array.isArray(document)) {
+    return document
+  }
+
+  if (isPlainObject(document)) {
+    if (isColumnar(document)) {
+      return columnarToRows(document)
+    }
+
+    // Wrapped results, e.g. { "data": [...] } or { "results": [...] }
+    const arrayKey = Object.keys(document).find(key =>
+      Array.isArray(document[key]) && document[key].some(isPlainObject)
+    )
+    if (arrayKey) {
+      return document[arrayKey]
+    }
+
+    // A single object is a one-row dataset
+    return [document]
+  }
+
+  return []
+}
+
+/**
+ * Convert an array that is kept in a single cell into a readable value
+ */
+const stringifyArray = (array) => {
+  if (array.every(item => item === null || typeof item !== 'object')) {
+    return array.join(', ')
+  }
+  return JSON.stringify(array)
+}
+
+/**
+ * Write the fields of one value into a single row accumulator
+ *
+ * Objects contribute dotted keys and arrays kept in one cell are joined.
+ * Exploded arrays are not combined here: each one is added to `branches`
+ * as its own list of rows (one per element) and gets a placeholder in
+ * `row` so the columns keep their order.
+ */
+const collectValue = (value, prefix, explodeArrays, row, branches) => {
+  if (Array.isArray(value)) {
+    if (!explodeArrays) {
+      row[prefix || 'value'] = stringifyArray(value)
+    } else if (value.length === 0) {
+      row[prefix || 'value'] = null
+    } else {
+      const branch = []
+      value.forEach(item => {
+        flattenValue(item, prefix, explodeArrays).forEach(branchRow => branch.push(branchRow))
+        checkExplodedRows(branch.length)
+      })
+      branch.forEach(branchRow => Object.keys(branchRow).forEach(key => {
+        if (!(key in row)) row[key] = undefined
+      }))
+      branches.push(branch)
+    }
+    return
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value)
+    if (keys.length === 0) {
+      if (prefix) row[prefix] = null
+      return
+    }
+    keys.forEach(key => collectValue(value[key], prefix ? `${prefix}.${key}` : key, explodeArrays, row, branches))
+    return
+  }
+
+  row[prefix || 'value'] = value === undefined ? null : value
+}
+
+/**
+ * Flatten one value into one or more flat rows
+ *
+ * Objects contribute dotted keys. Arrays either stay in one cell
+ * (joined) or, when exploding, produce one row per element. Exploding
+ * several sibling arrays yields their cross product; values outside the
+ * exploded arrays are collected once and only copied per output row.
+ * Throws if the result would exceed MAX_EXPLODED_ROWS.
+ */
+const flattenValue = (value, prefix, explodeArrays) => {
+  const row = {}
+  const branches = []
+  collectValue(value, prefix, explodeArrays, row, branches)
+  if (branches.length === 0) return [row]
+
+  // Check the size of the cross product before building it
+  checkExplodedRows(branches.reduce((count, branch) => count * branch.length, 1))
+
+  return branches.reduce(
+    (rows, branch) => rows.flatMap(base => branch.map(branchRow => ({ ...base, ...branchRow }))),
+    [row]
+  )
+}
+
+/**
+ * Flatten nested records into flat rows with dotted column names
+ *
+ * @param {Array} records - Array of (possibly nested) records
+ * @param {Object} options
+ * @param {Boolean} options.explodeArrays - Produce one row per array element instead of
+ *                                          joining arrays into a single cell (default: false)
+ * @returns {Array} - Array of flat row objects, all with the same keys
+ * @throws {Error} - If exploding arrays would produce more than MAX_EXPLODED_ROWS rows
+ *
+ * Example:
+ *   flattenRecords([{ id: 1, tags: ['a', 'b'], user: { name: 'Jo' } }])
+ *   // → [{ id: 1, tags: 'a, b', 'user.name': 'Jo' }]
+ *   flattenRecords([{ id: 1, tags: ['a', 'b'] }], { explodeArrays: true })
+ *   // → [{ id: 1, tags: 'a' }, { id: 1, tags: 'b' }]
+ */
+export const flattenRecords = (records, { explodeArrays = false } = {}) => {
+  const rows = []
+  const columns = new Set()
+
+  records.forEach(record => {
+    flattenValue(record, '', explodeArrays).forEach(row => {
+      Object.keys(row).forEach(key => columns.add(key))
+      rows.push(row)
+    })
+    if (explodeArrays) checkExplodedRows(rows.length)
+  })
+
+  // Give every row every column so the structure is consistent
+  const columnList = Array.from(columns)
+  return rows.map(row => {
+    const complete = {}
+    columnList.forEach(column => {
+      complete[column] = row[column] === undefined ? null : row[column]
+    })
+    return complete
+  })
+}
+
+/**
+ * Parse JSON text into flat rows
+ *
+ * @param {String} text - File contents
+ * @param {Object} options
+ * @param {String} options.format - 'auto', 'json' or 'ndjson' (default: 'auto')
+ * @param {Boolean} options.explodeArrays - See flattenRecords()
+ * @returns {Object} - { data, meta: { format, recordCount } }
+ * @throws {Error} - If the text is not valid JSON / NDJSON
+ *
+ * Example usage:
+ *   const { data } = parseJSONText(await file.text(), { explodeArrays: true })
+ */
+export const parseJSONText = (text, { format = 'auto', explodeArrays = false } = {}) => {
+  let records
+  let detectedFormat = format
+
+  if (format === 'ndjson') {
+    records = parseNDJSON(text)
+  } else {
+    try {
+      records = extractRecords(JSON.parse(text))
+      detectedFormat = 'json'
+    } catch (error) {
+      if (format === 'json') {
+        throw new Error(`Invalid JSON: ${error.message}`)
+      }
+      // Not a single JSON document - try one document per line
+      records = parseNDJSON(text)
+      detectedFormat = 'ndjson'
+    }
+  }
+
+  return {
+    data: flattenRecords(records, { explodeArrays }),
+    meta: {
+      format: detectedFormat,
+      recordCount: records.length
+    }
+  }
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  JSON_EXTENSIONS,
+  MAX_EXPLODED_ROWS,
+  isJSONFile,
+  parseNDJSON,
+  columnarToRows,
+  extractRecords,
+  flattenRecords,
+  parseJSONText
+}
@@ -0,0 +1,436 @@
+import { toDate } from './dateHelpers'
+
+/**
+ * Locale Helpers Utility
+ *
+ * Files written in different locales spell the same values differently:
+ * 1,234.56 and 12/31/2024 in the US, 1.234,56 and 31.12.2024 in Germany.
+ * A locale says how to read numbers and dates when a file is parsed, and
+ * how to show them again in the table, charts and exports.
+ *
+ * Parsed values are stored in one canonical form whatever the locale:
+ * numbers as JS numbers, dates as ISO strings ('2024-12-31', or
+ * '2024-12-31T14:30:00' in local time when there is a time of day), like
+ * the rest of the app expects.
+ *
+ * Locale shape (see LOCALE_PRESETS):
+ * { id, name, decimalSeparator, thousandsSeparator, dateOrder: 'MDY' | 'DMY' | 'YMD', currencySymbol }
+ * The id is a BCP 47 tag, used for Intl formatting.
+ */
+
+export const LOCALE_PRESETS = [
+  { id: 'en-US', name: 'English (US)', decimalSeparator: '.', thousandsSeparator: ',', dateOrder: 'MDY', currencySymbol: '$' },
+  { id: 'en-GB', name: 'English (UK)', decimalSeparator: '.', thousandsSeparator: ',', dateOrder: 'DMY', currencySymbol: '£' },
+  { id: 'de-DE', name: 'German', decimalSeparator: ',', thousandsSeparator: '.', dateOrder: 'DMY', currencySymbol: '€' },
+  { id: 'fr-FR', name: 'French', decimalSeparator: ',', thousandsSeparator: ' ', dateOrder: 'DMY', currencySymbol: '€' },
+  { id: 'de-CH', name: 'Swiss', decimalSeparator: '.', thousandsSeparator: '\'', dateOrder: 'DMY', currencySymbol: 'CHF' },
+  { id: 'ja-JP', name: 'Japanese', decimalSeparator: '.', thousandsSeparator: ',', dateOrder: 'YMD', currencySymbol: '¥' }
+]
+
+export const DEFAULT_LOCALE = LOCALE_PRESETS[0]
+
+// Locale setting that detects the locale from each file
+export const AUTO_LOCALE = 'auto'
+
+// Currency symbols removed from numbers when parsing, whatever the locale
+export const CURRENCY_SYMBOLS = ['$', '€', '£', '¥', '₹', 'CHF', 'kr']
+
+// Values looked at when detecting a file's locale
+const DETECTION_SAMPLE_SIZE = 1000
+
+// Spaces used as thousands separators (plain, no-break and narrow no-break)
+const SPACE_SEPARATORS = ' \u00a0\u202f'
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const CURRENCY_REGEX = new RegExp(`^(${CURRENCY_SYMBOLS.map(escapeRegex).join('|')})\\s*|\\s*(${CURRENCY_SYMBOLS.map(escapeRegex).join('|')})$`, 'g')
+
+// d/m/y, m/d/y or y/m/d with '/', '.' or '-' and an optional time of day
+// (the canonical '…T14:30:00Z' form reads back as itself)
+const DATE_REGEX = /^(\d{1,4})([./-])(\d{1,2})\2(\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?Z?)?$/
+
+// ISO dates and timestamps, the canonical form dates are stored in
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+
+// Number patterns are built per locale and cached
+const numberPatterns = new Map()
+
+const getNumberPattern = (locale) => {
+  const key = `${locale.decimalSeparator}|${locale.thousandsSeparator}`
+  if (!numberPatterns.has(key)) {
+    const decimal = escapeRegex(locale.decimalSeparator)
+    const thousands = SPACE_SEPARATORS.includes(locale.thousandsSeparator)
+      ? `[${SPACE_SEPARATORS}]`
+      : escapeRegex(locale.thousandsSeparator)
+    // Either grouped in threes with the thousands separator, or not grouped at all
+    numberPatterns.set(key, new RegExp(
+      `^[-+]?(\\d{1,3}(${thousands}\\d{3})+|\\d+)(${decimal}\\d+)?$|^[-+]?${decimal}\\d+$`
+    ))
+  }
+  return numberPatterns.get(key)
+}
+
+/**
+ * Get a locale preset by id
+ *
+ * @param {String} id - Locale id (e.g. 'de-DE')
+ * @returns {Object} - Locale (DEFAULT_LOCALE for unknown ids)
+ */
+export const getLocale = (id) => LOCALE_PRESETS.find(locale => locale.id === id) || DEFAULT_LOCALE
+
+/**
+ * Show how a locale writes numbers and dates, e.g. "1.234,56 · 31.12.2024"
+ *
+ * @param {Object} locale - Locale
+ * @returns {String}
+ */
+export const describeLocale = (locale) => {
+  const number = `1${locale.thousandsSeparator}234${locale.decimalSeparator}56`
+  const date = { MDY: '12/31/2024', DMY: '31/12/2024', YMD: '2024/12/31' }[locale.dateOrder]
+  return `${number} · ${date}`
+}
+
+/**
+ * Read a number written in a locale
+ *
+ * @param {String} text - Text such as '1.234,56', '€ 12,50' or '-3'
+ * @param {Object} locale - Locale
+ * @returns {Number|null} - null if the text isn't a number in this locale
+ *
+ * Example usage:
+ *   parseLocaleNumber('1.234,56', getLocale('de-DE'))  // → 1234.56
+ *   parseLocaleNumber('1.234,56', getLocale('en-US'))  // → null
+ */
+export const parseLocaleNumber = (text, locale) => {
+  if (typeof text !== 'string') return null
+  const trimmed = text.trim().replace(CURRENCY_REGEX, '')
+  if (!/\d/.test(trimmed) || !getNumberPattern(locale).test(trimmed)) return null
+
+  const canonical = trimmed
+    .split(locale.decimalSeparator)
+    .map(part => part.replace(/[^\d+-]/g, ''))
+    .join('.')
+  const number = Number(canonical)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Read a date written with a locale's day/month/year order
+ *
+ * @param {String} text - Text such as '31/12/2024', '12-31-24' or '31.12.2024 14:30'
+ * @param {Object} locale - Locale
+ * @returns {String|null} - '2024-12-31' ('2024-12-31T14:30:00Z' with a time, which is the time as
+ *   written: cell dates have no time zone and are all read as UTC), null if not a valid date
+ *
+ * Example usage:
+ *   parseLocaleDate('31/12/2024', getLocale('en-GB'))  // → '2024-12-31'
+ *   parseLocaleDate('31/12/2024', getLocale('en-US'))  // → null
+ */
+export const parseLocaleDate = (text, locale) => {
+  if (typeof text !== 'string') return null
+  const match = text.trim().match(DATE_REGEX)
+  if (!match) return null
+
+  const [, first, , second, third, hour = '0', minute = '0', seconds = '0'] = match
+  // A four-digit first part is always a year (ISO-like order)
+  const order = first.length === 4 ? 'YMD' : locale.dateOrder
+  if ((order === 'YMD') !== (first.length === 4)) return null
+  if (order !== 'YMD' && third.length !== 2 && third.length !== 4) return null
+
+  const parts = {
+    YMD: { year: first, month: second, day: third },
+    DMY: { year: third, month: second, day: first },
+    MDY: { year: third, month: first, day: second }
+  }[order]
+  let year = Number(parts.year)
+  if (parts.year.length === 2) year += year < 70 ? 2000 : 1900
+  const month = Number(parts.month)
+  const day = Number(parts.day)
+
+  const date = new Date(Date.UTC(year, month - 1, day, Number(hour), Number(minute), Number(seconds)))
+  // Reject values Date.UTC would roll over (31/02, 13/13, hour 25, ...)
+  const isExact = date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    date.getUTCHours() === Number(hour) &&
+    date.getUTCMinutes() === Number(minute)
+  if (!isExact) return null
+
+  const iso = date.toISOString().slice(0, 19)
+  return match[5] !== undefined ? `${iso}Z` : iso.slice(0, 10)
+}
+
+/**
+ * Rewrite a raw text cell in canonical form: numbers as '1234.56' and dates
+ * as ISO strings. Used as PapaParse's `transform`, so dynamicTyping then
+ * turns the numbers into JS numbers. Other text is returned unchanged.
+ *
+ * @param {String} value - Raw cell text
+ * @param {Object} locale - Locale
+ * @returns {String}
+ */
+export const normalizeLocaleText = (value, locale) => {
+  if (typeof value !== 'string' || value === '') return value
+  const date = parseLocaleDate(value, locale)
+  if (date !== null) return date
+  const number = parseLocaleNumber(value, locale)
+  return number !== null ? String(number) : value
+}
+
+/**
+ * Convert the text cells of already-parsed rows (JSON, spreadsheets) that
+ * are numbers or dates in a locale
+ *
+ * @param {Array} rows - Rows
+ * @param {Object} locale - Locale
+ * @returns {Array} - Rows with converted values (the same array when nothing changes)
+ */
+export const applyLocaleToRows = (rows, locale) => {
+  let changed = false
+  const converted = rows.map(row => {
+    let next = row
+    for (const key in row) {
+      const value = row[key]
+      if (typeof value !== 'string' || value === '') continue
+      const date = parseLocaleDate(value, locale)
+      const number = date === null ? parseLocaleNumber(value, locale) : null
+      if (date === null && number === null) continue
+      if (next === row) next = { ...row }
+      next[key] = date !== null ? date : number
+    }
+    if (next !== row) changed = true
+    return next
+  })
+  return changed ? converted : rows
+}
+
+/**
+ * Detect the locale of raw text values by the way numbers and dates are written
+ *
+ * Numbers: in '1.234,56' the last separator is the decimal one; '12,5' (not
+ * three digits after the comma) is a decimal comma; '1.234.567' uses dots
+ * for thousands. Dates: a first part above 12 means day first, a second part
+ * above 12 means month first. Ambiguous files fall back to the decimal
+ * separator's usual date order.
+ *
+ * @param {Array} rows - Rows of raw text values (e.g. PapaParse output without dynamicTyping)
+ * @returns {Object} - {
+ *   locale,     // closest preset
+ *   evidence    // { decimalComma, decimalPoint, dayFirst, monthFirst, yearFirst, currencySymbols }
+ * }
+ *
+ * Example usage:
+ *   detectLocale([{ amount: '1.234,56', date: '31.12.2024' }]).locale.id  // → 'de-DE'
+ */
+export const detectLocale = (rows) => {
+  const evidence = { decimalComma: 0, decimalPoint: 0, dayFirst: 0, monthFirst: 0, yearFirst: 0, currencySymbols: [] }
+  const thousands = { '.': 0, ',': 0, ' ': 0, '\'': 0 }
+  const symbols = new Set()
+
+  for (const row of rows.slice(0, DETECTION_SAMPLE_SIZE)) {
+    for (const key in row) {
+      const raw = row[key]
+      if (typeof raw !== 'string') continue
+      const text = raw.trim()
+
+      const date = text.match(DATE_REGEX)
+      if (date) {
+        const [, first, , second] = date
+        if (first.length === 4) evidence.yearFirst++
+        else if (Number(first) > 12) evidence.dayFirst++
+        else if (Number(second) > 12) evidence.monthFirst++
+        continue
+      }
+
+      const symbol = CURRENCY_SYMBOLS.find(item => text.startsWith(item) || text.endsWith(item))
+      const number = text.replace(CURRENCY_REGEX, '')
+      if (!/^[-+]?[\d.,' \u00a0\u202f]*\d$/.test(number) || !/^[-+]?\d/.test(number)) continue
+      if (symbol) symbols.add(symbol)
+
+      const lastDot = number.lastIndexOf('.')
+      const lastComma = number.lastIndexOf(',')
+      if (/\d[ \u00a0\u202f]\d{3}/.test(number)) thousands[' ']++
+      if (number.includes('\'')) thousands['\'']++
+
+      if (lastDot >= 0 && lastComma >= 0) {
+        // Both: the one that comes last separates the decimals
+        if (lastComma > lastDot) { evidence.decimalComma++; thousands['.']++ } else { evidence.decimalPoint++; thousands[',']++ }
+      } else if (lastComma >= 0) {
+        if (/,\d{3}(,|$)/.test(number) && /^[-+]?\d{1,3}(,\d{3})+$/.test(number)) thousands[',']++
+        else evidence.decimalComma++
+      } else if (lastDot >= 0) {
+        if ((number.match(/\./g) || []).length > 1) { evidence.decimalComma++; thousands['.']++ } else if (!/^[-+]?\d{1,3}\.\d{3}$/.test(number)) evidence.decimalPoint++
+      }
+    }
+  }
+  evidence.currencySymbols = Array.from(symbols)
+
+  const decimalSeparator = evidence.decimalComma > evidence.decimalPoint ? ',' : '.'
+  const dateOrder = evidence.dayFirst > evidence.monthFirst
+    ? 'DMY'
+    : evidence.monthFirst > evidence.dayFirst
+      ? 'MDY'
+      : evidence.yearFirst > 0 && evidence.dayFirst === 0 && evidence.monthFirst === 0 && decimalSeparator === '.'
+        ? 'YMD'
+        : decimalSeparator === ',' ? 'DMY' : 'MDY'
+
+  // Closest preset: same separators and date order, preferring the currency seen in the file
+  const candidates = LOCALE_PRESETS.filter(locale => locale.decimalSeparator === decimalSeparator)
+  const score = (locale) =>
+    (locale.dateOrder === dateOrder ? 4 : 0) +
+    (thousands[locale.thousandsSeparator] > 0 ? 2 : 0) +
+    (symbols.has(locale.currencySymbol) ? 1 : 0)
+  const locale = candidates.reduce((best, candidate) => (score(candidate) > score(best) ? candidate : best), candidates[0])
+
+  return { locale, evidence }
+}
+
+// Intl formatters are slow to create, so they are cached per locale and options
+const formatters = new Map()
+
+const getFormatter = (Format, id, options) => {
+  const key = `${Format.name}|${id}|${JSON.stringify(options)}`
+  if (!formatters.has(key)) formatters.set(key, new Format(id, options))
+  return formatters.get(key)
+}
+
+/**
+ * Format a number for display
+ *
+ * @param {Number} value - Number
+ * @param {Object} locale - Locale
+ * @param {Object} options - Intl.NumberFormat options (default: up to 2 decimals)
+ * @returns {String}
+ *
+ * Example usage:
+ *   formatNumber(1234.5, getLocale('de-DE'))  // → '1.234,5'
+ */
+export const formatNumber = (value, locale = DEFAULT_LOCALE, options = { maximumFractionDigits: 2 }) => {
+  if (value === null || value === undefined || value === '') return ''
+  const number = Number(value)
+  if (!Number.isFinite(number)) return String(value)
+  return getFormatter(Intl.NumberFormat, locale.id, options).format(number)
+}
+
+/**
+ * Format a number for a chart axis: compact from a million up (1,2 Mio.)
+ *
+ * @param {Number} value - Number
+ * @param {Object} locale - Locale
+ * @returns {String}
+ */
+export const formatAxisNumber = (value, locale = DEFAULT_LOCALE) => {
+  if (typeof value !== 'number') return value
+  return formatNumber(value, locale, {
+    maximumFractionDigits: 2,
+    notation: Math.abs(value) >= 1e6 ? 'compact' : 'standard'
+  })
+}
+
+/**
+ * Format a date for display in a locale's day/month/year order
+ *
+ * @param {Date|String} value - Date or ISO date string
+ * @param {Object} locale - Locale
+ * @returns {String} - The value as text if it isn't a date
+ *
+ * Example usage:
+ *   formatDate('2024-12-31', getLocale('de-DE'))           // → '31.12.2024'
+ *   formatDate('2024-12-31T14:30:00Z', getLocale('en-US'))  // → '12/31/2024, 2:30 PM'
+ */
+export const formatDate = (value, locale = DEFAULT_LOCALE) => {
+  if (value === null || value === undefined) return ''
+  // Only reformat unambiguous dates; other text ('Q1 2024', 'Jan 5') is shown as written
+  if (!(value instanceof Date) && !ISO_DATE_REGEX.test(String(value))) return String(value)
+  const date = toDate(value)
+  if (!date) return String(value)
+
+  // Cell dates are read as UTC (see toDate), so they show the time as written
+  const isDateOnly = typeof value === 'string' && value.length === 10
+  const hasTime = !isDateOnly && (date.getUTCHours() !== 0 || date.getUTCMinutes() !== 0 || date.getUTCSeconds() !== 0)
+  return getFormatter(Intl.DateTimeFormat, locale.id, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    ...(hasTime && { hour: 'numeric', minute: '2-digit' }),
+    timeZone: 'UTC'
+  }).format(date)
+}
+
+/**
+ * Format a cell value by column type
+ *
+ * @param {*} value - Cell value
+ * @param {String} type - Column type
+ * @param {Object} locale - Locale
+ * @returns {String}
+ */
+export const formatValue = (value, type, locale = DEFAULT_LOCALE) => {
+  if (value === null || value === undefined) return ''
+  if (type === 'number' || typeof value === 'number') return formatNumber(value, locale)
+  if (type === 'date' || value instanceof Date) return formatDate(value, locale)
+  return String(value)
+}
+
+/**
+ * Write a value for a CSV export in a locale, so the file reads back the same:
+ * numbers with the locale's decimal separator (no grouping), plain dates in
+ * its day/month/year order. Other values are returned unchanged.
+ *
+ * @param {*} value - Cell value
+ * @param {Object} locale - Locale
+ * @returns {*}
+ *
+ * Example usage:
+ *   toLocaleCSVValue(1234.5, getLocale('de-DE'))        // → '1234,5'
+ *   toLocaleCSVValue('2024-12-31', getLocale('de-DE'))  // → '31.12.2024'
+ */
+export const toLocaleCSVValue = (value, locale = DEFAULT_LOCALE) => {
+  if (typeof value === 'number') return String(value).replace('.', locale.decimalSeparator)
+  if (typeof value === 'string' && value.length === 10 && ISO_DATE_REGEX.test(value)) return formatDate(value, locale)
+  return value
+}
+
+/**
+ * CSV delimiter for a locale: ';' where ',' is the decimal separator (as spreadsheet apps expect)
+ *
+ * @param {Object} locale - Locale
+ * @returns {String}
+ */
+export const getCSVDelimiter = (locale = DEFAULT_LOCALE) => (locale.decimalSeparator === ',' ? ';' : ',')
+
+/**
+ * Excel number format for dates in a locale's order
+ *
+ * @param {Object} locale - Locale
+ * @param {Boolean} withTime - Include the time of day
+ * @returns {String} - e.g. 'dd/mm/yyyy hh:mm:ss'
+ */
+export const getExcelDateFormat = (locale = DEFAULT_LOCALE, withTime = false) => {
+  const date = { MDY: 'mm/dd/yyyy', DMY: 'dd/mm/yyyy', YMD: 'yyyy-mm-dd' }[locale.dateOrder]
+  return withTime ? `${date} hh:mm:ss` : date
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  LOCALE_PRESETS,
+  DEFAULT_LOCALE,
+  AUTO_LOCALE,
+  CURRENCY_SYMBOLS,
+  getLocale,
+  describeLocale,
+  parseLocaleNumber,
+  parseLocaleDate,
+  normalizeLocaleText,
+  applyLocaleToRows,
+  detectLocale,
+  formatNumber,
+  formatAxisNumber,
+  formatDate,
+  formatValue,
+  toLocaleCSVValue,
+  getCSVDelimiter,
+  getExcelDateFormat
+}
@@ -0,0 +1,200 @@
+/**
+ * Worker-backed file parsing
+ *
+ * Thin wrapper around csvParser.worker.js that collects the streamed row
+ * chunks back into a single array and exposes a cancel() handle.
+ */
+
+import { AUTO_LOCALE } from './localeHelpers'
+
+const createParserWorker = () => new Worker(
+  new URL('../workers/csvParser.worker.js', import.meta.url),
+  { type: 'module' }
+)
+
+/**
+ * Send a message to a parser worker and collect the streamed result
+ *
+ * @param {Worker} worker - Parser worker
+ * @param {Object} message - Message to post ({ type: 'parse' | 'readSheet' | 'parseJSON', ... })
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { rowsParsed, bytesRead, totalBytes }
+ * @param {Function} options.onDone - Called once the job settles (used to terminate the worker)
+ * @returns {Object} - { promise, cancel }
+ */
+const runParseJob = (worker, message, { onProgress, onDone } = {}) => {
+  let rejectJob = null
+  let settled = false
+
+  const settle = () => {
+    settled = true
+    worker.onmessage = null
+    worker.onerror = null
+    if (onDone) onDone()
+  }
+
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject
+    const data = []
+
+    worker.onmessage = (event) => {
+      const reply = event.data
+
+      switch (reply.type) {
+        case 'chunk':
+          // Push row by row; spreading a large chunk can overflow the call stack
+          for (const row of reply.rows) {
+            data.push(row)
+          }
+          break
+
+        case 'progress':
+          if (onProgress) {
+            onProgress({
+              rowsParsed: reply.rowsParsed,
+              bytesRead: reply.bytesRead,
+              totalBytes: reply.totalBytes
+            })
+          }
+          break
+
+        case 'complete':
+          settle()
+          resolve({
+            data,
+            validation: reply.validation,
+            columns: reply.columns,
+            summary: reply.summary,
+            meta: reply.meta
+          })
+          break
+
+        case 'error':
+          settle()
+          reject({
+            message: reply.message,
+            errors: reply.errors
+          })
+          break
+
+        default:
+          break
+      }
+    }
+
+    worker.onerror = (error) => {
+      settle()
+      reject({
+        message: 'Failed to parse file',
+        error: error.message
+      })
+    }
+
+    worker.postMessage(message)
+  })
+
+  const cancel = () => {
+    if (settled) return
+    settle()
+    worker.terminate()
+    rejectJob({ message: 'Parsing cancelled', cancelled: true })
+  }
+
+  return { promise, cancel }
+}
+
+/**
+ * Parse a CSV file in a Web Worker
+ *
+ * @param {File} file - The CSV file object from input/drag-drop
+ * @param {Object} options
+ * @param {String} options.locale - Locale id to read numbers and dates with, or 'auto' to detect it
+ * @param {Function} options.onProgress - Called with { rowsParsed, bytesRead, totalBytes }
+ * @returns {Object} - { promise, cancel }
+ *                     - promise resolves with { data, validation, columns, summary, meta }
+ *                       (meta.locale is the locale used, meta.localeDetected if it was detected)
+ *                     - cancel() terminates the worker and rejects the promise
+ *
+ * Example usage:
+ *   const job = parseFileInWorker(file, { onProgress: setProgress })
+ *   const { data, columns } = await job.promise
+ */
+export const parseFileInWorker = (file, { locale = AUTO_LOCALE, onProgress } = {}) => {
+  const worker = createParserWorker()
+  return runParseJob(worker, { type: 'parse', file, locale }, {
+    onProgress,
+    onDone: () => worker.terminate()
+  })
+}
+
+/**
+ * Parse a JSON / NDJSON file in a Web Worker
+ *
+ * @param {File} file - The JSON file object
+ * @param {Object} options
+ * @param {String} options.format - 'auto', 'json' or 'ndjson'
+ * @param {Boolean} options.explodeArrays - Produce one row per array element
+ * @param {String} options.locale - Locale id for numbers and dates written as text, or 'auto'
+ * @param {Function} options.onProgress - Called with { rowsParsed, bytesRead, totalBytes }
+ * @returns {Object} - { promise, cancel }, same result shape as parseFileInWorker
+ */
+export const parseJSONInWorker = (file, { format = 'auto', explodeArrays = false, locale = AUTO_LOCALE, onProgress } = {}) => {
+  const worker = createParserWorker()
+  return runParseJob(worker, { type: 'parseJSON', file, options: { format, explodeArrays, locale } }, {
+    onProgress,
+    onDone: () => worker.terminate()
+  })
+}
+
+/**
+ * Open a spreadsheet (.xlsx/.xls/.ods) in a Web Worker
+ *
+ * The workbook stays loaded in the worker so the user can pick a sheet and
+ * header row before any rows are converted.
+ *
+ * @param {File} file - The spreadsheet file object
+ * @returns {Object} - { sheets, readSheet, close }
+ *                     - sheets: Promise resolving with [{ name, rowCount, columnCount, preview }]
+ *                     - readSheet(sheetName, headerRow, { locale, onProgress }): { promise, cancel },
+ *                       same result shape as parseFileInWorker
+ *                     - close(): terminate the worker
+ *
+ * Example usage:
+ *   const workbook = openWorkbookInWorker(file)
+ *   const sheets = await workbook.sheets
+ *   const { data } = await workbook.readSheet(sheets[0].name, 0).promise
+ */
+export const openWorkbookInWorker = (file) => {
+  const worker = createParserWorker()
+
+  const sheets = new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      const reply = event.data
+      if (reply.type === 'workbook') {
+        resolve(reply.sheets)
+      } else if (reply.type === 'error') {
+        worker.terminate()
+        reject({ message: reply.message, errors: reply.errors })
+      }
+    }
+    worker.onerror = (error) => {
+      worker.terminate()
+      reject({ message: 'Failed to read spreadsheet', error: error.message })
+    }
+    worker.postMessage({ type: 'openWorkbook', file })
+  })
+
+  const readSheet = (sheetName, headerRow = 0, { locale = AUTO_LOCALE, onProgress } = {}) => {
+    return runParseJob(worker, { type: 'readSheet', sheetName, headerRow, locale }, { onProgress })
+  }
+
+  const close = () => worker.terminate()
+
+  return { sheets, readSheet, close }
+}
+
+export default {
+  parseFileInWorker,
+  parseJSONInWorker,
+  openWorkbookInWorker
+}
@@ -0,0 +1,344 @@
+import { aggregateData } from './chartHelpers'
+
+/**
+ * Pivot Helpers Utility
+ *
+ * Cross-tabulates rows by one or more row dimensions and column dimensions,
+ * with one or more aggregated value fields. Every level of the row and
+ * column hierarchies is aggregated from the raw rows with aggregateData, so
+ * subtotals and grand totals of averages, minimums, etc. are exact (not
+ * sums of sums).
+ *
+ * Pivot config (stored on a dashboard widget with chartType 'pivot'):
+ * {
+ *   pivotRows: ['Region', 'Country'],           // row dimensions, outermost first
+ *   pivotColumns: ['Year'],                     // column dimensions, outermost first
+ *   pivotValues: [{ column: 'Revenue', aggregation: 'sum' }, { column: null, aggregation: 'count' }],
+ *   showSubtotals: true,
+ *   showGrandTotals: true,
+ *   heatmap: false
+ * }
+ */
+
+export const PIVOT_AGGREGATIONS = [
+  { id: 'sum', name: 'Sum' },
+  { id: 'avg', name: 'Average' },
+  { id: 'count', name: 'Count' },
+  { id: 'min', name: 'Min' },
+  { id: 'max', name: 'Max' }
+]
+
+// Most column combinations a pivot shows (the rest are dropped and reported)
+export const MAX_PIVOT_COLUMNS = 60
+
+// Most row combinations a pivot shows (the rest are dropped and reported)
+export const MAX_PIVOT_ROWS = 500
+
+// Label for empty dimension values
+export const BLANK_LABEL = '(blank)'
+
+// Separator for path keys (never part of a label read from a file)
+const SEPARATOR = '\u0000'
+
+const toLabel = (value) => {
+  if (value === null || value === undefined || value === '') return BLANK_LABEL
+  if (value instanceof Date) return value.toISOString().split('T')[0]
+  return String(value)
+}
+
+const compareLabels = (a, b) => a.localeCompare(b, undefined, { numeric: true })
+
+/**
+ * Key of a row or column path (e.g. ['North', 'France'])
+ *
+ * @param {Array} path - Dimension labels, outermost first
+ * @returns {String}
+ */
+export const toPathKey = (path) => path.join(SEPARATOR)
+
+/**
+ * Describe a value field
+ *
+ * @param {Object} field - { column, aggregation }
+ * @returns {String}
+ *
+ * Example usage:
+ *   getValueFieldLabel({ column: 'Revenue', aggregation: 'avg' })  // → 'Average of Revenue'
+ */
+export const getValueFieldLabel = (field) => {
+  if (!field.column) return 'Count of rows'
+  const name = PIVOT_AGGREGATIONS.find(item => item.id === field.aggregation)?.name || field.aggregation
+  return `${name} of ${field.column}`
+}
+
+/**
+ * Get a pivot's value fields (a row count when none are configured)
+ *
+ * @param {Object} config - Pivot config
+ * @returns {Array} - [{ column, aggregation }]
+ */
+export const getValueFields = (config) => {
+  const fields = (config.pivotValues || []).filter(field => field && (field.column || field.aggregation === 'count'))
+  return fields.length > 0 ? fields : [{ column: null, aggregation: 'count' }]
+}
+
+// Build a tree of { label, path, key, children } from full-depth paths
+const buildTree = (paths) => {
+  const root = { path: [], key: '', children: [] }
+  const nodes = new Map([['', root]])
+
+  paths.forEach(path => {
+    path.forEach((label, depth) => {
+      const nodePath = path.slice(0, depth + 1)
+      const key = toPathKey(nodePath)
+      if (nodes.has(key)) return
+      const node = { label, path: nodePath, key, depth, children: [] }
+      nodes.set(key, node)
+      nodes.get(toPathKey(path.slice(0, depth))).children.push(node)
+    })
+  })
+
+  const sortChildren = (node) => {
+    node.children.sort((a, b) => compareLabels(a.label, b.label))
+    node.children.forEach(sortChildren)
+  }
+  sortChildren(root)
+  return root
+}
+
+/**
+ * Build a pivot table
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Object} config - Pivot config (see above)
+ * @returns {Object} - {
+ *   rowTree,          // root node; children are { label, path, key, depth, children }
+ *   columnTree,       // same shape for the column dimensions
+ *   valueFields,      // [{ column, aggregation }]
+ *   getValue,         // (rowPath, columnPath, valueIndex) => Number|null
+ *   ranges,           // per value field { min, max } over the innermost cells (for heatmap coloring)
+ *   truncatedRows,    // number of row combinations dropped (see MAX_PIVOT_ROWS)
+ *   truncatedColumns  // number of column combinations dropped (see MAX_PIVOT_COLUMNS)
+ * }
+ *
+ * Example usage:
+ *   const pivot = buildPivot(data, { pivotRows: ['Region'], pivotColumns: ['Year'], pivotValues: [...] })
+ *   pivot.getValue(['North'], ['2024'], 0)  // North in 2024
+ *   pivot.getValue(['North'], [], 0)        // North, all years (row subtotal)
+ *   pivot.getValue([], [], 0)               // grand total
+ */
+export const buildPivot = (data, config) => {
+  const rowDims = config.pivotRows || []
+  const columnDims = config.pivotColumns || []
+  const valueFields = getValueFields(config)
+
+  // Dimensions and values under fixed keys, so a column can be both a dimension and a value
+  const rowKeys = rowDims.map((_, index) => `r${index}`)
+  const columnKeys = columnDims.map((_, index) => `c${index}`)
+  const rows = (data || []).map(row => {
+    const out = {}
+    rowDims.forEach((dim, index) => {
+      out[rowKeys[index]] = toLabel(row[dim])
+    })
+    columnDims.forEach((dim, index) => {
+      out[columnKeys[index]] = toLabel(row[dim])
+    })
+    valueFields.forEach((field, index) => {
+      if (!field.column) return
+      const value = row[field.column]
+      // aggregateData only counts numbers; count any non-empty cell
+      out[`v${index}`] = field.aggregation === 'count'
+        ? (value === null || value === undefined || value === '' ? null : 1)
+        : value
+    })
+    return out
+  })
+
+  const cells = new Map()
+  const cellKey = (rowPath, columnPath, valueIndex) =>
+    `${toPathKey(rowPath)}${SEPARATOR}${SEPARATOR}${toPathKey(columnPath)}${SEPARATOR}${SEPARATOR}${valueIndex}`
+
+  let rowPaths = []
+  let columnPaths = []
+
+  // Aggregate every (row level, column level) pair: level 0 is the total
+  for (let rowLevel = 0; rowLevel <= rowDims.length; rowLevel++) {
+    for (let columnLevel = 0; columnLevel <= columnDims.length; columnLevel++) {
+      const groupBy = [...rowKeys.slice(0, rowLevel), ...columnKeys.slice(0, columnLevel)]
+
+      valueFields.forEach((field, valueIndex) => {
+        const valueKey = field.column ? `v${valueIndex}` : null
+        aggregateData(rows, groupBy, valueKey, field.aggregation || 'sum').forEach(group => {
+          const rowPath = rowKeys.slice(0, rowLevel).map(key => group[key])
+          const columnPath = columnKeys.slice(0, columnLevel).map(key => group[key])
+          const value = group[valueKey || 'count']
+          // Groups without numeric values aggregate to NaN/Infinity
+          cells.set(cellKey(rowPath, columnPath, valueIndex), Number.isFinite(value) ? value : null)
+
+          if (valueIndex === 0 && rowLevel === rowDims.length && columnLevel === 0) rowPaths.push(rowPath)
+          if (valueIndex === 0 && rowLevel === 0 && columnLevel === columnDims.length) columnPaths.push(columnPath)
+        })
+      })
+    }
+  }
+
+  // Keep the first MAX_PIVOT_ROWS row and MAX_PIVOT_COLUMNS column combinations (in sorted order)
+  rowPaths.sort((a, b) => compareLabels(toPathKey(a), toPathKey(b)))
+  const truncatedRows = Math.max(0, rowPaths.length - MAX_PIVOT_ROWS)
+  rowPaths = rowPaths.slice(0, MAX_PIVOT_ROWS)
+
+  columnPaths.sort((a, b) => compareLabels(toPathKey(a), toPathKey(b)))
+  const truncatedColumns = Math.max(0, columnPaths.length - MAX_PIVOT_COLUMNS)
+  columnPaths = columnPaths.slice(0, MAX_PIVOT_COLUMNS)
+
+  const getValue = (rowPath, columnPath, valueIndex) => {
+    const value = cells.get(cellKey(rowPath, columnPath, valueIndex))
+    return value === undefined ? null : value
+  }
+
+  const ranges = valueFields.map((_, valueIndex) => {
+    let min = Infinity
+    let max = -Infinity
+    rowPaths.forEach(rowPath => {
+      columnPaths.forEach(columnPath => {
+        const value = getValue(rowPath, columnPath, valueIndex)
+        if (value === null) return
+        if (value < min) min = value
+        if (value > max) max = value
+      })
+    })
+    return min === Infinity ? null : { min, max }
+  })
+
+  return {
+    rowTree: buildTree(rowPaths),
+    columnTree: buildTree(columnPaths),
+    valueFields,
+    getValue,
+    ranges,
+    truncatedRows,
+    truncatedColumns
+  }
+}
+
+/**
+ * List the value columns of a pivot in display order: each column combination,
+ * followed by its group subtotal (when enabled), then the grand total
+ *
+ * @param {Object} columnTree - pivot.columnTree
+ * @param {Object} options - { showSubtotals, showGrandTotals }
+ * @returns {Array} - [{ path, type: 'cell' | 'subtotal' | 'total' }]
+ */
+export const getColumnSlots = (columnTree, { showSubtotals = true, showGrandTotals = true } = {}) => {
+  if (columnTree.children.length === 0) {
+    return [{ path: [], type: 'total' }]
+  }
+
+  const slots = []
+  const walk = (node) => {
+    if (node.children.length === 0) {
+      slots.push({ path: node.path, type: 'cell' })
+      return
+    }
+    node.children.forEach(walk)
+    if (showSubtotals && node.path.length > 0) {
+      slots.push({ path: node.path, type: 'subtotal' })
+    }
+  }
+  walk(columnTree)
+
+  if (showGrandTotals) {
+    slots.push({ path: [], type: 'total' })
+  }
+  return slots
+}
+
+/**
+ * List the rows to display, depth first, skipping children of collapsed nodes
+ *
+ * @param {Object} rowTree - pivot.rowTree
+ * @param {Set} collapsed - Keys of collapsed nodes
+ * @returns {Array} - Row nodes
+ */
+export const getVisibleRows = (rowTree, collapsed = new Set()) => {
+  const rows = []
+  const walk = (node) => {
+    node.children.forEach(child => {
+      rows.push(child)
+      if (child.children.length > 0 && !collapsed.has(child.key)) {
+        walk(child)
+      }
+    })
+  }
+  walk(rowTree)
+  return rows
+}
+
+/**
+ * Flatten a pivot into plain records for CSV/XLSX export: one column per row
+ * dimension, then one per (column combination, value field). Subtotal rows
+ * read 'Total' in the first empty dimension.
+ *
+ * @param {Object} pivot - Result of buildPivot
+ * @param {Object} config - Pivot config
+ * @returns {Array} - Array of objects with the headers as keys
+ */
+export const pivotToRecords = (pivot, config) => {
+  const rowDims = config.pivotRows || []
+  const slots = getColumnSlots(pivot.columnTree, config)
+  const showSubtotals = config.showSubtotals !== false
+
+  const valueHeaders = slots.flatMap(slot =>
+    pivot.valueFields.map(field => {
+      const columnLabel = slot.type === 'total'
+        ? (slot.path.length === 0 && pivot.columnTree.children.length > 0 ? 'Grand Total' : '')
+        : slot.type === 'subtotal' ? `${slot.path.join(' / ')} Total` : slot.path.join(' / ')
+      return columnLabel ? `${columnLabel} · ${getValueFieldLabel(field)}` : getValueFieldLabel(field)
+    })
+  )
+
+  const toRecord = (rowPath, dimLabels) => {
+    const record = {}
+    rowDims.forEach((dim, index) => {
+      record[dim] = dimLabels[index] ?? ''
+    })
+    let header = 0
+    slots.forEach(slot => {
+      pivot.valueFields.forEach((_, valueIndex) => {
+        record[valueHeaders[header++]] = pivot.getValue(rowPath, slot.path, valueIndex)
+      })
+    })
+    return record
+  }
+
+  const records = []
+  getVisibleRows(pivot.rowTree).forEach(node => {
+    if (node.children.length === 0) {
+      records.push(toRecord(node.path, node.path))
+    } else if (showSubtotals) {
+      records.push(toRecord(node.path, [...node.path, 'Total']))
+    }
+  })
+
+  if (config.showGrandTotals !== false || rowDims.length === 0) {
+    records.push(toRecord([], rowDims.length > 0 ? ['Grand Total'] : []))
+  }
+  return records
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  PIVOT_AGGREGATIONS,
+  MAX_PIVOT_COLUMNS,
+  MAX_PIVOT_ROWS,
+  BLANK_LABEL,
+  toPathKey,
+  getValueFieldLabel,
+  getValueFields,
+  buildPivot,
+  getColumnSlots,
+  getVisibleRows,
+  pivotToRecords
+}
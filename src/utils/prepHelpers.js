@@ -0,0 +1,728 @@
+import { toDate, parseDateWithFormat, hasTimeTokens } from './dateHelpers'
+import { compileCondition, getRegexError, isConditionActive } from './filterHelpers'
+import { validateCalculatedColumn } from './formulaHelpers'
+
+/**
+ * Data Prep Helpers Utility
+ *
+ * Cleans a dataset with a recipe: an ordered list of steps that is replayed
+ * on the rows as loaded, so any step can be removed later and the same
+ * cleanup can be run again on another file with the same columns.
+ *
+ * Steps (each also has an id):
+ * - { type: 'setType', column, dataType }                     // 'number', 'string', 'category', 'date' or 'boolean'
+ * - { type: 'rename', column, newName }
+ * - { type: 'drop', columns }
+ * - { type: 'cleanText', columns, trim, collapseWhitespace, textCase }  // textCase: 'none', 'lower', 'upper', 'title'
+ * - { type: 'parseDate', column, format }                     // e.g. 'DD/MM/YYYY' (see parseDateWithFormat)
+ * - { type: 'dedupe', columns, keep }                         // no columns = whole row; keep: 'first' or 'last'
+ * - { type: 'fillNulls', column, method, value }              // method: see FILL_METHODS
+ * - { type: 'split', column, separator, into, keepOriginal }  // into: names of the new columns
+ * - { type: 'merge', columns, separator, newName, keepOriginals }
+ * - { type: 'filterRows', condition }                         // keep matching rows; condition as in filterHelpers
+ *
+ * A saved recipe also carries the calculated columns built on top of the
+ * steps, and the headers of the file it was recorded on:
+ * { id, name, headers, prepSteps, calculatedColumns, autoApply, createdAt, updatedAt }
+ * When a new file's headers match (see findMatchingRecipe) the recipe runs
+ * on it; steps that need a column the file doesn't have are skipped and
+ * reported (see planRecipe).
+ *
+ * Empty cells (null, undefined or '') count as nulls, as in inferColumnTypes.
+ * Dates are written as 'YYYY-MM-DD' strings, or full ISO strings when they
+ * have a time, in UTC like the rest of the date helpers.
+ */
+
+export const PREP_STEP_TYPES = [
+  { id: 'setType', name: 'Change type', description: 'Override the detected type of a column' },
+  { id: 'rename', name: 'Rename column', description: 'Give a column a new name' },
+  { id: 'drop', name: 'Drop columns', description: 'Remove columns from the dataset' },
+  { id: 'cleanText', name: 'Clean text', description: 'Trim spaces and normalise letter case' },
+  { id: 'parseDate', name: 'Parse dates', description: 'Read dates written in a known format' },
+  { id: 'dedupe', name: 'Remove duplicates', description: 'Keep one row per combination of key columns' },
+  { id: 'fillNulls', name: 'Fill or drop empty cells', description: 'Replace empty cells or remove their rows' },
+  { id: 'split', name: 'Split column', description: 'Split a column on a separator into new columns' },
+  { id: 'merge', name: 'Merge columns', description: 'Join columns into a new column' },
+  { id: 'filterRows', name: 'Filter rows', description: 'Keep only the rows that match a condition' }
+]
+
+export const PREP_DATA_TYPES = [
+  { id: 'number', name: 'Number' },
+  { id: 'string', name: 'Text' },
+  { id: 'category', name: 'Category' },
+  { id: 'date', name: 'Date' },
+  { id: 'boolean', name: 'Boolean' }
+]
+
+export const TEXT_CASES = [
+  { id: 'none', name: 'Keep case' },
+  { id: 'lower', name: 'lower case' },
+  { id: 'upper', name: 'UPPER CASE' },
+  { id: 'title', name: 'Title Case' }
+]
+
+export const FILL_METHODS = [
+  { id: 'value', name: 'A fixed value' },
+  { id: 'mean', name: 'Column mean' },
+  { id: 'median', name: 'Column median' },
+  { id: 'mode', name: 'Most frequent value' },
+  { id: 'previous', name: 'Previous value' },
+  { id: 'next', name: 'Next value' },
+  { id: 'drop', name: 'Drop the row' }
+]
+
+// Header overlap (shared / all headers) a file needs for a saved recipe to run on it automatically
+export const RECIPE_MATCH_THRESHOLD = 0.8
+
+const TRUE_VALUES = ['true', 'yes', 'y', 't', '1']
+const FALSE_VALUES = ['false', 'no', 'n', 'f', '0']
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+// Dates as stored in the rows: date only when there's no time of day
+const formatDateValue = (date, withTime) =>
+  withTime ? date.toISOString() : date.toISOString().split('T')[0]
+
+const hasTime = (date) =>
+  date.getUTCHours() !== 0 || date.getUTCMinutes() !== 0 || date.getUTCSeconds() !== 0 || date.getUTCMilliseconds() !== 0
+
+// Convert a value for a type override (null when it can't be converted)
+const convertValue = (value, dataType) => {
+  if (isEmpty(value)) return null
+
+  switch (dataType) {
+    case 'number': {
+      if (typeof value === 'number') return Number.isFinite(value) ? value : null
+      if (typeof value === 'boolean') return value ? 1 : 0
+      if (value instanceof Date) return null
+      // Allow thousands separators, currency symbols, percent signs and spaces ("$1,200.50", "12 %")
+      const cleaned = String(value).replace(/[\s,$€£¥₹%]/g, '')
+      if (cleaned === '') return null
+      const number = Number(cleaned)
+      return Number.isFinite(number) ? number : null
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value
+      const text = String(value).trim().toLowerCase()
+      if (TRUE_VALUES.includes(text)) return true
+      if (FALSE_VALUES.includes(text)) return false
+      return null
+    }
+    case 'date': {
+      const date = toDate(value)
+      return date ? formatDateValue(date, hasTime(date)) : null
+    }
+    default:
+      if (value instanceof Date) return formatDateValue(value, hasTime(value))
+      return String(value)
+  }
+}
+
+const toTitleCase = (text) => text.toLowerCase().replace(/(^|[\s-])(\S)/g, (_, before, letter) => before + letter.toUpperCase())
+
+const cleanText = (value, { trim, collapseWhitespace, textCase }) => {
+  if (typeof value !== 'string') return value
+  let text = value
+  if (collapseWhitespace) text = text.replace(/\s+/g, ' ')
+  if (trim) text = text.trim()
+  if (textCase === 'lower') text = text.toLowerCase()
+  if (textCase === 'upper') text = text.toUpperCase()
+  if (textCase === 'title') text = toTitleCase(text)
+  return text
+}
+
+// The value used by 'value', 'mean', 'median' and 'mode' fills
+const getFillValue = (data, column, method, value) => {
+  const values = data.map(row => row[column]).filter(v => !isEmpty(v))
+  const numbers = values.filter(v => typeof v === 'number' && Number.isFinite(v))
+
+  switch (method) {
+    case 'value': {
+      // Numeric columns get a number
+      const number = Number(value)
+      return numbers.length > 0 && numbers.length === values.length && String(value).trim() !== '' && !isNaN(number)
+        ? number
+        : value
+    }
+    case 'mean':
+      return numbers.length > 0 ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null
+    case 'median': {
+      if (numbers.length === 0) return null
+      const sorted = [...numbers].sort((a, b) => a - b)
+      const middle = Math.floor(sorted.length / 2)
+      return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+    }
+    case 'mode': {
+      const counts = new Map()
+      let mode = null
+      let best = 0
+      values.forEach(v => {
+        const count = (counts.get(v) || 0) + 1
+        counts.set(v, count)
+        if (count > best) {
+          best = count
+          mode = v
+        }
+      })
+      return mode
+    }
+    default:
+      return null
+  }
+}
+
+// Rebuild a row with its columns in a new order (so renamed and new columns keep their place)
+const reorderRow = (row, columns, values = {}) => {
+  const out = {}
+  columns.forEach(name => {
+    out[name] = name in values ? values[name] : row[name]
+  })
+  return out
+}
+
+// Columns a step needs to find in the dataset
+const getStepInputs = (step) => {
+  switch (step.type) {
+    case 'drop':
+    case 'cleanText':
+    case 'dedupe':
+    case 'merge':
+      return step.columns || []
+    case 'filterRows':
+      return step.condition?.column ? [step.condition.column] : []
+    default:
+      return step.column ? [step.column] : []
+  }
+}
+
+/**
+ * List the columns after a step, without touching any data
+ *
+ * @param {Array} columns - Column names before the step
+ * @param {Object} step - Prep step
+ * @returns {Array} - Column names after the step
+ */
+export const getStepColumns = (columns, step) => {
+  switch (step.type) {
+    case 'rename':
+      return columns.map(name => (name === step.column ? step.newName.trim() : name))
+    case 'drop':
+      return columns.filter(name => !step.columns.includes(name))
+    case 'split': {
+      const index = columns.indexOf(step.column)
+      const into = step.into.map(name => name.trim())
+      return step.keepOriginal
+        ? [...columns.slice(0, index + 1), ...into, ...columns.slice(index + 1)]
+        : [...columns.slice(0, index), ...into, ...columns.slice(index + 1)]
+    }
+    case 'merge': {
+      // The new column takes the place of the first merged column (or follows it when the originals stay)
+      const first = Math.min(...step.columns.map(name => columns.indexOf(name)))
+      const kept = step.keepOriginals ? columns : columns.filter(name => !step.columns.includes(name))
+      const position = kept.filter(name => columns.indexOf(name) < first).length + (step.keepOriginals ? 1 : 0)
+      return [...kept.slice(0, position), step.newName.trim(), ...kept.slice(position)]
+    }
+    default:
+      return columns
+  }
+}
+
+/**
+ * Validate a step against the columns it runs on
+ *
+ * @param {Object} step - Prep step
+ * @param {Array} columns - Column names before the step
+ * @returns {Object} - { isValid, error }
+ *
+ * Example usage:
+ *   validatePrepStep({ type: 'rename', column: 'amt', newName: 'Amount' }, ['amt', 'date'])
+ *   // → { isValid: true, error: null }
+ */
+export const validatePrepStep = (step, columns) => {
+  const fail = (error) => ({ isValid: false, error })
+
+  if (!step || !PREP_STEP_TYPES.some(type => type.id === step.type)) {
+    return fail(`Unknown step "${step?.type}"`)
+  }
+
+  const inputs = getStepInputs(step)
+  const missing = inputs.filter(name => !columns.includes(name))
+  if (missing.length > 0) {
+    return fail(`Column${missing.length > 1 ? 's' : ''} not found: ${missing.join(', ')}`)
+  }
+
+  // A new column name must not clash with a column that is still there after the step
+  const checkNewName = (name, freed = []) => {
+    const trimmed = (name || '').trim()
+    if (!trimmed) return 'Enter a name for the new column'
+    if (columns.includes(trimmed) && !freed.includes(trimmed)) return `A column named "${trimmed}" already exists`
+    return null
+  }
+
+  switch (step.type) {
+    case 'setType':
+      if (!step.column) return fail('Choose a column')
+      if (!PREP_DATA_TYPES.some(type => type.id === step.dataType)) return fail('Choose a type')
+      break
+    case 'rename': {
+      if (!step.column) return fail('Choose a column')
+      const error = checkNewName(step.newName, [step.column])
+      if (error) return fail(error)
+      break
+    }
+    case 'drop':
+      if (inputs.length === 0) return fail('Choose at least one column')
+      if (inputs.length >= columns.length) return fail("Can't drop every column")
+      break
+    case 'cleanText':
+      if (inputs.length === 0) return fail('Choose at least one column')
+      if (!step.trim && !step.collapseWhitespace && (!step.textCase || step.textCase === 'none')) {
+        return fail('Choose something to clean')
+      }
+      break
+    case 'parseDate':
+      if (!step.column) return fail('Choose a column')
+      if (!/YY/.test(step.format || '')) return fail('The format needs a year (YYYY or YY)')
+      break
+    case 'dedupe':
+      if (!['first', 'last'].includes(step.keep || 'first')) return fail('Choose which row to keep')
+      break
+    case 'fillNulls':
+      if (!step.column) return fail('Choose a column')
+      if (!FILL_METHODS.some(method => method.id === step.method)) return fail('Choose how to fill empty cells')
+      if (step.method === 'value' && isEmpty(step.value)) return fail('Enter the value to fill with')
+      break
+    case 'split': {
+      if (!step.column) return fail('Choose a column')
+      if (!step.separator) return fail('Enter a separator')
+      const into = (step.into || []).map(name => (name || '').trim())
+      if (into.length < 2) return fail('Split into at least two columns')
+      for (const name of into) {
+        const error = checkNewName(name, step.keepOriginal ? [] : [step.column])
+        if (error) return fail(error)
+      }
+      if (new Set(into).size !== into.length) return fail('The new columns need different names')
+      break
+    }
+    case 'merge': {
+      if (inputs.length < 2) return fail('Choose at least two columns')
+      const error = checkNewName(step.newName, step.keepOriginals ? [] : inputs)
+      if (error) return fail(error)
+      break
+    }
+    case 'filterRows':
+      if (!step.condition?.column) return fail('Choose a column')
+      if (!isConditionActive(step.condition)) return fail('Narrow the condition down to the rows to keep')
+      if (step.condition.operator === 'regex' && getRegexError(step.condition.text)) {
+        return fail(getRegexError(step.condition.text))
+      }
+      break
+  }
+
+  return { isValid: true, error: null }
+}
+
+/**
+ * Apply one step to the rows
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Object} step - A valid prep step (see validatePrepStep)
+ * @returns {Array} - New rows
+ */
+export const applyPrepStep = (data, step) => {
+  if (!data || data.length === 0) return data
+  const columns = Object.keys(data[0])
+
+  switch (step.type) {
+    case 'setType':
+      return data.map(row => ({ ...row, [step.column]: convertValue(row[step.column], step.dataType) }))
+
+    case 'rename': {
+      const after = getStepColumns(columns, step)
+      return data.map(row => {
+        const out = {}
+        columns.forEach((name, index) => {
+          out[after[index]] = row[name]
+        })
+        return out
+      })
+    }
+
+    case 'drop': {
+      const after = getStepColumns(columns, step)
+      return data.map(row => reorderRow(row, after))
+    }
+
+    case 'cleanText':
+      return data.map(row => {
+        const out = { ...row }
+        step.columns.forEach(name => {
+          out[name] = cleanText(row[name], step)
+        })
+        return out
+      })
+
+    case 'parseDate': {
+      const withTime = hasTimeTokens(step.format)
+      return data.map(row => {
+        const date = parseDateWithFormat(row[step.column], step.format)
+        return { ...row, [step.column]: date ? formatDateValue(date, withTime) : null }
+      })
+    }
+
+    case 'dedupe': {
+      const keys = step.columns && step.columns.length > 0 ? step.columns : columns
+      const getKey = (row) => JSON.stringify(keys.map(name => (isEmpty(row[name]) ? null : row[name])))
+      if (step.keep === 'last') {
+        const lastIndex = new Map(data.map((row, index) => [getKey(row), index]))
+        return data.filter((row, index) => lastIndex.get(getKey(row)) === index)
+      }
+      const seen = new Set()
+      return data.filter(row => {
+        const key = getKey(row)
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+    }
+
+    case 'fillNulls': {
+      const { column, method } = step
+      if (method === 'drop') return data.filter(row => !isEmpty(row[column]))
+
+      if (method === 'previous' || method === 'next') {
+        const ordered = method === 'previous' ? data : [...data].reverse()
+        let last = null
+        const filled = ordered.map(row => {
+          if (!isEmpty(row[column])) {
+            last = row[column]
+            return row
+          }
+          return last === null ? row : { ...row, [column]: last }
+        })
+        return method === 'previous' ? filled : filled.reverse()
+      }
+
+      const fill = getFillValue(data, column, method, step.value)
+      if (fill === null) return data
+      return data.map(row => (isEmpty(row[column]) ? { ...row, [column]: fill } : row))
+    }
+
+    case 'split': {
+      const into = step.into.map(name => name.trim())
+      const after = getStepColumns(columns, step)
+      return data.map(row => {
+        const value = row[step.column]
+        const parts = isEmpty(value) ? [] : String(value).split(step.separator)
+        // The last column takes whatever is left over
+        const rest = parts.slice(into.length - 1).join(step.separator)
+        const values = {}
+        into.forEach((name, index) => {
+          const part = index === into.length - 1 ? rest : parts[index]
+          values[name] = isEmpty(part) ? null : part.trim()
+        })
+        return reorderRow(row, after, values)
+      })
+    }
+
+    case 'merge': {
+      const after = getStepColumns(columns, step)
+      const newName = step.newName.trim()
+      const separator = step.separator ?? ''
+      return data.map(row => {
+        const parts = step.columns
+          .map(name => row[name])
+          .filter(value => !isEmpty(value))
+          .map(value => (value instanceof Date ? formatDateValue(value, hasTime(value)) : String(value)))
+        return reorderRow(row, after, { [newName]: parts.length > 0 ? parts.join(separator) : null })
+      })
+    }
+
+    case 'filterRows': {
+      const predicate = compileCondition(step.condition)
+      return predicate ? data.filter(predicate) : data
+    }
+
+    default:
+      return data
+  }
+}
+
+/**
+ * Replay a recipe on the rows as loaded. Steps that don't fit the data
+ * (e.g. a column that isn't there) are skipped and reported.
+ *
+ * @param {Array} data - Array of data objects
+ * @param {Array} steps - Prep steps in order
+ * @returns {Object} - {
+ *   data,           // cleaned rows
+ *   rowIds,         // each cleaned row's position in the rows as loaded (a stable row id)
+ *   typeOverrides,  // { columnName: type } for inferColumnTypes
+ *   errors          // [{ index, step, error }] for the skipped steps
+ * }
+ *
+ * Example usage:
+ *   const { data, typeOverrides } = applyRecipe(rows, [
+ *     { id: 'a', type: 'parseDate', column: 'Date', format: 'DD/MM/YYYY' },
+ *     { id: 'b', type: 'dedupe', columns: ['Order ID'], keep: 'first' }
+ *   ])
+ *   getDataSummary(data, { typeOverrides })
+ */
+export const applyRecipe = (data, steps) => {
+  let rows = data
+  let rowIds = (data || []).map((_, index) => index)
+  let columns = data && data.length > 0 ? Object.keys(data[0]) : []
+  let typeOverrides = {}
+  const errors = []
+
+  for (const [index, step] of (steps || []).entries()) {
+    const { isValid, error } = validatePrepStep(step, columns)
+    if (!isValid) {
+      errors.push({ index, step, error })
+      continue
+    }
+
+    // Steps keep the row order: one that keeps every row maps them one to one,
+    // and one that drops rows returns the kept row objects as they were
+    const next = applyPrepStep(rows, step)
+    if (next && next.length !== rows.length) {
+      const idOf = new Map(rows.map((row, index) => [row, rowIds[index]]))
+      rowIds = next.map(row => idOf.get(row))
+    }
+    rows = next
+    const after = getStepColumns(columns, step)
+
+    // Overrides follow their column through renames and go away with it
+    if (step.type === 'rename' && typeOverrides[step.column]) {
+      typeOverrides[step.newName.trim()] = typeOverrides[step.column]
+    }
+    typeOverrides = Object.fromEntries(Object.entries(typeOverrides).filter(([name]) => after.includes(name)))
+    if (step.type === 'setType') typeOverrides[step.column] = step.dataType
+    if (step.type === 'parseDate') typeOverrides[step.column] = 'date'
+
+    columns = after
+  }
+
+  return { data: rows, rowIds, typeOverrides, errors }
+}
+
+// Describe a filter condition (see filterHelpers for the shapes)
+const describeCondition = (condition) => {
+  const { column } = condition
+  switch (condition.type) {
+    case 'number': {
+      const hasMin = condition.min !== null && condition.min !== undefined && condition.min !== ''
+      const hasMax = condition.max !== null && condition.max !== undefined && condition.max !== ''
+      if (hasMin && hasMax) return `${column} between ${condition.min} and ${condition.max}`
+      return hasMin ? `${column} ≥ ${condition.min}` : `${column} ≤ ${condition.max}`
+    }
+    case 'date':
+      if (condition.from && condition.to) return `${column} from ${condition.from} to ${condition.to}`
+      return condition.from ? `${column} from ${condition.from}` : `${column} until ${condition.to}`
+    case 'category':
+      return `${column} in ${(condition.values || []).join(', ')}`
+    case 'boolean':
+      return `${column} is ${condition.value}`
+    default:
+      return condition.operator === 'regex' ? `${column} matches /${condition.text}/` : `${column} contains "${condition.text}"`
+  }
+}
+
+/**
+ * Describe a step in a few words for the recipe list
+ *
+ * @param {Object} step - Prep step
+ * @returns {String}
+ *
+ * Example usage:
+ *   describePrepStep({ type: 'setType', column: 'Zip', dataType: 'string' })  // → 'Zip → Text'
+ */
+export const describePrepStep = (step) => {
+  const list = (names) => (names && names.length > 0 ? names.join(', ') : 'all columns')
+  const nameOf = (items, id) => items.find(item => item.id === id)?.name || id
+
+  switch (step.type) {
+    case 'setType':
+      return `${step.column} → ${nameOf(PREP_DATA_TYPES, step.dataType)}`
+    case 'rename':
+      return `${step.column} → ${step.newName}`
+    case 'drop':
+      return list(step.columns)
+    case 'cleanText': {
+      const actions = [
+        step.trim && 'trim',
+        step.collapseWhitespace && 'collapse spaces',
+        step.textCase && step.textCase !== 'none' && nameOf(TEXT_CASES, step.textCase)
+      ].filter(Boolean)
+      return `${list(step.columns)}: ${actions.join(', ')}`
+    }
+    case 'parseDate':
+      return `${step.column} as ${step.format}`
+    case 'dedupe':
+      return `on ${list(step.columns)}, keep ${step.keep || 'first'}`
+    case 'fillNulls':
+      return step.method === 'value'
+        ? `${step.column} with "${step.value}"`
+        : `${step.column}: ${nameOf(FILL_METHODS, step.method).toLowerCase()}`
+    case 'split':
+      return `${step.column} on "${step.separator}" → ${step.into.join(', ')}`
+    case 'merge':
+      return `${step.columns.join(' + ')} → ${step.newName}`
+    case 'filterRows':
+      return describeCondition(step.condition)
+    default:
+      return step.type
+  }
+}
+
+/**
+ * Get the name of a step type
+ *
+ * @param {String} type - Step type id
+ * @returns {String}
+ */
+export const getPrepStepTypeName = (type) => PREP_STEP_TYPES.find(item => item.id === type)?.name || type
+
+/**
+ * Create a saved recipe from the current prep steps and calculated columns
+ *
+ * @param {Object} options
+ * @param {String} options.name - Recipe name
+ * @param {Array} options.headers - Headers of the file the recipe was recorded on
+ * @param {Array} options.prepSteps - Prep steps
+ * @param {Array} options.calculatedColumns - Calculated columns ({ id, name, expression })
+ * @returns {Object} - Recipe
+ */
+export const createRecipe = ({ name, headers = [], prepSteps = [], calculatedColumns = [] }) => {
+  const now = new Date().toISOString()
+  return {
+    id: `recipe_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: name.trim(),
+    headers: [...headers],
+    // Deep copy so later edits to the workspace don't change the saved recipe
+    prepSteps: JSON.parse(JSON.stringify(prepSteps)),
+    calculatedColumns: JSON.parse(JSON.stringify(calculatedColumns)),
+    autoApply: true,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+/**
+ * Score how well a file's headers match a recipe's (shared headers / all headers)
+ *
+ * @param {Array} recipeHeaders - Headers the recipe was recorded on
+ * @param {Array} headers - Headers of the new file
+ * @returns {Number} - 0 to 1 (1 = same headers, in any order)
+ */
+export const getHeaderMatch = (recipeHeaders, headers) => {
+  const recorded = new Set(recipeHeaders)
+  const current = new Set(headers)
+  const shared = [...current].filter(name => recorded.has(name)).length
+  const total = new Set([...recorded, ...current]).size
+  return total === 0 ? 0 : shared / total
+}
+
+/**
+ * Find the saved recipe to run on a newly loaded file: the auto-applied recipe
+ * whose headers match best (at least RECIPE_MATCH_THRESHOLD), the most
+ * recently saved one on a tie
+ *
+ * @param {Array} recipes - Saved recipes
+ * @param {Array} headers - Headers of the new file
+ * @returns {Object|null} - Recipe, or null if none matches
+ *
+ * Example usage:
+ *   findMatchingRecipe(savedRecipes, Object.keys(data[0]))
+ */
+export const findMatchingRecipe = (recipes, headers) => {
+  let best = null
+  let bestScore = 0
+  for (const recipe of recipes || []) {
+    if (recipe.autoApply === false) continue
+    const score = getHeaderMatch(recipe.headers, headers)
+    if (score < RECIPE_MATCH_THRESHOLD) continue
+    if (score > bestScore || (score === bestScore && recipe.updatedAt > best.updatedAt)) {
+      best = recipe
+      bestScore = score
+    }
+  }
+  return best
+}
+
+/**
+ * Work out which parts of a saved recipe apply to a file, from its headers
+ *
+ * @param {Object} recipe - Saved recipe
+ * @param {Array} headers - Headers of the new file
+ * @returns {Object} - {
+ *   prepSteps,          // steps that apply
+ *   calculatedColumns,  // calculated columns that apply
+ *   report: {
+ *     recipeId, recipeName,
+ *     missingColumns,   // recipe headers the file doesn't have
+ *     addedColumns,     // file headers the recipe wasn't recorded on
+ *     results           // [{ kind: 'step' | 'calculatedColumn', label, applied, error }] in recipe order
+ *   }
+ * }
+ */
+export const planRecipe = (recipe, headers) => {
+  const results = []
+  const prepSteps = []
+  const calculatedColumns = []
+
+  let columns = headers
+  recipe.prepSteps.forEach(step => {
+    const { isValid, error } = validatePrepStep(step, columns)
+    results.push({
+      kind: 'step',
+      label: `${getPrepStepTypeName(step.type)}: ${describePrepStep(step)}`,
+      applied: isValid,
+      error
+    })
+    if (!isValid) return
+    prepSteps.push(step)
+    columns = getStepColumns(columns, step)
+  })
+
+  // Calculated columns read the prepared columns and the calculated columns before them
+  recipe.calculatedColumns.forEach(column => {
+    const readable = [...columns, ...calculatedColumns.map(item => item.name)]
+    const { isValid, error } = validateCalculatedColumn(column, readable)
+    results.push({ kind: 'calculatedColumn', label: `${column.name} = ${column.expression}`, applied: isValid, error })
+    if (isValid) calculatedColumns.push(column)
+  })
+
+  return {
+    prepSteps,
+    calculatedColumns,
+    report: {
+      recipeId: recipe.id,
+      recipeName: recipe.name,
+      missingColumns: recipe.headers.filter(name => !headers.includes(name)),
+      addedColumns: headers.filter(name => !recipe.headers.includes(name)),
+      results
+    }
+  }
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  PREP_STEP_TYPES,
+  PREP_DATA_TYPES,
+  TEXT_CASES,
+  FILL_METHODS,
+  getStepColumns,
+  validatePrepStep,
+  applyPrepStep,
+  applyRecipe,
+  describePrepStep,
+  getPrepStepTypeName,
+  RECIPE_MATCH_THRESHOLD,
+  createRecipe,
+  getHeaderMatch,
+  findMatchingRecipe,
+  planRecipe
+}
@@ -0,0 +1,415 @@
+import { buildHistogram } from './tableHelpers'
+import { toDate } from './dateHelpers'
+
+/**
+ * Profile Helpers Utility
+ *
+ * Profiles a whole dataset for the Data Profile page: statistics per column
+ * (by column type) and across columns (correlations, duplicate rows). A
+ * profile is plain data, so it can be built in a worker (see
+ * profile.worker.js) and written out as a standalone HTML report (see
+ * exportProfileReport).
+ *
+ * Profile shape:
+ * {
+ *   rowCount, columnCount, missingCellCount,
+ *   duplicateRowCount,             // rows identical to an earlier row
+ *   columns: [{
+ *     name, type, semanticType, count, nullCount, distinctCount,
+ *     number,                      // numbers: see profileNumbers
+ *     text,                        // strings and categories: see profileText
+ *     date,                        // dates: see profileDates
+ *     boolean                      // booleans: { trueCount, falseCount }
+ *   }],
+ *   correlations                   // { columns, matrix } Pearson r between number columns
+ * }
+ *
+ * Dates are read like the rest of the app (see toDate): as UTC, so days
+ * and weekdays are the ones written in the cells.
+ */
+
+// Above this many rows, the profile is built in a worker
+export const PROFILE_WORKER_ROW_THRESHOLD = 50000
+
+export const PROFILE_HISTOGRAM_BINS = 20
+export const PROFILE_TOP_VALUES = 10
+export const PROFILE_TOP_PATTERNS = 8
+// Number columns in the correlation matrix (the first ones, in column order)
+export const MAX_CORRELATION_COLUMNS = 20
+
+export const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+const DAY = 24 * 60 * 60 * 1000
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value)
+    return Number.isFinite(number) ? number : null
+  }
+  return null
+}
+
+// Linear interpolation between the closest ranks, as in box plots
+const getQuantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+/**
+ * Statistics of a number column
+ *
+ * @param {Array} values - Numbers (no empty cells)
+ * @returns {Object} - {
+ *   min, max, mean, median, q1, q3, stdDev,
+ *   skewness,        // 0 for symmetric data, > 0 when the tail is on the right
+ *   zeroCount, negativeCount,
+ *   histogram        // [{ start, end, count }]
+ * }
+ */
+export const profileNumbers = (values) => {
+  if (values.length === 0) return null
+
+  const sorted = Float64Array.from(values).sort()
+  const n = sorted.length
+  let sum = 0
+  let zeroCount = 0
+  let negativeCount = 0
+  for (const value of sorted) {
+    sum += value
+    if (value === 0) zeroCount++
+    if (value < 0) negativeCount++
+  }
+  const mean = sum / n
+
+  let m2 = 0
+  let m3 = 0
+  for (const value of sorted) {
+    const d = value - mean
+    m2 += d * d
+    m3 += d * d * d
+  }
+  // Sample standard deviation; skewness as the Fisher-Pearson coefficient
+  const stdDev = n > 1 ? Math.sqrt(m2 / (n - 1)) : 0
+  const skewness = m2 > 0 ? (m3 / n) / Math.pow(m2 / n, 1.5) : 0
+
+  return {
+    min: sorted[0],
+    max: sorted[n - 1],
+    mean,
+    median: getQuantile(sorted, 0.5),
+    q1: getQuantile(sorted, 0.25),
+    q3: getQuantile(sorted, 0.75),
+    stdDev,
+    skewness,
+    zeroCount,
+    negativeCount,
+    histogram: buildHistogram(sorted, PROFILE_HISTOGRAM_BINS)
+  }
+}
+
+/**
+ * Shape of a text value: upper-case letters become 'A', lower-case 'a',
+ * digits '9', and runs of the same class collapse to one, so 'AB-1234'
+ * and 'XY-99' share the pattern 'A-9'
+ *
+ * @param {String} text - Text
+ * @returns {String}
+ */
+export const getTextPattern = (text) => {
+  let pattern = ''
+  for (const char of text) {
+    let symbol = char
+    if (/\p{Lu}/u.test(char)) symbol = 'A'
+    else if (/\p{L}/u.test(char)) symbol = 'a'
+    else if (/\d/.test(char)) symbol = '9'
+    else if (/\s/.test(char)) symbol = ' '
+    if (pattern[pattern.length - 1] !== symbol || !'Aa9 '.includes(symbol)) pattern += symbol
+  }
+  return pattern
+}
+
+/**
+ * Statistics of a text column
+ *
+ * @param {Array} values - Text values (no empty cells)
+ * @returns {Object} - {
+ *   topValues,       // [{ value, count, share }], most frequent first
+ *   length,          // { min, max, mean, histogram } in characters
+ *   patterns         // [{ pattern, count, share, example }] (see getTextPattern), most frequent first
+ * }
+ */
+export const profileText = (values) => {
+  if (values.length === 0) return null
+
+  const counts = new Map()
+  const lengths = []
+  let lengthSum = 0
+  for (const value of values) {
+    const text = String(value)
+    counts.set(text, (counts.get(text) || 0) + 1)
+    lengths.push(text.length)
+    lengthSum += text.length
+  }
+
+  // Patterns of the distinct values, weighted by how often each value occurs
+  const patterns = new Map()
+  counts.forEach((count, text) => {
+    const pattern = getTextPattern(text)
+    const entry = patterns.get(pattern)
+    if (entry) entry.count += count
+    else patterns.set(pattern, { pattern, count, example: text })
+  })
+
+  const share = (count) => count / values.length
+  const lengthRange = lengths.reduce(
+    (range, length) => ({ min: Math.min(range.min, length), max: Math.max(range.max, length) }),
+    { min: Infinity, max: -Infinity }
+  )
+  const lengthBins = Math.min(PROFILE_HISTOGRAM_BINS, lengthRange.max - lengthRange.min + 1)
+
+  return {
+    topValues: Array.from(counts, ([value, count]) => ({ value, count, share: share(count) }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, PROFILE_TOP_VALUES),
+    length: {
+      ...lengthRange,
+      mean: lengthSum / values.length,
+      histogram: buildHistogram(lengths, lengthBins)
+    },
+    patterns: Array.from(patterns.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, PROFILE_TOP_PATTERNS)
+      .map(entry => ({ ...entry, share: share(entry.count) }))
+  }
+}
+
+// Day number (days since 1970-01-01) and weekday (0 = Monday) of a date cell
+const readDay = (value) => {
+  const date = toDate(value)
+  if (!date) return null
+  return { day: Math.floor(date.getTime() / DAY), weekday: (date.getUTCDay() + 6) % 7 }
+}
+
+const dayToISO = (day) => new Date(day * DAY).toISOString().slice(0, 10)
+
+/**
+ * Statistics of a date column
+ *
+ * @param {Array} values - Dates or date strings (no empty cells)
+ * @returns {Object} - {
+ *   min, max,          // 'YYYY-MM-DD'
+ *   rangeDays, distinctDays,
+ *   typicalStepDays,   // median days between consecutive dates
+ *   gapCount,          // steps more than twice the typical step
+ *   largestGaps,       // [{ from, to, days }] the 5 longest of those, longest first
+ *   weekdays           // [count] Monday to Sunday
+ * }
+ */
+export const profileDates = (values) => {
+  const days = new Set()
+  const weekdays = new Array(7).fill(0)
+  for (const value of values) {
+    const read = readDay(value)
+    if (!read) continue
+    days.add(read.day)
+    weekdays[read.weekday]++
+  }
+  if (days.size === 0) return null
+
+  const sorted = Float64Array.from(days).sort()
+  const steps = []
+  for (let i = 1; i < sorted.length; i++) {
+    steps.push({ from: sorted[i - 1], to: sorted[i], days: sorted[i] - sorted[i - 1] })
+  }
+  const typicalStepDays = steps.length > 0
+    ? getQuantile(Float64Array.from(steps, step => step.days).sort(), 0.5)
+    : 0
+  const gaps = steps.filter(step => step.days > 2 * typicalStepDays)
+
+  return {
+    min: dayToISO(sorted[0]),
+    max: dayToISO(sorted[sorted.length - 1]),
+    rangeDays: sorted[sorted.length - 1] - sorted[0],
+    distinctDays: sorted.length,
+    typicalStepDays,
+    gapCount: gaps.length,
+    largestGaps: gaps
+      .sort((a, b) => b.days - a.days)
+      .slice(0, 5)
+      .map(gap => ({ from: dayToISO(gap.from), to: dayToISO(gap.to), days: gap.days })),
+    weekdays
+  }
+}
+
+/**
+ * Pearson correlation between number columns, over the rows where both
+ * values are numbers
+ *
+ * @param {Array} rows - Rows
+ * @param {Array} names - Number column names
+ * @returns {Object} - { columns: names, matrix: [[r]] } (r is null with fewer than 3 shared rows or no variance)
+ */
+export const getCorrelationMatrix = (rows, names) => {
+  const columns = names.slice(0, MAX_CORRELATION_COLUMNS)
+  const k = columns.length
+  const values = columns.map(name => Float64Array.from(rows, row => toNumber(row[name]) ?? NaN))
+  const matrix = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) => (i === j ? 1 : null)))
+
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      const x = values[i]
+      const y = values[j]
+      // Welford-style running means and co-moments: the one-pass sum of
+      // squares formula cancels catastrophically on large values
+      let n = 0
+      let meanX = 0
+      let meanY = 0
+      let cXY = 0
+      let cXX = 0
+      let cYY = 0
+      for (let r = 0; r < rows.length; r++) {
+        const a = x[r]
+        const b = y[r]
+        if (Number.isNaN(a) || Number.isNaN(b)) continue
+        n++
+        const dx = a - meanX
+        const dy = b - meanY
+        meanX += dx / n
+        meanY += dy / n
+        cXY += dx * (b - meanY)
+        cXX += dx * (a - meanX)
+        cYY += dy * (b - meanY)
+      }
+      const denominator = Math.sqrt(cXX * cYY)
+      const r = n >= 3 && denominator > 0 ? cXY / denominator : null
+      matrix[i][j] = r === null ? null : Math.max(-1, Math.min(1, r))
+      matrix[j][i] = matrix[i][j]
+    }
+  }
+
+  return { columns, matrix }
+}
+
+/**
+ * Count rows identical to an earlier row (in every column)
+ *
+ * @param {Array} rows - Rows
+ * @param {Array} names - Column names
+ * @returns {Number}
+ */
+export const countDuplicateRows = (rows, names) => {
+  const seen = new Set()
+  let duplicates = 0
+  for (const row of rows) {
+    const key = JSON.stringify(names.map(name => (isEmpty(row[name]) ? null : row[name])))
+    if (seen.has(key)) duplicates++
+    else seen.add(key)
+  }
+  return duplicates
+}
+
+/**
+ * Profile a dataset
+ *
+ * @param {Array} rows - Rows
+ * @param {Array} columns - Column metadata (inferColumnTypes)
+ * @returns {Object} - Profile (see above)
+ *
+ * Example usage:
+ *   const profile = profileDataset(csvData, dataColumns)
+ *   profile.columns.find(col => col.name === 'Revenue').number.median
+ *   profile.correlations.matrix[0][1]  // → r between the first two number columns
+ */
+export const profileDataset = (rows, columns) => {
+  let missingCellCount = 0
+
+  const profiles = columns.map(column => {
+    const present = []
+    for (const row of rows) {
+      const value = row[column.name]
+      if (isEmpty(value)) continue
+      present.push(value)
+    }
+    missingCellCount += rows.length - present.length
+
+    const profile = {
+      name: column.name,
+      type: column.type,
+      semanticType: column.semanticType || null,
+      count: rows.length,
+      nullCount: rows.length - present.length,
+      distinctCount: new Set(present.map(value => (value instanceof Date ? value.getTime() : value))).size,
+      number: null,
+      text: null,
+      date: null,
+      boolean: null
+    }
+
+    switch (column.type) {
+      case 'number':
+        profile.number = profileNumbers(present.map(toNumber).filter(value => value !== null))
+        break
+      case 'date':
+        profile.date = profileDates(present)
+        break
+      case 'boolean':
+        profile.boolean = {
+          trueCount: present.filter(value => value === true).length,
+          falseCount: present.filter(value => value === false).length
+        }
+        break
+      default:
+        profile.text = profileText(present)
+    }
+    return profile
+  })
+
+  const names = columns.map(column => column.name)
+  return {
+    rowCount: rows.length,
+    columnCount: columns.length,
+    missingCellCount,
+    duplicateRowCount: countDuplicateRows(rows, names),
+    columns: profiles,
+    correlations: getCorrelationMatrix(rows, columns.filter(column => column.type === 'number').map(column => column.name))
+  }
+}
+
+/**
+ * Describe a correlation coefficient, e.g. 'strong positive'
+ *
+ * @param {Number} r - Pearson r
+ * @returns {String}
+ */
+export const describeCorrelation = (r) => {
+  if (r === null || r === undefined) return 'not enough data'
+  const strength = Math.abs(r)
+  const label = strength >= 0.7 ? 'strong' : strength >= 0.4 ? 'moderate' : strength >= 0.2 ? 'weak' : 'no clear'
+  if (label === 'no clear') return 'no clear correlation'
+  return `${label} ${r > 0 ? 'positive' : 'negative'}`
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  PROFILE_WORKER_ROW_THRESHOLD,
+  PROFILE_HISTOGRAM_BINS,
+  PROFILE_TOP_VALUES,
+  PROFILE_TOP_PATTERNS,
+  MAX_CORRELATION_COLUMNS,
+  WEEKDAY_NAMES,
+  profileNumbers,
+  getTextPattern,
+  profileText,
+  profileDates,
+  getCorrelationMatrix,
+  countDuplicateRows,
+  profileDataset,
+  describeCorrelation
+}
@@ -0,0 +1,401 @@
+import { compileFormula, validateFormula } from './formulaHelpers'
+import { getRegexError } from './filterHelpers'
+import { toDate } from './dateHelpers'
+
+/**
+ * Data Quality Helpers Utility
+ *
+ * Checks a dataset against declarative rules and turns the results into a
+ * quality score. Each dataset keeps its own ruleset, checked on its
+ * prepared rows (after prep steps, edits and calculated columns).
+ *
+ * Rules (each also has an id):
+ * - { type: 'notNull', column }
+ * - { type: 'unique', column }
+ * - { type: 'inRange', column, min, max }            // either bound may be empty; dates compare as dates
+ * - { type: 'regex', column, pattern }               // the whole value must match (case-sensitive)
+ * - { type: 'allowedValues', column, values }        // values compare as text
+ * - { type: 'reference', column, datasetId, refColumn } // every value appears in another dataset's column
+ * - { type: 'expression', expression }               // a formula (see formulaHelpers) that must be TRUE per row
+ *
+ * Like SQL constraints, only notNull looks at empty cells: other rules skip
+ * them, and an expression that evaluates to NULL doesn't count either way.
+ *
+ * The quality score is the mean pass rate of the rules (0-100); without
+ * rules it stays the share of non-empty cells (see getDataSummary).
+ */
+
+export const QUALITY_RULE_TYPES = [
+  { id: 'notNull', name: 'Not null', description: 'Every row has a value' },
+  { id: 'unique', name: 'Unique', description: 'No value appears twice' },
+  { id: 'inRange', name: 'In range', description: 'Values lie between a minimum and a maximum' },
+  { id: 'regex', name: 'Matches pattern', description: 'Values match a regular expression' },
+  { id: 'allowedValues', name: 'Allowed values', description: 'Values come from a fixed list' },
+  { id: 'reference', name: 'Exists in dataset', description: "Values appear in another dataset's column" },
+  { id: 'expression', name: 'Custom expression', description: 'A formula that must be TRUE for every row' }
+]
+
+// Offending rows kept per rule (the counts are always complete)
+export const MAX_FAILING_ROWS = 500
+
+// From this many rows on, rules are checked in a worker (quality.worker.js) so
+// a slow pattern or expression can't freeze the tab
+export const QUALITY_WORKER_ROW_THRESHOLD = 50000
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+const toKey = (value) => (value instanceof Date ? value.toISOString() : String(value))
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === ''
+
+// Numbers compare as numbers, anything else that reads as a date as a timestamp
+const toComparable = (value) => {
+  if (typeof value === 'number') return value
+  if (value instanceof Date) return value.getTime()
+  const text = String(value).trim()
+  if (text !== '' && !isNaN(Number(text))) return Number(text)
+  return toDate(text)?.getTime() ?? null
+}
+
+/**
+ * Generate a unique rule id
+ *
+ * @returns {String}
+ */
+export const generateRuleId = () => `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Create a rule with default settings
+ *
+ * @param {String} type - Rule type (see QUALITY_RULE_TYPES)
+ * @param {String} column - Column to check (unused by expression rules)
+ * @returns {Object} - Rule
+ */
+export const createQualityRule = (type, column = '') => {
+  const base = { id: generateRuleId(), type }
+  switch (type) {
+    case 'inRange':
+      return { ...base, column, min: '', max: '' }
+    case 'regex':
+      return { ...base, column, pattern: '' }
+    case 'allowedValues':
+      return { ...base, column, values: [] }
+    case 'reference':
+      return { ...base, column, datasetId: '', refColumn: '' }
+    case 'expression':
+      return { ...base, expression: '' }
+    default:
+      return { ...base, column }
+  }
+}
+
+/**
+ * Check a rule's settings
+ *
+ * @param {Object} rule - Rule
+ * @param {Array} columnNames - Columns of the dataset
+ * @param {Array} datasets - All datasets (for reference rules)
+ * @returns {Object} - { isValid, error }
+ *
+ * Example usage:
+ *   validateQualityRule({ type: 'regex', column: 'SKU', pattern: '[A-Z]{3}-\\d+' }, ['SKU'])
+ *   // → { isValid: true, error: null }
+ */
+export const validateQualityRule = (rule, columnNames, datasets = []) => {
+  if (rule.type !== 'expression' && !columnNames.includes(rule.column)) {
+    return { isValid: false, error: rule.column ? `Column "${rule.column}" not found` : 'Choose a column' }
+  }
+
+  switch (rule.type) {
+    case 'notNull':
+    case 'unique':
+      return { isValid: true, error: null }
+    case 'inRange': {
+      if (isBlank(rule.min) && isBlank(rule.max)) return { isValid: false, error: 'Enter a minimum, a maximum or both' }
+      const min = isBlank(rule.min) ? null : toComparable(rule.min)
+      const max = isBlank(rule.max) ? null : toComparable(rule.max)
+      if ((!isBlank(rule.min) && min === null) || (!isBlank(rule.max) && max === null)) {
+        return { isValid: false, error: 'Bounds must be numbers or dates' }
+      }
+      if (min !== null && max !== null && min > max) return { isValid: false, error: 'The minimum is above the maximum' }
+      return { isValid: true, error: null }
+    }
+    case 'regex': {
+      if (!rule.pattern) return { isValid: false, error: 'Enter a pattern' }
+      const error = getRegexError(rule.pattern)
+      return error ? { isValid: false, error: `Invalid pattern: ${error}` } : { isValid: true, error: null }
+    }
+    case 'allowedValues':
+      return (rule.values || []).length > 0
+        ? { isValid: true, error: null }
+        : { isValid: false, error: 'List at least one allowed value' }
+    case 'reference': {
+      const dataset = datasets.find(item => item.id === rule.datasetId)
+      if (!dataset) return { isValid: false, error: 'Choose a dataset to check against' }
+      if (!dataset.columns.some(col => col.name === rule.refColumn)) {
+        return { isValid: false, error: `"${dataset.name}" has no column "${rule.refColumn || '(none)'}"` }
+      }
+      return { isValid: true, error: null }
+    }
+    case 'expression': {
+      if (!(rule.expression || '').trim()) return { isValid: false, error: 'Enter an expression' }
+      const { isValid, error } = validateFormula(rule.expression, columnNames)
+      return { isValid, error }
+    }
+    default:
+      return { isValid: false, error: `Unknown rule type: ${rule.type}` }
+  }
+}
+
+/**
+ * Describe a rule, e.g. 'Price between 0 and 1000'
+ *
+ * @param {Object} rule - Rule
+ * @param {Array} datasets - All datasets (for reference rules)
+ * @returns {String}
+ */
+export const describeQualityRule = (rule, datasets = []) => {
+  switch (rule.type) {
+    case 'notNull':
+      return `${rule.column} is not empty`
+    case 'unique':
+      return `${rule.column} is unique`
+    case 'inRange': {
+      if (!isBlank(rule.min) && !isBlank(rule.max)) return `${rule.column} between ${rule.min} and ${rule.max}`
+      return isBlank(rule.max) ? `${rule.column} ≥ ${rule.min}` : `${rule.column} ≤ ${rule.max}`
+    }
+    case 'regex':
+      return `${rule.column} matches /${rule.pattern}/`
+    case 'allowedValues': {
+      const values = rule.values || []
+      const shown = values.slice(0, 5).join(', ')
+      return `${rule.column} in ${shown}${values.length > 5 ? `, … (${values.length})` : ''}`
+    }
+    case 'reference': {
+      const name = datasets.find(item => item.id === rule.datasetId)?.name || '(removed dataset)'
+      return `${rule.column} exists in ${name}.${rule.refColumn}`
+    }
+    case 'expression':
+      return rule.expression
+    default:
+      return rule.type
+  }
+}
+
+/**
+ * List the datasets a ruleset looks values up in
+ *
+ * @param {Array} rules - Rules
+ * @returns {Array} - Dataset ids of its reference rules
+ */
+export const getReferencedDatasetIds = (rules) =>
+  Array.from(new Set((rules || []).filter(rule => rule.type === 'reference' && rule.datasetId).map(rule => rule.datasetId)))
+
+// Row check of a rule: (row) => true (passes), false (fails) or null (not checked)
+const compileRuleCheck = (rule, rows, datasets) => {
+  const { column } = rule
+  switch (rule.type) {
+    case 'notNull':
+      return (row) => !isEmpty(row[column])
+    case 'unique': {
+      const counts = new Map()
+      rows.forEach(row => {
+        if (isEmpty(row[column])) return
+        const key = toKey(row[column])
+        counts.set(key, (counts.get(key) || 0) + 1)
+      })
+      // Every copy of a repeated value fails
+      return (row) => (isEmpty(row[column]) ? null : counts.get(toKey(row[column])) === 1)
+    }
+    case 'inRange': {
+      const min = isBlank(rule.min) ? null : toComparable(rule.min)
+      const max = isBlank(rule.max) ? null : toComparable(rule.max)
+      return (row) => {
+        if (isEmpty(row[column])) return null
+        const value = toComparable(row[column])
+        return value !== null && (min === null || value >= min) && (max === null || value <= max)
+      }
+    }
+    case 'regex': {
+      const regex = new RegExp(`^(?:${rule.pattern})$`)
+      return (row) => (isEmpty(row[column]) ? null : regex.test(toKey(row[column])))
+    }
+    case 'allowedValues': {
+      const allowed = new Set(rule.values.map(String))
+      return (row) => (isEmpty(row[column]) ? null : allowed.has(toKey(row[column])))
+    }
+    case 'reference': {
+      const dataset = datasets.find(item => item.id === rule.datasetId)
+      const keys = new Set()
+      dataset.data.forEach(row => {
+        if (!isEmpty(row[rule.refColumn])) keys.add(toKey(row[rule.refColumn]))
+      })
+      return (row) => (isEmpty(row[column]) ? null : keys.has(toKey(row[column])))
+    }
+    case 'expression': {
+      const evaluate = compileFormula(rule.expression)
+      return (row) => {
+        const result = evaluate(row)
+        return result === null ? null : result === true
+      }
+    }
+    default:
+      return () => null
+  }
+}
+
+/**
+ * Check rows against a ruleset
+ *
+ * @param {Array} rows - Rows
+ * @param {Array} rules - Rules
+ * @param {Object} options
+ * @param {Array} options.datasets - All datasets (for reference rules)
+ * @returns {Object} - {
+ *   score,       // mean pass rate of the valid rules (0-100), null without any
+ *   results: [{
+ *     ruleId, label,
+ *     error,       // why the rule can't run (then nothing else is set)
+ *     checked,     // rows the rule looked at
+ *     failed,      // rows that broke it
+ *     passRate,    // 0-1 (1 when nothing was checked)
+ *     failingRows  // indices of the first MAX_FAILING_ROWS offending rows
+ *   }]
+ * }
+ *
+ * Example usage:
+ *   const { score, results } = runQualityRules(rows, [
+ *     { id: 'r1', type: 'notNull', column: 'Email' },
+ *     { id: 'r2', type: 'expression', expression: '[Ship Date] >= [Order Date]' }
+ *   ])
+ */
+export const runQualityRules = (rows, rules, { datasets = [] } = {}) => {
+  const data = rows || []
+  const columnNames = data.length > 0 ? Object.keys(data[0]) : []
+  const results = (rules || []).map(rule => checkRule(rule, data, columnNames, datasets))
+  return { score: getQualityScore(results), results }
+}
+
+// Result of one rule over every row (see runQualityRules)
+const checkRule = (rule, data, columnNames, datasets) => {
+  const label = describeQualityRule(rule, datasets)
+  const { isValid, error } = validateQualityRule(rule, columnNames, datasets)
+  if (!isValid) return { ruleId: rule.id, label, error }
+
+  const check = compileRuleCheck(rule, data, datasets)
+  let checked = 0
+  let failed = 0
+  const failingRows = []
+  data.forEach((row, index) => {
+    const passed = check(row)
+    if (passed === null) return
+    checked++
+    if (passed) return
+    failed++
+    if (failingRows.length < MAX_FAILING_ROWS) failingRows.push(index)
+  })
+  return { ruleId: rule.id, label, error: null, checked, failed, passRate: getPassRate(checked, failed), failingRows }
+}
+
+const getPassRate = (checked, failed) => (checked > 0 ? (checked - failed) / checked : 1)
+
+// Mean pass rate of the rules that ran (0-100), null without any
+const getQualityScore = (results) => {
+  const scored = results.filter(result => !result.error)
+  return scored.length > 0
+    ? Math.round((scored.reduce((sum, result) => sum + result.passRate, 0) / scored.length) * 1000) / 10
+    : null
+}
+
+/**
+ * Update rule results after one row changed (e.g. a cell edit) by checking
+ * only that row. Unique rules, which compare rows with each other, and
+ * rules whose kept offending rows would run short are checked in full.
+ *
+ * @param {Object} quality - runQualityRules() result from before the change
+ * @param {Array} rules - Rules
+ * @param {Array} rows - Rows after the change (the same rows in the same order)
+ * @param {Number} index - Position of the changed row
+ * @param {Object} previousRow - The row before the change
+ * @param {Object} options
+ * @param {Array} options.datasets - All datasets (for reference rules)
+ * @param {Boolean} options.canCheckAll - false to return null rather than check every row
+ *                                        (large datasets, left to a worker)
+ * @returns {Object} - runQualityRules() result for the rows after the change, or null
+ *
+ * Example usage:
+ *   const quality = recheckQualityRow(dataset.quality, dataset.qualityRules, data, 41, dataset.data[41], { datasets })
+ */
+export const recheckQualityRow = (quality, rules, rows, index, previousRow, { datasets = [], canCheckAll = true } = {}) => {
+  const columnNames = rows.length > 0 ? Object.keys(rows[0]) : []
+  const previous = new Map(quality.results.map(result => [result.ruleId, result]))
+  let needsAll = false
+  const checkAll = (rule) => {
+    if (canCheckAll) return checkRule(rule, rows, columnNames, datasets)
+    needsAll = true
+    return null
+  }
+
+  const results = (rules || []).map(rule => {
+    const result = previous.get(rule.id)
+    if (!result || rule.type === 'unique') return checkAll(rule)
+    if (result.error) return result
+
+    const check = compileRuleCheck(rule, rows, datasets)
+    const before = check(previousRow)
+    const after = check(rows[index])
+    if (before === after) return result
+
+    const checked = result.checked - (before === null ? 0 : 1) + (after === null ? 0 : 1)
+    const failed = result.failed - (before === false ? 1 : 0) + (after === false ? 1 : 0)
+    const failingRows = result.failingRows.filter(row => row !== index)
+    if (after === false) {
+      const position = failingRows.findIndex(row => row > index)
+      failingRows.splice(position === -1 ? failingRows.length : position, 0, index)
+      if (failingRows.length > MAX_FAILING_ROWS) failingRows.pop()
+    }
+    // A row past the kept ones would move up into the list
+    if (failingRows.length < Math.min(failed, MAX_FAILING_ROWS)) return checkAll(rule)
+
+    return { ...result, checked, failed, passRate: getPassRate(checked, failed), failingRows }
+  })
+
+  if (needsAll) return null
+  return { score: getQualityScore(results), results }
+}
+
+/**
+ * Add rule results to a data summary: the rules' score replaces the
+ * completeness-based quality score when there are valid rules
+ *
+ * @param {Object} summary - getDataSummary() result
+ * @param {Object} quality - runQualityRules() result
+ * @returns {Object} - Summary with `quality` and the score
+ */
+export const withQualityScore = (summary, quality) => {
+  if (!summary) return summary
+  if (!quality || quality.score === null) return { ...summary, quality: quality || null }
+  return {
+    ...summary,
+    quality,
+    qualityScore: Math.round(quality.score),
+    dataQuality: Math.round(quality.score)
+  }
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  QUALITY_RULE_TYPES,
+  MAX_FAILING_ROWS,
+  QUALITY_WORKER_ROW_THRESHOLD,
+  generateRuleId,
+  createQualityRule,
+  validateQualityRule,
+  describeQualityRule,
+  getReferencedDatasetIds,
+  runQualityRules,
+  recheckQualityRow,
+  withQualityScore
+}
@@ -0,0 +1,267 @@
+import * as XLSX from 'xlsx'
+
+/**
+ * Spreadsheet Parser Utility
+ *
+ * Reads Excel (.xlsx/.xls) and OpenDocument (.ods) workbooks and turns a
+ * chosen sheet into the same array-of-objects shape that parseCSVFile()
+ * produces, so the result can go through validateCSV / inferColumnTypes /
+ * getDataSummary unchanged.
+ *
+ * Handles:
+ * - Multiple sheets (the caller picks one)
+ * - A configurable header row (for sheets with titles above the table)
+ * - Merged cells (merged headers are spread across the columns they cover)
+ * - Date serial numbers (converted to ISO date strings)
+ */
+
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.ods']
+
+/**
+ * Check whether a file is a supported spreadsheet
+ *
+ * @param {File} file - File object from input/drag-drop
+ * @returns {Boolean}
+ */
+export const isSpreadsheetFile = (file) => {
+  if (!file || !file.name) return false
+  const name = file.name.toLowerCase()
+  return SPREADSHEET_EXTENSIONS.some(ext => name.endsWith(ext))
+}
+
+/**
+ * Read a workbook from raw file bytes
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} - SheetJS workbook
+ *
+ * cellNF keeps each cell's number format so we can tell date serials
+ * apart from plain numbers; cellDates is off so we convert them ourselves
+ * without timezone shifts.
+ */
+export const readWorkbook = (buffer) => {
+  return XLSX.read(buffer, {
+    type: 'array',
+    cellNF: true,
+    cellDates: false
+  })
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/**
+ * Convert an Excel date serial number to an ISO string
+ *
+ * @param {Number} serial - Days since the workbook epoch (fraction = time of day)
+ * @param {Boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {String} - 'YYYY-MM-DD', 'YYYY-MM-DDTHH:MM:SSZ' (the time as written, as UTC) or 'HH:MM:SS' for pure times
+ */
+export const excelSerialToISO = (serial, date1904 = false) => {
+  const parts = XLSX.SSF.parse_date_code(serial, { date1904 })
+  if (!parts) return null
+
+  const time = `${pad(parts.H)}:${pad(parts.M)}:${pad(parts.S)}`
+
+  // Time-only values (e.g. "13:30") have no date part
+  if (Math.floor(serial) === 0) return time
+
+  const date = `${parts.y}-${pad(parts.m)}-${pad(parts.d)}`
+  if (parts.H === 0 && parts.M === 0 && parts.S === 0) return date
+  return `${date}T${time}Z`
+}
+
+/**
+ * Convert a SheetJS cell object to a plain JS value
+ */
+const cellToValue = (cell, date1904) => {
+  if (!cell) return null
+
+  switch (cell.t) {
+    case 'n':
+      // Numbers formatted as dates are date serials
+      if (cell.z && XLSX.SSF.is_date(cell.z)) {
+        return excelSerialToISO(cell.v, date1904)
+      }
+      return cell.v
+
+    case 'd':
+      return cell.v instanceof Date && !isNaN(cell.v.getTime())
+        ? cell.v.toISOString()
+        : null
+
+    case 'b':
+      return cell.v
+
+    case 's': {
+      const text = String(cell.v).trim()
+      return text === '' ? null : text
+    }
+
+    // 'e' (error) and 'z' (stub) cells carry no usable value
+    default:
+      return null
+  }
+}
+
+/**
+ * Read a sheet into a 2-D array of values with merged ranges filled in
+ *
+ * @param {Object} workbook - SheetJS workbook
+ * @param {String} sheetName - Sheet to read
+ * @param {Number} maxRows - Optional row limit (for previews)
+ * @returns {Array} - Array of row arrays
+ */
+export const getSheetGrid = (workbook, sheetName, maxRows = null) => {
+  const sheet = workbook.Sheets[sheetName]
+  if (!sheet || !sheet['!ref']) return []
+
+  const date1904 = Boolean(workbook.Workbook?.WBProps?.date1904)
+  const range = XLSX.utils.decode_range(sheet['!ref'])
+  const lastRow = maxRows ? Math.min(range.e.r, range.s.r + maxRows - 1) : range.e.r
+
+  const grid = []
+  for (let r = range.s.r; r <= lastRow; r++) {
+    const row = []
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(cellToValue(sheet[XLSX.utils.encode_cell({ r, c })], date1904))
+    }
+    grid.push(row)
+  }
+
+  // Spread each merged range's top-left value over the whole range
+  for (const merge of sheet['!merges'] || []) {
+    const value = grid[merge.s.r - range.s.r]?.[merge.s.c - range.s.c]
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      const row = grid[r - range.s.r]
+      if (!row) continue
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        row[c - range.s.c] = value
+      }
+    }
+  }
+
+  return grid
+}
+
+/**
+ * List the sheets in a workbook with a short preview of each
+ *
+ * @param {Object} workbook - SheetJS workbook
+ * @param {Number} previewRows - Number of rows to include in each preview
+ * @returns {Array} - [{ name, rowCount, columnCount, preview }]
+ */
+export const getSheetPreviews = (workbook, previewRows = 10) => {
+  return workbook.SheetNames.map(name => {
+    const sheet = workbook.Sheets[name]
+    const range = sheet && sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null
+
+    return {
+      name,
+      rowCount: range ? range.e.r - range.s.r + 1 : 0,
+      columnCount: range ? range.e.c - range.s.c + 1 : 0,
+      preview: getSheetGrid(workbook, name, previewRows)
+    }
+  })
+}
+
+/**
+ * Build unique, non-empty column names from the header row
+ *
+ * A merged cell spanning several columns in the row directly above the
+ * header (e.g. "Revenue" over "Q1 | Q2") is used as a prefix: "Revenue - Q1".
+ */
+const buildHeaders = (workbook, sheetName, grid, headerRow) => {
+  const sheet = workbook.Sheets[sheetName]
+  const range = XLSX.utils.decode_range(sheet['!ref'])
+  const headerCells = grid[headerRow] || []
+
+  // Group labels from horizontal merges that end just above the header row
+  const groupLabels = {}
+  const sheetHeaderRow = headerRow + range.s.r
+  for (const merge of sheet['!merges'] || []) {
+    if (merge.e.r === sheetHeaderRow - 1 && merge.e.c > merge.s.c) {
+      const label = grid[merge.s.r - range.s.r]?.[merge.s.c - range.s.c]
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        groupLabels[c - range.s.c] = label
+      }
+    }
+  }
+
+  const seen = {}
+  return headerCells.map((cell, index) => {
+    let label = cell === null || cell === undefined ? '' : String(cell).trim()
+    const group = groupLabels[index]
+
+    if (group && label && String(group) !== label) {
+      label = `${group} - ${label}`
+    }
+    if (!label) {
+      label = `Column ${index + 1}`
+    }
+
+    // De-duplicate repeated names: "Amount", "Amount (2)", ...
+    seen[label] = (seen[label] || 0) + 1
+    return seen[label] > 1 ? `${label} (${seen[label]})` : label
+  })
+}
+
+/**
+ * Convert a sheet to an array of row objects
+ *
+ * @param {Object} workbook - SheetJS workbook
+ * @param {String} sheetName - Sheet to convert
+ * @param {Object} options
+ * @param {Number} options.headerRow - Zero-based index of the header row (default: 0)
+ * @returns {Object} - { data, headers }
+ *
+ * Example usage:
+ *   const { data } = sheetToRows(workbook, 'Q3 Sales', { headerRow: 2 })
+ *   console.log(data) // [{ Region: 'North', Revenue: 1500 }, ...]
+ */
+export const sheetToRows = (workbook, sheetName, { headerRow = 0 } = {}) => {
+  const grid = getSheetGrid(workbook, sheetName)
+  if (grid.length <= headerRow) {
+    return { data: [], headers: [] }
+  }
+
+  const headers = buildHeaders(workbook, sheetName, grid, headerRow)
+  const bodyRows = grid.slice(headerRow + 1)
+
+  // Drop trailing columns that have neither a real header nor any data
+  const keep = headers.map((header, index) => {
+    const hasHeader = grid[headerRow][index] !== null && grid[headerRow][index] !== undefined
+    return hasHeader || bodyRows.some(row => row[index] !== null)
+  })
+
+  const data = []
+  for (const row of bodyRows) {
+    // Skip completely empty rows (same as skipEmptyLines for CSV)
+    if (row.every(value => value === null)) continue
+
+    const record = {}
+    headers.forEach((header, index) => {
+      if (keep[index]) {
+        record[header] = row[index] === undefined ? null : row[index]
+      }
+    })
+    data.push(record)
+  }
+
+  return {
+    data,
+    headers: headers.filter((_, index) => keep[index])
+  }
+}
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  SPREADSHEET_EXTENSIONS,
+  isSpreadsheetFile,
+  readWorkbook,
+  excelSerialToISO,
+  getSheetGrid,
+  getSheetPreviews,
+  sheetToRows
+}
@@ -0,0 +1,286 @@
+import { compileCondition } from './filterHelpers'
+import { toDate } from './dateHelpers'
+
+/**
+ * Table Helpers Utility
+ *
+ * The data table works on row indices rather than copies of rows: a query
+ * (search, column filters and sort) returns the indices of the matching
+ * rows in display order, so a 1M row dataset is never copied and the
+ * query can run in a worker (see tableQuery.worker.js) that only sends the
+ * indices back.
+ *
+ * Query shape:
+ * {
+ *   search,           // text matched against every column (case-insensitive)
+ *   columnFilters,    // { [column]: condition } - filterHelpers conditions, AND-ed
+ *   sort,             // [{ key, direction: 'asc' | 'desc' }] - first entry sorts first
+ *   columns           // column names the search looks in
+ * }
+ *
+ * Column layout shape (what the user did to the columns):
+ * { order: [names], widths: { [name]: px }, pinned: [names] }
+ */
+
+// Above this many rows, queries and column profiles run in a worker
+export const TABLE_WORKER_ROW_THRESHOLD = 50000
+
+export const DEFAULT_COLUMN_WIDTH = 160
+export const MIN_COLUMN_WIDTH = 60
+export const MAX_COLUMN_WIDTH = 800
+
+// Bars in a column profile histogram, and values in its top list
+export const PROFILE_BINS = 20
+export const PROFILE_TOP_VALUES = 8
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+
+// Creating a collator once is much faster than localeCompare with options on every comparison
+const collator = new Intl.Collator(undefined, { numeric: true })
+
+/**
+ * Compare two cell values for sorting: numbers numerically, dates by time,
+ * everything else as text (natural order, so 'Item 2' < 'Item 10')
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {Number}
+ */
+export const compareTableValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime()
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b)
+  return collator.compare(String(a), String(b))
+}
+
+// Rank of each value in sort order (-1 for empty values); equal values share a rank
+const rankValues = (values) => {
+  const distinct = Array.from(new Set(values.filter(value => !isEmpty(value)))).sort(compareTableValues)
+  const rankOf = new Map(distinct.map((value, rank) => [value, rank]))
+  return Int32Array.from(values, value => (isEmpty(value) ? -1 : rankOf.get(value)))
+}
+
+/**
+ * Run a table query
+ *
+ * @param {Array} rows - Rows
+ * @param {Object} query - See above
+ * @returns {Uint32Array} - Indices of the matching rows, in display order
+ *
+ * Example usage:
+ *   const indices = queryTableRows(rows, {
+ *     search: 'north',
+ *     columnFilters: { Revenue: { column: 'Revenue', type: 'number', operator: 'between', min: 100, max: null } },
+ *     sort: [{ key: 'Revenue', direction: 'desc' }],
+ *     columns: ['Region', 'Revenue']
+ *   })
+ *   indices.length  // → rows matching both, highest revenue first
+ */
+export const queryTableRows = (rows, { search = '', columnFilters = {}, sort = [], columns = [] } = {}) => {
+  const predicates = Object.values(columnFilters).map(compileCondition).filter(Boolean)
+  const needle = search.trim().toLowerCase()
+
+  let indices = new Uint32Array(rows.length)
+  let count = 0
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i]
+    if (predicates.length > 0 && !predicates.every(predicate => predicate(row))) continue
+    if (needle && !columns.some(name => !isEmpty(row[name]) && String(row[name]).toLowerCase().includes(needle))) continue
+    indices[count++] = i
+  }
+  indices = indices.slice(0, count)
+
+  if (sort.length > 0) {
+    // Rank each sort column's distinct values once, so comparing rows compares numbers
+    const keys = sort.map(({ key, direction }) => ({
+      ranks: rankValues(Array.from(indices, index => rows[index][key])),
+      factor: direction === 'desc' ? -1 : 1
+    }))
+    const positions = new Uint32Array(count).map((_, position) => position)
+    positions.sort((x, y) => {
+      for (const { ranks, factor } of keys) {
+        const a = ranks[x]
+        const b = ranks[y]
+        if (a === b) continue
+        // Empty values (rank -1) go last whatever the direction
+        if (a === -1 || b === -1) return a === -1 ? 1 : -1
+        return (a - b) * factor
+      }
+      // Keep the file order for ties
+      return x - y
+    })
+    indices = positions.map(position => indices[position])
+  }
+
+  return indices
+}
+
+/**
+ * Change the sort when a column header is clicked: a plain click sorts by
+ * that column alone (ascending, descending, then unsorted); a shift-click
+ * adds the column to the sort, or flips / removes it if it is already there
+ *
+ * @param {Array} sort - Current sort
+ * @param {String} key - Column clicked
+ * @param {Boolean} multi - Whether shift was held
+ * @returns {Array} - New sort
+ */
+export const toggleSort = (sort, key, multi = false) => {
+  const current = sort.find(item => item.key === key)
+  const next = !current
+    ? { key, direction: 'asc' }
+    : current.direction === 'asc' ? { key, direction: 'desc' } : null
+
+  if (!multi) return next ? [next] : []
+  if (!current) return [...sort, next]
+  return next
+    ? sort.map(item => (item.key === key ? next : item))
+    : sort.filter(item => item.key !== key)
+}
+
+/**
+ * Count values in equal-width bins between the smallest and largest value
+ *
+ * @param {Array} values - Numbers (timestamps for dates)
+ * @param {Number} bins - Number of bins
+ * @returns {Array} - [{ start, end, count }]; a single bin when all values are equal
+ */
+export const buildHistogram = (values, bins) => {
+  if (values.length === 0) return []
+  let min = Infinity
+  let max = -Infinity
+  for (const value of values) {
+    if (value < min) min = value
+    if (value > max) max = value
+  }
+  if (min === max) return [{ start: min, end: max, count: values.length }]
+
+  const width = (max - min) / bins
+  const histogram = Array.from({ length: bins }, (_, i) => ({ start: min + i * width, end: min + (i + 1) * width, count: 0 }))
+  for (const value of values) {
+    histogram[Math.min(bins - 1, Math.floor((value - min) / width))].count++
+  }
+  return histogram
+}
+
+/**
+ * Summarize a column over the rows a query matched: a histogram for numbers
+ * and dates, and the most frequent values for every column
+ *
+ * @param {Array} rows - Rows
+ * @param {Uint32Array|Array} indices - Rows to look at (null for all)
+ * @param {Object} column - Column metadata
+ * @param {Object} options - { bins, topN }
+ * @returns {Object} - {
+ *   count, emptyCount, distinctCount,
+ *   histogram,   // [{ start, end, count }] (empty for other types); dates as timestamps
+ *   topValues    // [{ value, count }], most frequent first
+ * }
+ */
+export const getColumnProfile = (rows, indices, column, { bins = PROFILE_BINS, topN = PROFILE_TOP_VALUES } = {}) => {
+  const total = indices ? indices.length : rows.length
+  const counts = new Map()
+  const numbers = []
+  let emptyCount = 0
+
+  for (let i = 0; i < total; i++) {
+    const value = rows[indices ? indices[i] : i][column.name]
+    if (isEmpty(value)) {
+      emptyCount++
+      continue
+    }
+    const key = value instanceof Date ? value.toISOString() : String(value)
+    counts.set(key, (counts.get(key) || 0) + 1)
+
+    if (column.type === 'number') {
+      const number = Number(value)
+      if (!isNaN(number)) numbers.push(number)
+    } else if (column.type === 'date') {
+      const date = toDate(value)
+      if (date) numbers.push(date.getTime())
+    }
+  }
+
+  const topValues = Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, topN)
+
+  return {
+    count: total,
+    emptyCount,
+    distinctCount: counts.size,
+    histogram: numbers.length > 0 ? buildHistogram(numbers, bins) : [],
+    topValues
+  }
+}
+
+/**
+ * Lay out the columns in the user's order, pinned columns first. Columns
+ * missing from the saved order (e.g. a new calculated column) go at the end.
+ *
+ * @param {Array} columns - Column metadata
+ * @param {Object} layout - { order, widths, pinned }
+ * @returns {Array} - [{ column, width, pinned, left }], `left` being the sticky offset of pinned columns
+ */
+export const getColumnLayout = (columns, { order = [], widths = {}, pinned = [] } = {}) => {
+  const position = new Map(order.map((name, index) => [name, index]))
+  const ordered = [...columns].sort((a, b) =>
+    (position.has(a.name) ? position.get(a.name) : Infinity) - (position.has(b.name) ? position.get(b.name) : Infinity)
+  )
+  const pinnedSet = new Set(pinned)
+  const sorted = [...ordered.filter(column => pinnedSet.has(column.name)), ...ordered.filter(column => !pinnedSet.has(column.name))]
+
+  let left = 0
+  return sorted.map(column => {
+    const width = widths[column.name] || DEFAULT_COLUMN_WIDTH
+    const item = { column, width, pinned: pinnedSet.has(column.name), left }
+    if (item.pinned) left += width
+    return item
+  })
+}
+
+/**
+ * Move a column before another one
+ *
+ * @param {Array} names - Column names in display order
+ * @param {String} name - Column moved
+ * @param {String} target - Column it is dropped on
+ * @returns {Array} - New order
+ */
+export const moveColumn = (names, name, target) => {
+  if (name === target) return names
+  const without = names.filter(item => item !== name)
+  const index = without.indexOf(target)
+  if (index === -1) return names
+  // Dropping on a column to the right places the column after it
+  const offset = names.indexOf(name) < names.indexOf(target) ? 1 : 0
+  return [...without.slice(0, index + offset), name, ...without.slice(index + offset)]
+}
+
+/**
+ * Clamp a column width to the allowed range
+ *
+ * @param {Number} width - Width in pixels
+ * @returns {Number}
+ */
+export const clampColumnWidth = (width) => Math.round(Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, width)))
+
+/**
+ * Export functions for use in other components
+ */
+export default {
+  TABLE_WORKER_ROW_THRESHOLD,
+  DEFAULT_COLUMN_WIDTH,
+  MIN_COLUMN_WIDTH,
+  MAX_COLUMN_WIDTH,
+  PROFILE_BINS,
+  PROFILE_TOP_VALUES,
+  compareTableValues,
+  queryTableRows,
+  toggleSort,
+  buildHistogram,
+  getColumnProfile,
+  getColumnLayout,
+  moveColumn,
+  clampColumnWidth
+}
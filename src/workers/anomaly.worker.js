@@ -0,0 +1,25 @@
+import { detectAnomalies } from '../utils/anomalyHelpers'
+
+/**
+ * Anomaly Worker
+ *
+ * Runs the statistical anomaly detectors over a large dataset off the main
+ * thread (see anomalyHelpers).
+ *
+ * Messages received:
+ *   { rows, columns }
+ *
+ * Messages posted:
+ *   { type: 'result', result }   // detectAnomalies() result
+ *   { type: 'error', message }
+ */
+
+self.onmessage = (event) => {
+  const { rows, columns } = event.data
+
+  try {
+    self.postMessage({ type: 'result', result: detectAnomalies(rows, columns) })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
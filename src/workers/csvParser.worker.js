@@ -0,0 +1,232 @@
+import Papa from 'papaparse'
+import { validateCSV, getDataSummary } from '../utils/csvParser'
+import { readWorkbook, getSheetPreviews, sheetToRows } from '../utils/spreadsheetParser'
+import { parseJSONText } from '../utils/jsonParser'
+import { AUTO_LOCALE, getLocale, detectLocale, normalizeLocaleText, applyLocaleToRows } from '../utils/localeHelpers'
+
+/**
+ * CSV Parser Worker
+ *
+ * Parses an uploaded file off the main thread so large exports (100MB+)
+ * don't freeze the tab. Progress is reported while the file is read; once
+ * it has been validated, typed and summarized the rows are handed to the
+ * page in batches, each released by the worker as it is sent, so a large
+ * file is never held twice. The results follow the last batch.
+ *
+ * Numbers and dates are read in the locale given with the message (a
+ * localeHelpers preset id), or one detected from the file for 'auto'.
+ *
+ * Messages received:
+ *   { type: 'parse', file, locale }             - parse a CSV File object
+ *   { type: 'openWorkbook', file }              - load a spreadsheet and list its sheets
+ *   { type: 'readSheet', sheetName, headerRow, locale } - convert a sheet of the open workbook
+ *   { type: 'parseJSON', file, options }        - parse JSON / NDJSON ({ format, explodeArrays, locale })
+ *
+ * Messages posted:
+ *   { type: 'progress', rowsParsed, bytesRead, totalBytes }
+ *   { type: 'chunk', rows }       - a batch of parsed rows (all batches precede 'complete')
+ *   { type: 'workbook', sheets }  - sheet list with previews (reply to openWorkbook)
+ *   { type: 'complete', validation, columns, summary, meta }
+ *   { type: 'error', message, errors }
+ */
+
+// Read the file in 1MB slices so progress updates arrive often
+const CHUNK_SIZE = 1024 * 1024
+
+// Rows per message when handing parsed rows to the page
+const ROW_BATCH_SIZE = 5000
+
+// Rows read ahead of a CSV parse to detect its locale
+const LOCALE_PREVIEW_ROWS = 1000
+
+// Workbook kept between 'openWorkbook' and 'readSheet' messages
+let workbook = null
+let workbookSize = 0
+
+// Post the rows to the page in batches, dropping the worker's reference to
+// each batch once it has been copied so the rows can be garbage collected
+const handOverRows = (rows) => {
+  for (let i = 0; i < rows.length; i += ROW_BATCH_SIZE) {
+    const end = Math.min(i + ROW_BATCH_SIZE, rows.length)
+    self.postMessage({ type: 'chunk', rows: rows.slice(i, end) })
+    rows.fill(null, i, end)
+  }
+  rows.length = 0
+}
+
+const postFinalProgress = (rowCount, totalBytes) => {
+  self.postMessage({ type: 'progress', rowsParsed: rowCount, bytesRead: totalBytes, totalBytes })
+}
+
+// The locale to read a file with: the chosen preset, or the one detected from sample rows
+const resolveLocale = (setting, sampleRows) => {
+  if (setting && setting !== AUTO_LOCALE) {
+    return { locale: getLocale(setting), localeDetected: false }
+  }
+  return { locale: detectLocale(sampleRows).locale, localeDetected: true }
+}
+
+// Read the first rows as raw text (no dynamicTyping) for locale detection
+const previewFile = (file) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    preview: LOCALE_PREVIEW_ROWS,
+    complete: (results) => resolve(results.data),
+    error: reject
+  })
+})
+
+// Run the analysis pipeline on the complete dataset, then hand the rows over
+const analyzeRows = (rows, meta) => {
+  const validation = validateCSV(rows)
+  // The summary already holds the column metadata; inferring twice would scan every row again
+  const summary = getDataSummary(rows)
+  const columns = summary.columns
+
+  handOverRows(rows)
+  self.postMessage({ type: 'complete', validation, columns, summary, meta })
+}
+
+const parseFile = async (file, localeSetting = AUTO_LOCALE) => {
+  const rows = []
+  const errors = []
+  let meta = null
+
+  let resolved
+  try {
+    resolved = resolveLocale(localeSetting, localeSetting === AUTO_LOCALE ? await previewFile(file) : [])
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      message: 'Failed to parse CSV file',
+      errors: [{ message: error.message }]
+    })
+    return
+  }
+  const { locale, localeDetected } = resolved
+
+  Papa.parse(file, {
+    // Same options as parseCSVFile() in csvParser.js
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    transformHeader: (header) => header.trim(),
+    // Runs before dynamicTyping: rewrite locale numbers and dates in canonical form
+    transform: (value) => normalizeLocaleText(value, locale),
+    chunkSize: CHUNK_SIZE,
+
+    // chunk: called once per slice with the rows parsed from it
+    chunk: (results) => {
+      for (const row of results.data) {
+        rows.push(row)
+      }
+      errors.push(...results.errors)
+      meta = results.meta
+
+      self.postMessage({
+        type: 'progress',
+        rowsParsed: rows.length,
+        // cursor is a character offset, close enough to bytes for progress
+        bytesRead: Math.min(results.meta.cursor, file.size),
+        totalBytes: file.size
+      })
+    },
+
+    complete: () => {
+      if (errors.length > 0) {
+        self.postMessage({
+          type: 'error',
+          message: 'CSV parsing encountered errors',
+          errors: errors.slice(0, 10)
+        })
+        return
+      }
+
+      postFinalProgress(rows.length, file.size)
+      analyzeRows(rows, { ...meta, locale: locale.id, localeDetected })
+    },
+
+    error: (error) => {
+      self.postMessage({
+        type: 'error',
+        message: 'Failed to parse CSV file',
+        errors: [{ message: error.message }]
+      })
+    }
+  })
+}
+
+const openWorkbook = async (file) => {
+  try {
+    const buffer = await file.arrayBuffer()
+    workbook = readWorkbook(buffer)
+    workbookSize = file.size
+    self.postMessage({ type: 'workbook', sheets: getSheetPreviews(workbook) })
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      message: 'Failed to read spreadsheet',
+      errors: [{ message: error.message }]
+    })
+  }
+}
+
+const readSheet = (sheetName, headerRow, localeSetting) => {
+  if (!workbook) {
+    self.postMessage({ type: 'error', message: 'No workbook is open', errors: [] })
+    return
+  }
+
+  const { data: cells, headers } = sheetToRows(workbook, sheetName, { headerRow })
+  // Spreadsheet cells are mostly typed already; only text cells are read in the locale
+  const { locale, localeDetected } = resolveLocale(localeSetting, cells)
+  const data = applyLocaleToRows(cells, locale)
+
+  postFinalProgress(data.length, workbookSize)
+  analyzeRows(data, { sheetName, headerRow, fields: headers, locale: locale.id, localeDetected })
+}
+
+const parseJSONFile = async (file, options = {}) => {
+  try {
+    const text = await file.text()
+    const { data: values, meta } = parseJSONText(text, options)
+    const { locale, localeDetected } = resolveLocale(options.locale, values)
+    const data = applyLocaleToRows(values, locale)
+
+    postFinalProgress(data.length, file.size)
+    analyzeRows(data, {
+      ...meta,
+      fields: data.length > 0 ? Object.keys(data[0]) : [],
+      locale: locale.id,
+      localeDetected
+    })
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      message: 'Failed to parse JSON file',
+      errors: [{ message: error.message }]
+    })
+  }
+}
+
+self.onmessage = (event) => {
+  const { type, file } = event.data
+
+  switch (type) {
+    case 'parse':
+      parseFile(file, event.data.locale)
+      break
+    case 'openWorkbook':
+      openWorkbook(file)
+      break
+    case 'readSheet':
+      readSheet(event.data.sheetName, event.data.headerRow, event.data.locale)
+      break
+    case 'parseJSON':
+      parseJSONFile(file, event.data.options)
+      break
+    default:
+      self.postMessage({ type: 'error', message: `Unknown message type: ${type}`, errors: [] })
+  }
+}
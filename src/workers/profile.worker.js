@@ -0,0 +1,25 @@
+import { profileDataset } from '../utils/profileHelpers'
+
+/**
+ * Profile Worker
+ *
+ * Builds the Data Profile page's profile of a large dataset off the main
+ * thread (see profileHelpers).
+ *
+ * Messages received:
+ *   { rows, columns }
+ *
+ * Messages posted:
+ *   { type: 'result', result }   // profileDataset() result
+ *   { type: 'error', message }
+ */
+
+self.onmessage = (event) => {
+  const { rows, columns } = event.data
+
+  try {
+    self.postMessage({ type: 'result', result: profileDataset(rows, columns) })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
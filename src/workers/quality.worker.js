@@ -0,0 +1,25 @@
+import { runQualityRules } from '../utils/qualityHelpers'
+
+/**
+ * Quality Worker
+ *
+ * Checks a large dataset against its data quality rules off the main
+ * thread (see qualityHelpers).
+ *
+ * Messages received:
+ *   { rows, rules, datasets }   // datasets: the ones reference rules look up
+ *
+ * Messages posted:
+ *   { type: 'result', result }   // runQualityRules() result
+ *   { type: 'error', message }
+ */
+
+self.onmessage = (event) => {
+  const { rows, rules, datasets } = event.data
+
+  try {
+    self.postMessage({ type: 'result', result: runQualityRules(rows, rules, { datasets }) })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
@@ -0,0 +1,25 @@
+import { getSubsetSummary } from '../utils/csvParser'
+
+/**
+ * Summary Worker
+ *
+ * Summarises a large subset of a dataset's rows, e.g. the rows left after
+ * the dashboard's filters, off the main thread (see getSubsetSummary).
+ *
+ * Messages received:
+ *   { rows, columns }   // columns: the dataset's column metadata
+ *
+ * Messages posted:
+ *   { type: 'result', result }   // getSubsetSummary() result
+ *   { type: 'error', message }
+ */
+
+self.onmessage = (event) => {
+  const { rows, columns } = event.data
+
+  try {
+    self.postMessage({ type: 'result', result: getSubsetSummary(rows, columns) })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
@@ -0,0 +1,67 @@
+import { queryTableRows, getColumnProfile } from '../utils/tableHelpers'
+
+/**
+ * Table Query Worker
+ *
+ * Keeps a copy of the data table's rows and runs its queries (search,
+ * column filters, sort) and column profiles off the main thread, so a
+ * large table stays responsive while they run. Only row indices travel
+ * back, as a transferred buffer.
+ *
+ * Messages received:
+ *   { type: 'setRows', rows }                   - rows to query from now on
+ *   { type: 'updateRows', updates }             - [{ index, row }] rows replaced since (e.g. cell edits)
+ *   { type: 'query', requestId, query }         - see tableHelpers for the query shape
+ *   { type: 'profile', requestId, column }      - profile a column over the last query's rows
+ *
+ * Messages posted:
+ *   { type: 'result', requestId, indices }      - Uint32Array of matching rows in display order
+ *   { type: 'profile', requestId, profile }     - see getColumnProfile
+ *   { type: 'error', requestId, message }
+ */
+
+let rows = []
+// Rows the last query matched, for profiles
+let lastIndices = null
+
+self.onmessage = (event) => {
+  const { type, requestId } = event.data
+
+  try {
+    switch (type) {
+      case 'setRows':
+        rows = event.data.rows
+        lastIndices = null
+        break
+
+      case 'updateRows':
+        // The row count stays the same, so the last query's rows still hold for profiles
+        event.data.updates.forEach(({ index, row }) => {
+          rows[index] = row
+        })
+        break
+
+      case 'query': {
+        const indices = queryTableRows(rows, event.data.query)
+        lastIndices = indices
+        // Send a copy so this worker keeps its indices for profiles
+        const reply = indices.slice()
+        self.postMessage({ type: 'result', requestId, indices: reply }, [reply.buffer])
+        break
+      }
+
+      case 'profile':
+        self.postMessage({
+          type: 'profile',
+          requestId,
+          profile: getColumnProfile(rows, lastIndices, event.data.column)
+        })
+        break
+
+      default:
+        self.postMessage({ type: 'error', requestId, message: `Unknown message type: ${type}` })
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, message: error.message })
+  }
+}